@@ -0,0 +1,135 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { pool } from './db.js';
+
+// --------- Config ----------
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = 30;
+
+if (!process.env.JWT_SECRET) {
+  console.warn('JWT_SECRET is not set; using a random secret. Sessions will not survive a restart.');
+}
+
+// --------- Schema ----------
+// One row per login. Refresh tokens rotate on every use; only the latest
+// refresh_jti is accepted, and revoking the row kills its access tokens too.
+export const createSessionTables = async () => {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      id TEXT PRIMARY KEY,
+      username TEXT NOT NULL,
+      refresh_jti TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      expires_at TIMESTAMP NOT NULL,
+      revoked_at TIMESTAMP
+    )
+  `);
+};
+
+// --------- Tokens ----------
+const signTokens = (username, sessionId, refreshJti) => ({
+  accessToken: jwt.sign({ sub: username, sid: sessionId, typ: 'access' }, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS
+  }),
+  refreshToken: jwt.sign({ sub: username, sid: sessionId, typ: 'refresh', jti: refreshJti }, JWT_SECRET, {
+    expiresIn: `${REFRESH_TOKEN_TTL_DAYS}d`
+  }),
+  expiresIn: ACCESS_TOKEN_TTL_SECONDS
+});
+
+export const issueSession = async (username) => {
+  const sessionId = crypto.randomUUID();
+  const refreshJti = crypto.randomUUID();
+
+  await pool.query(
+    `INSERT INTO sessions (id, username, refresh_jti, expires_at)
+     VALUES ($1, $2, $3, NOW() + INTERVAL '${REFRESH_TOKEN_TTL_DAYS} days')`,
+    [sessionId, username, refreshJti]
+  );
+
+  return signTokens(username, sessionId, refreshJti);
+};
+
+const verify = (token, typ) => {
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    return payload.typ === typ ? payload : null;
+  } catch {
+    return null;
+  }
+};
+
+const findActiveSession = async (sessionId) => {
+  const result = await pool.query(
+    'SELECT * FROM sessions WHERE id=$1 AND revoked_at IS NULL AND expires_at > NOW()',
+    [sessionId]
+  );
+  return result.rows[0] || null;
+};
+
+// Swap a refresh token for a fresh pair. Presenting an old refresh token
+// means it leaked, so the whole session is revoked.
+export const refreshSession = async (refreshToken) => {
+  const payload = verify(refreshToken, 'refresh');
+  if (!payload) return null;
+
+  const session = await findActiveSession(payload.sid);
+  if (!session) return null;
+
+  if (session.refresh_jti !== payload.jti) {
+    await revokeSession(session.id);
+    return null;
+  }
+
+  const refreshJti = crypto.randomUUID();
+  await pool.query('UPDATE sessions SET refresh_jti=$1 WHERE id=$2', [refreshJti, session.id]);
+  return signTokens(session.username, session.id, refreshJti);
+};
+
+export const revokeSession = async (sessionId) => {
+  await pool.query('UPDATE sessions SET revoked_at=NOW() WHERE id=$1 AND revoked_at IS NULL', [sessionId]);
+};
+
+export const revokeAllSessions = async (username) => {
+  const result = await pool.query(
+    'UPDATE sessions SET revoked_at=NOW() WHERE username=$1 AND revoked_at IS NULL',
+    [username]
+  );
+  return result.rowCount;
+};
+
+// --------- Middleware ----------
+// Resolves the acting user from `Authorization: Bearer <access token>` and
+// sets req.username / req.sessionId. Never trust a username from the body.
+export const requireAuth = async (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+  const payload = token ? verify(token, 'access') : null;
+
+  if (!payload) {
+    return res.status(401).json({ message: "Please login again." });
+  }
+
+  try {
+    const session = await findActiveSession(payload.sid);
+    if (!session) {
+      return res.status(401).json({ message: "Your session has ended. Please login again." });
+    }
+
+    req.username = payload.sub;
+    req.sessionId = payload.sid;
+    next();
+  } catch (err) {
+    console.error("Auth error:", err);
+    res.status(500).json({ message: "Server error. Please try again." });
+  }
+};
+
+// For routes that still carry :username in the path
+export const requireSelf = (req, res, next) => {
+  if (req.params.username !== req.username) {
+    return res.status(403).json({ message: "You can only view your own account." });
+  }
+  next();
+};
@@ -0,0 +1,95 @@
+// --------- Directory ----------
+// Banks SARA can send to, keyed by the NIP code the payment providers use.
+// Aliases are matched as whole words in what the user said or typed.
+// checkDigit marks banks whose account numbers are standard NUBANs;
+// wallet-style accounts (OPay, PalmPay...) are often phone numbers and
+// don't carry a NUBAN check digit.
+export const BANKS = {
+  '044': { name: 'Access Bank', aliases: ['access', 'access bank', 'diamond bank'], checkDigit: true },
+  '023': { name: 'Citibank', aliases: ['citi', 'citibank'], checkDigit: true },
+  '050': { name: 'Ecobank', aliases: ['eco', 'ecobank', 'eco bank'], checkDigit: true },
+  '070': { name: 'Fidelity Bank', aliases: ['fidelity', 'fidelity bank'], checkDigit: true },
+  '011': { name: 'First Bank', aliases: ['first bank', 'firstbank', 'fbn'], checkDigit: true },
+  '214': { name: 'FCMB', aliases: ['fcmb', 'first city monument'], checkDigit: true },
+  '058': { name: 'GTBank', aliases: ['gt', 'gtb', 'gtbank', 'gt bank', 'gtco', 'guaranty trust'], checkDigit: true },
+  '030': { name: 'Heritage Bank', aliases: ['heritage', 'heritage bank'], checkDigit: true },
+  '301': { name: 'Jaiz Bank', aliases: ['jaiz', 'jaiz bank'], checkDigit: true },
+  '082': { name: 'Keystone Bank', aliases: ['keystone', 'keystone bank'], checkDigit: true },
+  '076': { name: 'Polaris Bank', aliases: ['polaris', 'polaris bank', 'skye bank'], checkDigit: true },
+  '101': { name: 'Providus Bank', aliases: ['providus', 'providus bank'], checkDigit: true },
+  '221': { name: 'Stanbic IBTC', aliases: ['stanbic', 'ibtc', 'stanbic ibtc'], checkDigit: true },
+  '068': { name: 'Standard Chartered', aliases: ['standard chartered', 'stanchart'], checkDigit: true },
+  '232': { name: 'Sterling Bank', aliases: ['sterling', 'sterling bank'], checkDigit: true },
+  '032': { name: 'Union Bank', aliases: ['union', 'union bank'], checkDigit: true },
+  '033': { name: 'UBA', aliases: ['uba', 'united bank for africa'], checkDigit: true },
+  '215': { name: 'Unity Bank', aliases: ['unity', 'unity bank'], checkDigit: true },
+  '035': { name: 'Wema Bank', aliases: ['wema', 'wema bank', 'alat'], checkDigit: true },
+  '057': { name: 'Zenith Bank', aliases: ['zenith', 'zenith bank'], checkDigit: true },
+  '50211': { name: 'Kuda', aliases: ['kuda', 'kuda bank'], checkDigit: false },
+  '50515': { name: 'Moniepoint', aliases: ['moniepoint', 'monie point'], checkDigit: false },
+  '999992': { name: 'OPay', aliases: ['opay', 'o pay', 'paycom'], checkDigit: false },
+  '999991': { name: 'PalmPay', aliases: ['palmpay', 'palm pay'], checkDigit: false }
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Longest aliases first, so "first bank" wins over anything shorter
+const ALIAS_PATTERNS = Object.entries(BANKS)
+  .flatMap(([code, bank]) => [bank.name.toLowerCase(), ...bank.aliases].map((alias) => ({ code, alias })))
+  .sort((a, b) => b.alias.length - a.alias.length)
+  .map(({ code, alias }) => ({
+    code,
+    pattern: new RegExp(`\\b${escapeRegExp(alias)}\\b`, 'i'),
+    // Said as a bank: "union bank", "gtbank", "to union"
+    named: new RegExp(`\\b${escapeRegExp(alias)}\\b${/bank/.test(alias) ? '' : '(?= bank\\b)'}|\\bto ${escapeRegExp(alias)}\\b`, 'i')
+  }));
+
+// --------- Lookups ----------
+// A bank by code or by any of its names. Resolves to { code, name, ... }
+// or null.
+export const resolveBank = (codeOrName) => {
+  const wanted = String(codeOrName || '').trim();
+  if (!wanted) return null;
+  if (BANKS[wanted]) return { code: wanted, ...BANKS[wanted] };
+  const found = ALIAS_PATTERNS.find(({ pattern }) => pattern.test(wanted) && wanted.replace(pattern, '').trim() === '');
+  return found ? { code: found.code, ...BANKS[found.code] } : null;
+};
+
+// The first bank named anywhere in a sentence. Many names are everyday
+// words too ("union dues", "eco friendly"), so with `named` only a bank
+// said as one counts: "<name> bank" or "to <name>".
+export const findBankInText = (text, { named = false } = {}) => {
+  const found = ALIAS_PATTERNS.find((alias) => (named ? alias.named : alias.pattern).test(String(text || '')));
+  return found ? { code: found.code, ...BANKS[found.code] } : null;
+};
+
+export const listBanks = () =>
+  Object.entries(BANKS)
+    .map(([code, bank]) => ({ code, name: bank.name }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+// --------- Account numbers ----------
+// A 10-digit account number in a sentence. Speech-to-text often spaces the
+// digits out ("0 1 2 3..."), so single spaces and dashes between digits are
+// allowed. Resolves to { accountNumber, match } where match is the text as
+// written, or null.
+export const parseAccountNumber = (text) => {
+  const value = String(text || '');
+  const match = value.match(/(?<!\d)\d{10}(?!\d)/) || value.match(/(?<![\d-])\d(?:[ -]?\d){9}(?![ -]?\d)/);
+  return match ? { accountNumber: match[0].replace(/\D/g, ''), match: match[0] } : null;
+};
+
+// CBN NUBAN check: the 3-digit bank code, padded to the 6-digit institution
+// code, and the 9-digit serial are weighted 3-7-3 and the last digit makes
+// the sum a multiple of ten.
+const NUBAN_WEIGHTS = [3, 7, 3, 3, 7, 3, 3, 7, 3, 3, 7, 3, 3, 7, 3];
+
+export const isValidNuban = (accountNumber, bankCode) => {
+  if (!/^\d{10}$/.test(accountNumber)) return false;
+  const bank = BANKS[bankCode];
+  if (!bank?.checkDigit) return true;
+
+  const digits = `${bankCode.padStart(6, '0')}${accountNumber.slice(0, 9)}`.split('').map(Number);
+  const sum = digits.reduce((total, digit, i) => total + digit * NUBAN_WEIGHTS[i], 0);
+  return (10 - (sum % 10)) % 10 === Number(accountNumber[9]);
+};
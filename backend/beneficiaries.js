@@ -0,0 +1,387 @@
+import { pool } from './db.js';
+import { resolveBankAccount } from './payments.js';
+import { normalizePhone, detectNetwork, findNetworkInText, describeLine } from './telcos.js';
+import { resolveBiller, normalizeAccountNumber } from './billers.js';
+
+// --------- Config ----------
+// How close a spoken name must be to a nickname (1 is exact), and how far
+// ahead the best match must be before we stop asking "which one?"
+const MATCH_THRESHOLD = 0.75;
+const MATCH_MARGIN = 0.08;
+// "Save as mama" only picks up a suggestion made this recently
+const SUGGESTION_TTL_MINUTES = 15;
+// A recipient that was suggested and not saved isn't suggested again for this long
+const SUGGESTION_QUIET_DAYS = 30;
+
+// --------- Errors ----------
+// Codes: INVALID_NICKNAME, INVALID_KIND, INVALID_BENEFICIARY,
+// NICKNAME_TAKEN, NOT_FOUND, NO_SUGGESTION.
+export class BeneficiaryError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'BeneficiaryError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// --------- Kinds ----------
+// What a beneficiary points at, and the details kept for it:
+//   user          { username }
+//   bank_account  { accountNumber, bankCode, bankName, accountName }
+//   phone         { phone, network }
+//   biller        { billerId, billerName, accountNumber, customerName, prepaid }
+export const BENEFICIARY_KINDS = ['user', 'bank_account', 'phone', 'biller'];
+
+// One key per thing paid, so the same account isn't suggested twice
+const targetKey = (kind, details) => {
+  if (kind === 'user') return `user:${details.username}`;
+  if (kind === 'bank_account') return `bank_account:${details.bankCode}:${details.accountNumber}`;
+  if (kind === 'phone') return `phone:${details.phone}`;
+  return `biller:${details.billerId}:${details.accountNumber}`;
+};
+
+// "ADEBAYO JOHN (GTBank 0123456785)", "0803 123 4567 (MTN)"...
+export const describeBeneficiary = ({ kind, details }) => {
+  if (kind === 'user') return `@${details.username}`;
+  if (kind === 'bank_account') return `${details.accountName} (${details.bankName} ${details.accountNumber})`;
+  if (kind === 'phone') return describeLine(details.phone, details.network);
+  return `${details.billerName} ${details.accountNumber}${details.customerName ? ` (${details.customerName})` : ''}`;
+};
+
+// Check what the user gave us and resolve it to the details we keep.
+// Bank accounts go through name enquiry so the name is the bank's.
+const prepareDetails = async (kind, input) => {
+  if (kind === 'user') {
+    const wanted = String(input.username || '').replace(/^@/, '').toLowerCase();
+    const found = await pool.query('SELECT username FROM users WHERE LOWER(username)=$1', [wanted]);
+    if (found.rows.length === 0) {
+      throw new BeneficiaryError('INVALID_BENEFICIARY', `I couldn't find a SARA user called '${wanted}'.`);
+    }
+    return { username: found.rows[0].username };
+  }
+
+  if (kind === 'bank_account') {
+    const account = await resolveBankAccount({
+      accountNumber: input.accountNumber,
+      bankCode: input.bankCode,
+      bank: input.bank
+    });
+    return {
+      accountNumber: account.accountNumber,
+      bankCode: account.bankCode,
+      bankName: account.bankName,
+      accountName: account.accountName
+    };
+  }
+
+  if (kind === 'phone') {
+    const phone = normalizePhone(input.phone);
+    if (!phone) {
+      throw new BeneficiaryError('INVALID_BENEFICIARY', 'Enter a valid Nigerian phone number, e.g. 0803 123 4567');
+    }
+    return { phone, network: findNetworkInText(input.network) || detectNetwork(phone) };
+  }
+
+  const biller = resolveBiller(input.billerId);
+  const accountNumber = normalizeAccountNumber(input.accountNumber || input.meterNumber);
+  if (!biller) {
+    throw new BeneficiaryError('INVALID_BENEFICIARY', 'Choose a biller from the list.');
+  }
+  if (!biller.accountFormat.test(accountNumber)) {
+    throw new BeneficiaryError('INVALID_BENEFICIARY', `That doesn't look like a ${biller.name} ${biller.accountLabel}.`);
+  }
+  return {
+    billerId: biller.id,
+    billerName: biller.name,
+    accountNumber,
+    customerName: input.customerName || null,
+    prepaid: Boolean(input.prepaid)
+  };
+};
+
+// --------- Nicknames ----------
+// Nicknames are compared without case, punctuation or a leading "my"/"the",
+// so "My Landlord!" and "landlord" are the same beneficiary.
+const FILLER_WORDS = /^(my|the|our|na)\s+/;
+
+export const normalizeNickname = (text) => {
+  let key = String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/'s\b/g, '')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  while (FILLER_WORDS.test(key)) key = key.replace(FILLER_WORDS, '');
+  return key;
+};
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// 1 for the same name, falling towards 0. Speech-to-text splits and joins
+// words ("land lord"), so spaces don't count.
+const similarity = (spoken, key) => {
+  const a = spoken.replace(/\s/g, '');
+  const b = key.replace(/\s/g, '');
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+};
+
+// The saved beneficiaries ranked against a spoken name. Resolves to
+// { match, candidates, matched, exact }: match when one is clearly best,
+// otherwise the close ones so SARA can ask which was meant. exact is false
+// for a near miss ("mamy" for "mami"), which callers should read back.
+const rankMatches = (beneficiaries, scoreOf) => {
+  const ranked = beneficiaries
+    .map((beneficiary) => ({ beneficiary, ...scoreOf(beneficiary) }))
+    .filter(({ score }) => score >= MATCH_THRESHOLD)
+    .sort((a, b) => b.score - a.score);
+
+  if (ranked.length === 0) return { match: null, candidates: [], matched: null, exact: false };
+  const [best, next] = ranked;
+  // Two nicknames for the same account aren't a real choice
+  const sameTarget = next && targetKey(best.beneficiary.kind, best.beneficiary.details) === targetKey(next.beneficiary.kind, next.beneficiary.details);
+  if (!next || sameTarget || best.score - next.score >= MATCH_MARGIN) {
+    return { match: best.beneficiary, candidates: [], matched: best.matched, exact: best.score === 1 };
+  }
+  return {
+    match: null,
+    candidates: ranked.filter(({ score }) => best.score - score < MATCH_MARGIN).map(({ beneficiary }) => beneficiary),
+    matched: best.matched,
+    exact: false
+  };
+};
+
+// --------- Schema ----------
+// nickname is as the user typed it, nickname_key the normalised form that
+// matching and the uniqueness check use. target identifies what is paid.
+export const createBeneficiaryTables = async () => {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS beneficiaries (
+      id SERIAL PRIMARY KEY,
+      username TEXT NOT NULL,
+      nickname TEXT NOT NULL,
+      nickname_key TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      target TEXT NOT NULL,
+      details JSONB NOT NULL,
+      use_count INTEGER DEFAULT 0,
+      last_used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (username, nickname_key)
+    )
+  `);
+  // The last recipient SARA offered to save, per user and recipient
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS beneficiary_suggestions (
+      id SERIAL PRIMARY KEY,
+      username TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      target TEXT NOT NULL,
+      details JSONB NOT NULL,
+      suggested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (username, target)
+    )
+  `);
+};
+
+const toBeneficiary = (row) => ({
+  id: row.id,
+  nickname: row.nickname,
+  kind: row.kind,
+  details: row.details,
+  label: describeBeneficiary(row),
+  useCount: row.use_count,
+  lastUsedAt: row.last_used_at,
+  createdAt: row.created_at
+});
+
+// --------- Beneficiaries ----------
+// Most used first, so lists and "which one?" questions lead with the likely one
+export const listBeneficiaries = async (username, { kinds = BENEFICIARY_KINDS } = {}) => {
+  const result = await pool.query(
+    `SELECT * FROM beneficiaries WHERE username=$1
+     ORDER BY use_count DESC, nickname ASC`,
+    [username]
+  );
+  return result.rows.filter((row) => kinds.includes(row.kind)).map(toBeneficiary);
+};
+
+const checkNickname = async (username, nickname, exceptId = null) => {
+  const key = normalizeNickname(nickname);
+  if (!key || key.length > 40) {
+    throw new BeneficiaryError('INVALID_NICKNAME', 'Give the beneficiary a short name, like "mama" or "landlord".');
+  }
+  const taken = await pool.query(
+    'SELECT id FROM beneficiaries WHERE username=$1 AND nickname_key=$2',
+    [username, key]
+  );
+  if (taken.rows.length > 0 && taken.rows[0].id !== exceptId) {
+    throw new BeneficiaryError('NICKNAME_TAKEN', `You already have a beneficiary called "${nickname.trim()}".`, { nickname: nickname.trim() });
+  }
+  return key;
+};
+
+// `input` is { nickname, kind } plus what the kind needs: username;
+// accountNumber and bankCode (or bank); phone and optionally network;
+// billerId and accountNumber (or meterNumber).
+export const saveBeneficiary = async (username, input) => {
+  if (!BENEFICIARY_KINDS.includes(input.kind)) {
+    throw new BeneficiaryError('INVALID_KIND', `A beneficiary is one of: ${BENEFICIARY_KINDS.join(', ')}.`);
+  }
+  const key = await checkNickname(username, input.nickname);
+  const details = await prepareDetails(input.kind, input);
+  const result = await pool.query(
+    `INSERT INTO beneficiaries (username, nickname, nickname_key, kind, target, details)
+     VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+    [username, input.nickname.trim(), key, input.kind, targetKey(input.kind, details), JSON.stringify(details)]
+  );
+  await pool.query(
+    'DELETE FROM beneficiary_suggestions WHERE username=$1 AND target=$2',
+    [username, result.rows[0].target]
+  );
+  return toBeneficiary(result.rows[0]);
+};
+
+export const getBeneficiary = async (username, id) => {
+  const result = await pool.query('SELECT * FROM beneficiaries WHERE id=$1 AND username=$2', [id, username]);
+  if (result.rows.length === 0) {
+    throw new BeneficiaryError('NOT_FOUND', 'Beneficiary not found');
+  }
+  return result.rows[0];
+};
+
+// Rename, or point the nickname at something else when the kind's fields
+// are given
+export const updateBeneficiary = async (username, id, input) => {
+  const existing = await getBeneficiary(username, id);
+  const nickname = input.nickname !== undefined ? input.nickname : existing.nickname;
+  const key = await checkNickname(username, nickname, existing.id);
+
+  const kind = input.kind || existing.kind;
+  if (!BENEFICIARY_KINDS.includes(kind)) {
+    throw new BeneficiaryError('INVALID_KIND', `A beneficiary is one of: ${BENEFICIARY_KINDS.join(', ')}.`);
+  }
+  const fields = Object.fromEntries(Object.entries(input).filter(([field]) => field !== 'nickname' && field !== 'kind'));
+  const details = Object.keys(fields).length > 0 || kind !== existing.kind
+    ? await prepareDetails(kind, { ...(kind === existing.kind ? existing.details : {}), ...fields })
+    : existing.details;
+
+  const result = await pool.query(
+    `UPDATE beneficiaries SET nickname=$1, nickname_key=$2, kind=$3, target=$4, details=$5
+     WHERE id=$6 RETURNING *`,
+    [nickname.trim(), key, kind, targetKey(kind, details), JSON.stringify(details), existing.id]
+  );
+  return toBeneficiary(result.rows[0]);
+};
+
+export const deleteBeneficiary = async (username, id) => {
+  const existing = await getBeneficiary(username, id);
+  await pool.query('DELETE FROM beneficiaries WHERE id=$1', [existing.id]);
+  return toBeneficiary(existing);
+};
+
+export const markBeneficiaryUsed = (id) =>
+  pool.query('UPDATE beneficiaries SET use_count=use_count+1, last_used_at=NOW() WHERE id=$1', [id]);
+
+// --------- Matching ----------
+// A name on its own ("mama", "my land lord") against the user's
+// beneficiaries of the given kinds
+export const matchBeneficiary = async (username, spoken, { kinds = BENEFICIARY_KINDS } = {}) => {
+  const wanted = normalizeNickname(spoken);
+  if (!wanted) return { match: null, candidates: [], matched: null, exact: false };
+  const rows = await listBeneficiaries(username, { kinds });
+  return rankMatches(rows, (b) => ({ score: similarity(wanted, normalizeNickname(b.nickname)), matched: spoken }));
+};
+
+// A nickname anywhere in a sentence ("send 5000 to my landlord"). Every run
+// of words about as long as the nickname is tried; matched is the words as
+// written so the caller can take them out before reading the amount.
+export const findBeneficiaryInText = async (username, text, { kinds = BENEFICIARY_KINDS } = {}) => {
+  const rows = await listBeneficiaries(username, { kinds });
+  if (rows.length === 0) return { match: null, candidates: [], matched: null, exact: false };
+
+  const words = String(text || '').split(/\s+/).filter(Boolean);
+  return rankMatches(rows, (b) => {
+    const key = normalizeNickname(b.nickname);
+    const size = key.split(' ').length;
+    let best = { score: 0, matched: null };
+    for (let length = Math.max(1, size - 1); length <= size + 1; length++) {
+      for (let start = 0; start + length <= words.length; start++) {
+        const phrase = words.slice(start, start + length).join(' ');
+        const score = similarity(normalizeNickname(phrase), key);
+        if (score > best.score) best = { score, matched: phrase };
+      }
+    }
+    return best;
+  });
+};
+
+// --------- Suggestions ----------
+// After a payment to someone who isn't saved yet, offer to save them.
+// Resolves to { kind, details, label } or null when there's nothing to
+// offer: already saved, the user's own line, or offered recently.
+export const suggestBeneficiary = async (username, { kind, details }) => {
+  if (!BENEFICIARY_KINDS.includes(kind) || !details) return null;
+  if (kind === 'user' && details.username === username) return null;
+  if (kind === 'phone') {
+    const own = await pool.query('SELECT phone FROM users WHERE username=$1', [username]);
+    if (own.rows[0]?.phone === details.phone) return null;
+  }
+
+  const target = targetKey(kind, details);
+  const saved = await pool.query('SELECT 1 FROM beneficiaries WHERE username=$1 AND target=$2', [username, target]);
+  if (saved.rows.length > 0) return null;
+
+  const recent = await pool.query(
+    `SELECT 1 FROM beneficiary_suggestions
+     WHERE username=$1 AND target=$2 AND suggested_at > NOW() - INTERVAL '${SUGGESTION_QUIET_DAYS} days'`,
+    [username, target]
+  );
+  if (recent.rows.length > 0) return null;
+
+  await pool.query('DELETE FROM beneficiary_suggestions WHERE username=$1 AND target=$2', [username, target]);
+  await pool.query(
+    'INSERT INTO beneficiary_suggestions (username, kind, target, details) VALUES ($1, $2, $3, $4)',
+    [username, kind, target, JSON.stringify(details)]
+  );
+  return { kind, details, label: describeBeneficiary({ kind, details }) };
+};
+
+// "Save as mama" right after a payment: saves whatever SARA last offered
+export const saveSuggestedBeneficiary = async (username, nickname) => {
+  const result = await pool.query(
+    `SELECT * FROM beneficiary_suggestions
+     WHERE username=$1 AND suggested_at > NOW() - INTERVAL '${SUGGESTION_TTL_MINUTES} minutes'
+     ORDER BY suggested_at DESC, id DESC LIMIT 1`,
+    [username]
+  );
+  const suggestion = result.rows[0];
+  if (!suggestion) {
+    throw new BeneficiaryError('NO_SUGGESTION', 'There is no recent payment to save.');
+  }
+  return saveBeneficiary(username, { nickname, kind: suggestion.kind, ...suggestion.details });
+};
+
+// The name in "save as mama", "save am as my landlord", "fi pamo bi iya mi"...
+export const parseNickname = (text) => {
+  const match = String(text || '').match(/\b(?:as|bi|dika|matsayin|call (?:him|her|them|it|am))\s+["']?(.+?)["']?[.!?]*$/i);
+  return match ? match[1].trim() : null;
+};
@@ -0,0 +1,405 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { pool, withTransaction } from './db.js';
+import { SYSTEM_ACCOUNTS, userAccount, postJournal } from './ledger.js';
+
+// --------- Config ----------
+// 'mock' (default) looks customers up in a local fixture file and vends
+// made-up tokens. A live provider adapter plugs in alongside it in
+// PROVIDER_ADAPTERS.
+const BILLER_PROVIDER = process.env.BILLER_PROVIDER || 'mock';
+const BILLER_MOCK_CUSTOMERS = process.env.BILLER_MOCK_CUSTOMERS ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'biller-customers.json');
+
+// --------- Errors ----------
+// Codes: UNKNOWN_BILLER, INVALID_ACCOUNT, CUSTOMER_NOT_FOUND, AMOUNT_TOO_LOW,
+// AMOUNT_TOO_HIGH, LOOKUP_FAILED, NOT_PREPAID, VEND_FAILED.
+export class BillError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'BillError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// --------- Registry ----------
+// Every biller SARA can pay. accountFormat is checked after spaces, dashes
+// and slashes are removed; amounts and fees are whole naira.
+export const BILLERS = {
+  ekedc: {
+    name: 'EKEDC',
+    fullName: 'Eko Electricity Distribution Company',
+    category: 'electricity',
+    aliases: ['eko electric', 'eko electricity', 'eko disco'],
+    accountLabel: 'meter or account number',
+    accountFormat: /^\d{10,13}$/,
+    minAmount: 1000,
+    maxAmount: 500000,
+    fee: 100
+  },
+  ikedc: {
+    name: 'IKEDC',
+    fullName: 'Ikeja Electric',
+    category: 'electricity',
+    aliases: ['ikeja electric', 'ikeja electricity'],
+    accountLabel: 'meter or account number',
+    accountFormat: /^\d{10,13}$/,
+    minAmount: 1000,
+    maxAmount: 500000,
+    fee: 100
+  },
+  aedc: {
+    name: 'AEDC',
+    fullName: 'Abuja Electricity Distribution Company',
+    category: 'electricity',
+    aliases: ['abuja electric', 'abuja electricity'],
+    accountLabel: 'meter or account number',
+    accountFormat: /^\d{10,13}$/,
+    minAmount: 1000,
+    maxAmount: 500000,
+    fee: 100
+  },
+  ibedc: {
+    name: 'IBEDC',
+    fullName: 'Ibadan Electricity Distribution Company',
+    category: 'electricity',
+    aliases: ['ibadan electric', 'ibadan electricity'],
+    accountLabel: 'meter or account number',
+    accountFormat: /^\d{10,13}$/,
+    minAmount: 1000,
+    maxAmount: 500000,
+    fee: 100
+  },
+  lagos_water: {
+    name: 'Lagos Water Corp',
+    fullName: 'Lagos Water Corporation',
+    category: 'water',
+    aliases: ['lagos water', 'lagos water corporation', 'lwc', 'water'],
+    accountLabel: 'consumer number',
+    accountFormat: /^[A-Z]{0,3}\d{6,12}$/,
+    minAmount: 500,
+    maxAmount: 200000,
+    fee: 50
+  },
+  dstv: {
+    name: 'DSTV',
+    fullName: 'DStv (MultiChoice)',
+    category: 'cable',
+    aliases: ['dstv', 'multichoice'],
+    accountLabel: 'smartcard number',
+    accountFormat: /^\d{10,11}$/,
+    minAmount: 1500,
+    maxAmount: 100000,
+    fee: 100
+  },
+  gotv: {
+    name: 'GOtv',
+    fullName: 'GOtv (MultiChoice)',
+    category: 'cable',
+    aliases: ['gotv'],
+    accountLabel: 'IUC number',
+    accountFormat: /^\d{10}$/,
+    minAmount: 1000,
+    maxAmount: 50000,
+    fee: 50
+  },
+  startimes: {
+    name: 'StarTimes',
+    fullName: 'StarTimes',
+    category: 'cable',
+    aliases: ['startimes', 'star times'],
+    accountLabel: 'smartcard number',
+    accountFormat: /^\d{11}$/,
+    minAmount: 900,
+    maxAmount: 30000,
+    fee: 50
+  },
+  spectranet: {
+    name: 'Spectranet',
+    fullName: 'Spectranet',
+    category: 'internet',
+    aliases: ['spectranet'],
+    accountLabel: 'customer ID',
+    accountFormat: /^[A-Z]{0,3}\d{6,12}$/,
+    minAmount: 1000,
+    maxAmount: 300000,
+    fee: 100
+  },
+  smile: {
+    name: 'Smile',
+    fullName: 'Smile Communications',
+    category: 'internet',
+    aliases: ['smile', 'smile communications'],
+    accountLabel: 'account ID',
+    accountFormat: /^\d{10}$/,
+    minAmount: 500,
+    maxAmount: 300000,
+    fee: 100
+  },
+  ipnx: {
+    name: 'ipNX',
+    fullName: 'ipNX Nigeria',
+    category: 'internet',
+    aliases: ['ipnx'],
+    accountLabel: 'customer ID',
+    accountFormat: /^[A-Z0-9]{6,14}$/,
+    minAmount: 1000,
+    maxAmount: 500000,
+    fee: 100
+  }
+};
+
+// Find a biller by id, short name, full name or alias, e.g. from a scanned bill
+export const resolveBiller = (nameOrId) => {
+  const wanted = String(nameOrId || '').trim().toLowerCase();
+  if (!wanted) return null;
+  if (BILLERS[wanted]) return { id: wanted, ...BILLERS[wanted] };
+
+  const found = Object.entries(BILLERS).find(([, b]) =>
+    b.name.toLowerCase() === wanted || b.fullName.toLowerCase() === wanted || b.aliases.includes(wanted));
+  return found ? { id: found[0], ...found[1] } : null;
+};
+
+// What the app needs to build a picker and check amounts before asking
+export const listBillers = () =>
+  Object.entries(BILLERS).map(([id, b]) => ({
+    id,
+    name: b.name,
+    fullName: b.fullName,
+    category: b.category,
+    accountLabel: b.accountLabel,
+    minAmount: b.minAmount,
+    maxAmount: b.maxAmount,
+    fee: b.fee
+  }));
+
+export const normalizeAccountNumber = (accountNumber) =>
+  String(accountNumber || '').replace(/[\s/-]/g, '').toUpperCase();
+
+// --------- Provider adapters ----------
+// lookupCustomer resolves to { customerName, details } for a known customer,
+// or null when the biller doesn't recognise the account. details.meterType
+// is 'prepaid' for meters that take tokens.
+// vendToken buys units for a prepaid meter and resolves to { token, units }
+// with a 20-digit token.
+let mockCustomers = null;
+const loadMockCustomers = () => {
+  if (!mockCustomers) {
+    mockCustomers = JSON.parse(fs.readFileSync(BILLER_MOCK_CUSTOMERS, 'utf8'));
+  }
+  return mockCustomers;
+};
+
+// Band A tariff, used when the fixture doesn't give the meter its own
+const MOCK_TARIFF_PER_KWH = 209.5;
+
+const mockProvider = {
+  name: 'mock',
+  lookupCustomer: async (billerId, accountNumber) => {
+    const customer = loadMockCustomers()[billerId]?.[accountNumber];
+    if (!customer) return null;
+    const { customerName, ...details } = customer;
+    return { customerName, details };
+  },
+  vendToken: async (billerId, meterNumber, amount, reference) => {
+    const meter = loadMockCustomers()[billerId]?.[meterNumber] || {};
+    const digest = crypto.createHash('sha256').update(`${billerId}:${meterNumber}:${reference}`).digest();
+    const token = [...digest].slice(0, 20).map((byte) => byte % 10).join('');
+    const units = Math.floor((amount / (meter.tariffPerKwh || MOCK_TARIFF_PER_KWH)) * 10) / 10;
+    return { token, units };
+  }
+};
+
+const PROVIDER_ADAPTERS = { mock: mockProvider };
+
+if (!PROVIDER_ADAPTERS[BILLER_PROVIDER]) {
+  console.warn(`Unknown BILLER_PROVIDER "${BILLER_PROVIDER}"; using the mock biller provider.`);
+}
+
+const providerAdapter = () => PROVIDER_ADAPTERS[BILLER_PROVIDER] || mockProvider;
+
+// --------- Validation ----------
+// Check a bill against the registry and the biller's customer records.
+// With prepaid set, the account must be a prepaid meter and paying it buys
+// a token. Resolves to { billerId, billerName, category, accountNumber,
+// customerName, details, amount, fee, total, prepaid } or throws a BillError.
+export const validateBill = async ({ billerId, provider, accountNumber, meterNumber, amount, prepaid = false }) => {
+  if (prepaid) accountNumber = meterNumber || accountNumber;
+
+  const biller = resolveBiller(billerId) || resolveBiller(provider);
+  if (!biller) {
+    throw new BillError('UNKNOWN_BILLER', `I can't pay ${provider || billerId || 'that biller'} yet. Please choose a biller from the list.`);
+  }
+
+  const account = normalizeAccountNumber(accountNumber);
+  if (!biller.accountFormat.test(account)) {
+    throw new BillError('INVALID_ACCOUNT', `That doesn't look like a ${biller.name} ${biller.accountLabel}. Please check it.`, {
+      billerId: biller.id
+    });
+  }
+
+  const value = parseInt(amount, 10);
+  if (!Number.isInteger(value) || value < biller.minAmount) {
+    throw new BillError('AMOUNT_TOO_LOW', `The minimum ${biller.name} payment is ₦${biller.minAmount.toLocaleString()}.`, {
+      minAmount: biller.minAmount
+    });
+  }
+  if (value > biller.maxAmount) {
+    throw new BillError('AMOUNT_TOO_HIGH', `The maximum ${biller.name} payment is ₦${biller.maxAmount.toLocaleString()}.`, {
+      maxAmount: biller.maxAmount
+    });
+  }
+
+  const adapter = providerAdapter();
+  let customer;
+  try {
+    customer = await adapter.lookupCustomer(biller.id, account);
+  } catch (err) {
+    console.error(`Biller lookup (${adapter.name}) error:`, err.message);
+    throw new BillError('LOOKUP_FAILED', `I couldn't reach ${biller.name} to check the account. Please try again shortly.`);
+  }
+  if (!customer) {
+    throw new BillError('CUSTOMER_NOT_FOUND', `${biller.name} has no customer with ${biller.accountLabel} ${account}.`, {
+      billerId: biller.id,
+      accountNumber: account
+    });
+  }
+  if (prepaid && (biller.category !== 'electricity' || customer.details.meterType !== 'prepaid')) {
+    throw new BillError('NOT_PREPAID', `${account} isn't a ${biller.name} prepaid meter. Pay it as a normal bill instead.`, {
+      billerId: biller.id,
+      accountNumber: account
+    });
+  }
+
+  return {
+    billerId: biller.id,
+    billerName: biller.name,
+    category: biller.category,
+    accountNumber: account,
+    customerName: customer.customerName,
+    details: customer.details,
+    amount: value,
+    fee: biller.fee,
+    total: value + biller.fee,
+    prepaid: Boolean(prepaid)
+  };
+};
+
+// --------- Schema ----------
+export const createBillTables = async () => {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS bill_payments (
+      id SERIAL PRIMARY KEY,
+      reference TEXT UNIQUE NOT NULL,
+      username TEXT NOT NULL,
+      biller_id TEXT NOT NULL,
+      account_number TEXT NOT NULL,
+      customer_name TEXT,
+      amount INTEGER NOT NULL,
+      fee INTEGER NOT NULL DEFAULT 0,
+      journal_id INTEGER REFERENCES ledger_journals(id),
+      paid_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await pool.query('CREATE INDEX IF NOT EXISTS bill_payments_username_idx ON bill_payments(username)');
+
+  // Prepaid electricity: the token and units bought with the payment
+  await pool.query('ALTER TABLE bill_payments ADD COLUMN IF NOT EXISTS token TEXT');
+  await pool.query('ALTER TABLE bill_payments ADD COLUMN IF NOT EXISTS units REAL');
+};
+
+// --------- Tokens ----------
+// "12345678901234567890" -> "1234-5678-9012-3456-7890"
+export const formatToken = (token) => token.match(/.{1,4}/g).join('-');
+
+// For text-to-speech: each digit on its own, a pause after every four,
+// so "1 2 3 4, 5 6 7 8, ..." rather than "twelve thirty-four"
+export const speakToken = (token) =>
+  token.match(/.{1,4}/g).map((group) => group.split('').join(' ')).join(', ');
+
+// --------- Payments ----------
+// BIL-20250115-9F2C41AB: date plus 32 random bits
+const newReference = () =>
+  `BIL-${new Date().toISOString().slice(0, 10).replace(/-/g, '')}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+
+const toReceipt = (row) => {
+  const biller = BILLERS[row.biller_id];
+  return {
+    reference: row.reference,
+    billerId: row.biller_id,
+    billerName: biller ? biller.name : row.biller_id,
+    accountNumber: row.account_number,
+    customerName: row.customer_name,
+    amount: row.amount,
+    fee: row.fee,
+    total: row.amount + row.fee,
+    paidAt: row.paid_at,
+    ...(row.token ? { meterNumber: row.account_number, token: row.token, units: Number(row.units) } : {})
+  };
+};
+
+// Pay a bill that validateBill accepted: the amount goes to the bills
+// account and the fee to the fees account, in one journal with its receipt.
+// A prepaid purchase vends its token inside the same transaction, so a
+// failed vend charges nothing. Resolves to { balance, receipt }.
+export const payBill = (username, bill) =>
+  withTransaction(async (client) => {
+    const label = `${bill.billerName}${bill.prepaid ? ' prepaid' : ''} - ${bill.accountNumber}`;
+    const legs = [
+      { account: userAccount(username), amount: -(bill.amount + bill.fee) },
+      { account: SYSTEM_ACCOUNTS.bills, amount: bill.amount }
+    ];
+    const transactions = [{ username, type: 'Bill Payment', amount: bill.amount, toUser: label }];
+    if (bill.fee > 0) {
+      legs.push({ account: SYSTEM_ACCOUNTS.fees, amount: bill.fee });
+      transactions.push({ username, type: 'Bill Payment Fee', amount: bill.fee, toUser: label });
+    }
+
+    const { journalId, balances } = await postJournal(client, {
+      kind: 'bill_payment',
+      memo: label,
+      legs,
+      transactions
+    });
+
+    const reference = newReference();
+    let vended = { token: null, units: null };
+    if (bill.prepaid) {
+      const adapter = providerAdapter();
+      try {
+        vended = await adapter.vendToken(bill.billerId, bill.accountNumber, bill.amount, reference);
+      } catch (err) {
+        console.error(`Token vend (${adapter.name}) error:`, err.message);
+        throw new BillError('VEND_FAILED', `${bill.billerName} didn't issue a token, so you haven't been charged. Please try again.`);
+      }
+    }
+
+    const saved = await client.query(
+      `INSERT INTO bill_payments (reference, username, biller_id, account_number, customer_name, amount, fee, journal_id, token, units)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *`,
+      [reference, username, bill.billerId, bill.accountNumber, bill.customerName, bill.amount, bill.fee, journalId,
+        vended.token, vended.units]
+    );
+
+    return { balance: balances[username], receipt: toReceipt(saved.rows[0]) };
+  });
+
+export const getBillReceipt = async (username, reference) => {
+  const result = await pool.query(
+    'SELECT * FROM bill_payments WHERE reference=$1 AND username=$2',
+    [reference, username]
+  );
+  return result.rows[0] ? toReceipt(result.rows[0]) : null;
+};
+
+// The most recent prepaid token the user bought, as a receipt, or null
+export const getLastToken = async (username) => {
+  const result = await pool.query(
+    'SELECT * FROM bill_payments WHERE username=$1 AND token IS NOT NULL ORDER BY paid_at DESC, id DESC LIMIT 1',
+    [username]
+  );
+  return result.rows[0] ? toReceipt(result.rows[0]) : null;
+};
@@ -0,0 +1,344 @@
+import { recognizeImage } from './ocr.js';
+import { resolveBiller } from './billers.js';
+
+// --------- Bill Extraction ----------
+// Turns OCR text from a photo of a Nigerian utility bill into payment
+// details. Every field comes with a confidence between 0 and 1; anything
+// below CONFIRM_BELOW is listed in needsConfirmation for the user to check.
+export const CONFIRM_BELOW = 0.8;
+
+// Fields a bill can't be paid without
+const REQUIRED_FIELDS = ['provider', 'accountNumber', 'amount'];
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+  'august', 'september', 'october', 'november', 'december'];
+
+// --------- Bill layouts ----------
+// detect: strong patterns name the company, weak ones only the brand.
+// labels: what each biller prints next to the field, most specific first.
+// formats: what a correct value looks like once separators are removed.
+const AMOUNT_LABELS = [
+  'TOTAL AMOUNT PAYABLE', 'TOTAL AMOUNT DUE', 'NET AMOUNT DUE', 'AMOUNT PAYABLE',
+  'AMOUNT DUE', 'TOTAL DUE', 'BALANCE DUE', 'TOTAL PAYABLE', 'AMOUNT'
+];
+const DUE_DATE_LABELS = ['PAYMENT DUE DATE', 'DUE DATE', 'PAY BEFORE', 'PAY BY', 'DUE BY'];
+const PERIOD_LABELS = ['BILLING PERIOD', 'BILL PERIOD', 'BILLING MONTH', 'BILL MONTH', 'PERIOD', 'MONTH'];
+const NAME_LABELS = ['CUSTOMER NAME', 'ACCOUNT NAME', 'NAME'];
+
+const electricity = {
+  type: 'electricity',
+  labels: {
+    accountNumber: ['ACCOUNT NUMBER', 'ACCOUNT NO', 'ACCT NO', 'CUSTOMER ACCOUNT', 'ACCOUNT'],
+    meterNumber: ['METER NUMBER', 'METER NO', 'METER'],
+    amount: AMOUNT_LABELS,
+    dueDate: DUE_DATE_LABELS,
+    billPeriod: PERIOD_LABELS,
+    customerName: NAME_LABELS
+  },
+  formats: {
+    accountNumber: /^\d{10,13}$/,
+    meterNumber: /^\d{11}(\d{2})?$/
+  }
+};
+
+const cableTv = {
+  type: 'cable',
+  labels: {
+    accountNumber: ['SMARTCARD NUMBER', 'SMART CARD NUMBER', 'SMARTCARD NO', 'IUC NUMBER', 'IUC NO', 'IUC', 'DECODER NUMBER'],
+    package: ['BOUQUET', 'PACKAGE', 'PLAN'],
+    amount: [...AMOUNT_LABELS, 'RENEWAL AMOUNT', 'SUBSCRIPTION AMOUNT'],
+    dueDate: ['EXPIRY DATE', 'RENEW BY', 'DUE DATE', 'EXPIRES'],
+    customerName: NAME_LABELS
+  },
+  formats: {
+    accountNumber: /^\d{10,11}$/
+  }
+};
+
+const LAYOUTS = {
+  ekedc: {
+    ...electricity,
+    provider: 'EKEDC',
+    detect: { strong: /EKO ELECTRICITY DISTRIBUTION|EKO DISCO/, weak: /\bEKEDC\b|\bEKO ELECTRIC/ }
+  },
+  ikedc: {
+    ...electricity,
+    provider: 'IKEDC',
+    detect: { strong: /IKEJA ELECTRIC(ITY)? (DISTRIBUTION|PLC)/, weak: /\bIKEDC\b|\bIKEJA ELECTRIC/ }
+  },
+  water: {
+    type: 'water',
+    provider: 'Lagos Water Corp',
+    detect: { strong: /LAGOS (STATE )?WATER CORPORATION/, weak: /\bWATER (BILL|CORP|BOARD)\b|\bLWC\b/ },
+    labels: {
+      accountNumber: ['ACCOUNT NUMBER', 'ACCOUNT NO', 'CUSTOMER NO', 'CONSUMER NO', 'ACCOUNT'],
+      amount: AMOUNT_LABELS,
+      dueDate: DUE_DATE_LABELS,
+      billPeriod: PERIOD_LABELS,
+      customerName: NAME_LABELS
+    },
+    formats: {
+      accountNumber: /^[A-Z]{0,3}\d{6,12}$/
+    }
+  },
+  dstv: {
+    ...cableTv,
+    provider: 'DSTV',
+    detect: { strong: /MULTICHOICE.*DSTV|DSTV.*MULTICHOICE/s, weak: /\bDSTV\b/ }
+  },
+  gotv: {
+    ...cableTv,
+    provider: 'GOtv',
+    detect: { strong: /MULTICHOICE.*GOTV|GOTV.*MULTICHOICE/s, weak: /\bGOTV\b/ }
+  },
+  internet: {
+    type: 'internet',
+    provider: 'Internet',
+    detect: { strong: /SPECTRANET|SMILE COMMUNICATIONS|IPNX/, weak: /\b(INTERNET|BROADBAND|FIBRE|FIBER)\b/ },
+    labels: {
+      accountNumber: ['CUSTOMER ID', 'ACCOUNT ID', 'USER ID', 'ACCOUNT NUMBER', 'ACCOUNT NO', 'ACCOUNT'],
+      package: ['PLAN', 'PACKAGE', 'BUNDLE'],
+      amount: AMOUNT_LABELS,
+      dueDate: [...DUE_DATE_LABELS, 'EXPIRY DATE', 'RENEWAL DATE'],
+      billPeriod: PERIOD_LABELS,
+      customerName: NAME_LABELS
+    },
+    formats: {
+      accountNumber: /^[A-Z0-9]{6,14}$/
+    }
+  }
+};
+
+// ISPs print their own name; the generic internet biller keeps it
+const INTERNET_PROVIDERS = [
+  ['Spectranet', /SPECTRANET/],
+  ['Smile', /\bSMILE\b/],
+  ['ipNX', /\bIPNX\b/]
+];
+
+// The biller whose patterns match best. Resolves to { key, confidence } or null.
+const detectBiller = (upper) => {
+  let best = null;
+  for (const [key, biller] of Object.entries(LAYOUTS)) {
+    const score = biller.detect.strong.test(upper) ? 1 : biller.detect.weak.test(upper) ? 0.85 : 0;
+    if (score > (best?.confidence || 0)) best = { key, confidence: score };
+  }
+  return best;
+};
+
+// --------- OCR clean-up ----------
+// Tesseract reads 0 as O, 1 as I or l, 5 as S and 8 as B inside numbers.
+// Fixing them is usually right, but the field's confidence drops. A prefix
+// of two or more letters ("LWC0045821", "SPN4410237") is left alone.
+const DIGIT_LOOKALIKES = { O: '0', o: '0', D: '0', I: '1', l: '1', '|': '1', S: '5', s: '5', B: '8', Z: '2' };
+
+const fixDigits = (token) => {
+  const digits = (token.match(/\d/g) || []).length;
+  if (digits < Math.ceil(token.replace(/[\s/-]/g, '').length / 2)) {
+    return { value: token, corrected: false };
+  }
+  const [, prefix = '', rest] = token.match(/^([A-Z]{2,}(?=\d))?(.*)$/s);
+  const value = prefix + rest.replace(/[OoDIl|SsBZ]/g, (c) => DIGIT_LOOKALIKES[c]);
+  return { value, corrected: value !== token };
+};
+
+// --------- Field finders ----------
+// The first value the reader accepts after one of the labels: on the same
+// line ("Meter No: 4567...") or, failing that, on the next line.
+// Resolves to { reading, placement } or null.
+const findLabelled = (lines, labels, reader) => {
+  for (const label of labels) {
+    const pattern = new RegExp(`\\b${label.replace(/ /g, '\\s*')}\\b\\.?\\s*[:#.\\-]?\\s*(.*)$`, 'i');
+    for (let i = 0; i < lines.length; i++) {
+      const match = lines[i].match(pattern);
+      if (!match) continue;
+      const sameLine = match[1].trim() && reader(match[1].trim());
+      if (sameLine) return { reading: sameLine, placement: 1 };
+      const nextLine = !match[1].trim() && lines[i + 1] && reader(lines[i + 1]);
+      if (nextLine) return { reading: nextLine, placement: 0.85 };
+    }
+  }
+  return null;
+};
+
+// Naira amounts: "₦12,345.67", "N 12,345", "NGN12345.00". Kobo round up so
+// the bill is paid in full.
+const AMOUNT_PATTERN = /(?:₦|\bNGN|\bN)?\s*([\dOoIlSB]{1,3}(?:,[\dOoIlSB]{3})+|[\dOoIlSB]+)(?:\.(\d{1,2}))?/g;
+
+const readAmount = (raw) => {
+  for (const match of raw.matchAll(AMOUNT_PATTERN)) {
+    if (!/\d/.test(match[1])) continue;
+    const { value, corrected } = fixDigits(match[1].replace(/,/g, ''));
+    if (!/^\d+$/.test(value)) continue;
+    const amount = Math.ceil(parseFloat(`${value}.${match[2] || 0}`));
+    if (amount > 0) return { value: amount, corrected };
+  }
+  return null;
+};
+
+// Account, meter and smartcard numbers: the first run of digits, capitals
+// and the separators billers print inside them, with at least three digits
+const readNumber = (raw) => {
+  for (const match of raw.matchAll(/[A-Z0-9OoIlS|]{3,}(?:[\s/-](?=[A-Z0-9OoIlS|]*\d)[A-Z0-9OoIlS|]{2,})*/g)) {
+    if ((match[0].match(/\d/g) || []).length < 3) continue;
+    const { value, corrected } = fixDigits(match[0]);
+    return { value: value.replace(/[\s/-]/g, '').toUpperCase(), corrected };
+  }
+  return null;
+};
+
+const monthIndex = (word) => MONTHS.findIndex((m) => m.startsWith(word.toLowerCase().slice(0, 3)));
+
+const isoDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month, day));
+  if (date.getUTCMonth() !== month || date.getUTCDate() !== day) return null;
+  return date.toISOString().slice(0, 10);
+};
+
+// Bills print day first: "15/01/2025", "15-01-25", "15 Jan 2025", "Jan 15, 2025", "2025-01-15"
+const readDate = (raw) => {
+  let match = raw.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/);
+  if (match) {
+    const value = isoDate(+match[1], +match[2] - 1, +match[3]);
+    return value ? { value, corrected: false } : null;
+  }
+
+  match = raw.match(/\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})\b/);
+  if (match) {
+    const year = match[3].length === 2 ? 2000 + +match[3] : +match[3];
+    const value = isoDate(year, +match[2] - 1, +match[1]);
+    // "03/04/2025" could be read either way round
+    return value ? { value, corrected: false, unsure: +match[1] <= 12 && +match[1] !== +match[2] } : null;
+  }
+
+  match = raw.match(/\b(\d{1,2})(?:st|nd|rd|th)?[\s-]+([A-Za-z]{3,9})[\s,-]+(\d{4})\b/);
+  if (match && monthIndex(match[2]) >= 0) {
+    const value = isoDate(+match[3], monthIndex(match[2]), +match[1]);
+    return value ? { value, corrected: false } : null;
+  }
+
+  match = raw.match(/\b([A-Za-z]{3,9})\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})\b/);
+  if (match && monthIndex(match[1]) >= 0) {
+    const value = isoDate(+match[3], monthIndex(match[1]), +match[2]);
+    return value ? { value, corrected: false } : null;
+  }
+  return null;
+};
+
+// "January 2025", "JAN-2025", "01/2025", or a date range kept as printed
+const readPeriod = (raw) => {
+  let match = raw.match(/\b([A-Za-z]{3,9})[\s,-]+(\d{4})\b/);
+  if (match && monthIndex(match[1]) >= 0) {
+    const month = MONTHS[monthIndex(match[1])];
+    return { value: `${month[0].toUpperCase()}${month.slice(1)} ${match[2]}`, corrected: false };
+  }
+
+  match = raw.match(/^(\d{1,2})[/-](\d{4})\b/);
+  if (match && +match[1] >= 1 && +match[1] <= 12) {
+    const month = MONTHS[+match[1] - 1];
+    return { value: `${month[0].toUpperCase()}${month.slice(1)} ${match[2]}`, corrected: false };
+  }
+
+  const range = raw.match(/\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}\s*(?:-|TO)\s*\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}/i);
+  return range ? { value: range[0], corrected: false } : null;
+};
+
+const readText = (raw) => {
+  const value = raw.replace(/[^A-Za-z0-9 .,'&/-]/g, '').replace(/\s+/g, ' ').trim();
+  return value.length >= 2 ? { value, corrected: false } : null;
+};
+
+const READERS = {
+  accountNumber: readNumber,
+  meterNumber: readNumber,
+  amount: readAmount,
+  dueDate: readDate,
+  billPeriod: readPeriod,
+  customerName: readText,
+  package: readText
+};
+
+// Without an "Amount Due" label, the largest naira-marked figure is usually
+// the total, but it's only a guess
+const guessAmount = (lines) => {
+  const amounts = lines
+    .filter((line) => /₦|\bNGN\b|\bN\s?\d/.test(line))
+    .map(readAmount)
+    .filter(Boolean);
+  if (amounts.length === 0) return null;
+  return amounts.reduce((a, b) => (b.value > a.value ? b : a));
+};
+
+const round = (n) => Math.round(n * 100) / 100;
+
+// Confidence = how sure the OCR engine was × how the value was found ×
+// whether it looks right for this biller
+const scoreField = (reading, placement, format, ocrConfidence) => {
+  let score = ocrConfidence * placement;
+  if (reading.corrected) score *= 0.85;
+  if (reading.unsure) score *= 0.85;
+  if (format && !format.test(String(reading.value))) score *= 0.6;
+  return round(score);
+};
+
+// --------- Public API ----------
+// Parse OCR text into { billType, billData, fields, needsConfirmation }.
+// billData holds the plain values /pay-bill expects plus the registry
+// billerId; fields holds
+// { value, confidence } for each of them.
+export const parseBillText = (text, ocrConfidence = 1) => {
+  const lines = String(text || '').split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+  const upper = lines.join('\n').toUpperCase();
+  const detected = detectBiller(upper);
+  const layout = detected ? LAYOUTS[detected.key] : null;
+
+  const fields = {};
+  let provider = layout?.provider || null;
+  if (detected?.key === 'internet') {
+    provider = INTERNET_PROVIDERS.find(([, pattern]) => pattern.test(upper))?.[0] || provider;
+  }
+  fields.provider = { value: provider, confidence: detected ? round(ocrConfidence * detected.confidence) : 0 };
+
+  const labels = layout?.labels || {
+    accountNumber: ['ACCOUNT NUMBER', 'ACCOUNT NO', 'ACCOUNT'],
+    amount: AMOUNT_LABELS,
+    dueDate: DUE_DATE_LABELS,
+    billPeriod: PERIOD_LABELS,
+    customerName: NAME_LABELS
+  };
+
+  for (const [field, fieldLabels] of Object.entries(labels)) {
+    const found = findLabelled(lines, fieldLabels, READERS[field]);
+    fields[field] = found
+      ? { value: found.reading.value, confidence: scoreField(found.reading, found.placement, layout?.formats?.[field], ocrConfidence) }
+      : { value: null, confidence: 0 };
+  }
+
+  if (fields.amount.value === null) {
+    const guess = guessAmount(lines);
+    if (guess) fields.amount = { value: guess.value, confidence: scoreField(guess, 0.6, null, ocrConfidence) };
+  }
+
+  const needsConfirmation = Object.entries(fields)
+    .filter(([field, { value, confidence }]) =>
+      (value !== null || REQUIRED_FIELDS.includes(field)) && confidence < CONFIRM_BELOW)
+    .map(([field]) => field);
+
+  // The registry id /pay-bill validates against, when the biller is one SARA pays
+  const billData = { billType: layout?.type || null, billerId: resolveBiller(provider)?.id || null };
+  for (const [field, { value }] of Object.entries(fields)) {
+    billData[field] = value;
+  }
+
+  return { billType: billData.billType, billData, fields, needsConfirmation };
+};
+
+// OCR the photo, then parse it. Resolves to parseBillText's result plus
+// ocr: { backend, confidence }.
+export const scanBill = async (imageData) => {
+  const { text, confidence, backend } = await recognizeImage(imageData);
+  return {
+    ...parseBillText(text, confidence),
+    ocr: { backend, confidence: round(confidence) }
+  };
+};
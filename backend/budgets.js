@@ -0,0 +1,246 @@
+import { pool } from './db.js';
+import { INCOMING_TYPES, parseHistoryQuery } from './history.js';
+import { listBeneficiaries } from './beneficiaries.js';
+
+// --------- Config ----------
+// Warn once a category has used this share of its monthly budget
+const BUDGET_WARNING_SHARE = 0.8;
+
+// --------- Errors ----------
+// Codes: INVALID_CATEGORY, INVALID_LIMIT, NOT_FOUND.
+export class BudgetError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'BudgetError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// --------- Categories ----------
+// Spending categories, in the order the app lists them. Money coming in is
+// 'income' and never counts as spending.
+export const CATEGORIES = ['airtime', 'utilities', 'family_support', 'food', 'transport', 'savings', 'other'];
+
+const TYPE_CATEGORIES = {
+  'Airtime': 'airtime',
+  'Data': 'airtime',
+  'Bill Payment': 'utilities',
+  'Bill Payment Fee': 'utilities',
+  'Esusu Contribution': 'savings',
+  'Esusu Arrears': 'savings',
+  'Esusu Late Fee': 'savings',
+  'Esusu Shortfall Cover': 'savings',
+  'Savings Deposit': 'savings'
+};
+
+// Who a transfer went to says what it was for: a restaurant's account name,
+// a ride company, or a beneficiary saved as "mama"
+const COUNTERPARTY_WORDS = {
+  food: /\b(foods?|kitchen|restaurant|eatery|canteen|bukka|buka|suya|chicken republic|mr biggs|kilimanjaro|dominos|market|provisions?|supermarket|shoprite|spar|bakery|catering)\b/i,
+  transport: /\b(transport|bolt|uber|taxify|indrive|motors?|logistics|okada|keke|bus|travels?|gig|fuel|filling station|petrol|oando|total energies)\b/i
+};
+
+const FAMILY_NICKNAMES = /\b(mama|mummy|mum|mom|mother|papa|daddy|dad|father|bro|brother|sis|sister|aunty|auntie|uncle|wife|husband|hubby|son|daughter|grandma|grandpa|granny|iya|baba|egbon|aburo|nne|nna|nwanne|inna|yaya|kanwa|family)\b/i;
+
+// The category for one history row. `family` is the set of usernames and
+// account numbers the user saved under family nicknames.
+const categorize = (row, family) => {
+  if (INCOMING_TYPES.includes(row.type)) return 'income';
+  if (TYPE_CATEGORIES[row.type]) return TYPE_CATEGORIES[row.type];
+
+  const counterparty = row.to_user || '';
+  for (const [category, pattern] of Object.entries(COUNTERPARTY_WORDS)) {
+    if (pattern.test(counterparty)) return category;
+  }
+  // "ADEBAYO JOHN - 0123456789" for bank transfers, a username otherwise
+  const accountNumber = counterparty.match(/(\d{10})$/)?.[1];
+  if (family.has(counterparty.toLowerCase()) || (accountNumber && family.has(accountNumber))) {
+    return 'family_support';
+  }
+  return 'other';
+};
+
+const familyTargets = async (username) => {
+  const saved = await listBeneficiaries(username, { kinds: ['user', 'bank_account'] });
+  return new Set(
+    saved
+      .filter((b) => FAMILY_NICKNAMES.test(b.nickname))
+      .map((b) => (b.kind === 'user' ? b.details.username.toLowerCase() : b.details.accountNumber))
+  );
+};
+
+// Categorise the user's rows that don't have one yet. Categories a user
+// picked themselves are never touched. Resolves to the rows just done.
+export const categorizeTransactions = async (username) => {
+  const pending = await pool.query(
+    'SELECT id, type, amount, to_user FROM transactions WHERE username = $1 AND category IS NULL',
+    [username]
+  );
+  if (pending.rows.length === 0) return [];
+
+  const family = await familyTargets(username);
+  const done = [];
+  for (const row of pending.rows) {
+    const category = categorize(row, family);
+    await pool.query('UPDATE transactions SET category = $1 WHERE id = $2 AND category IS NULL', [category, row.id]);
+    done.push({ ...row, category });
+  }
+  return done;
+};
+
+// "This was food": the user's own category for one of their rows
+export const setTransactionCategory = async (username, transactionId, category) => {
+  if (!CATEGORIES.includes(category)) {
+    throw new BudgetError('INVALID_CATEGORY', `Choose one of: ${CATEGORIES.join(', ')}`);
+  }
+  const result = await pool.query(
+    `UPDATE transactions SET category = $1, category_source = 'user'
+      WHERE id = $2 AND username = $3 AND type NOT IN (${INCOMING_TYPES.map((_, i) => `$${i + 4}`).join(', ')})
+      RETURNING id, type, amount, to_user, date, category`,
+    [category, transactionId, username, ...INCOMING_TYPES]
+  );
+  if (result.rows.length === 0) {
+    throw new BudgetError('NOT_FOUND', 'Transaction not found');
+  }
+  return result.rows[0];
+};
+
+// --------- Schema ----------
+export const createBudgetTables = async () => {
+  await pool.query('ALTER TABLE transactions ADD COLUMN IF NOT EXISTS category TEXT');
+  await pool.query('ALTER TABLE transactions ADD COLUMN IF NOT EXISTS category_source TEXT');
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS budgets (
+      id SERIAL PRIMARY KEY,
+      username TEXT NOT NULL,
+      category TEXT NOT NULL,
+      monthly_limit INTEGER NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (username, category)
+    )
+  `);
+};
+
+// --------- Spending ----------
+// Months run on server time, like the rest of history
+export const monthPeriod = (date = new Date()) => ({
+  from: new Date(date.getFullYear(), date.getMonth(), 1),
+  to: new Date(date.getFullYear(), date.getMonth() + 1, 1)
+});
+
+// Spent per category over { from, to }, as { category: naira }. Failed
+// payouts are left out; their reversals are income.
+export const spendingByCategory = async (username, { from, to }) => {
+  await categorizeTransactions(username);
+  const result = await pool.query(
+    `SELECT category, SUM(amount) AS total FROM transactions
+      WHERE username = $1 AND date >= $2 AND date < $3 AND category <> 'income' AND status <> 'failed'
+      GROUP BY category`,
+    [username, from, to]
+  );
+  return Object.fromEntries(result.rows.map((row) => [row.category, Number(row.total)]));
+};
+
+// --------- Budgets ----------
+const toBudget = (row, spent) => ({
+  category: row.category,
+  limit: row.monthly_limit,
+  spent,
+  remaining: row.monthly_limit - spent,
+  share: row.monthly_limit > 0 ? spent / row.monthly_limit : 0
+});
+
+// Every category with this month's spending and its budget, if one is set
+export const getBudgetOverview = async (username, date = new Date()) => {
+  const period = monthPeriod(date);
+  const spending = await spendingByCategory(username, period);
+  const budgets = await pool.query('SELECT * FROM budgets WHERE username = $1', [username]);
+  const byCategory = Object.fromEntries(budgets.rows.map((row) => [row.category, row]));
+
+  return {
+    ...period,
+    categories: CATEGORIES.map((category) => {
+      const spent = spending[category] || 0;
+      return byCategory[category] ? toBudget(byCategory[category], spent) : { category, limit: null, spent };
+    }),
+    totalSpent: Object.values(spending).reduce((sum, amount) => sum + amount, 0)
+  };
+};
+
+export const setBudget = async (username, category, limit) => {
+  if (!CATEGORIES.includes(category)) {
+    throw new BudgetError('INVALID_CATEGORY', `Choose one of: ${CATEGORIES.join(', ')}`);
+  }
+  const amount = Number(limit);
+  if (!Number.isInteger(amount) || amount <= 0) {
+    throw new BudgetError('INVALID_LIMIT', 'A budget must be a whole naira amount above zero.');
+  }
+  const result = await pool.query(
+    `INSERT INTO budgets (username, category, monthly_limit) VALUES ($1, $2, $3)
+     ON CONFLICT (username, category) DO UPDATE SET monthly_limit = EXCLUDED.monthly_limit, updated_at = CURRENT_TIMESTAMP
+     RETURNING *`,
+    [username, category, amount]
+  );
+  const spending = await spendingByCategory(username, monthPeriod());
+  return toBudget(result.rows[0], spending[category] || 0);
+};
+
+export const deleteBudget = async (username, category) => {
+  const result = await pool.query(
+    'DELETE FROM budgets WHERE username = $1 AND category = $2 RETURNING *',
+    [username, category]
+  );
+  if (result.rows.length === 0) {
+    throw new BudgetError('NOT_FOUND', 'No budget set for that category');
+  }
+  return { category, limit: result.rows[0].monthly_limit };
+};
+
+// Budgets a payment just pushed past the warning line. Categorises the new
+// rows first; resolves to [{ category, limit, spent, remaining, share }].
+export const budgetWarnings = async (username) => {
+  const fresh = await categorizeTransactions(username);
+  const touched = [...new Set(fresh.map((row) => row.category))];
+  if (touched.length === 0) return [];
+
+  const overview = await getBudgetOverview(username);
+  return overview.categories.filter((b) =>
+    touched.includes(b.category) && b.limit !== null && b.share >= BUDGET_WARNING_SHARE);
+};
+
+// --------- Spoken queries ----------
+// "how much have I spent on airtime this month", "elo ni mo ti na lori ounje",
+// "nawa na kashe a kan abinci". Words for each category in all five languages.
+const CATEGORY_WORDS = {
+  airtime: /\b(airtime|data|recharge|kaadi( ipe)?|katin waya|credit)\b/,
+  utilities: /\b(utilit(y|ies)|bills?|light|nepa|electricity|dstv|gotv|water|internet|ina mona|wuta|lantarki|oku)\b/,
+  family_support: /\b(family|famili|ebi|mama|papa|parents?|ezi na ulo|ndi be m|iyali|dangi)\b/,
+  food: /\b(food|chop|ounje|onje|nri|abinci)\b/,
+  transport: /\b(transport|transportation|moto|keke|okada|bus|fuel|ride|oko|ugbo ala|sufuri|mota)\b/,
+  savings: /\b(savings?|esusu|ajo|adashe|isusu)\b/,
+  other: /\b(others?|miscellaneous)\b/
+};
+
+export const findCategoryInText = (text) => {
+  const lower = String(text || '').toLowerCase();
+  return CATEGORIES.find((category) => CATEGORY_WORDS[category].test(lower)) || null;
+};
+
+// "this month" and "last month" in all five languages; other periods ("last
+// week", "in august") are left to the history parser
+const THIS_MONTH_WORDS = /\b(this month|osu (yi|yii)|onwa a|onwa nke a|wannan wata(n)?)\b/;
+const LAST_MONTH_WORDS = /\b(last month|osu (to )?koja|onwa gara aga|onwa gara|watan da ya (gabata|wuce))\b/;
+
+// { from, to } named in a spending question, this month by default
+export const parseSpendingPeriod = (text, now = new Date()) => {
+  const lower = String(text || '').toLowerCase();
+  if (THIS_MONTH_WORDS.test(lower)) return monthPeriod(now);
+  if (LAST_MONTH_WORDS.test(lower)) {
+    return monthPeriod(new Date(now.getFullYear(), now.getMonth() - 1, 1));
+  }
+  const { from, to } = parseHistoryQuery(lower, now);
+  return from ? { from, to } : monthPeriod(now);
+};
@@ -0,0 +1,25 @@
+import pkg from 'pg';
+const { Pool } = pkg;
+
+// PostgreSQL connection
+export const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+// Run `fn` inside a single BEGIN/COMMIT on a dedicated client.
+// Anything `fn` throws rolls the whole transaction back.
+export const withTransaction = async (fn) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
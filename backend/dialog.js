@@ -0,0 +1,103 @@
+import { pool } from './db.js';
+
+// --------- Config ----------
+// A half-finished intent is forgotten after this long without a reply
+const DIALOG_TTL_MINUTES = 10;
+
+// Slots each multi-turn intent needs before it can run, in the order we ask
+export const INTENT_SLOTS = {
+  transfer: ['recipient', 'amount'],
+  bank_transfer: ['accountNumber', 'bank', 'amount'],
+  airtime: ['amount', 'phone', 'network'],
+  data: ['phone', 'network', 'dataMb'],
+  bill_payment: ['amount'],
+  esusu_contribution: ['group'],
+  savings_deposit: ['goal', 'amount'],
+  savings_withdrawal: ['goal', 'amount']
+};
+
+export const missingSlot = (intent, slots) =>
+  (INTENT_SLOTS[intent] || []).find((slot) => slots[slot] === undefined || slots[slot] === null) || null;
+
+// --------- Schema ----------
+// One row per login session: the intent SARA is still collecting, what it
+// has so far, and what it asked for last (one of its slots, 'confirm' or
+// 'pin').
+export const createDialogTables = async () => {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS dialog_states (
+      session_id TEXT PRIMARY KEY,
+      username TEXT NOT NULL,
+      intent TEXT NOT NULL,
+      slots JSONB NOT NULL DEFAULT '{}',
+      awaiting TEXT,
+      lang TEXT DEFAULT 'english',
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+export const getDialogState = async (sessionId) => {
+  const result = await pool.query(
+    `SELECT * FROM dialog_states
+     WHERE session_id=$1 AND updated_at > NOW() - INTERVAL '${DIALOG_TTL_MINUTES} minutes'`,
+    [sessionId]
+  );
+  return result.rows[0] || null;
+};
+
+export const saveDialogState = async (sessionId, username, { intent, slots, awaiting, lang }) => {
+  await pool.query(
+    `INSERT INTO dialog_states (session_id, username, intent, slots, awaiting, lang, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, NOW())
+     ON CONFLICT (session_id) DO UPDATE
+       SET intent=$3, slots=$4, awaiting=$5, lang=$6, updated_at=NOW()`,
+    [sessionId, username, intent, JSON.stringify(slots), awaiting, lang]
+  );
+};
+
+export const clearDialogState = async (sessionId) => {
+  await pool.query('DELETE FROM dialog_states WHERE session_id=$1', [sessionId]);
+};
+
+// --------- Follow-up turns ----------
+// Short replies only: "yes" inside a longer sentence is not a confirmation,
+// and "no wahala" or "stop my monthly transfer" is not a cancel.
+const affirmPattern = /^(yes|yeah|yep|ok|okay|sure|go ahead|confirm|do it|send it|oya|na so|sharp|beeni|bee ni|ehen|ee|eh|o di mma|na'am|haka ne)( (please|abeg|jare|now|o))?[.!]*$/i;
+export const cancelPattern = /^((no|abeg|please),? )?(cancel|stop|no|nope|never ?mind|forget it|leave am|no do am|fagile|ma se|rara|kagbuo|mba|soke|a'a|bar shi)( (it|am|that|this))?( (please|abeg|jare|now|o))?[.!]*$/i;
+const amendPattern = /\b(make it|make am|change (it |am |the amount )?to|instead|rather|se e ni|fi se|mee ya|kama|mai da shi|canza (shi )?zuwa)\b/i;
+
+// Work out what a follow-up does to the dialog in `state`. `parsed` holds
+// whatever the caller could pull out of the text ({ amount, recipient, group }).
+// Returns { type: 'cancel' | 'confirm' | 'amend' | 'fill' | 'none', slots }.
+export const interpretFollowUp = (state, text, parsed) => {
+  const trimmed = text.trim().toLowerCase();
+
+  if (cancelPattern.test(trimmed)) {
+    return { type: 'cancel', slots: {} };
+  }
+
+  if (affirmPattern.test(trimmed)) {
+    return { type: state.awaiting === 'confirm' ? 'confirm' : 'none', slots: {} };
+  }
+
+  const slots = {};
+  for (const slot of INTENT_SLOTS[state.intent] || []) {
+    if (parsed[slot] !== undefined && parsed[slot] !== null) {
+      slots[slot] = parsed[slot];
+    }
+  }
+
+  // "make it 3000", or a new value while we wait for a yes / the PIN
+  const amending = amendPattern.test(trimmed) || state.awaiting === 'confirm' || state.awaiting === 'pin';
+  if (amending && Object.keys(slots).length > 0) {
+    return { type: 'amend', slots };
+  }
+
+  // A bare answer to the question we asked
+  if (state.awaiting && slots[state.awaiting] !== undefined) {
+    return { type: 'fill', slots };
+  }
+
+  return { type: 'none', slots: {} };
+};
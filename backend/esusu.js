@@ -0,0 +1,928 @@
+import crypto from 'crypto';
+import { pool, withTransaction } from './db.js';
+import { LedgerError, userAccount, esusuAccount, postJournal, getAccountBalance } from './ledger.js';
+
+// --------- Errors ----------
+// Rules of the rotation a contribution or admin action can break. Codes:
+// NOT_MEMBER, GROUP_NOT_FULL, ALREADY_CONTRIBUTED, GROUP_CLOSED,
+// INVALID_INVITE, ALREADY_MEMBER, REQUEST_PENDING, GROUP_FULL,
+// GROUP_STARTED, NOT_ADMIN, INVALID_ORDER.
+export class EsusuError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'EsusuError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// --------- Schedule ----------
+// Cycle N of a group opens N-1 periods after the group filled up
+// (schedule_start) and is due one period later.
+export const FREQUENCIES = {
+  daily: { days: 1 },
+  weekly: { days: 7 },
+  'bi-weekly': { days: 14 },
+  monthly: { months: 1 }
+};
+
+const FREQUENCY_ALIASES = { biweekly: 'bi-weekly', 'bi weekly': 'bi-weekly', fortnightly: 'bi-weekly' };
+
+// Canonical frequency name, or null if we don't know it
+export const normalizeFrequency = (frequency) => {
+  const key = String(frequency || '').trim().toLowerCase();
+  if (FREQUENCIES[key]) return key;
+  return FREQUENCY_ALIASES[key] || null;
+};
+
+export const addPeriods = (start, frequency, count) => {
+  const period = FREQUENCIES[normalizeFrequency(frequency) || 'monthly'];
+  const date = new Date(start);
+  if (period.months) {
+    date.setMonth(date.getMonth() + period.months * count);
+  } else {
+    date.setDate(date.getDate() + period.days * count);
+  }
+  return date;
+};
+
+// { opensAt, dueAt } for a cycle, or null before the group is full
+export const cycleWindow = (group, cycle = group.current_cycle) => {
+  if (!group.schedule_start) return null;
+  return {
+    opensAt: addPeriods(group.schedule_start, group.frequency, cycle - 1),
+    dueAt: addPeriods(group.schedule_start, group.frequency, cycle)
+  };
+};
+
+// --------- Default policy ----------
+// Set per group at creation. A member still unpaid `grace_days` after the
+// due date is in default: the cycle settles without them, they owe the
+// missed contribution plus `late_fee`, and `default_action` decides their
+// turn to collect: 'keep' it, 'move_to_end' of the queue, or 'suspend' it
+// until they have paid up. With `cover_shortfall` the members who did pay
+// split the missing money so the collector still gets a full pot. Arrears
+// and late fees, once paid, go into whichever cycle's pot is open.
+export const DEFAULT_ACTIONS = ['keep', 'move_to_end', 'suspend'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Standing of one member: 'defaulted' while they owe, 'late' while unpaid
+// past a due date, otherwise 'good'
+const standingOf = (member, late) => {
+  if ((member.arrears || 0) + (member.fees_owed || 0) > 0) return 'defaulted';
+  return late.includes(member.username) ? 'late' : 'good';
+};
+
+// --------- Schema ----------
+// A group runs one cycle per member. Cycle N completes when every member has
+// paid in for it; the pot then goes to the next member by position who has
+// not collected yet, and the group closes after the last payout.
+export const createEsusuTables = async () => {
+  await pool.query('ALTER TABLE esusu_groups ADD COLUMN IF NOT EXISTS current_cycle INTEGER DEFAULT 1');
+  await pool.query('ALTER TABLE esusu_groups ADD COLUMN IF NOT EXISTS completed_at TIMESTAMP');
+  await pool.query('ALTER TABLE esusu_groups ADD COLUMN IF NOT EXISTS schedule_start TIMESTAMP');
+  await pool.query('ALTER TABLE esusu_members ADD COLUMN IF NOT EXISTS auto_contribute BOOLEAN DEFAULT false');
+  await pool.query('ALTER TABLE esusu_contributions ADD COLUMN IF NOT EXISTS late BOOLEAN DEFAULT false');
+  await pool.query('ALTER TABLE esusu_contributions ADD COLUMN IF NOT EXISTS auto BOOLEAN DEFAULT false');
+
+  // Default policy and what each member owes under it
+  await pool.query('ALTER TABLE esusu_groups ADD COLUMN IF NOT EXISTS grace_days INTEGER DEFAULT 0');
+  await pool.query('ALTER TABLE esusu_groups ADD COLUMN IF NOT EXISTS late_fee INTEGER DEFAULT 0');
+  await pool.query("ALTER TABLE esusu_groups ADD COLUMN IF NOT EXISTS default_action TEXT DEFAULT 'keep'");
+  await pool.query('ALTER TABLE esusu_groups ADD COLUMN IF NOT EXISTS cover_shortfall BOOLEAN DEFAULT false');
+  await pool.query('ALTER TABLE esusu_members ADD COLUMN IF NOT EXISTS arrears INTEGER DEFAULT 0');
+  await pool.query('ALTER TABLE esusu_members ADD COLUMN IF NOT EXISTS fees_owed INTEGER DEFAULT 0');
+  await pool.query('ALTER TABLE esusu_members ADD COLUMN IF NOT EXISTS defaults INTEGER DEFAULT 0');
+
+  // 'contribution', or money paid because of a default: 'arrears',
+  // 'late_fee', or 'cover' for a share of someone else's shortfall
+  await pool.query("ALTER TABLE esusu_contributions ADD COLUMN IF NOT EXISTS kind TEXT DEFAULT 'contribution'");
+
+  // One row of each kind per member per cycle. Older databases may already
+  // hold duplicates from before cycles were tracked. Those are real payments,
+  // so they are not deleted here: setup stops until they have been sorted out.
+  const { rows: duplicates } = await pool.query(
+    `SELECT * FROM (
+       SELECT group_id, username, cycle_number, kind, COUNT(*)::int AS count
+       FROM esusu_contributions
+       GROUP BY group_id, username, cycle_number, kind
+     ) per_cycle
+     WHERE count > 1`
+  );
+  if (duplicates.length > 0) {
+    const found = duplicates
+      .map((d) => `group ${d.group_id} ${d.username} cycle ${d.cycle_number} ${d.kind} (${d.count})`)
+      .join(', ');
+    throw new Error(`Esusu: duplicate contributions must be resolved before the one-per-cycle index can be created: ${found}`);
+  }
+  await pool.query(
+    'CREATE UNIQUE INDEX IF NOT EXISTS esusu_contributions_once_per_cycle ON esusu_contributions(group_id, username, cycle_number, kind)'
+  );
+
+  // Members who missed a due date, resolved when they pay
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS esusu_late_flags (
+      id SERIAL PRIMARY KEY,
+      group_id INTEGER NOT NULL REFERENCES esusu_groups(id),
+      username TEXT NOT NULL,
+      cycle_number INTEGER NOT NULL,
+      due_at TIMESTAMP NOT NULL,
+      flagged_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      resolved_at TIMESTAMP,
+      UNIQUE (group_id, username, cycle_number)
+    )
+  `);
+  await pool.query('ALTER TABLE esusu_late_flags ADD COLUMN IF NOT EXISTS defaulted_at TIMESTAMP');
+
+  // Administration: the admin starts as the creator; joining needs the
+  // group's invite code, and optionally the admin's approval
+  await pool.query('ALTER TABLE esusu_groups ADD COLUMN IF NOT EXISTS admin TEXT');
+  await pool.query('ALTER TABLE esusu_groups ADD COLUMN IF NOT EXISTS invite_code TEXT');
+  await pool.query('ALTER TABLE esusu_groups ADD COLUMN IF NOT EXISTS requires_approval BOOLEAN DEFAULT false');
+  await pool.query('CREATE UNIQUE INDEX IF NOT EXISTS esusu_groups_invite_code_idx ON esusu_groups(invite_code)');
+  await pool.query('UPDATE esusu_groups SET admin=created_by WHERE admin IS NULL');
+  const uninvited = await pool.query('SELECT id FROM esusu_groups WHERE invite_code IS NULL');
+  for (const { id } of uninvited.rows) {
+    await pool.query('UPDATE esusu_groups SET invite_code=$1 WHERE id=$2', [newInviteCode(), id]);
+  }
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS esusu_join_requests (
+      id SERIAL PRIMARY KEY,
+      group_id INTEGER NOT NULL REFERENCES esusu_groups(id),
+      username TEXT NOT NULL,
+      auto_contribute BOOLEAN DEFAULT false,
+      status TEXT DEFAULT 'pending',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      decided_at TIMESTAMP,
+      decided_by TEXT
+    )
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS esusu_payouts (
+      id SERIAL PRIMARY KEY,
+      group_id INTEGER NOT NULL REFERENCES esusu_groups(id),
+      cycle_number INTEGER NOT NULL,
+      username TEXT NOT NULL,
+      amount INTEGER NOT NULL,
+      journal_id INTEGER REFERENCES ledger_journals(id),
+      paid_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (group_id, cycle_number)
+    )
+  `);
+};
+
+// --------- Invites ----------
+// 12 URL-safe characters from 72 random bits: not guessable from the name
+export const newInviteCode = () => crypto.randomBytes(9).toString('base64url');
+
+// --------- Lookups ----------
+export const findGroupByName = async (groupName) => {
+  const result = await pool.query("SELECT * FROM esusu_groups WHERE group_name=$1", [groupName]);
+  return result.rows[0] || null;
+};
+
+export const findGroupByInviteCode = async (inviteCode) => {
+  const result = await pool.query("SELECT * FROM esusu_groups WHERE invite_code=$1", [String(inviteCode || '').trim()]);
+  return result.rows[0] || null;
+};
+
+export const findGroupById = async (groupId) => {
+  const result = await pool.query("SELECT * FROM esusu_groups WHERE id=$1", [groupId]);
+  return result.rows[0] || null;
+};
+
+export const getMembership = async (groupId, username) => {
+  const result = await pool.query(
+    "SELECT * FROM esusu_members WHERE group_id=$1 AND username=$2",
+    [groupId, username]
+  );
+  return result.rows[0] || null;
+};
+
+const getMembers = async (groupId, client = pool) => {
+  const result = await client.query(
+    "SELECT * FROM esusu_members WHERE group_id=$1 ORDER BY position",
+    [groupId]
+  );
+  return result.rows;
+};
+
+const getCycleContributors = async (groupId, cycle, client = pool) => {
+  const result = await client.query(
+    "SELECT DISTINCT username FROM esusu_contributions WHERE group_id=$1 AND cycle_number=$2 AND kind='contribution'",
+    [groupId, cycle]
+  );
+  return result.rows.map((r) => r.username);
+};
+
+// Members flagged late for a cycle and not yet caught up
+const getLateMembers = async (groupId, cycle, client = pool) => {
+  const result = await client.query(
+    "SELECT username FROM esusu_late_flags WHERE group_id=$1 AND cycle_number=$2 AND resolved_at IS NULL",
+    [groupId, cycle]
+  );
+  return result.rows.map((r) => r.username);
+};
+
+// The member who collects when the current cycle completes. Under the
+// 'suspend' policy members who owe wait, unless nobody else is left.
+const nextCollector = (members, group) => {
+  const waiting = members.filter((m) => !m.has_collected);
+  if (group.default_action === 'suspend') {
+    return waiting.find((m) => standingOf(m, []) !== 'defaulted') || waiting[0] || null;
+  }
+  return waiting[0] || null;
+};
+
+export const getUserGroups = async (username) => {
+  const result = await pool.query(
+    `SELECT g.*, m.position, m.has_collected, m.auto_contribute, m.arrears, m.fees_owed, m.defaults
+     FROM esusu_groups g
+     JOIN esusu_members m ON g.id = m.group_id
+     WHERE m.username=$1`,
+    [username]
+  );
+
+  const groups = [];
+  for (const group of result.rows) {
+    const members = await getMembers(group.id);
+    const contributors = await getCycleContributors(group.id, group.current_cycle);
+    const late = await getLateMembers(group.id, group.current_cycle);
+    const window = group.status === 'active' ? cycleWindow(group) : null;
+    groups.push({
+      ...group,
+      member_count: members.length,
+      paid_this_cycle: contributors.length,
+      has_contributed: contributors.includes(username),
+      is_late: late.includes(username),
+      standing: standingOf({ username, arrears: group.arrears, fees_owed: group.fees_owed }, late),
+      amount_owed: (group.arrears || 0) + (group.fees_owed || 0),
+      next_due_at: window?.dueAt || null,
+      next_collector: group.status === 'active' ? nextCollector(members, group)?.username || null : null
+    });
+  }
+  return groups;
+};
+
+// Everything a member needs to follow the rotation: who has paid into the
+// current cycle, who collects next, what is in the pot and past payouts.
+// The admin also gets the invite code and any requests waiting on them.
+export const getGroupStatus = async (group, viewer = null) => {
+  const members = await getMembers(group.id);
+  const contributors = await getCycleContributors(group.id, group.current_cycle);
+  const late = await getLateMembers(group.id, group.current_cycle);
+  const window = group.status === 'active' ? cycleWindow(group) : null;
+  const payouts = await pool.query(
+    "SELECT cycle_number, username, amount, paid_at FROM esusu_payouts WHERE group_id=$1 ORDER BY cycle_number",
+    [group.id]
+  );
+
+  return {
+    group: {
+      id: group.id,
+      group_name: group.group_name,
+      amount_per_person: group.amount_per_person,
+      frequency: group.frequency,
+      total_members: group.total_members,
+      status: group.status,
+      current_cycle: group.current_cycle,
+      schedule_start: group.schedule_start,
+      completed_at: group.completed_at,
+      grace_days: group.grace_days,
+      late_fee: group.late_fee,
+      default_action: group.default_action,
+      cover_shortfall: group.cover_shortfall
+    },
+    pot: await getAccountBalance(esusuAccount(group.id)),
+    cycle: {
+      number: group.current_cycle,
+      paid: contributors.length,
+      expected: group.total_members,
+      opens_at: window?.opensAt || null,
+      due_at: window?.dueAt || null,
+      next_collector: group.status === 'active' ? nextCollector(members, group)?.username || null : null
+    },
+    members: members.map((m) => ({
+      username: m.username,
+      position: m.position,
+      has_collected: Boolean(m.has_collected),
+      has_contributed: contributors.includes(m.username),
+      auto_contribute: Boolean(m.auto_contribute),
+      is_late: late.includes(m.username),
+      standing: standingOf(m, late),
+      amount_owed: (m.arrears || 0) + (m.fees_owed || 0),
+      defaults: m.defaults || 0
+    })),
+    payouts: payouts.rows,
+    admin: group.admin,
+    ...(viewer && viewer === group.admin ? await getAdminDetails(group) : {})
+  };
+};
+
+const getAdminDetails = async (group) => {
+  const requests = await pool.query(
+    "SELECT id, username, created_at FROM esusu_join_requests WHERE group_id=$1 AND status='pending' ORDER BY created_at",
+    [group.id]
+  );
+  const payouts = await pool.query("SELECT COUNT(*)::int AS count FROM esusu_payouts WHERE group_id=$1", [group.id]);
+  return {
+    invite_code: group.invite_code,
+    requires_approval: Boolean(group.requires_approval),
+    pending_requests: requests.rows,
+    can_remove_members: !group.schedule_start,
+    can_reorder: group.status === 'active' && payouts.rows[0].count === 0
+  };
+};
+
+// One entry per cycle so far: who paid in, and who collected
+export const getCycleHistory = async (groupId) => {
+  const contributions = await pool.query(
+    `SELECT cycle_number, username, amount, kind, contributed_at FROM esusu_contributions
+     WHERE group_id=$1 ORDER BY cycle_number, contributed_at`,
+    [groupId]
+  );
+  const payouts = await pool.query(
+    "SELECT cycle_number, username, amount, paid_at FROM esusu_payouts WHERE group_id=$1",
+    [groupId]
+  );
+
+  const cycles = new Map();
+  const cycleFor = (number) => {
+    if (!cycles.has(number)) cycles.set(number, { cycle: number, contributions: [], payout: null });
+    return cycles.get(number);
+  };
+  for (const c of contributions.rows) {
+    cycleFor(c.cycle_number).contributions.push({ username: c.username, amount: c.amount, kind: c.kind, contributed_at: c.contributed_at });
+  }
+  for (const p of payouts.rows) {
+    cycleFor(p.cycle_number).payout = { username: p.username, amount: p.amount, paid_at: p.paid_at };
+  }
+  return [...cycles.values()].sort((a, b) => a.cycle - b.cycle);
+};
+
+// --------- Cycle engine ----------
+// Pay the pot of a completed cycle to the next collector and move the group
+// on. Runs inside the caller's transaction with the group row locked. An
+// empty pot (everyone defaulted) moves on without using up anyone's turn.
+const completeCycle = async (client, group) => {
+  const members = await getMembers(group.id, client);
+  const collector = nextCollector(members, group);
+  const pot = await client.query(
+    "SELECT COALESCE(SUM(amount), 0)::int AS total FROM esusu_contributions WHERE group_id=$1 AND cycle_number=$2",
+    [group.id, group.current_cycle]
+  );
+  const amount = pot.rows[0].total;
+
+  if (amount === 0) {
+    await client.query("UPDATE esusu_groups SET current_cycle=current_cycle + 1 WHERE id=$1", [group.id]);
+    return null;
+  }
+
+  const { journalId, balances } = await postJournal(client, {
+    kind: "esusu_payout",
+    memo: `${group.group_name} cycle ${group.current_cycle}`,
+    legs: [
+      { account: esusuAccount(group.id), amount: -amount },
+      { account: userAccount(collector.username), amount }
+    ],
+    transactions: [
+      { username: collector.username, type: "Esusu Payout", amount, toUser: group.group_name }
+    ]
+  });
+
+  await client.query(
+    "INSERT INTO esusu_payouts (group_id, cycle_number, username, amount, journal_id) VALUES ($1, $2, $3, $4, $5)",
+    [group.id, group.current_cycle, collector.username, amount, journalId]
+  );
+  await client.query(
+    "UPDATE esusu_members SET has_collected=1 WHERE group_id=$1 AND username=$2",
+    [group.id, collector.username]
+  );
+
+  const completed = members.filter((m) => !m.has_collected).length === 1;
+  if (completed) {
+    await client.query(
+      "UPDATE esusu_groups SET status='completed', completed_at=NOW() WHERE id=$1",
+      [group.id]
+    );
+  } else {
+    await client.query(
+      "UPDATE esusu_groups SET current_cycle=current_cycle + 1 WHERE id=$1",
+      [group.id]
+    );
+  }
+
+  return {
+    cycle: group.current_cycle,
+    username: collector.username,
+    amount,
+    balance: balances[collector.username],
+    completed
+  };
+};
+
+// --------- Contributions ----------
+// Debit the member into the group's pot account for the current cycle,
+// together with anything they owe from earlier defaults, and pay out if that
+// completes the cycle. Resolves to { balance, cycle, late, paid, settled,
+// payout }: `paid` is the total debited, `settled` the part that cleared
+// arrears and late fees, and payout is null unless the cycle closed. `auto`
+// marks debits made by the scheduler.
+export const contributeToGroup = (username, group, { auto = false } = {}) =>
+  withTransaction(async (client) => {
+    const locked = await client.query("SELECT * FROM esusu_groups WHERE id=$1 FOR UPDATE", [group.id]);
+    const current = locked.rows[0];
+
+    if (current.status !== 'active') {
+      throw new EsusuError('GROUP_CLOSED', `"${current.group_name}" has finished its rotation.`);
+    }
+
+    const members = await getMembers(current.id, client);
+    const member = members.find((m) => m.username === username);
+    if (!member) {
+      throw new EsusuError('NOT_MEMBER', "You're not a member of this group!");
+    }
+    if (members.length < current.total_members) {
+      const waiting = current.total_members - members.length;
+      throw new EsusuError('GROUP_NOT_FULL', `"${current.group_name}" is still waiting for ${waiting} more member(s).`, { waiting });
+    }
+
+    const contributors = await getCycleContributors(current.id, current.current_cycle, client);
+    const contributing = !contributors.includes(username);
+    const arrears = member.arrears || 0;
+    const fees = member.fees_owed || 0;
+    if (!contributing && arrears + fees === 0) {
+      throw new EsusuError('ALREADY_CONTRIBUTED', `You've already paid for cycle ${current.current_cycle} of "${current.group_name}".`, {
+        cycle: current.current_cycle
+      });
+    }
+
+    const window = cycleWindow(current);
+    const late = Boolean(contributing && window && Date.now() > window.dueAt.getTime());
+
+    // Each part is its own row in esusu_contributions and transactions
+    const parts = [
+      contributing && { kind: 'contribution', type: "Esusu Contribution", amount: current.amount_per_person },
+      arrears > 0 && { kind: 'arrears', type: "Esusu Arrears", amount: arrears },
+      fees > 0 && { kind: 'late_fee', type: "Esusu Late Fee", amount: fees }
+    ].filter(Boolean);
+    const paid = parts.reduce((sum, part) => sum + part.amount, 0);
+
+    const { balances } = await postJournal(client, {
+      kind: "esusu_contribution",
+      memo: `${current.group_name} cycle ${current.current_cycle}${auto ? ' (auto)' : ''}`,
+      legs: [
+        { account: userAccount(username), amount: -paid },
+        { account: esusuAccount(current.id), amount: paid }
+      ],
+      transactions: parts.map((part) => ({ username, type: part.type, amount: part.amount, toUser: current.group_name }))
+    });
+
+    for (const part of parts) {
+      await client.query(
+        "INSERT INTO esusu_contributions (group_id, username, amount, cycle_number, late, auto, kind) VALUES ($1, $2, $3, $4, $5, $6, $7)",
+        [current.id, username, part.amount, current.current_cycle, part.kind === 'contribution' && late, auto, part.kind]
+      );
+    }
+    if (arrears + fees > 0) {
+      await client.query(
+        "UPDATE esusu_members SET arrears=0, fees_owed=0 WHERE group_id=$1 AND username=$2",
+        [current.id, username]
+      );
+      await client.query(
+        "UPDATE esusu_late_flags SET resolved_at=NOW() WHERE group_id=$1 AND username=$2 AND resolved_at IS NULL",
+        [current.id, username]
+      );
+    }
+    if (contributing) {
+      await client.query(
+        "UPDATE esusu_late_flags SET resolved_at=NOW() WHERE group_id=$1 AND username=$2 AND cycle_number=$3 AND resolved_at IS NULL",
+        [current.id, username, current.current_cycle]
+      );
+    }
+
+    // Clearing a debt can lift a suspension, so re-read members for the payout
+    const payout = contributing && contributors.length + 1 >= current.total_members
+      ? await completeCycle(client, current)
+      : null;
+
+    // Collecting your own pot changes your balance again
+    const balance = payout && payout.username === username ? payout.balance : balances[username];
+    return { balance, cycle: current.current_cycle, late, paid, settled: arrears + fees, payout };
+  });
+
+// --------- Defaults ----------
+// Settle the current cycle of a group whose grace period is over: everyone
+// still unpaid goes into default under the group's policy, the shortfall is
+// covered if the group chose that, and the pot is paid out. Resolves to
+// { defaulted: [usernames], covered, payout }.
+export const settleDefaults = (group) =>
+  withTransaction(async (client) => {
+    const locked = await client.query("SELECT * FROM esusu_groups WHERE id=$1 FOR UPDATE", [group.id]);
+    const current = locked.rows[0];
+    // Someone paid, or the cycle closed, since the scheduler looked
+    if (current.status !== 'active' || current.current_cycle !== group.current_cycle) {
+      return { defaulted: [], covered: 0, payout: null };
+    }
+
+    const members = await getMembers(current.id, client);
+    const contributors = await getCycleContributors(current.id, current.current_cycle, client);
+    const defaulters = members.filter((m) => !contributors.includes(m.username));
+    if (defaulters.length === 0) {
+      return { defaulted: [], covered: 0, payout: null };
+    }
+
+    for (const member of defaulters) {
+      await client.query(
+        `UPDATE esusu_members SET arrears=arrears + $1, fees_owed=fees_owed + $2, defaults=defaults + 1
+         WHERE group_id=$3 AND username=$4`,
+        [current.amount_per_person, current.late_fee || 0, current.id, member.username]
+      );
+      await client.query(
+        "UPDATE esusu_late_flags SET defaulted_at=NOW() WHERE group_id=$1 AND username=$2 AND cycle_number=$3",
+        [current.id, member.username, current.current_cycle]
+      );
+    }
+
+    // Defaulters who have not collected yet go to the back of the queue
+    if (current.default_action === 'move_to_end') {
+      const names = defaulters.filter((m) => !m.has_collected).map((m) => m.username);
+      const order = [
+        ...members.filter((m) => !names.includes(m.username)),
+        ...members.filter((m) => names.includes(m.username))
+      ];
+      for (const [index, m] of order.entries()) {
+        await client.query(
+          "UPDATE esusu_members SET position=$1 WHERE group_id=$2 AND username=$3",
+          [index + 1, current.id, m.username]
+        );
+      }
+    }
+
+    // Members who paid split the missing money; anyone who can't afford
+    // their share is skipped and the collector gets a smaller pot
+    let covered = 0;
+    if (current.cover_shortfall && contributors.length > 0) {
+      const shortfall = defaulters.length * current.amount_per_person;
+      const share = Math.floor(shortfall / contributors.length);
+      const remainder = shortfall - share * contributors.length;
+
+      for (const [index, username] of contributors.entries()) {
+        const amount = share + (index < remainder ? 1 : 0);
+        if (amount === 0) continue;
+        try {
+          await postJournal(client, {
+            kind: "esusu_cover",
+            memo: `${current.group_name} cycle ${current.current_cycle} shortfall`,
+            legs: [
+              { account: userAccount(username), amount: -amount },
+              { account: esusuAccount(current.id), amount }
+            ],
+            transactions: [
+              { username, type: "Esusu Shortfall Cover", amount, toUser: current.group_name }
+            ]
+          });
+        } catch (err) {
+          if (err instanceof LedgerError && err.code === 'INSUFFICIENT_FUNDS') continue;
+          throw err;
+        }
+        await client.query(
+          "INSERT INTO esusu_contributions (group_id, username, amount, cycle_number, kind) VALUES ($1, $2, $3, $4, 'cover')",
+          [current.id, username, amount, current.current_cycle]
+        );
+        covered += amount;
+      }
+    }
+
+    const payout = await completeCycle(client, current);
+    return { defaulted: defaulters.map((m) => m.username), covered, payout };
+  });
+
+// --------- Membership ----------
+const addMember = async (client, group, username, autoContribute) => {
+  const next = await client.query(
+    "SELECT COALESCE(MAX(position), 0) + 1 AS position FROM esusu_members WHERE group_id=$1",
+    [group.id]
+  );
+  const position = next.rows[0].position;
+  await client.query(
+    "INSERT INTO esusu_members (group_id, username, position, auto_contribute) VALUES ($1, $2, $3, $4)",
+    [group.id, username, position, Boolean(autoContribute)]
+  );
+  return position;
+};
+
+// Join with an invite code. Resolves to { group, status: 'joined', position,
+// started } or, when the admin approves joins, { group, status: 'pending' }.
+export const joinGroup = (username, inviteCode, { autoContribute = false } = {}) =>
+  withTransaction(async (client) => {
+    const found = await client.query(
+      "SELECT * FROM esusu_groups WHERE invite_code=$1 FOR UPDATE",
+      [String(inviteCode || '').trim()]
+    );
+    const group = found.rows[0];
+    if (!group) {
+      throw new EsusuError('INVALID_INVITE', "That invite code isn't valid. Ask the group admin for a new one.");
+    }
+    if (group.status !== 'active' || group.schedule_start) {
+      throw new EsusuError('GROUP_STARTED', `"${group.group_name}" has already started its rotation.`);
+    }
+
+    const members = await getMembers(group.id, client);
+    if (members.some((m) => m.username === username)) {
+      throw new EsusuError('ALREADY_MEMBER', "You're already in this group!");
+    }
+    if (members.length >= group.total_members) {
+      throw new EsusuError('GROUP_FULL', "Sorry, this group is full!");
+    }
+
+    if (group.requires_approval) {
+      const pending = await client.query(
+        "SELECT id FROM esusu_join_requests WHERE group_id=$1 AND username=$2 AND status='pending'",
+        [group.id, username]
+      );
+      if (pending.rows.length > 0) {
+        throw new EsusuError('REQUEST_PENDING', `Your request to join "${group.group_name}" is still waiting for the admin.`);
+      }
+      await client.query(
+        "INSERT INTO esusu_join_requests (group_id, username, auto_contribute) VALUES ($1, $2, $3)",
+        [group.id, username, Boolean(autoContribute)]
+      );
+      return { group, status: 'pending' };
+    }
+
+    const position = await addMember(client, group, username, autoContribute);
+    return { group, status: 'joined', position, started: members.length + 1 >= group.total_members };
+  }).then(async (result) => {
+    if (result.status === 'joined') {
+      await startScheduleIfFull(result.group.id);
+    }
+    return result;
+  });
+
+// --------- Administration ----------
+// Every admin action locks the group row and checks the caller is its admin
+const withAdminLock = (groupId, username, fn) =>
+  withTransaction(async (client) => {
+    const locked = await client.query("SELECT * FROM esusu_groups WHERE id=$1 FOR UPDATE", [groupId]);
+    const group = locked.rows[0];
+    if (!group || group.admin !== username) {
+      throw new EsusuError('NOT_ADMIN', "Only the group admin can do that.");
+    }
+    return fn(client, group);
+  });
+
+export const regenerateInviteCode = (groupId, admin) =>
+  withAdminLock(groupId, admin, async (client, group) => {
+    const inviteCode = newInviteCode();
+    await client.query("UPDATE esusu_groups SET invite_code=$1 WHERE id=$2", [inviteCode, group.id]);
+    return inviteCode;
+  });
+
+export const setRequiresApproval = (groupId, admin, required) =>
+  withAdminLock(groupId, admin, async (client, group) => {
+    await client.query("UPDATE esusu_groups SET requires_approval=$1 WHERE id=$2", [Boolean(required), group.id]);
+  });
+
+// Approve or reject a pending join request. Approval is re-checked against
+// the group's current size, since it may have filled up meanwhile.
+export const decideJoinRequest = (groupId, admin, requestId, approve) =>
+  withAdminLock(groupId, admin, async (client, group) => {
+    const found = await client.query(
+      "SELECT * FROM esusu_join_requests WHERE id=$1 AND group_id=$2 AND status='pending'",
+      [requestId, group.id]
+    );
+    const request = found.rows[0];
+    if (!request) {
+      throw new EsusuError('NOT_FOUND', "That request has already been handled.");
+    }
+
+    if (approve) {
+      if (group.schedule_start) {
+        throw new EsusuError('GROUP_STARTED', `"${group.group_name}" has already started its rotation.`);
+      }
+      const members = await getMembers(group.id, client);
+      if (members.length >= group.total_members) {
+        throw new EsusuError('GROUP_FULL', "Sorry, this group is full!");
+      }
+      if (!members.some((m) => m.username === request.username)) {
+        await addMember(client, group, request.username, request.auto_contribute);
+      }
+    }
+
+    await client.query(
+      "UPDATE esusu_join_requests SET status=$1, decided_at=NOW(), decided_by=$2 WHERE id=$3",
+      [approve ? 'approved' : 'rejected', admin, request.id]
+    );
+    return { username: request.username, status: approve ? 'approved' : 'rejected', group };
+  }).then(async (result) => {
+    if (result.status === 'approved') {
+      await startScheduleIfFull(result.group.id);
+    }
+    return { username: result.username, status: result.status };
+  });
+
+const renumber = async (client, groupId, usernames) => {
+  for (const [index, username] of usernames.entries()) {
+    await client.query(
+      "UPDATE esusu_members SET position=$1 WHERE group_id=$2 AND username=$3",
+      [index + 1, groupId, username]
+    );
+  }
+};
+
+// Members can only be removed before the first cycle, i.e. while the group
+// is still filling up and nobody has paid in
+export const removeMember = (groupId, admin, username) =>
+  withAdminLock(groupId, admin, async (client, group) => {
+    if (group.schedule_start) {
+      throw new EsusuError('GROUP_STARTED', "Members can't be removed once the first cycle has started.");
+    }
+    if (username === group.admin) {
+      throw new EsusuError('NOT_ADMIN', "Hand admin rights to someone else before leaving.");
+    }
+
+    const removed = await client.query(
+      "DELETE FROM esusu_members WHERE group_id=$1 AND username=$2 RETURNING username",
+      [group.id, username]
+    );
+    if (removed.rows.length === 0) {
+      throw new EsusuError('NOT_MEMBER', `${username} isn't in this group.`);
+    }
+
+    const members = await getMembers(group.id, client);
+    await renumber(client, group.id, members.map((m) => m.username));
+  });
+
+// Set the payout order, either as a full list of members or shuffled.
+// Allowed until the first payout.
+export const setPayoutOrder = (groupId, admin, { order = null, random = false }) =>
+  withAdminLock(groupId, admin, async (client, group) => {
+    const paidOut = await client.query("SELECT id FROM esusu_payouts WHERE group_id=$1 LIMIT 1", [group.id]);
+    if (group.status !== 'active' || paidOut.rows.length > 0) {
+      throw new EsusuError('GROUP_STARTED', "The payout order can't change after the first payout.");
+    }
+
+    const members = (await getMembers(group.id, client)).map((m) => m.username);
+    let next;
+    if (random) {
+      next = [...members];
+      for (let i = next.length - 1; i > 0; i--) {
+        const j = crypto.randomInt(i + 1);
+        [next[i], next[j]] = [next[j], next[i]];
+      }
+    } else {
+      const valid = Array.isArray(order) &&
+        order.length === members.length &&
+        new Set(order).size === order.length &&
+        order.every((u) => members.includes(u));
+      if (!valid) {
+        throw new EsusuError('INVALID_ORDER', "The order must list every member exactly once.");
+      }
+      next = order;
+    }
+
+    await renumber(client, group.id, next);
+    return next;
+  });
+
+export const transferAdmin = (groupId, admin, username) =>
+  withAdminLock(groupId, admin, async (client, group) => {
+    const members = await getMembers(group.id, client);
+    if (!members.some((m) => m.username === username)) {
+      throw new EsusuError('NOT_MEMBER', `${username} isn't in this group.`);
+    }
+    await client.query("UPDATE esusu_groups SET admin=$1 WHERE id=$2", [username, group.id]);
+  });
+
+// --------- Scheduling ----------
+// The schedule starts the moment the last seat is taken
+export const startScheduleIfFull = async (groupId) => {
+  const result = await pool.query(
+    `UPDATE esusu_groups SET schedule_start=NOW()
+     WHERE id=$1 AND schedule_start IS NULL
+       AND total_members <= (SELECT COUNT(*) FROM esusu_members WHERE group_id=$1)
+     RETURNING id`,
+    [groupId]
+  );
+  return result.rows.length > 0;
+};
+
+export const setAutoContribute = async (groupId, username, enabled) => {
+  await pool.query(
+    "UPDATE esusu_members SET auto_contribute=$1 WHERE group_id=$2 AND username=$3",
+    [Boolean(enabled), groupId, username]
+  );
+};
+
+// --------- Reminders ----------
+// Members still unpaid in a cycle that falls due within `withinMs` of now:
+// [{ groupId, groupName, cycle, username, amount, dueAt, auto }]
+export const dueContributions = async (now, withinMs) => {
+  const groups = await pool.query(
+    "SELECT * FROM esusu_groups WHERE status='active' AND schedule_start IS NOT NULL ORDER BY id"
+  );
+  const due = [];
+  for (const group of groups.rows) {
+    const window = cycleWindow(group);
+    if (now < window.opensAt || now > window.dueAt || window.dueAt.getTime() - now.getTime() > withinMs) continue;
+
+    const members = await getMembers(group.id);
+    const contributors = await getCycleContributors(group.id, group.current_cycle);
+    for (const member of members.filter((m) => !contributors.includes(m.username))) {
+      due.push({
+        groupId: group.id,
+        groupName: group.group_name,
+        cycle: group.current_cycle,
+        username: member.username,
+        amount: group.amount_per_person,
+        dueAt: window.dueAt,
+        auto: Boolean(member.auto_contribute)
+      });
+    }
+  }
+  return due;
+};
+
+// Late flags not yet paid off or settled as defaults:
+// [{ groupId, groupName, cycle, username, amount, lateFee, graceEndsAt }]
+export const lateContributions = async () => {
+  const result = await pool.query(
+    `SELECT f.group_id, f.username, f.cycle_number, f.due_at, g.group_name, g.amount_per_person, g.late_fee, g.grace_days
+     FROM esusu_late_flags f JOIN esusu_groups g ON g.id = f.group_id
+     WHERE f.resolved_at IS NULL AND f.defaulted_at IS NULL AND g.status='active'
+     ORDER BY f.id`
+  );
+  return result.rows.map((r) => ({
+    groupId: r.group_id,
+    groupName: r.group_name,
+    cycle: r.cycle_number,
+    username: r.username,
+    amount: r.amount_per_person,
+    lateFee: r.late_fee || 0,
+    graceEndsAt: new Date(new Date(r.due_at).getTime() + (r.grace_days || 0) * DAY_MS)
+  }));
+};
+
+// One pass of the scheduler: start schedules for groups that have filled
+// up, auto-debit opted-in members once their cycle opens, flag anyone
+// still unpaid after the due date, and settle defaults once the grace
+// period is over. Safe to run as often as you like.
+export const runEsusuSchedule = async (now = new Date()) => {
+  const summary = { debited: 0, failed: 0, flagged: 0, defaulted: 0 };
+
+  const unscheduled = await pool.query(
+    "SELECT id FROM esusu_groups WHERE status='active' AND schedule_start IS NULL"
+  );
+  for (const { id } of unscheduled.rows) {
+    await startScheduleIfFull(id);
+  }
+
+  const groups = await pool.query(
+    "SELECT * FROM esusu_groups WHERE status='active' AND schedule_start IS NOT NULL ORDER BY id"
+  );
+  for (const group of groups.rows) {
+    const window = cycleWindow(group);
+    if (now < window.opensAt) continue;
+
+    const members = await getMembers(group.id);
+    const contributors = await getCycleContributors(group.id, group.current_cycle);
+    const unpaid = members.filter((m) => !contributors.includes(m.username));
+
+    for (const member of unpaid.filter((m) => m.auto_contribute)) {
+      try {
+        await contributeToGroup(member.username, group, { auto: true });
+        summary.debited++;
+      } catch (err) {
+        // Not enough money, or the cycle moved on underneath us: they stay
+        // unpaid and get flagged once the due date passes
+        console.warn(`Esusu auto-contribute failed for ${member.username} in "${group.group_name}": ${err.message}`);
+        summary.failed++;
+      }
+    }
+
+    if (now <= window.dueAt) continue;
+
+    const paid = await getCycleContributors(group.id, group.current_cycle);
+    for (const member of members.filter((m) => !paid.includes(m.username))) {
+      const flagged = await pool.query(
+        `INSERT INTO esusu_late_flags (group_id, username, cycle_number, due_at)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (group_id, username, cycle_number) DO NOTHING
+         RETURNING id`,
+        [group.id, member.username, group.current_cycle, window.dueAt]
+      );
+      summary.flagged += flagged.rows.length;
+    }
+
+    const graceEnds = new Date(window.dueAt.getTime() + (group.grace_days || 0) * DAY_MS);
+    if (now > graceEnds) {
+      const { defaulted } = await settleDefaults(group);
+      summary.defaulted += defaulted.length;
+    }
+  }
+
+  return summary;
+};
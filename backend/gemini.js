@@ -0,0 +1,29 @@
+// --------- Gemini API ----------
+// Shared HTTP plumbing for everything that talks to Gemini: financial
+// advice and the model-backed intent parser.
+const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
+const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent';
+
+export const hasGeminiKey = () => Boolean(GEMINI_API_KEY);
+
+// Send one prompt and resolve to the reply text, or null when Gemini
+// answered without any. Throws on HTTP errors so callers pick their fallback.
+export async function generateContent(prompt, generationConfig) {
+  const response = await fetch(`${GEMINI_API_URL}?key=${GEMINI_API_KEY}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      contents: [{
+        parts: [{ text: prompt }]
+      }],
+      generationConfig
+    })
+  });
+
+  if (!response.ok) {
+    throw new Error(`Gemini API error: ${response.status}`);
+  }
+
+  const data = await response.json();
+  return data.candidates?.[0]?.content?.parts?.[0]?.text?.trim() || null;
+}
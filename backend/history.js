@@ -0,0 +1,293 @@
+import { pool } from './db.js';
+
+// --------- Config ----------
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// --------- Errors ----------
+// Codes: INVALID_FILTER, INVALID_CURSOR.
+export class HistoryError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'HistoryError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// --------- Types ----------
+// The types a user filters by, and the history rows each one covers: a bill
+// filter brings its fee along, an esusu one its arrears and late fees.
+export const HISTORY_TYPES = {
+  'Airtime': ['Airtime'],
+  'Data': ['Data'],
+  'Transfer': ['Transfer', 'Bank Transfer'],
+  'Received': ['Received'],
+  'Bill Payment': ['Bill Payment', 'Bill Payment Fee'],
+  'Esusu Contribution': ['Esusu Contribution', 'Esusu Arrears', 'Esusu Late Fee', 'Esusu Shortfall Cover'],
+  'Esusu Payout': ['Esusu Payout'],
+  'Reversal': ['Reversal'],
+  'Savings': ['Savings Deposit', 'Savings Withdrawal']
+};
+
+// Money in; every other type is money out of the wallet
+export const INCOMING_TYPES = ['Received', 'Esusu Payout', 'Reversal', 'Savings Withdrawal'];
+
+// --------- Filters ----------
+// Filters as queryHistory takes them:
+//   types         filter names from HISTORY_TYPES
+//   from, to      Dates; from is inclusive, to is exclusive
+//   minAmount, maxAmount  whole naira, inclusive
+//   counterparty  part of who the money went to or came from
+//   q             free text over the type, counterparty and reference
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// YYYY-MM-DD, the way the app's date inputs send it, as local midnight
+const parseDay = (value, field) => {
+  const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const date = match && new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  if (!date || date.getMonth() !== Number(match[2]) - 1) {
+    throw new HistoryError('INVALID_FILTER', `${field} must be a date like 2026-01-31`, { field });
+  }
+  return date;
+};
+
+const parseNaira = (value, field) => {
+  const amount = Number(String(value).replace(/[₦,\s]/g, ''));
+  if (!Number.isInteger(amount) || amount < 0) {
+    throw new HistoryError('INVALID_FILTER', `${field} must be a whole naira amount`, { field });
+  }
+  return amount;
+};
+
+// Query string filters from GET /history. The `to` day is included, so
+// ?from=2026-09-01&to=2026-09-30 is the whole of September.
+export const parseHistoryFilters = (query) => {
+  const filters = {};
+
+  if (query.type) {
+    const wanted = String(query.type).split(',').map((type) => type.trim()).filter(Boolean);
+    const unknown = wanted.filter((type) => !HISTORY_TYPES[type]);
+    if (unknown.length > 0) {
+      throw new HistoryError('INVALID_FILTER', `Unknown type ${unknown.join(', ')}. Use one of: ${Object.keys(HISTORY_TYPES).join(', ')}`, { field: 'type' });
+    }
+    filters.types = wanted;
+  }
+  if (query.from) filters.from = parseDay(query.from, 'from');
+  if (query.to) filters.to = addDays(parseDay(query.to, 'to'), 1);
+  if (filters.from && filters.to && filters.from >= filters.to) {
+    throw new HistoryError('INVALID_FILTER', 'from must be on or before to', { field: 'from' });
+  }
+  if (query.minAmount) filters.minAmount = parseNaira(query.minAmount, 'minAmount');
+  if (query.maxAmount) filters.maxAmount = parseNaira(query.maxAmount, 'maxAmount');
+  if (filters.minAmount !== undefined && filters.maxAmount !== undefined && filters.minAmount > filters.maxAmount) {
+    throw new HistoryError('INVALID_FILTER', 'minAmount must not be more than maxAmount', { field: 'minAmount' });
+  }
+  if (query.counterparty) filters.counterparty = String(query.counterparty).trim();
+  if (query.q) filters.q = String(query.q).trim();
+
+  return filters;
+};
+
+// --------- Cursors ----------
+// Pages run newest first by id, which follows the order rows were written
+// in, so the cursor is the last id seen. It's opaque to the app.
+const encodeCursor = (id) => Buffer.from(`t${id}`).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  const match = Buffer.from(String(cursor), 'base64url').toString().match(/^t(\d+)$/);
+  if (!match) throw new HistoryError('INVALID_CURSOR', 'That page link has expired. Load the history again.');
+  return Number(match[1]);
+};
+
+// --------- Queries ----------
+const escapeLike = (text) => text.replace(/[\\%_]/g, '\\$&');
+
+// WHERE clause and params for a user's filtered history
+const buildWhere = (username, filters) => {
+  const conditions = ['username = $1'];
+  const params = [username];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (filters.types?.length) {
+    const stored = filters.types.flatMap((type) => HISTORY_TYPES[type] || []);
+    conditions.push(`type IN (${stored.map(param).join(', ')})`);
+  }
+  if (filters.from) conditions.push(`date >= ${param(filters.from)}`);
+  if (filters.to) conditions.push(`date < ${param(filters.to)}`);
+  if (filters.minAmount !== undefined) conditions.push(`amount >= ${param(filters.minAmount)}`);
+  if (filters.maxAmount !== undefined) conditions.push(`amount <= ${param(filters.maxAmount)}`);
+  if (filters.counterparty) {
+    conditions.push(`to_user ILIKE ${param(`%${escapeLike(filters.counterparty.replace(/^@/, ''))}%`)}`);
+  }
+  if (filters.q) {
+    const like = param(`%${escapeLike(filters.q)}%`);
+    conditions.push(`(type ILIKE ${like} OR to_user ILIKE ${like} OR reference ILIKE ${like})`);
+  }
+
+  return { where: conditions.join(' AND '), params, param };
+};
+
+// One page of history, newest first. Resolves to { transactions, nextCursor };
+// nextCursor is null on the last page.
+export const queryHistory = async (username, filters = {}, { cursor, limit } = {}) => {
+  const size = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const { where, params, param } = buildWhere(username, filters);
+  const after = cursor ? ` AND id < ${param(decodeCursor(cursor))}` : '';
+
+  const result = await pool.query(
+    `SELECT id, type, amount, to_user, date, status, reference, category
+       FROM transactions WHERE ${where}${after}
+      ORDER BY id DESC LIMIT ${param(size + 1)}`,
+    params
+  );
+
+  const transactions = result.rows.slice(0, size);
+  return {
+    transactions,
+    nextCursor: result.rows.length > size ? encodeCursor(transactions[transactions.length - 1].id) : null
+  };
+};
+
+// How many rows match and what they add up to, for "how much did I spend
+// on airtime last month"
+export const summarizeHistory = async (username, filters = {}) => {
+  const { where, params } = buildWhere(username, filters);
+  const result = await pool.query(
+    `SELECT COUNT(*) AS count, COALESCE(SUM(amount), 0) AS total FROM transactions WHERE ${where}`,
+    params
+  );
+  return { count: Number(result.rows[0].count), total: Number(result.rows[0].total) };
+};
+
+// --------- Spoken queries ----------
+// "show my transfers to john last month", "airtime above 1000 this week".
+// Reads types, a date range, an amount range and who the money went to or
+// came from; anything it doesn't recognise is left out of the filters.
+
+const TYPE_WORDS = [
+  // "money john sent me" is money received, so it's checked before transfers
+  { type: 'Received', pattern: /\b(received|receive|incoming|credits?|(sent|paid|send|pay) me|collect(ed)?)\b/ },
+  { type: 'Airtime', pattern: /\b(airtime|recharge|kaadi|katin waya)\b/ },
+  { type: 'Data', pattern: /\b(data|bundles?)\b/ },
+  { type: 'Bill Payment', pattern: /\b(bills?|electricity|light|nepa|dstv|gotv|startimes|water|internet)\b/ },
+  { type: 'Esusu Payout', pattern: /\bpayouts?\b/ },
+  { type: 'Esusu Contribution', pattern: /\b(esusu|ajo|adashe|isusu|contributions?)\b/ },
+  { type: 'Savings', pattern: /\b(savings|saved|vaults?|goals?)\b/ },
+  { type: 'Reversal', pattern: /\b(reversals?|reversed|refunds?|refunded)\b/ },
+  { type: 'Transfer', pattern: /\b(transfers?|sent|send|ranse|ziga|tura|aika)\b/ }
+];
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const MONTH_PATTERN = new RegExp(`\\b(?:in |for )?(${MONTHS.map((m) => `${m}|${m.slice(0, 3)}`).join('|')})\\b(?: (\\d{4}))?`);
+
+// Words that end a counterparty: "to john last month", "from mama over 5000"
+const NOT_A_NAME = new Set([
+  'last', 'this', 'past', 'previous', 'today', 'yesterday', 'since', 'in', 'on', 'for', 'over', 'above',
+  'under', 'below', 'between', 'more', 'less', 'at', 'and', 'the', 'of', 'from', 'to', 'week', 'month', 'year',
+  ...MONTHS, ...MONTHS.map((m) => m.slice(0, 3))
+]);
+
+// { from, to } for the period named in the text, or null
+const parsePeriod = (lower, now) => {
+  const today = startOfDay(now);
+  if (/\btoday\b/.test(lower)) return { from: today, to: addDays(today, 1) };
+  if (/\byesterday\b/.test(lower)) return { from: addDays(today, -1), to: today };
+
+  // Weeks start on Monday
+  const monday = addDays(today, -((today.getDay() + 6) % 7));
+  if (/\bthis week\b/.test(lower)) return { from: monday, to: addDays(today, 1) };
+  if (/\b(last|previous) week\b/.test(lower)) return { from: addDays(monday, -7), to: monday };
+
+  const monthStart = new Date(today.getFullYear(), today.getMonth(), 1);
+  if (/\bthis month\b/.test(lower)) return { from: monthStart, to: addDays(today, 1) };
+  if (/\b(last|previous) month\b/.test(lower)) {
+    return { from: new Date(today.getFullYear(), today.getMonth() - 1, 1), to: monthStart };
+  }
+  if (/\bthis year\b/.test(lower)) return { from: new Date(today.getFullYear(), 0, 1), to: addDays(today, 1) };
+  if (/\b(last|previous) year\b/.test(lower)) {
+    return { from: new Date(today.getFullYear() - 1, 0, 1), to: new Date(today.getFullYear(), 0, 1) };
+  }
+
+  const recent = lower.match(/\b(?:last|past) (\d+) (day|week|month)s?\b/);
+  if (recent) {
+    const count = Number(recent[1]);
+    const days = recent[2] === 'day' ? count : recent[2] === 'week' ? count * 7 : null;
+    const from = days !== null
+      ? addDays(today, -(days - 1))
+      : new Date(today.getFullYear(), today.getMonth() - count, today.getDate());
+    return { from, to: addDays(today, 1) };
+  }
+
+  // "in march" is the most recent March unless a year is given
+  const month = lower.match(MONTH_PATTERN);
+  if (month) {
+    const index = MONTHS.findIndex((m) => m.startsWith(month[1]));
+    const year = month[2] ? Number(month[2]) : index > today.getMonth() ? today.getFullYear() - 1 : today.getFullYear();
+    return { from: new Date(year, index, 1), to: new Date(year, index + 1, 1) };
+  }
+  return null;
+};
+
+const NAIRA = '(?:₦|n)?\\s*(\\d[\\d,]*)(k)?\\b';
+const toNaira = (digits, thousands) => Number(digits.replace(/,/g, '')) * (thousands ? 1000 : 1);
+
+const parseAmountRange = (lower) => {
+  const between = lower.match(new RegExp(`\\bbetween ${NAIRA} and ${NAIRA}`));
+  if (between) {
+    const [low, high] = [toNaira(between[1], between[2]), toNaira(between[3], between[4])].sort((a, b) => a - b);
+    return { minAmount: low, maxAmount: high };
+  }
+  const range = {};
+  const min = lower.match(new RegExp(`\\b(?:over|above|more than|greater than|at least) ${NAIRA}`));
+  const max = lower.match(new RegExp(`\\b(?:under|below|less than|at most) ${NAIRA}`));
+  if (min) range.minAmount = toNaira(min[1], min[2]);
+  if (max) range.maxAmount = toNaira(max[1], max[2]);
+  return range;
+};
+
+// The words after "to" / "from" up to the next date or amount word:
+// "to my landlord last month" -> "landlord", or who "sent me" money
+const parseCounterparty = (lower) => {
+  const sender = lower.match(/\b@?([a-z]\w*) (?:sent|paid|send|pay) me\b/);
+  if (sender && !['who', 'money', 'i', 'they', 'people', 'anyone', 'everyone'].includes(sender[1])) return sender[1];
+  const match = lower.match(/\b(?:to|from|with|for) (@?[a-z][\w']*(?: [a-z][\w']*){0,2})/);
+  if (!match) return null;
+  const words = [];
+  for (const word of match[1].split(' ')) {
+    if (NOT_A_NAME.has(word)) break;
+    words.push(word);
+  }
+  const name = words.join(' ').replace(/^(my|our|the) /, '');
+  return name && !NOT_A_NAME.has(name) && !['me', 'my', 'airtime', 'data'].includes(name) ? name : null;
+};
+
+// Filters for a question about past transactions. `now` is for tests of the
+// date words.
+export const parseHistoryQuery = (text, now = new Date()) => {
+  const lower = String(text || '').toLowerCase();
+  const filters = {};
+
+  const types = [];
+  for (const { type, pattern } of TYPE_WORDS) {
+    if (type === 'Transfer' && types.includes('Received')) continue;
+    if (type === 'Esusu Contribution' && types.includes('Esusu Payout')) continue;
+    if (pattern.test(lower)) types.push(type);
+  }
+  if (types.length > 0) filters.types = types;
+
+  const period = parsePeriod(lower, now);
+  if (period) Object.assign(filters, period);
+  Object.assign(filters, parseAmountRange(lower));
+
+  const counterparty = parseCounterparty(lower);
+  if (counterparty) filters.counterparty = counterparty;
+
+  return filters;
+};
@@ -0,0 +1,277 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseAmount } from './numbers.js';
+import { hasGeminiKey, generateContent } from './gemini.js';
+
+// --------- Config ----------
+// 'rules' (default), 'gemini', or 'stub' for the offline fixture model.
+// Model-backed classifiers always fall back to the rules on bad output.
+const INTENT_CLASSIFIER = process.env.INTENT_CLASSIFIER || 'rules';
+const STUB_FIXTURES = process.env.INTENT_STUB_FIXTURES ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'intent-stub.json');
+
+export const INTENTS = ['balance', 'airtime', 'data', 'transfer', 'esusu_contribution', 'bill_payment', 'resend_token', 'save_beneficiary', 'history', 'statement', 'spending', 'savings', 'schedule', 'money_request', 'split_bill', 'notifications', 'advice', 'unknown'];
+
+// --------- Slots ----------
+// Amount slots: a clear amount fills the slot; two plausible readings
+// ("two thousand five") leave it empty with the choices for a follow-up.
+export const amountSlots = (text) => {
+  const { amount, ambiguous, candidates } = parseAmount(text);
+  return ambiguous ? { amount: null, amountChoices: candidates } : { amount, amountChoices: null };
+};
+
+// "pay ada 5000" names who gets it too, unless it's a biller ("pay dstv 5000")
+const PAY_PERSON = /\bpay @?([a-z_]\w*) ₦?\d[\d,]*k?\b/i;
+
+export const parseRecipient = (text) => {
+  const match = text.match(/\b(?:to|give|si|nye|ga) @?([a-z_]\w*)/i);
+  if (match) return match[1].toLowerCase();
+  const paid = text.match(PAY_PERSON);
+  return paid && !parseBiller(paid[1].toLowerCase()) ? paid[1].toLowerCase() : null;
+};
+
+const BILLERS = {
+  ekedc: /\bekedc\b|eko electric/,
+  ikedc: /\bikedc\b|ikeja electric/,
+  electricity: /\b(electricity|nepa|light bill|phcn|prepaid meter)\b/,
+  dstv: /\bdstv\b/,
+  gotv: /\bgotv\b/,
+  startimes: /\bstartimes\b/,
+  water: /\bwater (bill|board|corporation)\b/,
+  internet: /\b(internet|broadband|wifi|spectranet|smile) ?(bill|subscription)?\b/
+};
+
+const parseBiller = (text) =>
+  Object.keys(BILLERS).find((name) => BILLERS[name].test(text)) || null;
+
+// --------- Rule engine ----------
+// Every rule that matches adds its weight to its intent; the heaviest intent
+// wins, ties going to the earlier rule. Actions outweigh question words, so
+// "how can I send money" is a transfer and not a request for advice.
+const RULES = [
+  { intent: 'balance', weight: 3, pattern: /\b(balance|how much (do )?i (have|get)|wetin i (get|remain)|elo lo (ku|wa)|owo (mi|to ku)|ego m (di|fodu)|lelee ego|duba kudin|kudin (na|da ke))\b/ },
+  { intent: 'airtime', weight: 3, pattern: /\b(airtime|recharge( card)?|top ?up|kaadi ipe|kaadi|katin waya)\b/ },
+  { intent: 'data', weight: 4, pattern: /\b(data( plan| bundle| sub)?|bundles?|\d+(\.\d+)? ?(gb|mb|gigs?))\b/ },
+  { intent: 'esusu_contribution', weight: 3, pattern: /\b(esusu|ajo|adashe|isusu|contribut\w*)\b/ },
+  { intent: 'resend_token', weight: 4, pattern: /\b(resend|re-send|again|last|previous|repeat|read( out)?|lost|forgot)\b[^.?!]*\btokens?\b|\btokens?\b[^.?!]*\b(again|last|previous)\b/ },
+  { intent: 'resend_token', weight: 2, pattern: /\btokens?\b/ },
+  { intent: 'bill_payment', weight: 3, pattern: /\b(bills?|ekedc|ikedc|nepa|phcn|electricity|light bill|dstv|gotv|startimes|water bill|internet bill)\b/ },
+  { intent: 'save_beneficiary', weight: 5, pattern: /^\s*(please |abeg )?(save|add|keep) ((him|her|them|it|am|this|that)( (person|account|number|line))? )?as\b|\bcall (him|her|them|it|am) \w|\bfi (won |e |o )?pamo\b|\bchekwaa\b|\bajiye\b/ },
+  { intent: 'statement', weight: 6, pattern: /\b(statements?|statement of account)\b/ },
+  { intent: 'history', weight: 5, pattern: /\b(history|transactions)\b|\b(show|list|find|search|see|check)( me)?( all)? my\b[^.?!]*\b(transfers|payments|airtime|data|bills|purchases|contributions|payouts|receipts|spending|reversals|refunds)\b|\bhow much (did|have) i (send|sent|pay|paid|receive|received|get|got)\b|\bwho (sent|paid) me\b|\bwetin i don (send|pay|buy)\b/ },
+  { intent: 'spending', weight: 6, pattern: /\bhow much (have |did |do )?i (spend|spent|spending)\b|\bhow much i don (spend|use)\b|\bwetin i don spend\b|\bmy (spending|expenses|budgets?)\b|\b(within|over|under|above) (my )?budget\b|\belo ni mo (ti )?na\b|\bole ka m (ji|jiri|mefuru|mefu|tufuru)\b|\bnawa (na|ne|kika) kashe\b/ },
+  { intent: 'savings', weight: 5, pattern: /\b(save|put|keep|move)\b[^.?!]*\b(for|into|towards?) (my|the|our)\b|\b(save|put|keep)\b[^.?!]*\b(every|each|daily|weekly|monthly)\b|\bsave ₦?\d[\d,]*k?\b|\b(new|create|start|open|set up|make)( a| my)? (savings )?(goal|vault)\b|\bstart saving for\b|\bsave up for\b|\b(withdraw|take out|cash out|break)\b[^.?!]*\b(savings?|goals?|vaults?)\b|\bmy (savings|vaults?|goals?|savings goals?)\b|\b(savings goals?|vaults?)\b/ },
+  { intent: 'schedule', weight: 6, pattern: /\b(stop|cancel|end|pause|hold|suspend|resume|restart|unpause|continue|da duro|kwusi|dakatar|dakata)\b[^.?!]*\b(scheduled|recurring|repeat(ing)?|standing|automatic|daily|weekly|monthly|every|schedules?|(mon|tues|wednes|thurs|fri|satur|sun)days?|gbogbo osu|gbogbo ose|kwa onwa|kwa izu|kowane wata|kowane mako)\b|\b(show|list|see|check|what are|which)\b[^.?!]*\b(scheduled|recurring) (payments?|transfers?|bills?|airtime)\b|\bmy (scheduled|recurring|standing|upcoming) (payments?|transfers?|bills?|airtime|orders?)\b|\bmy schedules\b|\bstanding orders?\b/ },
+  { intent: 'money_request', weight: 6, pattern: /\bask @?(?!me\b|him\b|her\b|them\b)[a-z_]\w* (for (?!advice|help|tips?\b|a (question|favou?r))|to (send|pay|give|return) me\b)|\b(request|collect|demand)\b[^.?!]*\bfrom @?[a-z_]\w*|\b(tell|beg) @?[a-z_]\w* (to|make) (e |im |him |her )?(send|pay|give|return)\b|\b(accept|approve|decline|reject|refuse|ignore|pay|settle|cancel|remind)\b[^.?!]*\brequests?\b|\b(payment|money) requests?\b|\bmy requests\b|^\s*(accept|decline|reject)( it| am| them)?\s*[.!]*$|\bwho (is asking|asked|dey ask) me\b|\b(remind|nudge|chase) @?(?!me\b|my\b|everyone\b|everybody\b|them\b|us\b)[a-z_]\w*\b|\bbeere\b[^.?!]*\blowo\b|\bri[oọ]\b[^.?!]*\bego\b|\b(roki|roƙi|nemi)\b[^.?!]*\bkudi\b/ },
+  { intent: 'split_bill', weight: 7, pattern: /\bsplits?\b|\b(remind|nudge|chase) (everyone|everybody|them all|all of them)\b|\bshare (the |this |our )?(bill|cost|payment)\b|\bdivide\b[^.?!]*\b(between|among|with)\b|\bpin owo\b|\bkee ego\b|\braba kudi\b/ },
+  { intent: 'notifications', weight: 6, pattern: /\bnotifications?\b|\binbox\b|\bmy alerts\b|\bwhat (did|have) i miss(ed)?\b|\banything new\b|\biwifunni\b|\bozi ohuru\b|\bsanarwa\b/ },
+  { intent: 'transfer', weight: 2, pattern: /\b(transfer|send|pay|fi [^.?!]*\branse|ranse si|san owo|ziga(ra)?|tura|aika|biya)\b/ },
+  { intent: 'advice', weight: 3, pattern: /\b(advice|advise|tips?|invest(ing|ment|ments)?|budget(ing)?|sav(e|ing|ings)|recommend(ation)?s?|suggest(ion)?s?|financial plan|imoran|ndumodu|shawara)\b/ },
+  { intent: 'advice', weight: 1, pattern: /\b(how (can|should|do) i|what should|wetin (i )?fit|help me with money|guide)\b/ }
+];
+
+// "send 2000 to tunde for data", "pay ada 5000 for the light bill": money
+// for a person, where what it's for is only the purpose. The purpose is
+// left out of the scoring so it can't outweigh the transfer.
+const PERSON_PAID = /\b(?:send|transfer|give)\b[^.?!]*?\bto @?[a-z_]\w*/;
+const PURPOSE = /\s+for\b[^.?!]*/;
+
+const withoutPurpose = (lower) => {
+  const paid = lower.match(PERSON_PAID) || (parseRecipient(lower) && lower.match(PAY_PERSON));
+  if (!paid) return lower;
+  const end = paid.index + paid[0].length;
+  return lower.slice(0, end) + lower.slice(end).replace(PURPOSE, '');
+};
+
+export const classifyWithRules = (text) => {
+  const lower = String(text || '').toLowerCase();
+  const scored = withoutPurpose(lower);
+  const scores = {};
+  for (const rule of RULES) {
+    if (rule.pattern.test(scored)) {
+      scores[rule.intent] = (scores[rule.intent] || 0) + rule.weight;
+    }
+  }
+
+  let intent = 'unknown';
+  let best = 0;
+  for (const [candidate, score] of Object.entries(scores)) {
+    if (score > best) {
+      best = score;
+      intent = candidate;
+    }
+  }
+
+  return {
+    intent,
+    confidence: best >= 3 ? 0.9 : best > 0 ? 0.6 : 0,
+    ...amountSlots(lower),
+    recipient: parseRecipient(lower),
+    biller: parseBiller(lower),
+    confirmAmount: false,
+    source: 'rules'
+  };
+};
+
+// --------- Structured parse schema ----------
+const PARSE_SCHEMA = {
+  intent: { type: 'string', enum: INTENTS, required: true },
+  amount: { type: 'integer', minimum: 1 },
+  recipient: { type: 'string', pattern: /^@?[a-z_]\w{0,39}$/i },
+  biller: { type: 'string', enum: Object.keys(BILLERS) }
+};
+
+// Check a model reply against PARSE_SCHEMA. Optional fields may be null or
+// missing; unknown fields are dropped. Returns { ok, value, errors }.
+export const validateParse = (candidate) => {
+  if (!candidate || typeof candidate !== 'object' || Array.isArray(candidate)) {
+    return { ok: false, value: null, errors: ['reply is not a JSON object'] };
+  }
+
+  const errors = [];
+  const value = {};
+  for (const [field, rule] of Object.entries(PARSE_SCHEMA)) {
+    const v = candidate[field];
+    if (v === undefined || v === null) {
+      if (rule.required) errors.push(`${field} is required`);
+      value[field] = null;
+      continue;
+    }
+
+    const typeOk = rule.type === 'integer' ? Number.isInteger(v) : typeof v === rule.type;
+    if (!typeOk) errors.push(`${field} must be a ${rule.type}`);
+    else if (rule.enum && !rule.enum.includes(v)) errors.push(`${field} must be one of ${rule.enum.join(', ')}`);
+    else if (rule.minimum !== undefined && v < rule.minimum) errors.push(`${field} must be at least ${rule.minimum}`);
+    else if (rule.pattern && !rule.pattern.test(v)) errors.push(`${field} is not valid`);
+    value[field] = v;
+  }
+
+  return { ok: errors.length === 0, value: errors.length === 0 ? value : null, errors };
+};
+
+// --------- Models ----------
+// A model takes the prompt and the user's own text and resolves to the raw
+// reply. The stub answers from a fixture file keyed by the user's text.
+const buildPrompt = (text) => `You turn messages sent to SARA, a Nigerian banking assistant, into JSON.
+Messages may be in English, Nigerian Pidgin, Yoruba, Igbo or Hausa.
+
+Reply with ONE JSON object and nothing else:
+{"intent": string, "amount": number or null, "recipient": string or null, "biller": string or null}
+
+intent is one of:
+- balance: asking how much money they have
+- airtime: buying airtime or recharge for their phone or someone else's
+- data: buying a mobile data plan or bundle (1GB, 500MB...) for a phone
+- transfer: sending money to another SARA user, a bank account or a saved beneficiary ("mama", "my landlord")
+- esusu_contribution: paying into an esusu / ajo / adashe / isusu group
+- bill_payment: electricity, cable TV, water or internet bills
+- resend_token: asking to see or hear their last prepaid electricity token again
+- save_beneficiary: saving the person or account they just paid under a name ("save as mama")
+- history: asking to see or total up past transactions ("show my transfers to john last month")
+- savings: creating a savings goal, putting money in or taking it out, setting up automatic saving, or asking about their goals ("save 2000 for my rent")
+- schedule: listing their scheduled or recurring payments, or pausing, resuming or cancelling one ("stop my monthly transfer to mama"). Asking to pay someone on a date or every week or month is still transfer, airtime, data or bill_payment
+- money_request: asking another SARA user for money ("ask tunde for 3000"), or accepting, declining, listing or reminding payment requests
+- split_bill: dividing a bill one person paid among named SARA users ("split 9000 for dinner with tunde and ada"), or checking, reminding or cancelling a split
+- notifications: reading out the user's new notifications ("any notifications?", "what did I miss?")
+- spending: asking how much they have spent, overall or on a category, or how their budgets stand ("how much have I spent on airtime this month?")
+- statement: asking for an account statement to download or share ("send me my statement for September")
+- advice: questions about saving, investing, budgeting or planning
+- unknown: anything else
+
+amount is whole naira as written or spoken in the message, otherwise null.
+recipient is the username money should go to, otherwise null.
+biller is one of ${Object.keys(BILLERS).join(', ')}, otherwise null.
+
+Message: ${JSON.stringify(text)}`;
+
+const geminiModel = {
+  name: 'gemini',
+  complete: (prompt) => generateContent(prompt, {
+    temperature: 0,
+    maxOutputTokens: 150,
+    responseMimeType: 'application/json'
+  })
+};
+
+let stubFixtures = null;
+const stubModel = {
+  name: 'stub',
+  complete: async (prompt, text) => {
+    if (!stubFixtures) {
+      stubFixtures = JSON.parse(fs.readFileSync(STUB_FIXTURES, 'utf8'));
+    }
+    const reply = stubFixtures[text.trim().toLowerCase()];
+    if (reply === undefined) {
+      return JSON.stringify({ intent: 'unknown', amount: null, recipient: null, biller: null });
+    }
+    return typeof reply === 'string' ? reply : JSON.stringify(reply);
+  }
+};
+
+const activeModel = () => {
+  if (INTENT_CLASSIFIER === 'stub') return stubModel;
+  if (INTENT_CLASSIFIER === 'gemini') return hasGeminiKey() ? geminiModel : null;
+  return null;
+};
+
+if (INTENT_CLASSIFIER === 'gemini' && !hasGeminiKey()) {
+  console.warn('INTENT_CLASSIFIER=gemini but GEMINI_API_KEY is not set; using the rule engine.');
+}
+
+// Models sometimes wrap JSON in a ```json fence
+const parseReply = (raw) => {
+  const body = String(raw || '').replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, '');
+  try {
+    return JSON.parse(body);
+  } catch {
+    return null;
+  }
+};
+
+// Money slots from a model must be backed by the text itself: an amount has
+// to be one of the readings parseAmount found, a recipient has to be named.
+// When the model picked between two readings the user still gets a yes/no.
+const groundSlots = (parsed, text, rules) => {
+  const lower = text.toLowerCase();
+  const readings = parseAmount(text).candidates;
+  const amount = parsed.amount !== null && readings.includes(parsed.amount) ? parsed.amount : null;
+  const recipient = parsed.recipient ? parsed.recipient.replace(/^@/, '').toLowerCase() : null;
+
+  return {
+    ...(amount !== null
+      ? { amount, amountChoices: null, confirmAmount: readings.length > 1 }
+      : { amount: rules.amount, amountChoices: rules.amountChoices, confirmAmount: false }),
+    recipient: recipient && new RegExp(`\\b${recipient}\\b`).test(lower) ? recipient : rules.recipient,
+    biller: parsed.biller || rules.biller
+  };
+};
+
+// --------- Public API ----------
+// Resolves to { intent, confidence, amount, amountChoices, confirmAmount,
+// recipient, biller, source }
+export const classifyIntent = async (text) => {
+  const rules = classifyWithRules(text);
+  const model = activeModel();
+  if (!model) return rules;
+
+  try {
+    const raw = await model.complete(buildPrompt(text), text);
+    const { ok, value, errors } = validateParse(parseReply(raw));
+    if (!ok) {
+      console.warn(`Intent model (${model.name}) reply rejected: ${errors.join('; ')}`);
+      return rules;
+    }
+    if (value.intent === 'unknown') return rules;
+
+    return {
+      intent: value.intent,
+      confidence: 0.8,
+      ...groundSlots(value, text, rules),
+      source: model.name
+    };
+  } catch (err) {
+    console.error(`Intent model (${model.name}) error:`, err.message);
+    return rules;
+  }
+};
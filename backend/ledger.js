@@ -0,0 +1,204 @@
+import { pool, withTransaction } from './db.js';
+
+// --------- Accounts ----------
+// Every balance lives on a ledger account. User wallets are mirrored in
+// users.balance so reads stay cheap; everything else is summed from entries.
+export const SYSTEM_ACCOUNTS = {
+  opening: 'system:opening',
+  airtime: 'system:airtime',
+  bills: 'system:bills',
+  fees: 'system:fees',
+  payouts: 'system:payouts',
+  interest: 'system:interest'
+};
+
+export const userAccount = (username) => `user:${username}`;
+export const esusuAccount = (groupId) => `esusu:${groupId}`;
+export const savingsAccount = (goalId) => `savings:${goalId}`;
+
+const usernameFromAccount = (account) =>
+  account.startsWith('user:') ? account.slice('user:'.length) : null;
+
+export class LedgerError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'LedgerError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// --------- Schema ----------
+export const createLedgerTables = async () => {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS ledger_journals (
+      id SERIAL PRIMARY KEY,
+      kind TEXT NOT NULL,
+      memo TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS ledger_entries (
+      id SERIAL PRIMARY KEY,
+      journal_id INTEGER NOT NULL REFERENCES ledger_journals(id),
+      account TEXT NOT NULL,
+      amount INTEGER NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await pool.query('CREATE INDEX IF NOT EXISTS ledger_entries_account_idx ON ledger_entries(account)');
+  await pool.query('ALTER TABLE transactions ADD COLUMN IF NOT EXISTS journal_id INTEGER REFERENCES ledger_journals(id)');
+};
+
+// --------- Posting ----------
+// Post one balanced journal on an open client. `legs` are signed amounts
+// (credit positive, debit negative) and must sum to zero. User wallets that
+// are debited are locked and checked so they can never go below zero.
+// `transactions` are the user-facing history rows written alongside it.
+export const postJournal = async (client, { kind, memo = null, legs, transactions = [] }) => {
+  if (!legs || legs.length < 2) {
+    throw new LedgerError('UNBALANCED', 'A journal needs at least two legs');
+  }
+  for (const leg of legs) {
+    if (!Number.isInteger(leg.amount) || leg.amount === 0) {
+      throw new LedgerError('INVALID_AMOUNT', `Invalid amount on ${leg.account}`);
+    }
+  }
+  if (legs.reduce((sum, leg) => sum + leg.amount, 0) !== 0) {
+    throw new LedgerError('UNBALANCED', 'Journal legs do not balance');
+  }
+
+  // Net movement per user wallet
+  const deltas = new Map();
+  for (const leg of legs) {
+    const username = usernameFromAccount(leg.account);
+    if (username !== null) {
+      deltas.set(username, (deltas.get(username) || 0) + leg.amount);
+    }
+  }
+
+  // Lock in a stable order so two concurrent journals can't deadlock
+  const usernames = [...deltas.keys()].sort();
+  const balances = {};
+  if (usernames.length > 0) {
+    const locked = await client.query(
+      'SELECT username, balance FROM users WHERE username = ANY($1) ORDER BY username FOR UPDATE',
+      [usernames]
+    );
+    for (const row of locked.rows) {
+      balances[row.username] = row.balance;
+    }
+  }
+
+  for (const username of usernames) {
+    if (balances[username] === undefined) {
+      throw new LedgerError('ACCOUNT_NOT_FOUND', `User '${username}' not found`, { username });
+    }
+    const delta = deltas.get(username);
+    if (balances[username] + delta < 0) {
+      throw new LedgerError('INSUFFICIENT_FUNDS', 'Insufficient funds', {
+        username,
+        balance: balances[username],
+        amount: -delta
+      });
+    }
+  }
+
+  const journal = await client.query(
+    'INSERT INTO ledger_journals (kind, memo) VALUES ($1, $2) RETURNING id',
+    [kind, memo]
+  );
+  const journalId = journal.rows[0].id;
+
+  for (const leg of legs) {
+    await client.query(
+      'INSERT INTO ledger_entries (journal_id, account, amount) VALUES ($1, $2, $3)',
+      [journalId, leg.account, leg.amount]
+    );
+  }
+
+  for (const username of usernames) {
+    const updated = await client.query(
+      'UPDATE users SET balance = balance + $1 WHERE username = $2 RETURNING balance',
+      [deltas.get(username), username]
+    );
+    balances[username] = updated.rows[0].balance;
+  }
+
+  for (const t of transactions) {
+    await client.query(
+      'INSERT INTO transactions (username, type, amount, to_user, journal_id) VALUES ($1, $2, $3, $4, $5)',
+      [t.username, t.type, t.amount, t.toUser ?? null, journalId]
+    );
+  }
+
+  return { journalId, balances };
+};
+
+// Two-legged movement from one account to another in its own transaction
+export const moveMoney = ({ from, to, amount, kind, memo, transactions }) =>
+  withTransaction((client) =>
+    postJournal(client, {
+      kind,
+      memo,
+      legs: [
+        { account: from, amount: -amount },
+        { account: to, amount }
+      ],
+      transactions
+    })
+  );
+
+// --------- Reads ----------
+export const getAccountBalance = async (account, client = pool) => {
+  const result = await client.query(
+    'SELECT COALESCE(SUM(amount), 0)::int AS balance FROM ledger_entries WHERE account=$1',
+    [account]
+  );
+  return result.rows[0].balance;
+};
+
+// --------- Reconciliation ----------
+// Users created before the ledger existed have a balance but no entries.
+// Give each of them an opening journal so the two agree from here on.
+export const backfillOpeningBalances = async () => {
+  const result = await pool.query(`
+    SELECT u.username, u.balance
+    FROM users u
+    LEFT JOIN ledger_entries e ON e.account = 'user:' || u.username
+    WHERE u.balance <> 0 AND e.id IS NULL
+  `);
+
+  for (const row of result.rows) {
+    await withTransaction(async (client) => {
+      const journal = await client.query(
+        'INSERT INTO ledger_journals (kind, memo) VALUES ($1, $2) RETURNING id',
+        ['opening_balance', 'Backfilled from users.balance']
+      );
+      const journalId = journal.rows[0].id;
+      await client.query(
+        'INSERT INTO ledger_entries (journal_id, account, amount) VALUES ($1, $2, $3), ($1, $4, $5)',
+        [journalId, SYSTEM_ACCOUNTS.opening, -row.balance, userAccount(row.username), row.balance]
+      );
+    });
+  }
+
+  return result.rows.length;
+};
+
+// Users whose cached balance has drifted from what the ledger says
+export const findBalanceMismatches = async () => {
+  const result = await pool.query(`
+    SELECT * FROM (
+      SELECT u.username, u.balance, COALESCE(SUM(e.amount), 0)::int AS ledger_balance
+      FROM users u
+      LEFT JOIN ledger_entries e ON e.account = 'user:' || u.username
+      GROUP BY u.username, u.balance
+    ) totals
+    WHERE balance <> ledger_balance
+  `);
+  return result.rows;
+};
@@ -0,0 +1,407 @@
+import { pool } from './db.js';
+import { INCOMING_TYPES } from './history.js';
+import { dueContributions, lateContributions } from './esusu.js';
+import { normalizeAccountNumber } from './billers.js';
+
+// --------- Config ----------
+// A balance under LOW_BALANCE_THRESHOLD after a payment gets one warning
+// until it is topped up again; users can set their own level, 0 turns it off
+const LOW_BALANCE_THRESHOLD = parseInt(process.env.LOW_BALANCE_THRESHOLD || '1000', 10);
+// How far ahead members hear about an esusu contribution or a scanned bill
+const ESUSU_DUE_NOTICE_HOURS = parseFloat(process.env.ESUSU_DUE_NOTICE_HOURS || '24');
+const BILL_DUE_NOTICE_DAYS = parseInt(process.env.BILL_DUE_NOTICE_DAYS || '3', 10);
+// Events are looked for in rows stamped this recently. A row is stamped
+// when its database transaction starts, so this must outlast the slowest
+// one to commit; dedupe keys stop anything being sent twice.
+const LOOKBACK_MINUTES = parseFloat(process.env.NOTIFICATION_LOOKBACK_MINUTES || '60');
+const INBOX_PAGE_SIZE = 20;
+const INBOX_MAX_PAGE_SIZE = 100;
+
+export const LANGUAGES = ['english', 'pidgin', 'yoruba', 'igbo', 'hausa'];
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// --------- Errors ----------
+// Codes: INVALID_SETTING.
+export class NotificationError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'NotificationError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// --------- Schema ----------
+// Each notification is one event for one user: `kind` says what happened
+// and `data` holds what the app needs to word it, in whatever language the
+// user reads it in. dedupe_key stops the same event being sent twice.
+// bill_due_dates are the due dates of scanned bills.
+export const createNotificationTables = async () => {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS notifications (
+      id SERIAL PRIMARY KEY,
+      username TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      data JSONB NOT NULL DEFAULT '{}',
+      dedupe_key TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      read_at TIMESTAMP
+    )
+  `);
+  await pool.query('CREATE UNIQUE INDEX IF NOT EXISTS notifications_dedupe_idx ON notifications(username, dedupe_key)');
+  await pool.query('CREATE INDEX IF NOT EXISTS notifications_inbox_idx ON notifications(username, read_at)');
+
+  // language is the user's choice; chat_language the one they last spoke in
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS notification_settings (
+      username TEXT PRIMARY KEY,
+      language TEXT,
+      chat_language TEXT,
+      low_balance_threshold INTEGER,
+      low_balance_alerted BOOLEAN DEFAULT false,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS bill_due_dates (
+      id SERIAL PRIMARY KEY,
+      username TEXT NOT NULL,
+      provider TEXT NOT NULL,
+      biller_id TEXT,
+      account_number TEXT,
+      amount INTEGER,
+      due_date TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      paid_at TIMESTAMP,
+      UNIQUE (username, provider, due_date)
+    )
+  `);
+};
+
+// --------- Delivery ----------
+// Open app sessions listen here for their user's new notifications. This
+// is per process: a session sees what the process it is connected to sends.
+const listeners = new Map();
+
+export const subscribeNotifications = (username, listener) => {
+  if (!listeners.has(username)) listeners.set(username, new Set());
+  listeners.get(username).add(listener);
+  return () => {
+    const set = listeners.get(username);
+    set?.delete(listener);
+    if (set?.size === 0) listeners.delete(username);
+  };
+};
+
+const publish = (notification) => {
+  for (const listener of listeners.get(notification.username) || []) {
+    try {
+      listener(notification);
+    } catch (err) {
+      console.error('Notification listener error:', err);
+    }
+  }
+};
+
+const toNotification = (row) => ({
+  id: row.id,
+  username: row.username,
+  kind: row.kind,
+  data: typeof row.data === 'string' ? JSON.parse(row.data) : row.data,
+  createdAt: row.created_at,
+  readAt: row.read_at
+});
+
+// Stores the event and pushes it to the user's open sessions. Resolves to
+// the notification, or null if one with the same key was already sent.
+export const notify = async (username, kind, data, key) => {
+  const result = await pool.query(
+    `INSERT INTO notifications (username, kind, data, dedupe_key) VALUES ($1, $2, $3, $4)
+     ON CONFLICT (username, dedupe_key) DO NOTHING
+     RETURNING *`,
+    [username, kind, JSON.stringify(data), key]
+  );
+  if (result.rows.length === 0) return null;
+  const notification = toNotification(result.rows[0]);
+  publish(notification);
+  return notification;
+};
+
+// --------- Inbox ----------
+// Newest first, `limit` at a time; `before` is the id to page back from.
+// Resolves to { notifications, unread } where unread counts the whole inbox.
+export const listNotifications = async (username, { unreadOnly = false, limit = INBOX_PAGE_SIZE, before = null } = {}) => {
+  const size = Math.min(Math.max(parseInt(limit, 10) || INBOX_PAGE_SIZE, 1), INBOX_MAX_PAGE_SIZE);
+  const conditions = ['username=$1'];
+  const params = [username];
+  if (unreadOnly) conditions.push('read_at IS NULL');
+  if (before) {
+    params.push(parseInt(before, 10));
+    conditions.push(`id < $${params.length}`);
+  }
+  params.push(size);
+  const result = await pool.query(
+    `SELECT * FROM notifications WHERE ${conditions.join(' AND ')} ORDER BY id DESC LIMIT $${params.length}`,
+    params
+  );
+  return { notifications: result.rows.map(toNotification), unread: await countUnread(username) };
+};
+
+export const countUnread = async (username) => {
+  const result = await pool.query(
+    'SELECT COUNT(*)::int AS count FROM notifications WHERE username=$1 AND read_at IS NULL',
+    [username]
+  );
+  return result.rows[0].count;
+};
+
+// Marks the given ids read, or the whole inbox without ids. Resolves to how
+// many were unread.
+export const markNotificationsRead = async (username, ids = null) => {
+  if (ids) {
+    let marked = 0;
+    for (const id of ids.map((i) => parseInt(i, 10)).filter(Number.isInteger)) {
+      const result = await pool.query(
+        'UPDATE notifications SET read_at=NOW() WHERE username=$1 AND id=$2 AND read_at IS NULL',
+        [username, id]
+      );
+      marked += result.rowCount;
+    }
+    return marked;
+  }
+  const result = await pool.query(
+    'UPDATE notifications SET read_at=NOW() WHERE username=$1 AND read_at IS NULL',
+    [username]
+  );
+  return result.rowCount;
+};
+
+// --------- Settings ----------
+const loadSettings = async (username) => {
+  const result = await pool.query('SELECT * FROM notification_settings WHERE username=$1', [username]);
+  return result.rows[0] || {};
+};
+
+// { language, chatLanguage, speakLanguage, lowBalanceThreshold }: SARA
+// speaks notifications in the chosen language, or else the last one the
+// user chatted in
+export const getNotificationSettings = async (username) => {
+  const row = await loadSettings(username);
+  return {
+    language: row.language || null,
+    chatLanguage: row.chat_language || null,
+    speakLanguage: row.language || row.chat_language || 'english',
+    lowBalanceThreshold: row.low_balance_threshold ?? LOW_BALANCE_THRESHOLD
+  };
+};
+
+export const preferredLanguage = async (username) => (await getNotificationSettings(username)).speakLanguage;
+
+// { language?, lowBalanceThreshold? }: a null language goes back to
+// following the chat
+export const updateNotificationSettings = async (username, { language, lowBalanceThreshold }) => {
+  if (language !== undefined && language !== null && !LANGUAGES.includes(language)) {
+    throw new NotificationError('INVALID_SETTING', `language must be one of ${LANGUAGES.join(', ')}.`, { field: 'language' });
+  }
+  const threshold = lowBalanceThreshold === undefined ? undefined : Number(lowBalanceThreshold);
+  if (threshold !== undefined && (!Number.isInteger(threshold) || threshold < 0)) {
+    throw new NotificationError('INVALID_SETTING', 'lowBalanceThreshold must be a whole naira amount, or 0 for no warning.', {
+      field: 'lowBalanceThreshold'
+    });
+  }
+
+  const current = await loadSettings(username);
+  await pool.query(
+    `INSERT INTO notification_settings (username, language, low_balance_threshold) VALUES ($1, $2, $3)
+     ON CONFLICT (username) DO UPDATE SET language=EXCLUDED.language, low_balance_threshold=EXCLUDED.low_balance_threshold,
+       updated_at=CURRENT_TIMESTAMP`,
+    [
+      username,
+      language === undefined ? current.language || null : language,
+      threshold === undefined ? current.low_balance_threshold ?? null : threshold
+    ]
+  );
+  return getNotificationSettings(username);
+};
+
+export const rememberChatLanguage = async (username, lang) => {
+  if (!LANGUAGES.includes(lang)) return;
+  await pool.query(
+    `INSERT INTO notification_settings (username, chat_language) VALUES ($1, $2)
+     ON CONFLICT (username) DO UPDATE SET chat_language=EXCLUDED.chat_language`,
+    [username, lang]
+  );
+};
+
+// --------- Bill due dates ----------
+const isoDay = (date) => date.toISOString().slice(0, 10);
+
+// Remembers the due date read off a scanned bill, so the user hears about
+// it before then. Resolves to the stored { id, provider, dueDate } or null
+// for a bill with no future due date.
+export const trackBillDueDate = async (username, billData) => {
+  const { provider, dueDate, billerId, accountNumber, amount } = billData || {};
+  if (!provider || !dueDate || dueDate < isoDay(new Date())) return null;
+  const result = await pool.query(
+    `INSERT INTO bill_due_dates (username, provider, biller_id, account_number, amount, due_date)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (username, provider, due_date) DO UPDATE SET biller_id=EXCLUDED.biller_id,
+       account_number=EXCLUDED.account_number, amount=EXCLUDED.amount
+     RETURNING *`,
+    [username, provider, billerId || null, accountNumber ? normalizeAccountNumber(accountNumber) : null, amount ? Math.round(amount) : null, dueDate]
+  );
+  const row = result.rows[0];
+  return { id: row.id, provider: row.provider, dueDate: row.due_date };
+};
+
+// A payment to the biller settles the due dates tracked for that account,
+// or for any account with them if the scan couldn't read its number
+export const markBillPaid = async (username, { billerId, accountNumber }) => {
+  await pool.query(
+    `UPDATE bill_due_dates SET paid_at=NOW()
+     WHERE username=$1 AND biller_id=$2 AND (account_number=$3 OR account_number IS NULL) AND paid_at IS NULL`,
+    [username, billerId, normalizeAccountNumber(accountNumber)]
+  );
+};
+
+// --------- Checks ----------
+// Warn once when a payment leaves the balance under the user's threshold,
+// and again only after it has been back above it
+const checkLowBalance = async (username, spent, transactionId) => {
+  const users = await pool.query('SELECT balance FROM users WHERE username=$1', [username]);
+  if (users.rows.length === 0) return null;
+  const balance = users.rows[0].balance;
+  const settings = await loadSettings(username);
+  const threshold = settings.low_balance_threshold ?? LOW_BALANCE_THRESHOLD;
+  const alerted = Boolean(settings.low_balance_alerted);
+  const low = threshold > 0 && balance < threshold;
+  if (low === alerted || (low && !spent)) return null;
+
+  await pool.query(
+    `INSERT INTO notification_settings (username, low_balance_alerted) VALUES ($1, $2)
+     ON CONFLICT (username) DO UPDATE SET low_balance_alerted=EXCLUDED.low_balance_alerted`,
+    [username, low]
+  );
+  return low
+    ? notify(username, 'low_balance', { balance, threshold }, `low_balance:${transactionId}`)
+    : null;
+};
+
+const checkTransactions = async (now) => {
+  const since = new Date(now.getTime() - LOOKBACK_MINUTES * 60 * 1000);
+  // Money in that hasn't been notified yet. Ids aren't handed out in
+  // commit order, so this reads a time window rather than past a last id.
+  const incoming = await pool.query(
+    `SELECT t.* FROM transactions t
+     LEFT JOIN notifications n ON n.username = t.username AND n.dedupe_key = 'transaction:' || t.id::text
+     WHERE t.date >= $1 AND t.type IN ('Received', 'Esusu Payout') AND n.id IS NULL
+     ORDER BY t.id`,
+    [since]
+  );
+  const sent = [];
+  for (const t of incoming.rows) {
+    if (t.type === 'Received') {
+      sent.push(await notify(t.username, 'money_received', { from: t.to_user, amount: t.amount }, `transaction:${t.id}`));
+    } else if (t.type === 'Esusu Payout') {
+      sent.push(await notify(t.username, 'esusu_payout', { group: t.to_user, amount: t.amount }, `transaction:${t.id}`));
+    }
+  }
+
+  // One balance check per user, after their last transaction in the window
+  const recent = await pool.query('SELECT id, username, type, status FROM transactions WHERE date >= $1 ORDER BY id', [since]);
+  const last = new Map();
+  for (const t of recent.rows) {
+    const spent = !INCOMING_TYPES.includes(t.type) && t.status !== 'failed';
+    last.set(t.username, { id: t.id, spent: spent || Boolean(last.get(t.username)?.spent) });
+  }
+  for (const [username, { id, spent }] of last) {
+    sent.push(await checkLowBalance(username, spent, id));
+  }
+  return sent;
+};
+
+// New requests for the payer, reminders and declines, all read off the
+// requests themselves: one from the last day is only ever sent once
+const checkPaymentRequests = async (now) => {
+  const since = new Date(now.getTime() - DAY_MS);
+  const sent = [];
+  const asked = await pool.query(
+    `SELECT r.* FROM payment_requests r
+     LEFT JOIN notifications n ON n.username = r.payer AND n.dedupe_key = 'request:' || r.id::text
+     WHERE r.status = 'pending' AND r.created_at >= $1 AND n.id IS NULL
+     ORDER BY r.id`,
+    [since]
+  );
+  for (const r of asked.rows) {
+    const data = { requestId: r.id, requester: r.requester, amount: r.amount, note: r.note, split: Boolean(r.split_id) };
+    sent.push(await notify(r.payer, 'request_received', data, `request:${r.id}`));
+  }
+
+  const reminded = await pool.query(
+    "SELECT * FROM payment_requests WHERE status='pending' AND reminded_at >= $1 ORDER BY id",
+    [since]
+  );
+  for (const r of reminded.rows) {
+    const data = { requestId: r.id, requester: r.requester, amount: r.amount, note: r.note };
+    sent.push(await notify(r.payer, 'request_reminder', data, `request_reminder:${r.id}:${r.reminder_count}`));
+  }
+
+  const declined = await pool.query(
+    "SELECT * FROM payment_requests WHERE status='declined' AND responded_at >= $1 ORDER BY id",
+    [since]
+  );
+  for (const r of declined.rows) {
+    const data = { requestId: r.id, payer: r.payer, amount: r.amount, note: r.note };
+    sent.push(await notify(r.requester, 'request_declined', data, `request_declined:${r.id}`));
+  }
+  return sent;
+};
+
+const checkEsusu = async (now) => {
+  const sent = [];
+  for (const due of await dueContributions(now, ESUSU_DUE_NOTICE_HOURS * HOUR_MS)) {
+    const data = { groupId: due.groupId, group: due.groupName, cycle: due.cycle, amount: due.amount, dueAt: due.dueAt, auto: due.auto };
+    sent.push(await notify(due.username, 'esusu_due', data, `esusu_due:${due.groupId}:${due.cycle}`));
+  }
+  for (const late of await lateContributions()) {
+    const data = {
+      groupId: late.groupId,
+      group: late.groupName,
+      cycle: late.cycle,
+      amount: late.amount,
+      lateFee: late.lateFee,
+      graceEndsAt: late.graceEndsAt
+    };
+    sent.push(await notify(late.username, 'esusu_late', data, `esusu_late:${late.groupId}:${late.cycle}`));
+  }
+  return sent;
+};
+
+const checkBills = async (now) => {
+  const result = await pool.query(
+    'SELECT * FROM bill_due_dates WHERE paid_at IS NULL AND due_date >= $1 AND due_date <= $2 ORDER BY id',
+    [isoDay(now), isoDay(new Date(now.getTime() + BILL_DUE_NOTICE_DAYS * DAY_MS))]
+  );
+  const sent = [];
+  for (const bill of result.rows) {
+    const data = { provider: bill.provider, accountNumber: bill.account_number, amount: bill.amount, dueDate: bill.due_date };
+    sent.push(await notify(bill.username, 'bill_due', data, `bill_due:${bill.id}`));
+  }
+  return sent;
+};
+
+// One pass over everything that can warrant a notification. Safe to run
+// as often as you like: each event is sent once. Resolves to the
+// notifications sent.
+export const runNotificationChecks = async (now = new Date()) => {
+  const sent = [
+    ...(await checkTransactions(now)),
+    ...(await checkPaymentRequests(now)),
+    ...(await checkEsusu(now)),
+    ...(await checkBills(now))
+  ];
+  return sent.filter(Boolean);
+};
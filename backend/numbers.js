@@ -0,0 +1,237 @@
+// --------- Amount Understanding ----------
+// Turns what people type or what speech recognition hears into naira amounts:
+// "₦1,500", "2k", "five thousand naira", "two thousand five hundred",
+// Yoruba "ẹgbẹ̀rún márùn-ún", Igbo "puku ise", Hausa "dubu biyar".
+// parseAmount never guesses between readings; it reports them so the caller
+// can ask a follow-up question.
+
+// Strip tone marks and dots below, and flatten Hausa hooked letters
+const fold = (text) =>
+  text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[ɓƁ]/g, 'b')
+    .replace(/[ɗƊ]/g, 'd')
+    .replace(/[ƙƘ]/g, 'k')
+    .replace(/[ƴƳ]/g, 'y')
+    .toLowerCase();
+
+// Plain values. English and Pidgin share the first block.
+const UNITS = {
+  // English / Pidgin
+  zero: 0, a: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+  seventeen: 17, eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40, fourty: 40,
+  fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90,
+  // Yoruba (counting and adjectival forms)
+  ookan: 1, okan: 1, kan: 1, eeji: 2, meji: 2, eeta: 3, meta: 3, eerin: 4, merin: 4,
+  aarun: 5, marun: 5, eefa: 6, mefa: 6, eeje: 7, meje: 7, eejo: 8, mejo: 8,
+  eesan: 9, mesan: 9, eewa: 10, mewa: 10, ogun: 20, ogbon: 30, ogoji: 40, aadota: 50,
+  ogota: 60, aadorin: 70, ogorin: 80, aadorun: 90, igba: 200, irinwo: 400,
+  egbeta: 600, egberin: 800, egbaa: 2000,
+  // Igbo
+  otu: 1, abuo: 2, ato: 3, ano: 4, ise: 5, isii: 6, asaa: 7, asato: 8, itoolu: 9, iteghete: 9,
+  // Hausa
+  daya: 1, biyu: 2, uku: 3, hudu: 4, biyar: 5, shida: 6, bakwai: 7, takwas: 8, tara: 9,
+  goma: 10, ashirin: 20, talatin: 30, "arba'in": 40, arbain: 40, hamsin: 50, sittin: 60,
+  "saba'in": 70, sabain: 70, tamanin: 80, "casa'in": 90, casain: 90
+};
+
+// English puts the multiplier first ("five thousand"); Yoruba, Igbo and
+// Hausa put it after ("egberun marun", "puku ise", "dubu biyar").
+const SCALES = {
+  hundred: { value: 100, style: 'post' },
+  thousand: { value: 1000, style: 'post' },
+  grand: { value: 1000, style: 'post' },
+  k: { value: 1000, style: 'post' },
+  million: { value: 1000000, style: 'post' },
+  m: { value: 1000000, style: 'post' },
+  // Yoruba
+  ogorun: { value: 100, style: 'pre' },
+  egberun: { value: 1000, style: 'pre' },
+  oke: { value: 20000, style: 'pre' },
+  milionu: { value: 1000000, style: 'pre' },
+  // Igbo
+  iri: { value: 10, style: 'pre' },
+  nari: { value: 100, style: 'pre' },
+  puku: { value: 1000, style: 'pre' },
+  nde: { value: 1000000, style: 'pre' },
+  // Hausa
+  dari: { value: 100, style: 'pre' },
+  dubu: { value: 1000, style: 'pre' },
+  miliyan: { value: 1000000, style: 'pre' }
+};
+
+const CONNECTORS = new Set(['and', 'ati', 'na', 'da']);
+
+// Number words that are also everyday words ("e ku ise", "igba" = time,
+// "ogun" = Ogun). On their own they only count when marked as naira.
+const WEAK_WORDS = new Set(['a', 'kan', 'ise', 'ogun', 'igba', 'oke', 'ano', 'ato', 'uku', 'tara', 'otu', 'iri']);
+const CURRENCY = new Set(['naira', 'nairas', 'ngn', '₦']);
+
+// A number followed by one of these is not money
+const NON_MONEY_UNITS = new Set([
+  'gb', 'mb', 'tb', 'kb', 'minute', 'minutes', 'mins', 'hour', 'hours', 'hrs', 'day', 'days',
+  'week', 'weeks', 'month', 'months', 'year', 'years', 'percent', '%', 'st', 'nd', 'rd', 'th',
+  'am', 'pm', 'people', 'members', 'times'
+]);
+
+// A figure: "1500", "1,500", "1,500.50", "2.5" (optionally "2k", "1.5m")
+const FIGURE = /^(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d+))?(k|m)?$/;
+
+const classify = (word) => {
+  if (CURRENCY.has(word)) return { kind: 'currency' };
+  if (CONNECTORS.has(word)) return { kind: 'and', word };
+
+  const figure = word.match(FIGURE);
+  if (figure) {
+    const [, whole, fraction, suffix] = figure;
+    const digits = whole.replace(/,/g, '');
+    // Phone and account numbers start with 0 or run long: not amounts
+    if ((digits.length > 1 && digits.startsWith('0')) || digits.length > 9) {
+      return { kind: 'other', word };
+    }
+    let value = parseFloat(`${digits}${fraction ? `.${fraction}` : ''}`);
+    if (suffix) value *= suffix === 'k' ? 1000 : 1000000;
+    return { kind: 'num', value, figure: true };
+  }
+
+  if (Object.prototype.hasOwnProperty.call(SCALES, word)) return { kind: 'scale', ...SCALES[word], word };
+  if (Object.prototype.hasOwnProperty.call(UNITS, word)) return { kind: 'num', value: UNITS[word], word };
+  if (NON_MONEY_UNITS.has(word)) return { kind: 'unit', word };
+  return { kind: 'other', word };
+};
+
+const tokenize = (text) =>
+  fold(text)
+    .replace(/₦\s*/g, ' ₦ ')
+    .replace(/\bn(?=\d)/g, ' ₦ ')               // "N1500"
+    .replace(/(\d)\s*%/g, '$1 %')
+    .replace(/(\d)(gb|mb|tb|kb)\b/g, '$1 $2')    // "1GB" -> "1 gb"
+    .replace(/-(un|an|in)\b/g, '')               // Yoruba "marun-un", "mesan-an"
+    .replace(/(\w)-(\w)/g, '$1 $2')              // "twenty-five"
+    .split(/[^\w,.'₦%]+/)
+    .map((w) => w.replace(/^[,.']+|[,.']+$/g, ''))
+    .filter(Boolean)
+    .map(classify);
+
+// --------- Runs ----------
+// Group adjacent number words into runs: "two thousand five hundred naira"
+const isNumeric = (t) => t && (t.kind === 'num' || t.kind === 'scale');
+
+const findRuns = (tokens) => {
+  const runs = [];
+  let i = 0;
+  while (i < tokens.length) {
+    if (!isNumeric(tokens[i])) { i++; continue; }
+
+    const start = i;
+    const run = [];
+    while (i < tokens.length) {
+      const t = tokens[i];
+      if (isNumeric(t)) { run.push(t); i++; continue; }
+      if (t.kind === 'and' && isNumeric(tokens[i + 1]) && run.length > 0) { run.push(t); i++; continue; }
+      break;
+    }
+
+    const next = tokens[i];
+    const prev = tokens[start - 1];
+    const currency = Boolean((next && next.kind === 'currency') || (prev && prev.kind === 'currency'));
+    const weak = run.length === 1 && WEAK_WORDS.has(run[0].word);
+    if ((!weak || currency) && !(next && next.kind === 'unit')) {
+      runs.push({ tokens: run, currency });
+    }
+  }
+  return runs;
+};
+
+// --------- Run evaluation ----------
+// English order. Nigerian speech often says "two thousand five" for 2,500,
+// so a bare unit straight after "thousand" gives two readings.
+const evaluatePost = (tokens) => {
+  let total = 0;
+  let current = 0;
+  let trailingUnit = null;
+  let lastScale = null;
+
+  for (const t of tokens) {
+    if (t.kind === 'and') continue;
+    if (t.kind === 'num') {
+      current += t.value;
+      trailingUnit = lastScale && lastScale >= 1000 && current === t.value && t.value < 10 ? t.value : null;
+      continue;
+    }
+    trailingUnit = null;
+    if (t.value >= 1000) {
+      total += (current || 1) * t.value;
+      current = 0;
+    } else {
+      current = (current || 1) * t.value;
+    }
+    lastScale = t.value;
+  }
+
+  const value = total + current;
+  if (trailingUnit !== null) {
+    return [value, value - trailingUnit + trailingUnit * (lastScale / 10)];
+  }
+  return [value];
+};
+
+// Yoruba / Igbo / Hausa order: scale, then its multiplier. Connectors add
+// at the top level ("dubu biyu da dari biyar" = 2,500) and end a multiplier.
+const evaluatePre = (tokens, start = 0, limit = Infinity) => {
+  let value = 0;
+  let i = start;
+
+  while (i < tokens.length) {
+    const t = tokens[i];
+    if (t.kind === 'and') {
+      if (limit !== Infinity) break;
+      i++;
+      continue;
+    }
+    if (t.kind === 'scale') {
+      if (t.value >= limit) break;
+      const [multiplier, next] = evaluatePre(tokens, i + 1, t.value);
+      value += t.value * (multiplier || 1);
+      i = next;
+      continue;
+    }
+    value += t.value;
+    i++;
+  }
+
+  return [value, i];
+};
+
+const evaluateRun = (run) => {
+  const hasPreScale = run.tokens.some((t) => t.kind === 'scale' && t.style === 'pre');
+  return hasPreScale ? [evaluatePre(run.tokens)[0]] : evaluatePost(run.tokens);
+};
+
+// --------- Public API ----------
+// Resolves to { amount, ambiguous, candidates }:
+//   amount      whole naira (kobo dropped), or null when there is none or it is unclear
+//   ambiguous   true when more than one reading is plausible
+//   candidates  every distinct reading, best first
+export const parseAmount = (text) => {
+  const runs = findRuns(tokenize(String(text || '')));
+  const readings = runs
+    .map((run) => ({ run, values: evaluateRun(run).map(Math.floor).filter((v) => v > 0) }))
+    .filter((r) => r.values.length > 0);
+
+  if (readings.length === 0) {
+    return { amount: null, ambiguous: false, candidates: [] };
+  }
+
+  // Naira-marked figures beat anything else in the sentence
+  const marked = readings.filter((r) => r.run.currency);
+  const chosen = marked.length === 1 ? marked : readings;
+  const candidates = [...new Set(chosen.flatMap((r) => r.values))];
+
+  if (candidates.length === 1) {
+    return { amount: candidates[0], ambiguous: false, candidates };
+  }
+  return { amount: null, ambiguous: true, candidates };
+};
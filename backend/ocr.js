@@ -0,0 +1,139 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// --------- Config ----------
+// 'local' (default) runs Tesseract in-process; 'stub' answers from a fixture
+// file keyed by the image's SHA-256, for tests and offline demos.
+const OCR_BACKEND = process.env.OCR_BACKEND || 'local';
+const OCR_LANG_PATH = process.env.OCR_LANG_PATH || null;
+const OCR_TIMEOUT_MS = parseInt(process.env.OCR_TIMEOUT_MS, 10) || 30000;
+const OCR_STUB_FIXTURES = process.env.OCR_STUB_FIXTURES ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'ocr-stub.json');
+
+// Phone photos arrive already downscaled by the app; anything much bigger
+// than this is not a bill photo
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+
+// --------- Errors ----------
+// Codes: INVALID_IMAGE, IMAGE_TOO_LARGE, OCR_UNAVAILABLE, OCR_FAILED
+export class OcrError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'OcrError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// --------- Preprocessing ----------
+// The app greyscales, stretches contrast and downscales the photo before
+// upload (see preprocessBillImage in App.jsx). Here we only unpack the data
+// URL and refuse what the OCR engine can't read.
+export const decodeImage = (imageData) => {
+  const match = String(imageData || '').match(/^data:([\w/+.-]+);base64,(.+)$/s);
+  if (!match) {
+    throw new OcrError('INVALID_IMAGE', "That doesn't look like an image. Please upload a photo of the bill.");
+  }
+
+  const [, mimeType, base64] = match;
+  if (!IMAGE_TYPES.includes(mimeType)) {
+    throw new OcrError('INVALID_IMAGE', 'Please upload a PNG, JPEG or WebP photo of the bill.', { mimeType });
+  }
+
+  const buffer = Buffer.from(base64, 'base64');
+  if (buffer.length === 0) {
+    throw new OcrError('INVALID_IMAGE', 'The image is empty. Please try again.');
+  }
+  if (buffer.length > MAX_IMAGE_BYTES) {
+    throw new OcrError('IMAGE_TOO_LARGE', 'That photo is too large. Please upload one under 5MB.', { bytes: buffer.length });
+  }
+
+  return {
+    buffer,
+    mimeType,
+    sha256: crypto.createHash('sha256').update(buffer).digest('hex')
+  };
+};
+
+// --------- Backends ----------
+// A backend takes a decoded image and resolves to { text, confidence } with
+// confidence between 0 and 1 for the page as a whole.
+const withTimeout = (promise, what) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${what} timed out after ${OCR_TIMEOUT_MS}ms`)), OCR_TIMEOUT_MS);
+    timer.unref();
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// One Tesseract worker is started on first use and shared. If it fails to
+// start (e.g. the language data can't be fetched) the next scan tries again.
+let workerPromise = null;
+const startWorker = async () => {
+  let tesseract;
+  try {
+    tesseract = await import('tesseract.js');
+  } catch {
+    throw new OcrError('OCR_UNAVAILABLE', 'Bill scanning is not available right now.');
+  }
+  return tesseract.createWorker('eng', 1, {
+    ...(OCR_LANG_PATH ? { langPath: OCR_LANG_PATH } : {}),
+    // Without a handler, worker errors are rethrown outside any promise
+    errorHandler: (err) => console.error('Tesseract worker error:', err.message || err)
+  });
+};
+
+const localBackend = {
+  name: 'local',
+  recognize: async ({ buffer }) => {
+    if (!workerPromise) {
+      workerPromise = withTimeout(startWorker(), 'Starting Tesseract').catch((err) => {
+        workerPromise = null;
+        throw err;
+      });
+    }
+
+    const worker = await workerPromise;
+    const { data } = await withTimeout(worker.recognize(buffer), 'Recognition');
+    return { text: data.text || '', confidence: (data.confidence || 0) / 100 };
+  }
+};
+
+let stubFixtures = null;
+const stubBackend = {
+  name: 'stub',
+  recognize: async ({ sha256 }) => {
+    if (!stubFixtures) {
+      stubFixtures = JSON.parse(fs.readFileSync(OCR_STUB_FIXTURES, 'utf8'));
+    }
+    const fixture = stubFixtures[sha256];
+    if (!fixture) return { text: '', confidence: 0 };
+    return { text: fixture.text, confidence: fixture.confidence ?? 0.95 };
+  }
+};
+
+const BACKENDS = { local: localBackend, stub: stubBackend };
+
+if (!BACKENDS[OCR_BACKEND]) {
+  console.warn(`Unknown OCR_BACKEND "${OCR_BACKEND}"; using the local engine.`);
+}
+
+// --------- Public API ----------
+// Resolves to { text, confidence, backend, sha256 }
+export const recognizeImage = async (imageData) => {
+  const image = decodeImage(imageData);
+  const backend = BACKENDS[OCR_BACKEND] || localBackend;
+
+  try {
+    const { text, confidence } = await backend.recognize(image);
+    return { text, confidence, backend: backend.name, sha256: image.sha256 };
+  } catch (err) {
+    if (err instanceof OcrError) throw err;
+    console.error(`OCR (${backend.name}) error:`, err.message);
+    throw new OcrError('OCR_FAILED', "I couldn't read that photo. Please try again in better light.");
+  }
+};
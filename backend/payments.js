@@ -0,0 +1,582 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { pool, withTransaction } from './db.js';
+import { SYSTEM_ACCOUNTS, userAccount, postJournal } from './ledger.js';
+import { resolveBank, isValidNuban } from './banks.js';
+import { NETWORKS, describeLine } from './telcos.js';
+
+// --------- Config ----------
+// 'simulator' (default) settles everything in memory against a fixture of
+// bank accounts; 'flutterwave' calls the Flutterwave v3 API. The secret key
+// stays on the server and is never sent to the app.
+const PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER || 'simulator';
+const FLUTTERWAVE_SECRET_KEY = process.env.FLUTTERWAVE_SECRET_KEY || null;
+const FLUTTERWAVE_BASE_URL = process.env.FLUTTERWAVE_BASE_URL || 'https://api.flutterwave.com/v3';
+const PAYMENT_TIMEOUT_MS = parseInt(process.env.PAYMENT_TIMEOUT_MS, 10) || 20000;
+const FLUTTERWAVE_WEBHOOK_HASH = process.env.FLUTTERWAVE_WEBHOOK_HASH || null;
+const SIMULATOR_FLOAT = parseInt(process.env.SIMULATOR_FLOAT, 10) || 50000000;
+const SIMULATOR_WEBHOOK_SECRET = process.env.SIMULATOR_WEBHOOK_SECRET || null;
+const SIMULATOR_ACCOUNTS = process.env.SIMULATOR_ACCOUNTS ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'bank-accounts.json');
+
+// --------- Errors ----------
+// Codes: INVALID_ACCOUNT, INVALID_BANK, INVALID_PHONE, ACCOUNT_NOT_FOUND,
+// DECLINED, PROVIDER_UNAVAILABLE, LOOKUP_FAILED, UNKNOWN_PROVIDER,
+// INVALID_SIGNATURE.
+export class PaymentError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'PaymentError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// --------- Provider adapters ----------
+// Every adapter has the same operations, all in whole naira:
+//   transfer({ reference, accountNumber, bankCode, amount, narration })
+//   airtime({ reference, phone, network, amount })
+//   data({ reference, phone, network, plan }) with a plan from telcos.js
+//     all three resolve to { providerReference, status } with status
+//     'successful' or 'pending', and throw a PaymentError when refused
+//   status({ kind, reference, providerReference }) resolves to
+//     { status, providerReference } with status 'successful', 'pending'
+//     or 'failed', or null when the provider has no record of it
+//   parseWebhook(headers, rawBody) checks the signature and resolves to
+//     { reference, status, providerReference }, or null for events we
+//     don't act on
+//   balance() resolves to { available, currency } for our float
+//   nameEnquiry({ accountNumber, bankCode }) resolves to { accountName },
+//     or null when the bank has no such account
+// `reference` is ours; sending the same one twice must not pay twice.
+const safeEqual = (given, expected) => {
+  const a = Buffer.from(String(given || ''));
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+let simulatorAccounts = null;
+const loadSimulatorAccounts = () => {
+  if (!simulatorAccounts) {
+    simulatorAccounts = JSON.parse(fs.readFileSync(SIMULATOR_ACCOUNTS, 'utf8'));
+  }
+  return simulatorAccounts;
+};
+
+const simulator = {
+  float: SIMULATOR_FLOAT,
+  settled: new Map()
+};
+
+// Fixture accounts can set `settles`: 'later' answers pending and succeeds
+// on the next status check, 'fails' answers pending and then fails, and
+// 'declined' refuses straight away. Anything else settles at once.
+const simulatorSettle = (reference, amount, settles) => {
+  const earlier = simulator.settled.get(reference);
+  if (earlier) return { providerReference: earlier.providerReference, status: earlier.status };
+  if (settles === 'declined' || amount > simulator.float) {
+    throw new PaymentError('DECLINED', 'The payment was declined.', { reason: settles || 'insufficient float' });
+  }
+  simulator.float -= amount;
+  const deferred = settles === 'later' || settles === 'fails';
+  const result = {
+    providerReference: `SIM-${crypto.randomBytes(6).toString('hex').toUpperCase()}`,
+    status: deferred ? 'pending' : 'successful',
+    settles,
+    amount
+  };
+  simulator.settled.set(reference, result);
+  return { providerReference: result.providerReference, status: result.status };
+};
+
+const simulatorProvider = {
+  name: 'simulator',
+  transfer: async ({ reference, accountNumber, bankCode, amount }) => {
+    const account = loadSimulatorAccounts()[bankCode]?.[accountNumber];
+    if (!account) {
+      throw new PaymentError('ACCOUNT_NOT_FOUND', 'The bank could not find that account.', { accountNumber, bankCode });
+    }
+    return simulatorSettle(reference, amount, account.settles);
+  },
+  airtime: async ({ reference, amount }) => simulatorSettle(reference, amount),
+  data: async ({ reference, plan }) => simulatorSettle(reference, plan.price),
+  status: async ({ reference }) => {
+    const result = simulator.settled.get(reference);
+    if (!result) return null;
+    if (result.status === 'pending') {
+      result.status = result.settles === 'fails' ? 'failed' : 'successful';
+      if (result.status === 'failed') simulator.float += result.amount;
+    }
+    return { status: result.status, providerReference: result.providerReference };
+  },
+  // Signed with an HMAC-SHA256 of the body in x-simulator-signature
+  parseWebhook: async (headers, rawBody) => {
+    const expected = SIMULATOR_WEBHOOK_SECRET &&
+      crypto.createHmac('sha256', SIMULATOR_WEBHOOK_SECRET).update(rawBody).digest('hex');
+    if (!expected || !safeEqual(headers['x-simulator-signature'], expected)) {
+      throw new PaymentError('INVALID_SIGNATURE', 'Invalid webhook signature');
+    }
+    const { reference, status, providerReference } = JSON.parse(rawBody.toString('utf8'));
+    return reference && status ? { reference, status, providerReference: providerReference || null } : null;
+  },
+  balance: async () => ({ available: simulator.float, currency: 'NGN' }),
+  nameEnquiry: async ({ accountNumber, bankCode }) => {
+    const account = loadSimulatorAccounts()[bankCode]?.[accountNumber];
+    return account ? { accountName: account.accountName } : null;
+  }
+};
+
+// Resolves to the response's `data`. Flutterwave answers refusals with a 4xx
+// and { status: 'error', message }; anything else means we couldn't get a
+// clear answer.
+const flutterwaveRequest = async (method, endpoint, body) => {
+  if (!FLUTTERWAVE_SECRET_KEY) {
+    throw new PaymentError('PROVIDER_UNAVAILABLE', 'Payments are not available right now.', {
+      reason: 'FLUTTERWAVE_SECRET_KEY is not set',
+      sent: false
+    });
+  }
+
+  let response;
+  try {
+    response = await fetch(`${FLUTTERWAVE_BASE_URL}${endpoint}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${FLUTTERWAVE_SECRET_KEY}`,
+        'Content-Type': 'application/json'
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(PAYMENT_TIMEOUT_MS)
+    });
+  } catch (err) {
+    throw new PaymentError('PROVIDER_UNAVAILABLE', "I couldn't reach the payment provider. Please try again shortly.", { reason: err.message });
+  }
+
+  const payload = await response.json().catch(() => ({}));
+  if (response.status >= 500) {
+    throw new PaymentError('PROVIDER_UNAVAILABLE', "I couldn't reach the payment provider. Please try again shortly.", { status: response.status });
+  }
+  if (!response.ok || payload.status !== 'success') {
+    throw new PaymentError('DECLINED', 'The payment was declined. Please check the details and try again.', {
+      status: response.status,
+      reason: payload.message
+    });
+  }
+  return payload.data;
+};
+
+const flutterwaveStatus = (status) => {
+  const value = String(status || '').toUpperCase();
+  if (value === 'SUCCESSFUL' || value === 'SUCCESS') return 'successful';
+  if (value === 'FAILED' || value === 'FAILURE') return 'failed';
+  return 'pending';
+};
+
+const flutterwaveResult = (providerReference, status) => {
+  if (status === 'failed') {
+    throw new PaymentError('DECLINED', 'The payment was declined. Please check the details and try again.', { providerReference });
+  }
+  return { providerReference, status };
+};
+
+const flutterwaveProvider = {
+  name: 'flutterwave',
+  transfer: async ({ reference, accountNumber, bankCode, amount, narration }) => {
+    const data = await flutterwaveRequest('POST', '/transfers', {
+      account_bank: bankCode,
+      account_number: accountNumber,
+      amount,
+      narration,
+      currency: 'NGN',
+      debit_currency: 'NGN',
+      reference
+    });
+    return flutterwaveResult(String(data.id), flutterwaveStatus(data.status));
+  },
+  airtime: async ({ reference, phone, network, amount }) => {
+    if (!phone) {
+      throw new PaymentError('INVALID_PHONE', 'I need a phone number to send the airtime to.');
+    }
+    const data = await flutterwaveRequest('POST', '/bills', {
+      country: 'NG',
+      customer: phone,
+      amount,
+      recurrence: 'ONCE',
+      type: 'AIRTIME',
+      biller_name: network ? NETWORKS[network].name : undefined,
+      reference
+    });
+    return { providerReference: data.flw_ref || data.reference || reference, status: 'successful' };
+  },
+  data: async ({ reference, phone, network, plan }) => {
+    const data = await flutterwaveRequest('POST', '/bills', {
+      country: 'NG',
+      customer: phone,
+      amount: plan.price,
+      recurrence: 'ONCE',
+      type: 'DATA_BUNDLE',
+      biller_name: `${NETWORKS[network].name} ${plan.name}`,
+      reference
+    });
+    return { providerReference: data.flw_ref || data.reference || reference, status: 'successful' };
+  },
+  status: async ({ kind, reference, providerReference }) => {
+    try {
+      if (kind === 'airtime') {
+        const data = await flutterwaveRequest('GET', `/bills/${encodeURIComponent(reference)}`);
+        return { status: flutterwaveStatus(data.status || 'successful'), providerReference: data.flw_ref || providerReference };
+      }
+      const data = providerReference
+        ? await flutterwaveRequest('GET', `/transfers/${encodeURIComponent(providerReference)}`)
+        : (await flutterwaveRequest('GET', `/transfers?reference=${encodeURIComponent(reference)}`))?.[0];
+      return data ? { status: flutterwaveStatus(data.status), providerReference: String(data.id) } : null;
+    } catch (err) {
+      if (err.code !== 'DECLINED') throw err;
+      // Only a clear "not found" means Flutterwave never saw it. Any other
+      // refusal (a rotated key, rate limiting) says nothing about the
+      // payout, so it stays pending and is checked again later.
+      if (err.details.status === 404 || /not found/i.test(err.details.reason || '')) return null;
+      throw new PaymentError('LOOKUP_FAILED', "I couldn't check that payment with the provider.", err.details);
+    }
+  },
+  // Flutterwave sends the secret hash set on the dashboard in verif-hash
+  parseWebhook: async (headers, rawBody) => {
+    if (!FLUTTERWAVE_WEBHOOK_HASH || !safeEqual(headers['verif-hash'], FLUTTERWAVE_WEBHOOK_HASH)) {
+      throw new PaymentError('INVALID_SIGNATURE', 'Invalid webhook signature');
+    }
+    const { data } = JSON.parse(rawBody.toString('utf8'));
+    const reference = data?.reference || data?.tx_ref;
+    if (!reference || !data.status) return null;
+    return { reference, status: flutterwaveStatus(data.status), providerReference: data.id ? String(data.id) : null };
+  },
+  balance: async () => {
+    const data = await flutterwaveRequest('GET', '/balances/NGN');
+    return { available: data.available_balance, currency: data.currency || 'NGN' };
+  },
+  nameEnquiry: async ({ accountNumber, bankCode }) => {
+    try {
+      const data = await flutterwaveRequest('POST', '/accounts/resolve', {
+        account_number: accountNumber,
+        account_bank: bankCode
+      });
+      return data?.account_name ? { accountName: data.account_name } : null;
+    } catch (err) {
+      // An account the bank doesn't know comes back as a 400
+      if (err.code === 'DECLINED') return null;
+      throw err;
+    }
+  }
+};
+
+const PROVIDER_ADAPTERS = { simulator: simulatorProvider, flutterwave: flutterwaveProvider };
+
+if (!PROVIDER_ADAPTERS[PAYMENT_PROVIDER]) {
+  console.warn(`Unknown PAYMENT_PROVIDER "${PAYMENT_PROVIDER}"; using the payment simulator.`);
+} else if (PAYMENT_PROVIDER === 'flutterwave' && !FLUTTERWAVE_SECRET_KEY) {
+  console.warn('FLUTTERWAVE_SECRET_KEY is not set; bank transfers, airtime and data will fail.');
+}
+
+const providerAdapter = () => PROVIDER_ADAPTERS[PAYMENT_PROVIDER] || simulatorProvider;
+
+// --------- Schema ----------
+// Payouts are recorded on the user's transactions row: our reference, the
+// provider that carried it and the provider's own reference for it.
+// status is 'pending' until the provider settles it, then 'successful', or
+// 'failed' and, once the money is back in the wallet, 'reversed'. Internal
+// movements are 'successful' from the start.
+export const createPaymentTables = async () => {
+  await pool.query('ALTER TABLE transactions ADD COLUMN IF NOT EXISTS reference TEXT');
+  await pool.query('ALTER TABLE transactions ADD COLUMN IF NOT EXISTS provider TEXT');
+  await pool.query('ALTER TABLE transactions ADD COLUMN IF NOT EXISTS provider_reference TEXT');
+  await pool.query("ALTER TABLE transactions ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'successful'");
+  await pool.query('ALTER TABLE transactions ADD COLUMN IF NOT EXISTS status_updated_at TIMESTAMP');
+  await pool.query('CREATE INDEX IF NOT EXISTS transactions_reference_idx ON transactions(reference)');
+  await pool.query('CREATE INDEX IF NOT EXISTS transactions_status_idx ON transactions(status)');
+  // The user's own line, for airtime and data when no number is given
+  await pool.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS phone TEXT');
+};
+
+// --------- Name enquiry ----------
+// `bank` may be a bank code or a name from the directory ("gtb", "opay").
+// Resolves to { accountNumber, bankCode, bankName, accountName } or throws
+// a PaymentError.
+export const resolveBankAccount = async ({ accountNumber, bankCode, bank: bankName }) => {
+  const account = String(accountNumber || '').replace(/[\s-]/g, '');
+  const bank = resolveBank(bankCode) || resolveBank(bankName);
+  if (!bank) {
+    throw new PaymentError('INVALID_BANK', 'Please choose the bank the account is with.', { bank: bankCode || bankName || null });
+  }
+  if (!/^\d{10}$/.test(account)) {
+    throw new PaymentError('INVALID_ACCOUNT', 'Account numbers are 10 digits. Please check it.', { bankCode: bank.code });
+  }
+  if (!isValidNuban(account, bank.code)) {
+    throw new PaymentError('INVALID_ACCOUNT', `${account} isn't a valid ${bank.name} account number. Please check it.`, {
+      accountNumber: account,
+      bankCode: bank.code
+    });
+  }
+
+  const adapter = providerAdapter();
+  let found;
+  try {
+    found = await adapter.nameEnquiry({ accountNumber: account, bankCode: bank.code });
+  } catch (err) {
+    if (err instanceof PaymentError) throw err;
+    console.error(`Name enquiry (${adapter.name}) error:`, err.message);
+    throw new PaymentError('PROVIDER_UNAVAILABLE', "I couldn't check that account right now. Please try again shortly.");
+  }
+  if (!found) {
+    throw new PaymentError('ACCOUNT_NOT_FOUND', `I couldn't find account ${account} at ${bank.name}. Please check the number.`, {
+      accountNumber: account,
+      bankCode: bank.code
+    });
+  }
+
+  return { accountNumber: account, bankCode: bank.code, bankName: bank.name, accountName: found.accountName };
+};
+
+export const getProviderBalance = () => providerAdapter().balance();
+
+// --------- Settlement ----------
+// Put the money from a failed payout back in the wallet: the journal's
+// credit to the payouts (or airtime) account is turned around, with a
+// Reversal row in the user's history. Does nothing unless the row is
+// 'failed', so a retry can't refund twice. Resolves to the new balance.
+const reversePayout = (transactionId) =>
+  withTransaction(async (client) => {
+    const locked = await client.query(
+      "SELECT * FROM transactions WHERE id=$1 AND status='failed' FOR UPDATE",
+      [transactionId]
+    );
+    const payout = locked.rows[0];
+    if (!payout) return null;
+
+    const credited = await client.query(
+      'SELECT account FROM ledger_entries WHERE journal_id=$1 AND amount > 0',
+      [payout.journal_id]
+    );
+    const { balances } = await postJournal(client, {
+      kind: 'reversal',
+      memo: `Reversal of ${payout.reference}`,
+      legs: [
+        { account: credited.rows[0].account, amount: -payout.amount },
+        { account: userAccount(payout.username), amount: payout.amount }
+      ],
+      transactions: [{ username: payout.username, type: 'Reversal', amount: payout.amount, toUser: payout.to_user }]
+    });
+
+    await client.query(
+      "UPDATE transactions SET status='reversed', status_updated_at=NOW() WHERE id=$1",
+      [payout.id]
+    );
+    return balances[payout.username];
+  });
+
+// Record what the provider says happened to a pending payout, reversing it
+// when it failed. Only pending rows move, so the webhook and the
+// reconciliation job can both report the same outcome safely. Resolves to
+// { status, balance } with balance set after a reversal, or null when
+// there was nothing to change.
+export const settlePayout = async (reference, { status, providerReference = null }) => {
+  if (status !== 'successful' && status !== 'failed') return null;
+
+  const updated = await pool.query(
+    `UPDATE transactions
+     SET status=$1, provider_reference=COALESCE($2, provider_reference), status_updated_at=NOW()
+     WHERE reference=$3 AND status='pending'
+     RETURNING id`,
+    [status, providerReference, reference]
+  );
+  if (updated.rows.length === 0) return null;
+
+  if (status === 'failed') {
+    const balance = await reversePayout(updated.rows[0].id);
+    return { status: 'reversed', balance };
+  }
+  return { status, balance: null };
+};
+
+// Resolves to { reference, status, changed } after a verified callback, or
+// null when the event was about something we don't track. changed is false
+// when the payout had already been settled.
+export const handlePaymentWebhook = async (providerName, headers, rawBody) => {
+  const adapter = PROVIDER_ADAPTERS[providerName];
+  if (!adapter) {
+    throw new PaymentError('UNKNOWN_PROVIDER', `Unknown payment provider "${providerName}"`);
+  }
+  if (!rawBody) {
+    throw new PaymentError('INVALID_SIGNATURE', 'Invalid webhook signature');
+  }
+
+  const event = await adapter.parseWebhook(headers, rawBody);
+  if (!event) return null;
+  const settled = await settlePayout(event.reference, event);
+  return { reference: event.reference, status: settled?.status || event.status, changed: Boolean(settled) };
+};
+
+// --------- Reconciliation ----------
+// Payouts still pending after this long are checked with the provider, and
+// ones the provider never heard of are given up on (and reversed) after
+// PAYOUT_GIVE_UP_MINUTES.
+const PAYOUT_RECONCILE_AFTER_MINUTES = parseInt(process.env.PAYOUT_RECONCILE_AFTER_MINUTES || '5', 10);
+const PAYOUT_GIVE_UP_MINUTES = parseInt(process.env.PAYOUT_GIVE_UP_MINUTES || '1440', 10);
+
+// One pass of the reconciliation job: re-query stuck payouts, settle the
+// ones the provider has an answer for, and retry refunds that didn't go
+// through. Safe to run as often as you like.
+export const reconcilePayouts = async () => {
+  const summary = { checked: 0, settled: 0, reversed: 0, errors: 0 };
+
+  const stuck = await pool.query(
+    `SELECT * FROM transactions
+     WHERE status='pending' AND provider IS NOT NULL
+       AND date < NOW() - INTERVAL '${PAYOUT_RECONCILE_AFTER_MINUTES} minutes'
+     ORDER BY id LIMIT 100`
+  );
+  for (const payout of stuck.rows) {
+    const adapter = PROVIDER_ADAPTERS[payout.provider];
+    if (!adapter) continue;
+    summary.checked++;
+
+    let found;
+    try {
+      found = await adapter.status({
+        kind: payout.type === 'Bank Transfer' ? 'transfer' : 'airtime',
+        reference: payout.reference,
+        providerReference: payout.provider_reference
+      });
+    } catch (err) {
+      console.warn(`Payout status check for ${payout.reference} failed: ${err.message}`);
+      summary.errors++;
+      continue;
+    }
+
+    const ageMinutes = (Date.now() - new Date(payout.date).getTime()) / 60000;
+    if (!found && ageMinutes >= PAYOUT_GIVE_UP_MINUTES) {
+      found = { status: 'failed' };
+    }
+    const settled = found && await settlePayout(payout.reference, found);
+    if (settled) {
+      summary.settled++;
+      if (settled.status === 'reversed') summary.reversed++;
+    }
+  }
+
+  // Failed earlier but the refund didn't make it
+  const unrefunded = await pool.query("SELECT id FROM transactions WHERE status='failed' ORDER BY id LIMIT 100");
+  for (const { id } of unrefunded.rows) {
+    try {
+      if ((await reversePayout(id)) !== null) summary.reversed++;
+    } catch (err) {
+      console.warn(`Reversal of transaction ${id} failed: ${err.message}`);
+      summary.errors++;
+    }
+  }
+
+  return summary;
+};
+
+// --------- Payouts ----------
+const newReference = (prefix) =>
+  `${prefix}-${new Date().toISOString().slice(0, 10).replace(/-/g, '')}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+
+// Debit the wallet as a pending payout, then hand the money to the provider.
+// A clear refusal reverses it at once and throws; no clear answer (a
+// timeout, a 5xx) leaves it pending for the webhook or the reconciliation
+// job. `send` gets the adapter and our reference and resolves to
+// { providerReference, status }. Resolves to
+// { balance, reference, provider, providerReference, status }.
+const payOut = async (username, { kind, prefix, account, amount, transaction, send }) => {
+  const adapter = providerAdapter();
+  const reference = newReference(prefix);
+
+  const { balances } = await withTransaction(async (client) => {
+    const posted = await postJournal(client, {
+      kind,
+      memo: `${transaction.toUser} (${reference})`,
+      legs: [
+        { account: userAccount(username), amount: -amount },
+        { account, amount }
+      ],
+      transactions: [{ username, amount, ...transaction }]
+    });
+    await client.query(
+      "UPDATE transactions SET reference=$1, provider=$2, status='pending', status_updated_at=NOW() WHERE journal_id=$3",
+      [reference, adapter.name, posted.journalId]
+    );
+    return posted;
+  });
+
+  let sent;
+  try {
+    sent = await send(adapter, reference);
+  } catch (err) {
+    // A refusal, or a request that never left us, is a clear answer
+    if (err instanceof PaymentError && (err.code !== 'PROVIDER_UNAVAILABLE' || err.details.sent === false)) {
+      const settled = await settlePayout(reference, { status: 'failed' });
+      throw new PaymentError(err.code, `${err.message} The ₦${amount.toLocaleString()} has been returned to your wallet.`, {
+        ...err.details,
+        reference,
+        balance: settled?.balance
+      });
+    }
+    console.error(`Payout ${reference} (${adapter.name}) got no clear answer:`, err.message);
+    return { balance: balances[username], reference, provider: adapter.name, providerReference: null, status: 'pending' };
+  }
+
+  if (sent.status === 'successful') {
+    await settlePayout(reference, sent);
+  } else {
+    await pool.query('UPDATE transactions SET provider_reference=$1 WHERE reference=$2', [sent.providerReference, reference]);
+  }
+
+  return {
+    balance: balances[username],
+    reference,
+    provider: adapter.name,
+    providerReference: sent.providerReference,
+    status: sent.status
+  };
+};
+
+// `account` is what resolveBankAccount returned
+export const sendBankTransfer = (username, { account, amount }) =>
+  payOut(username, {
+    kind: 'bank_transfer',
+    prefix: 'TRF',
+    account: SYSTEM_ACCOUNTS.payouts,
+    amount,
+    transaction: { type: 'Bank Transfer', toUser: `${account.accountName} - ${account.accountNumber}` },
+    send: (adapter, reference) => adapter.transfer({
+      reference,
+      accountNumber: account.accountNumber,
+      bankCode: account.bankCode,
+      amount,
+      narration: `SARA transfer from ${username}`
+    })
+  });
+
+// `phone` is E.164 (+234...) and `network` a key of NETWORKS. With no
+// phone the airtime goes to the user's own line.
+export const buyAirtime = (username, { phone = null, network = null, amount }) =>
+  payOut(username, {
+    kind: 'airtime',
+    prefix: 'AIR',
+    account: SYSTEM_ACCOUNTS.airtime,
+    amount,
+    transaction: { type: 'Airtime', toUser: phone ? describeLine(phone, network) : 'Self' },
+    send: (adapter, reference) => adapter.airtime({ reference, phone, network, amount })
+  });
+
+// `plan` is from the telcos.js catalogue; the price is what the wallet pays
+export const buyData = (username, { phone, network, plan }) =>
+  payOut(username, {
+    kind: 'data',
+    prefix: 'DAT',
+    account: SYSTEM_ACCOUNTS.airtime,
+    amount: plan.price,
+    transaction: { type: 'Data', toUser: `${plan.name} - ${describeLine(phone, network)}` },
+    send: (adapter, reference) => adapter.data({ reference, phone, network, plan })
+  });
@@ -0,0 +1,157 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import { pool } from './db.js';
+
+// --------- Config ----------
+// Money-moving intents above this amount need the transaction PIN
+export const STEP_UP_THRESHOLD = parseInt(process.env.STEP_UP_THRESHOLD || '5000', 10);
+const CONFIRMATION_TTL_MINUTES = 5;
+const MAX_PIN_ATTEMPTS = 5;
+const PIN_LOCK_MINUTES = 15;
+
+export const needsStepUp = (amount) => amount > STEP_UP_THRESHOLD;
+
+// --------- Schema ----------
+export const createPinTables = async () => {
+  await pool.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS transaction_pin TEXT');
+  await pool.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS pin_attempts INTEGER DEFAULT 0');
+  await pool.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS pin_locked_until TIMESTAMP');
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS pending_confirmations (
+      id TEXT PRIMARY KEY,
+      username TEXT NOT NULL,
+      intent TEXT NOT NULL,
+      amount INTEGER NOT NULL,
+      payload JSONB NOT NULL,
+      status TEXT DEFAULT 'pending',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      expires_at TIMESTAMP NOT NULL
+    )
+  `);
+};
+
+// --------- PIN ----------
+export const isValidPin = (pin) => /^\d{4,6}$/.test(String(pin || ''));
+
+export const hasPin = async (username) => {
+  const result = await pool.query('SELECT transaction_pin FROM users WHERE username=$1', [username]);
+  return Boolean(result.rows[0]?.transaction_pin);
+};
+
+// Set or change the PIN. Changing it requires the current one.
+export const setPin = async (username, pin, currentPin) => {
+  if (!isValidPin(pin)) {
+    return { ok: false, message: "Your PIN must be 4 to 6 digits." };
+  }
+
+  if (await hasPin(username)) {
+    const check = await verifyPin(username, currentPin);
+    if (!check.ok) return check;
+  }
+
+  await pool.query(
+    'UPDATE users SET transaction_pin=$1, pin_attempts=0, pin_locked_until=NULL WHERE username=$2',
+    [bcrypt.hashSync(String(pin), 10), username]
+  );
+  return { ok: true, message: "Your transaction PIN has been saved." };
+};
+
+// Wrong guesses count up; too many locks the PIN for a while
+export const verifyPin = async (username, pin) => {
+  const result = await pool.query(
+    'SELECT transaction_pin, pin_attempts, pin_locked_until > NOW() AS locked FROM users WHERE username=$1',
+    [username]
+  );
+  const row = result.rows[0];
+
+  if (!row?.transaction_pin) {
+    return { ok: false, code: 'NO_PIN', message: "Please set a transaction PIN first." };
+  }
+  if (row.locked) {
+    return { ok: false, code: 'LOCKED', message: `Too many wrong PIN attempts. Try again in ${PIN_LOCK_MINUTES} minutes.` };
+  }
+
+  if (isValidPin(pin) && bcrypt.compareSync(String(pin), row.transaction_pin)) {
+    await pool.query('UPDATE users SET pin_attempts=0 WHERE username=$1', [username]);
+    return { ok: true };
+  }
+
+  const attempts = (row.pin_attempts || 0) + 1;
+  if (attempts >= MAX_PIN_ATTEMPTS) {
+    await pool.query(
+      `UPDATE users SET pin_attempts=0, pin_locked_until=NOW() + INTERVAL '${PIN_LOCK_MINUTES} minutes' WHERE username=$1`,
+      [username]
+    );
+    return { ok: false, code: 'LOCKED', message: `Too many wrong PIN attempts. Try again in ${PIN_LOCK_MINUTES} minutes.` };
+  }
+
+  await pool.query('UPDATE users SET pin_attempts=$1 WHERE username=$2', [attempts, username]);
+  return {
+    ok: false,
+    code: 'WRONG_PIN',
+    message: `Wrong PIN. You have ${MAX_PIN_ATTEMPTS - attempts} attempt(s) left.`
+  };
+};
+
+// Pull a PIN out of typed or spoken text: "1234", "1 2 3 4", "my pin is one two three four"
+const digitWords = {
+  zero: '0', oh: '0', one: '1', two: '2', three: '3', four: '4',
+  five: '5', six: '6', seven: '7', eight: '8', nine: '9'
+};
+
+export const extractPin = (text) => {
+  const normalized = String(text || '')
+    .toLowerCase()
+    .replace(/\b(zero|oh|one|two|three|four|five|six|seven|eight|nine)\b/g, (w) => digitWords[w])
+    .replace(/\b(my|the|pin|is|it's|its|code)\b/g, ' ');
+
+  if (!/^[\d\s\-.]+$/.test(normalized.trim())) return null;
+  const digits = normalized.replace(/\D/g, '');
+  return isValidPin(digits) ? digits : null;
+};
+
+// --------- Pending confirmations ----------
+// A money-moving intent parked until the PIN is given. Only the latest
+// pending confirmation per user is live; creating one supersedes the rest.
+export const createConfirmation = async (username, intent, amount, payload) => {
+  await pool.query(
+    "UPDATE pending_confirmations SET status='superseded' WHERE username=$1 AND status='pending'",
+    [username]
+  );
+
+  const id = crypto.randomUUID();
+  const result = await pool.query(
+    `INSERT INTO pending_confirmations (id, username, intent, amount, payload, expires_at)
+     VALUES ($1, $2, $3, $4, $5, NOW() + INTERVAL '${CONFIRMATION_TTL_MINUTES} minutes')
+     RETURNING id, intent, amount, expires_at`,
+    [id, username, intent, amount, JSON.stringify(payload)]
+  );
+
+  const row = result.rows[0];
+  return { id: row.id, intent: row.intent, amount: row.amount, expiresAt: row.expires_at };
+};
+
+export const getPendingConfirmation = async (username, id = null) => {
+  const result = await pool.query(
+    `SELECT * FROM pending_confirmations
+     WHERE username=$1 AND status='pending' AND expires_at > NOW() ${id ? 'AND id=$2' : ''}
+     ORDER BY created_at DESC LIMIT 1`,
+    id ? [username, id] : [username]
+  );
+  return result.rows[0] || null;
+};
+
+// Flip pending -> `status` exactly once, so a double-submitted PIN can't
+// execute the same intent twice
+export const closeConfirmation = async (id, status) => {
+  const result = await pool.query(
+    "UPDATE pending_confirmations SET status=$1 WHERE id=$2 AND status='pending' RETURNING *",
+    [status, id]
+  );
+  return result.rows[0] || null;
+};
+
+export const failConfirmation = async (id) => {
+  await pool.query("UPDATE pending_confirmations SET status='failed' WHERE id=$1", [id]);
+};
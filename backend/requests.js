@@ -0,0 +1,553 @@
+import { pool, withTransaction } from './db.js';
+import { userAccount, postJournal } from './ledger.js';
+
+// --------- Config ----------
+// Unpaid requests get a reminder every REMINDER_DAYS, at most
+// REMINDER_LIMIT times, and lapse after EXPIRY_DAYS
+const REMINDER_DAYS = parseFloat(process.env.REQUEST_REMINDER_DAYS || '2');
+const REMINDER_LIMIT = parseInt(process.env.REQUEST_REMINDER_LIMIT || '3', 10);
+const EXPIRY_DAYS = parseFloat(process.env.REQUEST_EXPIRY_DAYS || '30');
+// How often a requester can nudge the same person themselves
+const REMIND_COOLDOWN_HOURS = parseFloat(process.env.REQUEST_REMIND_COOLDOWN_HOURS || '12');
+const SPLIT_MAX_PEOPLE = 10;
+const NOTE_MAX_LENGTH = 60;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// --------- Errors ----------
+// Codes: INVALID_REQUEST, UNKNOWN_USER, ALREADY_ASKED, NOT_FOUND, NOT_PENDING,
+// AMOUNT_MISMATCH, TOO_SOON, INVALID_SPLIT.
+export class RequestError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'RequestError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// --------- Schema ----------
+// A payment request asks `payer` for money on behalf of `requester`. A split
+// bill is a set of requests from the person who paid, one per participant,
+// tied together by split_id; owner_share is what the owner keeps paying
+// themselves. Requests are pending until paid, declined, cancelled or expired.
+export const createRequestTables = async () => {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS split_bills (
+      id SERIAL PRIMARY KEY,
+      owner TEXT NOT NULL,
+      title TEXT NOT NULL,
+      total_amount INTEGER NOT NULL,
+      owner_share INTEGER NOT NULL DEFAULT 0,
+      status TEXT DEFAULT 'open',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      closed_at TIMESTAMP
+    )
+  `);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS payment_requests (
+      id SERIAL PRIMARY KEY,
+      requester TEXT NOT NULL,
+      payer TEXT NOT NULL,
+      amount INTEGER NOT NULL,
+      note TEXT,
+      split_id INTEGER REFERENCES split_bills(id),
+      status TEXT DEFAULT 'pending',
+      reminder_count INTEGER DEFAULT 0,
+      reminded_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      responded_at TIMESTAMP
+    )
+  `);
+  await pool.query('CREATE INDEX IF NOT EXISTS payment_requests_payer_idx ON payment_requests(payer, status)');
+  await pool.query('CREATE INDEX IF NOT EXISTS payment_requests_requester_idx ON payment_requests(requester)');
+  await pool.query('CREATE INDEX IF NOT EXISTS payment_requests_split_idx ON payment_requests(split_id)');
+  await pool.query('CREATE INDEX IF NOT EXISTS split_bills_owner_idx ON split_bills(owner)');
+};
+
+// --------- Requests ----------
+const toRequest = (row) => ({
+  id: row.id,
+  requester: row.requester,
+  payer: row.payer,
+  amount: row.amount,
+  note: row.note,
+  splitId: row.split_id,
+  status: row.status,
+  reminderCount: row.reminder_count,
+  remindedAt: row.reminded_at,
+  createdAt: row.created_at,
+  respondedAt: row.responded_at
+});
+
+const naira = (amount) => `₦${amount.toLocaleString()}`;
+
+const checkAmount = (amount, field = 'amount') => {
+  const value = Number(amount);
+  if (!Number.isInteger(value) || value <= 0) {
+    throw new RequestError('INVALID_REQUEST', `${field} must be a whole naira amount above zero.`, { field });
+  }
+  return value;
+};
+
+const checkNote = (note) => {
+  const value = String(note || '').trim().replace(/\s+/g, ' ');
+  return value ? value.slice(0, NOTE_MAX_LENGTH) : null;
+};
+
+// The username as signed up, whatever case it was typed in
+const findUser = async (name, client = pool) => {
+  const wanted = String(name || '').trim().replace(/^@/, '').toLowerCase();
+  const found = wanted ? await client.query('SELECT username FROM users WHERE LOWER(username)=$1', [wanted]) : { rows: [] };
+  if (found.rows.length === 0) {
+    throw new RequestError('UNKNOWN_USER', `I couldn't find a SARA user called '${wanted}'.`, { username: wanted });
+  }
+  return found.rows[0].username;
+};
+
+// { payer, amount, note? }
+export const createRequest = async (requester, { payer, amount, note }) => {
+  const value = checkAmount(amount);
+  const from = await findUser(payer);
+  if (from === requester) {
+    throw new RequestError('INVALID_REQUEST', "You can't ask yourself for money.");
+  }
+  // Saying it twice shouldn't ask twice
+  const asked = await pool.query(
+    "SELECT id FROM payment_requests WHERE requester=$1 AND payer=$2 AND amount=$3 AND status='pending' AND split_id IS NULL",
+    [requester, from, value]
+  );
+  if (asked.rows.length > 0) {
+    throw new RequestError('ALREADY_ASKED', `You've already asked ${from} for ${naira(value)}.`, { id: asked.rows[0].id });
+  }
+
+  const result = await pool.query(
+    'INSERT INTO payment_requests (requester, payer, amount, note) VALUES ($1, $2, $3, $4) RETURNING *',
+    [requester, from, value, checkNote(note)]
+  );
+  return toRequest(result.rows[0]);
+};
+
+// What others are asking the user to pay, oldest first, and what the user
+// has asked for: everything still pending and the last month's answers
+export const listRequests = async (username) => {
+  const incoming = await pool.query(
+    "SELECT * FROM payment_requests WHERE payer=$1 AND status='pending' ORDER BY created_at, id",
+    [username]
+  );
+  const outgoing = await pool.query(
+    `SELECT * FROM payment_requests
+     WHERE requester=$1 AND (status='pending' OR created_at > NOW() - INTERVAL '30 days')
+     ORDER BY status='pending' DESC, created_at DESC, id DESC`,
+    [username]
+  );
+  return { incoming: incoming.rows.map(toRequest), outgoing: outgoing.rows.map(toRequest) };
+};
+
+// Either side of a request can see it
+const findRequestRow = async (username, id, client = pool, { lock = false } = {}) => {
+  const result = await client.query(
+    `SELECT * FROM payment_requests WHERE id=$1 AND (payer=$2 OR requester=$2)${lock ? ' FOR UPDATE' : ''}`,
+    [id, username]
+  );
+  if (result.rows.length === 0) {
+    throw new RequestError('NOT_FOUND', 'Payment request not found');
+  }
+  return result.rows[0];
+};
+
+export const getRequest = async (username, id) => toRequest(await findRequestRow(username, id));
+
+const checkPending = (row) => {
+  if (row.status !== 'pending') {
+    throw new RequestError('NOT_PENDING', `That request for ${naira(row.amount)} has already been ${row.status}.`, { status: row.status });
+  }
+};
+
+// Only the one asked can pay or decline, only the one asking can remind or cancel
+const checkParty = (row, username, party) => {
+  if (row[party] !== username) {
+    throw new RequestError('NOT_FOUND', 'Payment request not found');
+  }
+};
+
+// A split is done once no one still owes: settled when everyone paid,
+// closed when someone declined or let it lapse
+const closeSplitIfDone = async (client, splitId, now = new Date()) => {
+  if (!splitId) return;
+  await client.query(
+    `UPDATE split_bills
+     SET status = CASE WHEN EXISTS (SELECT 1 FROM payment_requests WHERE split_id=$1 AND status <> 'paid') THEN 'closed' ELSE 'settled' END,
+         closed_at=$2
+     WHERE id=$1 AND status='open'
+       AND NOT EXISTS (SELECT 1 FROM payment_requests WHERE split_id=$1 AND status='pending')`,
+    [splitId, now]
+  );
+};
+
+// The request the payer is about to pay, checked before it goes through the
+// transfer path (and maybe the PIN)
+export const payableRequest = async (payer, id) => {
+  const row = await findRequestRow(payer, id);
+  checkParty(row, payer, 'payer');
+  checkPending(row);
+  return toRequest(row);
+};
+
+// Pay a request: the transfer and the request's new status go in one
+// transaction, so it can't be paid twice. Resolves to { balances, request }
+// like postJournal, plus the paid request.
+export const settleRequest = (payer, id, amount) =>
+  withTransaction(async (client) => {
+    const row = await findRequestRow(payer, id, client, { lock: true });
+    checkParty(row, payer, 'payer');
+    checkPending(row);
+    if (amount !== row.amount) {
+      throw new RequestError('AMOUNT_MISMATCH', `${row.requester} asked for ${naira(row.amount)}. Pay that amount, or decline the request.`);
+    }
+
+    const { balances } = await postJournal(client, {
+      kind: 'transfer',
+      memo: `Payment request ${row.id}`,
+      legs: [
+        { account: userAccount(payer), amount: -row.amount },
+        { account: userAccount(row.requester), amount: row.amount }
+      ],
+      transactions: [
+        { username: payer, type: 'Transfer', amount: row.amount, toUser: row.requester },
+        { username: row.requester, type: 'Received', amount: row.amount, toUser: payer }
+      ]
+    });
+    const paid = await client.query(
+      "UPDATE payment_requests SET status='paid', responded_at=CURRENT_TIMESTAMP WHERE id=$1 RETURNING *",
+      [row.id]
+    );
+    await closeSplitIfDone(client, row.split_id);
+    return { balances, request: toRequest(paid.rows[0]) };
+  });
+
+const answerRequest = (username, id, party, status) =>
+  withTransaction(async (client) => {
+    const row = await findRequestRow(username, id, client, { lock: true });
+    checkParty(row, username, party);
+    checkPending(row);
+    const result = await client.query(
+      'UPDATE payment_requests SET status=$1, responded_at=CURRENT_TIMESTAMP WHERE id=$2 RETURNING *',
+      [status, row.id]
+    );
+    await closeSplitIfDone(client, row.split_id);
+    return toRequest(result.rows[0]);
+  });
+
+export const declineRequest = (payer, id) => answerRequest(payer, id, 'payer', 'declined');
+
+export const cancelRequest = (requester, id) => answerRequest(requester, id, 'requester', 'cancelled');
+
+const remindRow = async (row, now) => {
+  const result = await pool.query(
+    'UPDATE payment_requests SET reminder_count=reminder_count+1, reminded_at=$1 WHERE id=$2 RETURNING *',
+    [now, row.id]
+  );
+  return toRequest(result.rows[0]);
+};
+
+const tooSoonToRemind = (row, now) =>
+  Boolean(row.reminded_at) && now - new Date(row.reminded_at) < REMIND_COOLDOWN_HOURS * HOUR_MS;
+
+// The requester nudging the payer again
+export const remindRequest = async (requester, id, now = new Date()) => {
+  const row = await findRequestRow(requester, id);
+  checkParty(row, requester, 'requester');
+  checkPending(row);
+  if (tooSoonToRemind(row, now)) {
+    throw new RequestError('TOO_SOON', `${row.payer} was reminded recently. Try again later.`);
+  }
+  return remindRow(row, now);
+};
+
+// --------- Split Bills ----------
+const toSplit = (row, requests) => {
+  const participants = requests.map((r) => ({
+    requestId: r.id,
+    username: r.payer,
+    amount: r.amount,
+    status: r.status,
+    reminderCount: r.reminder_count,
+    remindedAt: r.reminded_at
+  }));
+  const sum = (status) => participants.filter((p) => p.status === status).reduce((total, p) => total + p.amount, 0);
+  return {
+    id: row.id,
+    owner: row.owner,
+    title: row.title,
+    total: row.total_amount,
+    ownerShare: row.owner_share,
+    status: row.status,
+    participants,
+    paid: sum('paid'),
+    outstanding: sum('pending'),
+    createdAt: row.created_at,
+    closedAt: row.closed_at
+  };
+};
+
+const loadSplit = async (row, client = pool) => {
+  const requests = await client.query('SELECT * FROM payment_requests WHERE split_id=$1 ORDER BY id', [row.id]);
+  return toSplit(row, requests.rows);
+};
+
+// Everyone pays the same share, or each participant's { username, amount }.
+// With equal shares the owner keeps the odd naira; with their own amounts
+// the owner's share is whatever the participants don't cover.
+const splitShares = (total, participants, includeOwner) => {
+  const custom = participants.filter((p) => typeof p === 'object' && p.amount !== undefined && p.amount !== null);
+  if (custom.length > 0 && custom.length !== participants.length) {
+    throw new RequestError('INVALID_SPLIT', 'Give every participant an amount, or none of them.');
+  }
+  if (custom.length > 0) {
+    const shares = custom.map((p) => ({ name: p.username, amount: checkAmount(p.amount, `amount for ${p.username}`) }));
+    const covered = shares.reduce((sum, s) => sum + s.amount, 0);
+    if (covered > total) {
+      throw new RequestError('INVALID_SPLIT', `The shares add up to ${naira(covered)}, more than the ${naira(total)} bill.`);
+    }
+    return { shares, ownerShare: total - covered };
+  }
+
+  const names = participants.map((p) => (typeof p === 'object' ? p.username : p));
+  const people = names.length + (includeOwner ? 1 : 0);
+  const share = Math.floor(total / people);
+  if (share < 1) {
+    throw new RequestError('INVALID_SPLIT', `${naira(total)} is too small to split ${people} ways.`);
+  }
+  return { shares: names.map((name) => ({ name, amount: share })), ownerShare: total - share * names.length };
+};
+
+// { title?, total, participants: [username] or [{ username, amount }],
+// includeOwner? }. includeOwner (the default) counts the owner in the
+// equal shares.
+export const createSplit = async (owner, { title, total, participants, includeOwner = true }) => {
+  const amount = checkAmount(total, 'total');
+  if (!Array.isArray(participants) || participants.length === 0) {
+    throw new RequestError('INVALID_SPLIT', 'Name at least one person to split with.');
+  }
+  if (participants.length > SPLIT_MAX_PEOPLE) {
+    throw new RequestError('INVALID_SPLIT', `A bill can be split with up to ${SPLIT_MAX_PEOPLE} people.`);
+  }
+  const { shares, ownerShare } = splitShares(amount, participants, includeOwner);
+
+  return withTransaction(async (client) => {
+    const seen = new Set();
+    for (const share of shares) {
+      share.username = await findUser(share.name, client);
+      if (share.username === owner) {
+        throw new RequestError('INVALID_SPLIT', "You're already in the split; name the others.");
+      }
+      if (seen.has(share.username)) {
+        throw new RequestError('INVALID_SPLIT', `${share.username} is named twice.`);
+      }
+      seen.add(share.username);
+    }
+
+    const name = checkNote(title) || 'shared bill';
+    const split = await client.query(
+      'INSERT INTO split_bills (owner, title, total_amount, owner_share) VALUES ($1, $2, $3, $4) RETURNING *',
+      [owner, name, amount, ownerShare]
+    );
+    for (const share of shares) {
+      await client.query(
+        'INSERT INTO payment_requests (requester, payer, amount, note, split_id) VALUES ($1, $2, $3, $4, $5)',
+        [owner, share.username, share.amount, name, split.rows[0].id]
+      );
+    }
+    return loadSplit(split.rows[0], client);
+  });
+};
+
+// The owner's splits, newest first; finished ones only when asked
+export const listSplits = async (owner, { includeClosed = false } = {}) => {
+  const result = await pool.query(
+    `SELECT * FROM split_bills WHERE owner=$1 ${includeClosed ? '' : "AND status='open'"} ORDER BY created_at DESC, id DESC`,
+    [owner]
+  );
+  return Promise.all(result.rows.map((row) => loadSplit(row)));
+};
+
+// The owner and everyone asked to chip in can see a split
+const findSplitRow = async (username, id) => {
+  const result = await pool.query('SELECT * FROM split_bills WHERE id=$1', [id]);
+  const row = result.rows[0];
+  const asked = row && row.owner !== username
+    ? await pool.query('SELECT id FROM payment_requests WHERE split_id=$1 AND payer=$2', [row.id, username])
+    : null;
+  if (!row || asked?.rows.length === 0) {
+    throw new RequestError('NOT_FOUND', 'Split bill not found');
+  }
+  return row;
+};
+
+export const getSplit = async (username, id) => loadSplit(await findSplitRow(username, id));
+
+const ownSplitRow = async (owner, id) => {
+  const row = await findSplitRow(owner, id);
+  if (row.owner !== owner) {
+    throw new RequestError('NOT_FOUND', 'Split bill not found');
+  }
+  if (row.status !== 'open') {
+    throw new RequestError('NOT_PENDING', `"${row.title}" is already ${row.status}.`, { status: row.status });
+  }
+  return row;
+};
+
+// Remind everyone who hasn't paid yet and wasn't reminded recently.
+// Resolves to { split, reminded } with the requests just reminded.
+export const remindSplit = async (owner, id, now = new Date()) => {
+  const row = await ownSplitRow(owner, id);
+  const pending = await pool.query("SELECT * FROM payment_requests WHERE split_id=$1 AND status='pending' ORDER BY id", [row.id]);
+  const due = pending.rows.filter((r) => !tooSoonToRemind(r, now));
+  if (due.length === 0) {
+    throw new RequestError('TOO_SOON', `Everyone who owes for "${row.title}" was reminded recently. Try again later.`);
+  }
+  const reminded = [];
+  for (const request of due) {
+    reminded.push(await remindRow(request, now));
+  }
+  return { split: await loadSplit(row), reminded };
+};
+
+// Withdraws the requests nobody has paid; what was paid stays paid
+export const cancelSplit = async (owner, id) => {
+  const row = await ownSplitRow(owner, id);
+  return withTransaction(async (client) => {
+    await client.query(
+      "UPDATE payment_requests SET status='cancelled', responded_at=CURRENT_TIMESTAMP WHERE split_id=$1 AND status='pending'",
+      [row.id]
+    );
+    const result = await client.query(
+      "UPDATE split_bills SET status='cancelled', closed_at=CURRENT_TIMESTAMP WHERE id=$1 RETURNING *",
+      [row.id]
+    );
+    return loadSplit(result.rows[0], client);
+  });
+};
+
+// --------- Reminders ----------
+// Expire requests nobody answered in EXPIRY_DAYS, then remind payers of the
+// ones still pending REMINDER_DAYS after they were asked or last reminded.
+// Resolves to { reminded, expired } with the requests touched.
+export const runRequestReminders = async (now = new Date()) => {
+  const expired = await pool.query(
+    "UPDATE payment_requests SET status='expired', responded_at=$1 WHERE status='pending' AND created_at <= $2 RETURNING *",
+    [now, new Date(now.getTime() - EXPIRY_DAYS * DAY_MS)]
+  );
+  for (const splitId of new Set(expired.rows.map((r) => r.split_id).filter(Boolean))) {
+    await closeSplitIfDone(pool, splitId, now);
+  }
+
+  const reminded = await pool.query(
+    `UPDATE payment_requests SET reminder_count=reminder_count+1, reminded_at=$1
+     WHERE status='pending' AND reminder_count < $2 AND COALESCE(reminded_at, created_at) <= $3
+     RETURNING *`,
+    [now, REMINDER_LIMIT, new Date(now.getTime() - REMINDER_DAYS * DAY_MS)]
+  );
+
+  return { reminded: reminded.rows.map(toRequest), expired: expired.rows.map(toRequest) };
+};
+
+// --------- Spoken queries ----------
+// Words that follow "ask", "pay" or "remind" but aren't anyone's name
+const NOT_NAMES = new Set([
+  'me', 'my', 'mine', 'you', 'him', 'her', 'them', 'us', 'it', 'am', 'the', 'a', 'an', 'this', 'that', 'all',
+  'everyone', 'everybody', 'people', 'request', 'requests', 'money', 'for', 'to', 'from', 'back', 'who'
+]);
+
+const NAME = '@?([a-z_][\\w]*)';
+
+const firstName = (text, patterns) => {
+  for (const pattern of patterns) {
+    const match = text.match(pattern);
+    if (match && !NOT_NAMES.has(match[1])) return { name: match[1], matched: match[0] };
+  }
+  return null;
+};
+
+// "ask tunde for 3000", "request 3000 from tunde", "tell tunde to send me
+// 3000", "beg tunde make e send me 3000", and the same in Yoruba ("beere
+// 3000 lowo tunde"), Igbo ("rio tunde 3000") and Hausa ("roki tunde 3000")
+const ASK_PATTERNS = [
+  new RegExp(`\\bask ${NAME} (?:for|to)\\b`),
+  new RegExp(`\\b(?:request|collect|demand)\\b[^.?!]*?\\bfrom ${NAME}`),
+  new RegExp(`\\b(?:tell|beg) ${NAME} (?:to|make|say)\\b`),
+  new RegExp(`\\blowo ${NAME}`),
+  new RegExp(`\\b(?:rio|riọ) ${NAME}`),
+  new RegExp(`\\b(?:roki|roƙi|nemi kudi (?:daga|wajen|gun)) ${NAME}`)
+];
+
+// Whose request an answer is about: "tunde's request", "the request from
+// tunde", "pay tunde", "remind tunde", "my request to tunde"
+const PARTY_PATTERNS = [
+  new RegExp(`${NAME}'s requests?\\b`),
+  new RegExp(`\\brequests? (?:from|by|to|for) ${NAME}`),
+  new RegExp(`\\b(?:pay|accept|approve|settle|decline|reject|refuse|ignore|remind|nudge|chase|cancel) ${NAME}`)
+];
+
+// The "for lunch" on the end of a request; a number there is the amount
+const NOTE_PATTERN = /\bfor (?:the |my |our |a )?(?!₦|\d|money\b|cash\b|it\b)([a-z][a-z' ]{1,40}?)\s*[.?!]*$/;
+
+// What a message about payment requests wants: 'ask' someone for money,
+// 'accept' or 'decline' a request they got, 'remind' or 'cancel' one they
+// sent, or 'list' them. Resolves to { action, name, note, rest } where
+// rest is the text without the name, for reading the amount.
+export const parseMoneyRequest = (text) => {
+  const lower = String(text || '').toLowerCase().trim();
+  const read = (action, found) => {
+    const rest = found ? lower.replace(new RegExp(`@?\\b${found.name}\\b`), ' ') : lower;
+    const note = action === 'ask' ? rest.match(NOTE_PATTERN)?.[1].trim() || null : null;
+    return { action, name: found?.name || null, note, rest };
+  };
+
+  if (/\b(decline|reject|refuse|ignore|deny|i no go pay)\b/.test(lower)) return read('decline', firstName(lower, PARTY_PATTERNS));
+  if (/\b(remind|nudge|chase|follow up)\b/.test(lower)) return read('remind', firstName(lower, PARTY_PATTERNS));
+  if (/\b(cancel|withdraw|take back)\b/.test(lower)) return read('cancel', firstName(lower, PARTY_PATTERNS));
+  if (/\b(accept|approve)\b/.test(lower) || /\b(pay|settle)\b[^.?!]*\brequests?\b/.test(lower)) {
+    return read('accept', firstName(lower, PARTY_PATTERNS));
+  }
+  const asked = firstName(lower, ASK_PATTERNS);
+  if (asked) return read('ask', asked);
+  return read('list', null);
+};
+
+// "split 12000 for dinner with tunde and ada", "split the dinner bill of
+// 9000 between me, tunde and ada". Who is named comes after with, between
+// or among; the title after "for" or before "bill".
+const SPLIT_NAMES = /\b(?:with|between|among(?:st)?|pelu|tare da)\s+(.+?)(?=\s+(?:for|of|on)\b|[.?!]|$)/;
+const SPLIT_TITLE = /\bfor (?:the |my |our |a |an )?(?!₦|\d)([a-z][a-z' ]{1,30}?)(?=\s+(?:with|between|among)\b|\s*[.?!]*$)|\b(?:split|share|divide) (?:the |my |our |this |a )?([a-z][a-z' ]{1,30}?) (?:bill|cost)\b/;
+const ME = new Set(['me', 'myself', 'us', 'mi', 'emi', 'mu', 'ni']);
+
+// What a message about split bills wants: 'create' one, 'remind' or
+// 'cancel' one, or 'list' them. Resolves to { action, names, includeOwner,
+// title, rest } where rest is the text without the names.
+export const parseSplitRequest = (text) => {
+  const lower = String(text || '').toLowerCase().trim();
+  const action = /\b(remind|nudge|chase)\b/.test(lower)
+    ? 'remind'
+    : /\b(cancel|delete|remove|stop)\b/.test(lower) ? 'cancel' : null;
+
+  const found = lower.match(SPLIT_NAMES);
+  const words = found
+    ? found[1].split(/\s*(?:,|&|\band\b|\bati\b|\bna\b|\bda\b)\s*/).map((w) => w.trim().replace(/^@/, '')).filter(Boolean)
+    : [];
+  const names = words.filter((w) => /^[a-z_]\w*$/.test(w) && !ME.has(w) && !NOT_NAMES.has(w));
+  // "with tunde" always counts the owner in; "between tunde and ada" only
+  // when the owner names themselves too
+  const includeOwner = !found || /^(with|pelu|tare da)\b/.test(found[0]) || words.some((w) => ME.has(w));
+  const title = lower.match(SPLIT_TITLE);
+
+  return {
+    action: action || (names.length > 0 ? 'create' : 'list'),
+    names,
+    includeOwner,
+    title: title ? (title[1] || title[2]).trim() : null,
+    rest: found ? lower.replace(found[0], ' ') : lower
+  };
+};
@@ -0,0 +1,514 @@
+import { pool, withTransaction } from './db.js';
+import { LedgerError, SYSTEM_ACCOUNTS, userAccount, savingsAccount, postJournal, getAccountBalance } from './ledger.js';
+import { normalizeFrequency, addPeriods } from './esusu.js';
+
+// --------- Config ----------
+// Simple interest a year, in percent. Locked goals earn more because the
+// money can't leave before they mature.
+const FLEXIBLE_RATE = parseFloat(process.env.SAVINGS_FLEXIBLE_RATE || '4');
+const LOCKED_RATE = parseFloat(process.env.SAVINGS_LOCKED_RATE || '10');
+const DEFAULT_ROUND_UP = 100;
+const ROUND_UP_STEPS = [10, 50, 100, 500, 1000];
+
+// Payments that get rounded up into a goal
+const ROUND_UP_TYPES = ['Transfer', 'Bank Transfer', 'Airtime', 'Data', 'Bill Payment'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// --------- Errors ----------
+// Codes: INVALID_GOAL, NAME_TAKEN, NOT_FOUND, CLOSED, LOCKED, INVALID_AMOUNT,
+// NOT_ENOUGH_SAVED, INVALID_SCHEDULE.
+export class SavingsError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'SavingsError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// --------- Schema ----------
+// A goal's money sits on its own ledger account (savings:<id>). Interest is
+// worked out in kobo and paid in whole naira; the kobo not paid yet carry
+// over in interest_kobo. round_up_after is the last payment already rounded.
+export const createSavingsTables = async () => {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS savings_goals (
+      id SERIAL PRIMARY KEY,
+      username TEXT NOT NULL,
+      name TEXT NOT NULL,
+      target_amount INTEGER NOT NULL,
+      target_date TIMESTAMP,
+      locked_until TIMESTAMP,
+      rate_bps INTEGER NOT NULL DEFAULT 0,
+      interest_earned INTEGER DEFAULT 0,
+      interest_kobo INTEGER DEFAULT 0,
+      interest_accrued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      auto_amount INTEGER,
+      auto_frequency TEXT,
+      next_auto_at TIMESTAMP,
+      round_up_to INTEGER,
+      round_up_after INTEGER,
+      status TEXT DEFAULT 'active',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      closed_at TIMESTAMP
+    )
+  `);
+  await pool.query('CREATE INDEX IF NOT EXISTS savings_goals_username_idx ON savings_goals(username)');
+};
+
+// --------- Goals ----------
+const rateFor = (lockedUntil) => Math.round((lockedUntil ? LOCKED_RATE : FLEXIBLE_RATE) * 100);
+
+export const isLocked = (goal, now = new Date()) =>
+  Boolean(goal.locked_until) && new Date(goal.locked_until) > now;
+
+// What the app and the chat show for a goal
+const toGoal = (row, saved, now = new Date()) => {
+  const remaining = Math.max(0, row.target_amount - saved);
+  const daysLeft = row.target_date ? Math.ceil((new Date(row.target_date) - now) / DAY_MS) : null;
+  return {
+    id: row.id,
+    name: row.name,
+    targetAmount: row.target_amount,
+    targetDate: row.target_date,
+    saved,
+    remaining,
+    progress: row.target_amount > 0 ? Math.min(1, saved / row.target_amount) : 0,
+    // What it takes a week to get there on time
+    perWeek: remaining > 0 && daysLeft > 0 ? Math.ceil(remaining / Math.max(1, daysLeft / 7)) : null,
+    lockedUntil: row.locked_until,
+    locked: isLocked(row, now),
+    interestRate: row.rate_bps / 100,
+    interestEarned: row.interest_earned,
+    autoSave: row.auto_amount ? { amount: row.auto_amount, frequency: row.auto_frequency, nextAt: row.next_auto_at } : null,
+    roundUpTo: row.round_up_to,
+    status: row.status,
+    createdAt: row.created_at
+  };
+};
+
+const checkAmount = (amount, field = 'amount') => {
+  const value = Number(amount);
+  if (!Number.isInteger(value) || value <= 0) {
+    throw new SavingsError('INVALID_AMOUNT', `${field} must be a whole naira amount above zero.`, { field });
+  }
+  return value;
+};
+
+const checkFutureDate = (value, field) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new SavingsError('INVALID_GOAL', `${field} must be a date like 2026-12-31`, { field });
+  }
+  if (date <= new Date()) {
+    throw new SavingsError('INVALID_GOAL', `${field} must be in the future`, { field });
+  }
+  return date;
+};
+
+// { auto_amount, auto_frequency } for a fixed top-up, or nulls to stop it
+const checkSchedule = (amount, frequency) => {
+  if (amount === null || amount === undefined || amount === '') {
+    return { amount: null, frequency: null };
+  }
+  const canonical = normalizeFrequency(frequency);
+  if (!canonical) {
+    throw new SavingsError('INVALID_SCHEDULE', 'Top-ups run daily, weekly, bi-weekly or monthly.');
+  }
+  return { amount: checkAmount(amount, 'autoAmount'), frequency: canonical };
+};
+
+const checkRoundUp = (roundUpTo) => {
+  if (roundUpTo === null || roundUpTo === undefined || roundUpTo === false) return null;
+  const step = roundUpTo === true ? DEFAULT_ROUND_UP : Number(roundUpTo);
+  if (!ROUND_UP_STEPS.includes(step)) {
+    throw new SavingsError('INVALID_SCHEDULE', `Round up to the nearest ${ROUND_UP_STEPS.map((s) => `₦${s}`).join(', ')}.`);
+  }
+  return step;
+};
+
+const checkNameFree = async (username, name, exceptId = null) => {
+  const taken = await pool.query(
+    "SELECT id FROM savings_goals WHERE username=$1 AND LOWER(name)=LOWER($2) AND status='active' AND id <> $3",
+    [username, name, exceptId || 0]
+  );
+  if (taken.rows.length > 0) {
+    throw new SavingsError('NAME_TAKEN', `You already have a goal called "${name}".`, { name });
+  }
+};
+
+// Only one goal takes the round-ups, so a payment is never rounded twice.
+// Rounding starts with the next payment.
+const takeRoundUps = async (client, username, goalId) => {
+  await client.query(
+    "UPDATE savings_goals SET round_up_to=NULL WHERE username=$1 AND id <> $2 AND round_up_to IS NOT NULL",
+    [username, goalId]
+  );
+  const last = await client.query('SELECT COALESCE(MAX(id), 0) AS id FROM transactions WHERE username=$1', [username]);
+  await client.query('UPDATE savings_goals SET round_up_after=$1 WHERE id=$2', [Number(last.rows[0].id), goalId]);
+};
+
+// { name, targetAmount, targetDate?, lockedUntil?, autoAmount?, autoFrequency?, roundUpTo? }
+export const createGoal = async (username, options) => {
+  const name = String(options.name || '').trim().replace(/\s+/g, ' ');
+  if (!name || name.length > 40) {
+    throw new SavingsError('INVALID_GOAL', 'Give the goal a short name, like "rent".', { field: 'name' });
+  }
+  const targetAmount = checkAmount(options.targetAmount, 'targetAmount');
+  const targetDate = options.targetDate ? checkFutureDate(options.targetDate, 'targetDate') : null;
+  const lockedUntil = options.lockedUntil ? checkFutureDate(options.lockedUntil, 'lockedUntil') : null;
+  const schedule = checkSchedule(options.autoAmount, options.autoFrequency);
+  const roundUpTo = checkRoundUp(options.roundUpTo);
+  await checkNameFree(username, name);
+
+  const row = await withTransaction(async (client) => {
+    const created = await client.query(
+      `INSERT INTO savings_goals
+         (username, name, target_amount, target_date, locked_until, rate_bps, auto_amount, auto_frequency, next_auto_at, round_up_to)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [
+        username, name, targetAmount, targetDate, lockedUntil, rateFor(lockedUntil),
+        schedule.amount, schedule.frequency, schedule.amount ? new Date() : null, roundUpTo
+      ]
+    );
+    if (roundUpTo) await takeRoundUps(client, username, created.rows[0].id);
+    return created.rows[0];
+  });
+  return toGoal(row, 0);
+};
+
+export const listGoals = async (username, { includeClosed = false } = {}) => {
+  const result = await pool.query(
+    `SELECT * FROM savings_goals WHERE username=$1 ${includeClosed ? '' : "AND status='active'"} ORDER BY created_at, id`,
+    [username]
+  );
+  const goals = [];
+  for (const row of result.rows) {
+    goals.push(toGoal(row, await getAccountBalance(savingsAccount(row.id))));
+  }
+  return goals;
+};
+
+const findGoalRow = async (username, goalId, client = pool, { lock = false } = {}) => {
+  const result = await client.query(
+    `SELECT * FROM savings_goals WHERE id=$1 AND username=$2${lock ? ' FOR UPDATE' : ''}`,
+    [goalId, username]
+  );
+  if (result.rows.length === 0) {
+    throw new SavingsError('NOT_FOUND', 'Savings goal not found');
+  }
+  return result.rows[0];
+};
+
+export const getGoal = async (username, goalId) => {
+  const row = await findGoalRow(username, goalId);
+  return toGoal(row, await getAccountBalance(savingsAccount(row.id)));
+};
+
+// Change any of createGoal's options. A lock can be added or pushed back,
+// never brought forward while it holds.
+export const updateGoal = async (username, goalId, changes) => {
+  const row = await findGoalRow(username, goalId);
+  if (row.status !== 'active') {
+    throw new SavingsError('CLOSED', `"${row.name}" is closed.`);
+  }
+
+  const sets = {};
+  if (changes.name !== undefined) {
+    const name = String(changes.name || '').trim().replace(/\s+/g, ' ');
+    if (!name || name.length > 40) {
+      throw new SavingsError('INVALID_GOAL', 'Give the goal a short name, like "rent".', { field: 'name' });
+    }
+    await checkNameFree(username, name, row.id);
+    sets.name = name;
+  }
+  if (changes.targetAmount !== undefined) sets.target_amount = checkAmount(changes.targetAmount, 'targetAmount');
+  if (changes.targetDate !== undefined) sets.target_date = changes.targetDate ? checkFutureDate(changes.targetDate, 'targetDate') : null;
+  if (changes.lockedUntil !== undefined) {
+    const lockedUntil = changes.lockedUntil ? checkFutureDate(changes.lockedUntil, 'lockedUntil') : null;
+    if (isLocked(row) && (!lockedUntil || lockedUntil < new Date(row.locked_until))) {
+      throw new SavingsError('LOCKED', `"${row.name}" is locked until ${new Date(row.locked_until).toDateString()}.`, { name: row.name, lockedUntil: row.locked_until });
+    }
+    sets.locked_until = lockedUntil;
+    sets.rate_bps = rateFor(lockedUntil);
+  }
+  if (changes.autoAmount !== undefined) {
+    const schedule = checkSchedule(changes.autoAmount, changes.autoFrequency ?? row.auto_frequency);
+    sets.auto_amount = schedule.amount;
+    sets.auto_frequency = schedule.frequency;
+    sets.next_auto_at = schedule.amount ? new Date() : null;
+  }
+  const roundUpTo = changes.roundUpTo !== undefined ? checkRoundUp(changes.roundUpTo) : undefined;
+  if (roundUpTo !== undefined) sets.round_up_to = roundUpTo;
+
+  const columns = Object.keys(sets);
+  const updated = await withTransaction(async (client) => {
+    if (columns.length > 0) {
+      await client.query(
+        `UPDATE savings_goals SET ${columns.map((c, i) => `${c}=$${i + 3}`).join(', ')} WHERE id=$1 AND username=$2`,
+        [row.id, username, ...columns.map((c) => sets[c])]
+      );
+    }
+    if (roundUpTo) await takeRoundUps(client, username, row.id);
+    return findGoalRow(username, row.id, client);
+  });
+  return toGoal(updated, await getAccountBalance(savingsAccount(row.id)));
+};
+
+// --------- Moving money ----------
+// Wallet to goal. `source` is 'manual', 'auto' or 'round_up'. Resolves to
+// { goal, balance } with the wallet balance after.
+export const depositToGoal = (username, goalId, amount, { source = 'manual' } = {}) =>
+  withTransaction(async (client) => {
+    const value = checkAmount(amount);
+    const row = await findGoalRow(username, goalId, client, { lock: true });
+    if (row.status !== 'active') {
+      throw new SavingsError('CLOSED', `"${row.name}" is closed.`);
+    }
+    const { balances } = await postJournal(client, {
+      kind: 'savings_deposit',
+      memo: `${row.name}${source !== 'manual' ? ` (${source.replace('_', '-')})` : ''}`,
+      legs: [
+        { account: userAccount(username), amount: -value },
+        { account: savingsAccount(row.id), amount: value }
+      ],
+      transactions: [{ username, type: 'Savings Deposit', amount: value, toUser: row.name }]
+    });
+    return {
+      goal: toGoal(row, await getAccountBalance(savingsAccount(row.id), client)),
+      balance: balances[username]
+    };
+  });
+
+// Goal to wallet, once any lock has run out
+export const withdrawFromGoal = (username, goalId, amount) =>
+  withTransaction(async (client) => {
+    const value = checkAmount(amount);
+    const row = await findGoalRow(username, goalId, client, { lock: true });
+    if (row.status !== 'active') {
+      throw new SavingsError('CLOSED', `"${row.name}" is closed.`);
+    }
+    if (isLocked(row)) {
+      throw new SavingsError('LOCKED', `"${row.name}" is locked until ${new Date(row.locked_until).toDateString()}.`, { name: row.name, lockedUntil: row.locked_until });
+    }
+    const saved = await getAccountBalance(savingsAccount(row.id), client);
+    if (value > saved) {
+      throw new SavingsError('NOT_ENOUGH_SAVED', `"${row.name}" only has ₦${saved.toLocaleString()}.`, { name: row.name, saved });
+    }
+    const { balances } = await postJournal(client, {
+      kind: 'savings_withdrawal',
+      memo: row.name,
+      legs: [
+        { account: savingsAccount(row.id), amount: -value },
+        { account: userAccount(username), amount: value }
+      ],
+      transactions: [{ username, type: 'Savings Withdrawal', amount: value, toUser: row.name }]
+    });
+    return { goal: toGoal(row, saved - value), balance: balances[username] };
+  });
+
+// Pay everything out and close the goal. Resolves to { goal, paidOut, balance }.
+export const closeGoal = async (username, goalId) => {
+  const row = await findGoalRow(username, goalId);
+  if (row.status !== 'active') {
+    throw new SavingsError('CLOSED', `"${row.name}" is already closed.`);
+  }
+  const saved = await getAccountBalance(savingsAccount(row.id));
+  const result = saved > 0 ? await withdrawFromGoal(username, row.id, saved) : null;
+  await pool.query(
+    "UPDATE savings_goals SET status='closed', closed_at=CURRENT_TIMESTAMP, auto_amount=NULL, round_up_to=NULL WHERE id=$1",
+    [row.id]
+  );
+  const balance = result ? result.balance : (await pool.query('SELECT balance FROM users WHERE username=$1', [username])).rows[0].balance;
+  return { goal: { ...toGoal(row, 0), status: 'closed' }, paidOut: saved, balance };
+};
+
+// --------- Round-ups ----------
+// ₦1,250 rounded up to the next ₦100 puts ₦50 away
+const roundUpOf = (amount, step) => (step - (amount % step)) % step;
+
+// Round up the user's payments since the last pass into their round-up
+// goal. A wallet too low for the round-up just skips it. Resolves to
+// { goal, amount, balance } when money moved, otherwise null.
+export const applyRoundUps = async (username) => {
+  const goals = await pool.query(
+    "SELECT * FROM savings_goals WHERE username=$1 AND status='active' AND round_up_to IS NOT NULL LIMIT 1",
+    [username]
+  );
+  const goal = goals.rows[0];
+  if (!goal) return null;
+
+  const payments = await pool.query(
+    `SELECT id, amount FROM transactions
+      WHERE username=$1 AND id > $2 AND status <> 'failed' AND type IN (${ROUND_UP_TYPES.map((_, i) => `$${i + 3}`).join(', ')})
+      ORDER BY id`,
+    [username, goal.round_up_after || 0, ...ROUND_UP_TYPES]
+  );
+  if (payments.rows.length === 0) return null;
+
+  const amount = payments.rows.reduce((sum, p) => sum + roundUpOf(p.amount, goal.round_up_to), 0);
+  const lastId = payments.rows[payments.rows.length - 1].id;
+  const claimed = await pool.query(
+    'UPDATE savings_goals SET round_up_after=$1 WHERE id=$2 AND round_up_after=$3 RETURNING id',
+    [lastId, goal.id, goal.round_up_after || 0]
+  );
+  // Another pass got there first
+  if (claimed.rows.length === 0 || amount === 0) return null;
+
+  try {
+    const { goal: updated, balance } = await depositToGoal(username, goal.id, amount, { source: 'round_up' });
+    return { goal: updated, amount, balance };
+  } catch (err) {
+    if (err instanceof LedgerError && err.code === 'INSUFFICIENT_FUNDS') return null;
+    throw err;
+  }
+};
+
+// --------- Interest ----------
+// Simple interest on what the user has put in (interest earns none), for
+// each whole day since it was last worked out. Resolves to the naira paid in.
+const accrueInterest = (goalId, now) =>
+  withTransaction(async (client) => {
+    const locked = await client.query('SELECT * FROM savings_goals WHERE id=$1 FOR UPDATE', [goalId]);
+    const goal = locked.rows[0];
+    const days = Math.floor((now - new Date(goal.interest_accrued_at)) / DAY_MS);
+    if (days < 1) return 0;
+
+    const saved = await getAccountBalance(savingsAccount(goal.id), client);
+    const principal = Math.max(0, saved - goal.interest_earned);
+    const kobo = (goal.interest_kobo || 0) + Math.floor((principal * 100 * goal.rate_bps * days) / (10000 * 365));
+    const naira = Math.floor(kobo / 100);
+    if (naira > 0) {
+      await postJournal(client, {
+        kind: 'savings_interest',
+        memo: `${goal.name}: ${days} day(s) at ${goal.rate_bps / 100}%`,
+        legs: [
+          { account: SYSTEM_ACCOUNTS.interest, amount: -naira },
+          { account: savingsAccount(goal.id), amount: naira }
+        ]
+      });
+    }
+    await client.query(
+      `UPDATE savings_goals
+          SET interest_accrued_at=$1, interest_kobo=$2, interest_earned=interest_earned + $3
+        WHERE id=$4`,
+      [new Date(new Date(goal.interest_accrued_at).getTime() + days * DAY_MS), kobo - naira * 100, naira, goal.id]
+    );
+    return naira;
+  });
+
+// --------- Scheduler ----------
+// One pass: fixed top-ups that are due, round-ups on new payments, and
+// interest for every open goal. A missed top-up (not enough in the wallet)
+// waits for the next one. Safe to run as often as you like.
+export const runSavingsSchedule = async (now = new Date()) => {
+  const summary = { deposited: 0, failed: 0, roundUps: 0, interest: 0 };
+
+  const due = await pool.query(
+    "SELECT * FROM savings_goals WHERE status='active' AND auto_amount IS NOT NULL AND next_auto_at <= $1 ORDER BY id",
+    [now]
+  );
+  for (const goal of due.rows) {
+    // Top-ups missed while the server was down are skipped, not paid in a burst
+    let next = addPeriods(goal.next_auto_at, goal.auto_frequency, 1);
+    while (next <= now) next = addPeriods(next, goal.auto_frequency, 1);
+    // Claim this top-up before paying it, so two passes can't both pay
+    const claimed = await pool.query(
+      'UPDATE savings_goals SET next_auto_at=$1 WHERE id=$2 AND next_auto_at=$3 RETURNING id',
+      [next, goal.id, goal.next_auto_at]
+    );
+    if (claimed.rows.length === 0) continue;
+    try {
+      await depositToGoal(goal.username, goal.id, goal.auto_amount, { source: 'auto' });
+      summary.deposited++;
+    } catch (err) {
+      console.warn(`Savings top-up failed for ${goal.username} ("${goal.name}"): ${err.message}`);
+      summary.failed++;
+    }
+  }
+
+  const roundUpUsers = await pool.query(
+    "SELECT DISTINCT username FROM savings_goals WHERE status='active' AND round_up_to IS NOT NULL"
+  );
+  for (const { username } of roundUpUsers.rows) {
+    if (await applyRoundUps(username)) summary.roundUps++;
+  }
+
+  const open = await pool.query("SELECT id FROM savings_goals WHERE status='active' ORDER BY id");
+  for (const { id } of open.rows) {
+    summary.interest += await accrueInterest(id, now);
+  }
+
+  return summary;
+};
+
+// --------- Spoken queries ----------
+// The goal named in the text ("save 2000 for my rent"), longest name first
+// so "school fees" wins over "school"
+export const findGoalInText = (goals, text) => {
+  const lower = String(text || '').toLowerCase();
+  return [...goals]
+    .sort((a, b) => b.name.length - a.name.length)
+    .find((goal) => new RegExp(`\\b${goal.name.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(lower)) || null;
+};
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const MONTH_NAMES = MONTHS.map((m) => `${m}|${m.slice(0, 3)}`).join('|');
+const DATE_PATTERN = new RegExp(`\\b(?:by|before|till|until|in|for) (?:end of |the end of )?(${MONTH_NAMES})\\b(?: (\\d{4}))?|\\b(?:by|before|till|until) (\\d{4}-\\d{2}-\\d{2})\\b`);
+
+const FREQUENCY_WORDS = [
+  { frequency: 'daily', pattern: /\b(daily|every day|each day)\b/ },
+  { frequency: 'bi-weekly', pattern: /\b(bi-?weekly|fortnightly|every (two|2) weeks)\b/ },
+  { frequency: 'weekly', pattern: /\b(weekly|every week|each week)\b/ },
+  { frequency: 'monthly', pattern: /\b(monthly|every month|each month)\b/ }
+];
+
+const NAME_END = '(?=\\s+(?:of|by|before|till|until|with|locked|lock|target|every|daily|weekly|monthly|and)\\b|\\s*[₦\\d,.!?]|$)';
+const NAME_PATTERNS = [
+  new RegExp(`\\b(?:called|named) "?([a-z][\\w']*(?: [a-z][\\w']*){0,3}?)"?${NAME_END}`),
+  new RegExp(`\\bfor (?:a |an |my |the |our )?(?!(?:end|the)\\b)([a-z][\\w']*(?: [a-z][\\w']*){0,3}?)${NAME_END}`)
+];
+
+// The last day of the month named, this year or the next
+const endOfMonth = (month, year, now) => {
+  let end = new Date(year || now.getFullYear(), month + 1, 0, 23, 59, 59);
+  if (!year && end < now) end = new Date(now.getFullYear() + 1, month + 1, 0, 23, 59, 59);
+  return end;
+};
+
+// What a savings request wants: 'create' a goal, 'withdraw', 'deposit'
+// (or 'schedule' a repeating deposit), or 'list' the goals. `rest` is the
+// text without the date, for reading the amount.
+//   "create a savings goal for rent of 200000 by december, locked"
+//   "save 2000 for my rent", "save 1000 every week for school fees"
+//   "withdraw 5000 from my rent savings"
+export const parseSavingsRequest = (text, now = new Date()) => {
+  const lower = String(text || '').toLowerCase();
+  const request = { action: 'list', rest: lower };
+
+  const date = lower.match(DATE_PATTERN);
+  if (date) {
+    request.targetDate = date[3]
+      ? new Date(`${date[3]}T23:59:59`)
+      : endOfMonth(MONTHS.findIndex((m) => m.startsWith(date[1].slice(0, 3))), date[2] ? Number(date[2]) : null, now);
+    request.rest = lower.replace(date[0], ' ');
+  }
+  request.lock = /\block(ed)?\b/.test(lower);
+  request.frequency = FREQUENCY_WORDS.find((f) => f.pattern.test(lower))?.frequency || null;
+  if (request.frequency) {
+    request.rest = FREQUENCY_WORDS.reduce((rest, f) => rest.replace(f.pattern, ' '), request.rest);
+  }
+
+  if (/\b(withdraw|take out|cash out|remove|collect|break)\b/.test(lower)) {
+    request.action = 'withdraw';
+  } else if (/\b(new|create|start|open|set up|make)\b[^.?!]*\b(goal|vault|savings)\b|\bstart saving\b|\bsave up for\b/.test(lower)) {
+    request.action = 'create';
+    const named = NAME_PATTERNS.map((p) => request.rest.match(p)).find(Boolean);
+    request.name = named ? named[1].replace(/\b(savings?|goal|vault)\b/g, '').trim() || null : null;
+  } else if (/\b(save|put|add|move|keep|send)\b/.test(lower)) {
+    request.action = request.frequency ? 'schedule' : 'deposit';
+  }
+  return request;
+};
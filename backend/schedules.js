@@ -0,0 +1,462 @@
+import { pool } from './db.js';
+
+// --------- Config ----------
+// Scheduled payments go out at this hour on the day they fall due
+const RUN_HOUR = parseInt(process.env.SCHEDULE_RUN_HOUR || '8', 10);
+// A payment that fails for a low balance is tried again this many times,
+// this many hours apart, before it waits for its next date
+const RETRY_LIMIT = parseInt(process.env.SCHEDULE_RETRY_LIMIT || '3', 10);
+const RETRY_HOURS = parseFloat(process.env.SCHEDULE_RETRY_HOURS || '4');
+
+// Intents that can be scheduled; each run goes through the intent's performer
+export const SCHEDULE_INTENTS = ['transfer', 'bank_transfer', 'airtime', 'data', 'bill_payment'];
+export const SCHEDULE_FREQUENCIES = ['once', 'daily', 'weekly', 'monthly'];
+export const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// --------- Errors ----------
+// Codes: INVALID_RULE, INVALID_PAYMENT, NOT_FOUND, FINISHED.
+export class ScheduleError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'ScheduleError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// --------- Schema ----------
+// payload is what the intent's performer takes, so a run pays exactly as
+// /action would. The rule is a frequency with the weekday or day of the
+// month it falls on, or the date of a one-off payment. attempts counts the
+// low-balance retries of the run that is due.
+export const createScheduleTables = async () => {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS scheduled_payments (
+      id SERIAL PRIMARY KEY,
+      username TEXT NOT NULL,
+      intent TEXT NOT NULL,
+      payload JSONB NOT NULL,
+      amount INTEGER NOT NULL,
+      label TEXT NOT NULL,
+      payee TEXT,
+      frequency TEXT NOT NULL,
+      weekday INTEGER,
+      month_day INTEGER,
+      run_on TIMESTAMP,
+      next_run_at TIMESTAMP,
+      attempts INTEGER DEFAULT 0,
+      run_count INTEGER DEFAULT 0,
+      last_run_at TIMESTAMP,
+      last_status TEXT,
+      last_error TEXT,
+      status TEXT DEFAULT 'active',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      cancelled_at TIMESTAMP
+    )
+  `);
+  await pool.query('CREATE INDEX IF NOT EXISTS scheduled_payments_username_idx ON scheduled_payments(username)');
+  await pool.query('CREATE INDEX IF NOT EXISTS scheduled_payments_next_run_idx ON scheduled_payments(next_run_at)');
+};
+
+// --------- Rules ----------
+const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+const runTime = (year, month, day) => new Date(year, month, day, RUN_HOUR);
+
+// A local calendar date as YYYY-MM-DD
+const dateKey = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// Months with fewer days pay a day-31 rule on their last day
+const fallsOn = (rule, date) => {
+  if (rule.frequency === 'daily') return true;
+  if (rule.frequency === 'weekly') return date.getDay() === rule.weekday;
+  return date.getDate() === Math.min(rule.monthDay, daysInMonth(date.getFullYear(), date.getMonth()));
+};
+
+// The first run of a rule after `after`, or null once a one-off date has passed
+export const nextRunAfter = (rule, after) => {
+  if (rule.frequency === 'once') {
+    const [year, month, day] = rule.runOn.split('-').map(Number);
+    const at = runTime(year, month - 1, day);
+    return at > after ? at : null;
+  }
+  for (let offset = 0; offset <= 62; offset++) {
+    const at = runTime(after.getFullYear(), after.getMonth(), after.getDate() + offset);
+    if (at > after && fallsOn(rule, at)) return at;
+  }
+  return null;
+};
+
+// { frequency, weekday?, monthDay?, runOn? } from a request, made canonical
+export const checkRule = (rule) => {
+  const frequency = String(rule?.frequency || '').toLowerCase();
+  if (!SCHEDULE_FREQUENCIES.includes(frequency)) {
+    throw new ScheduleError('INVALID_RULE', `Payments can run ${SCHEDULE_FREQUENCIES.join(', ')}.`, { field: 'frequency' });
+  }
+  if (frequency === 'weekly') {
+    const weekday = typeof rule.weekday === 'string' ? WEEKDAYS.indexOf(rule.weekday.toLowerCase()) : Number(rule.weekday);
+    if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+      throw new ScheduleError('INVALID_RULE', 'Say which day of the week, like Friday.', { field: 'weekday' });
+    }
+    return { frequency, weekday };
+  }
+  if (frequency === 'monthly') {
+    const monthDay = Number(rule.monthDay);
+    if (!Number.isInteger(monthDay) || monthDay < 1 || monthDay > 31) {
+      throw new ScheduleError('INVALID_RULE', 'Say which day of the month, from 1 to 31.', { field: 'monthDay' });
+    }
+    return { frequency, monthDay };
+  }
+  if (frequency === 'once') {
+    const date = new Date(`${String(rule.runOn || '').slice(0, 10)}T00:00:00`);
+    if (Number.isNaN(date.getTime())) {
+      throw new ScheduleError('INVALID_RULE', 'runOn must be a date like 2026-12-31.', { field: 'runOn' });
+    }
+    return { frequency, runOn: dateKey(date) };
+  }
+  return { frequency };
+};
+
+// --------- Schedules ----------
+const toRule = (row) => ({
+  frequency: row.frequency,
+  ...(row.weekday !== null && { weekday: row.weekday }),
+  ...(row.month_day !== null && { monthDay: row.month_day }),
+  ...(row.run_on && { runOn: dateKey(new Date(row.run_on)) })
+});
+
+// What the app and the chat show for a scheduled payment
+const toSchedule = (row) => ({
+  id: row.id,
+  username: row.username,
+  intent: row.intent,
+  payload: row.payload,
+  amount: row.amount,
+  label: row.label,
+  payee: row.payee,
+  rule: toRule(row),
+  nextRunAt: row.status === 'active' ? row.next_run_at : null,
+  attempts: row.attempts,
+  runCount: row.run_count,
+  lastRunAt: row.last_run_at,
+  lastStatus: row.last_status,
+  lastError: row.last_error,
+  status: row.status,
+  createdAt: row.created_at
+});
+
+// { intent, payload, amount, label, payee?, rule, startNow? }. startNow makes
+// the first run right away for rules like "every month" that name no day.
+export const createSchedule = async (username, options, now = new Date()) => {
+  if (!SCHEDULE_INTENTS.includes(options.intent)) {
+    throw new ScheduleError('INVALID_PAYMENT', `Only ${SCHEDULE_INTENTS.join(', ')} can be scheduled.`, { field: 'intent' });
+  }
+  const amount = Number(options.amount);
+  if (!Number.isInteger(amount) || amount <= 0) {
+    throw new ScheduleError('INVALID_PAYMENT', 'amount must be a whole naira amount above zero.', { field: 'amount' });
+  }
+  const rule = checkRule(options.rule);
+  const nextRunAt = options.startNow && rule.frequency !== 'once' ? now : nextRunAfter(rule, now);
+  if (!nextRunAt) {
+    throw new ScheduleError('INVALID_RULE', 'That date has already passed.', { field: 'runOn' });
+  }
+
+  const result = await pool.query(
+    `INSERT INTO scheduled_payments
+       (username, intent, payload, amount, label, payee, frequency, weekday, month_day, run_on, next_run_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     RETURNING *`,
+    [
+      username, options.intent, JSON.stringify(options.payload), amount, options.label, options.payee || null,
+      rule.frequency, rule.weekday ?? null, rule.monthDay ?? null, rule.runOn ? new Date(`${rule.runOn}T00:00:00`) : null, nextRunAt
+    ]
+  );
+  return toSchedule(result.rows[0]);
+};
+
+// Active and paused payments, soonest first; finished ones only when asked
+export const listSchedules = async (username, { includeFinished = false } = {}) => {
+  const result = await pool.query(
+    `SELECT * FROM scheduled_payments WHERE username=$1 ${includeFinished ? '' : "AND status IN ('active', 'paused')"}
+     ORDER BY next_run_at, id`,
+    [username]
+  );
+  return result.rows.map(toSchedule);
+};
+
+const findScheduleRow = async (username, id) => {
+  const result = await pool.query('SELECT * FROM scheduled_payments WHERE id=$1 AND username=$2', [id, username]);
+  if (result.rows.length === 0) {
+    throw new ScheduleError('NOT_FOUND', 'Scheduled payment not found');
+  }
+  return result.rows[0];
+};
+
+export const getSchedule = async (username, id) => toSchedule(await findScheduleRow(username, id));
+
+const checkOpen = (row) => {
+  if (row.status !== 'active' && row.status !== 'paused') {
+    throw new ScheduleError('FINISHED', `That payment (${row.label}) has already ${row.status === 'cancelled' ? 'been cancelled' : 'finished'}.`);
+  }
+};
+
+export const pauseSchedule = async (username, id) => {
+  const row = await findScheduleRow(username, id);
+  checkOpen(row);
+  const result = await pool.query(
+    "UPDATE scheduled_payments SET status='paused', attempts=0 WHERE id=$1 RETURNING *",
+    [row.id]
+  );
+  return toSchedule(result.rows[0]);
+};
+
+// Runs that fell while it was paused are not made up
+export const resumeSchedule = async (username, id, now = new Date()) => {
+  const row = await findScheduleRow(username, id);
+  checkOpen(row);
+  if (row.status === 'active') return toSchedule(row);
+  const nextRunAt = nextRunAfter(toRule(row), now);
+  if (!nextRunAt) {
+    throw new ScheduleError('INVALID_RULE', `The date for ${row.label} has already passed.`);
+  }
+  const result = await pool.query(
+    "UPDATE scheduled_payments SET status='active', next_run_at=$1 WHERE id=$2 RETURNING *",
+    [nextRunAt, row.id]
+  );
+  return toSchedule(result.rows[0]);
+};
+
+export const cancelSchedule = async (username, id) => {
+  const row = await findScheduleRow(username, id);
+  checkOpen(row);
+  const result = await pool.query(
+    "UPDATE scheduled_payments SET status='cancelled', cancelled_at=CURRENT_TIMESTAMP WHERE id=$1 RETURNING *",
+    [row.id]
+  );
+  return toSchedule(result.rows[0]);
+};
+
+// --------- Runner ----------
+// Make every payment that is due with `pay(schedule)`, which pays it the way
+// /action would. A low balance is tried again RETRY_HOURS later, up to
+// RETRY_LIMIT times; after that, or on any other failure, the run is missed
+// and the payment waits for its next date. Runs missed while the server was
+// down are not made up.
+export const runScheduledPayments = async (pay, now = new Date()) => {
+  const summary = { paid: 0, retrying: 0, failed: 0 };
+
+  const due = await pool.query(
+    "SELECT * FROM scheduled_payments WHERE status='active' AND next_run_at <= $1 ORDER BY next_run_at, id",
+    [now]
+  );
+  for (const row of due.rows) {
+    const next = nextRunAfter(toRule(row), now);
+    // Claim this run before paying it, so two passes can't both pay
+    const claimed = await pool.query(
+      "UPDATE scheduled_payments SET next_run_at=$1, status=$2 WHERE id=$3 AND status='active' AND next_run_at=$4 RETURNING id",
+      [next, next ? 'active' : 'completed', row.id, row.next_run_at]
+    );
+    if (claimed.rows.length === 0) continue;
+
+    try {
+      await pay(toSchedule(row));
+      await pool.query(
+        "UPDATE scheduled_payments SET attempts=0, run_count=run_count+1, last_run_at=$1, last_status='paid', last_error=NULL WHERE id=$2",
+        [now, row.id]
+      );
+      summary.paid++;
+    } catch (err) {
+      const retryAt = new Date(now.getTime() + RETRY_HOURS * HOUR_MS);
+      if (err.code === 'INSUFFICIENT_FUNDS' && row.attempts < RETRY_LIMIT && (!next || retryAt < next)) {
+        await pool.query(
+          "UPDATE scheduled_payments SET next_run_at=$1, status='active', attempts=attempts+1, last_run_at=$2, last_status='retrying', last_error=$3 WHERE id=$4",
+          [retryAt, now, err.message, row.id]
+        );
+        summary.retrying++;
+        continue;
+      }
+      console.warn(`Scheduled payment ${row.id} for ${row.username} (${row.label}) failed: ${err.message}`);
+      await pool.query(
+        "UPDATE scheduled_payments SET attempts=0, last_run_at=$1, last_status='failed', last_error=$2, status=$3 WHERE id=$4",
+        [now, err.message, next ? 'active' : 'failed', row.id]
+      );
+      summary.failed++;
+    }
+  }
+
+  return summary;
+};
+
+// --------- Spoken queries ----------
+const WEEKDAY_NAMES = `(${WEEKDAYS.join('|')})`;
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const MONTH_NAMES = `(${MONTHS.map((m) => `${m}|${m.slice(0, 3)}`).join('|')})`;
+const ORDINAL = '(\\d{1,2})(?:st|nd|rd|th)?';
+// An ordinal that must say so ("25th"), where a bare number would be an amount
+const ORDINAL_SUFFIXED = '(\\d{1,2})(?:st|nd|rd|th)';
+
+const EVERY_DAY = 'daily|every ?day|each day|lojoojumo|lojoojumọ|ojoojumo|kwa ubochi|kwa ụbọchị|kowace rana|kullum';
+const EVERY_WEEK = 'weekly|every week|each week|(?:ni )?gbogbo ose|(?:ni )?gbogbo ọsẹ|osoose|kwa izu|kowane mako|kowace mako';
+const EVERY_MONTH = 'monthly|every month|each month|(?:ni )?gbogbo osu|(?:ni )?gbogbo oṣu|osoosu|oṣooṣu|kwa onwa|kwa ọnwa|kowane wata|kowace wata';
+// Not Yoruba "ola", which is also a name
+const TOMORROW = 'tomorrow|echi|gobe';
+
+const rulePattern = (source) => new RegExp(source, 'i');
+
+// The next date a day of the month or a month and day falls on, as YYYY-MM-DD
+const upcomingDate = (now, day, month = null, year = null) => {
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  let date = month === null
+    ? new Date(now.getFullYear(), now.getMonth(), day)
+    : new Date(year || now.getFullYear(), month, day);
+  if (date < today && !year) {
+    date = month === null ? new Date(now.getFullYear(), now.getMonth() + 1, day) : new Date(now.getFullYear() + 1, month, day);
+  }
+  return dateKey(date);
+};
+
+const monthIndex = (name) => MONTHS.findIndex((m) => m.startsWith(name.toLowerCase().slice(0, 3)));
+
+// Rule patterns, most specific first. Each turns its match into
+// { rule, startNow? }.
+const RULE_PATTERNS = [
+  {
+    // "on the 1st of every month", "every month on the 25th", "every 25th"
+    pattern: rulePattern(`\\b(?:on )?(?:the )?${ORDINAL} (?:day )?of (?:every|each|the) month\\b|\\b(?:${EVERY_MONTH}),? (?:on )?(?:the )?${ORDINAL}\\b|\\bevery ${ORDINAL_SUFFIXED}\\b`),
+    read: (m) => ({ rule: { frequency: 'monthly', monthDay: Number(m[1] || m[2] || m[3]) } })
+  },
+  {
+    // "at the end of every month", "on the last day of the month"
+    pattern: rulePattern('\\b(?:at |on )?(?:the )?(?:end|last day) of (?:every|each|the) month\\b|\\bevery month end\\b'),
+    read: () => ({ rule: { frequency: 'monthly', monthDay: 31 } })
+  },
+  {
+    // "every friday", "on fridays", "weekly on friday"
+    pattern: rulePattern(`\\b(?:every|each) ${WEEKDAY_NAMES}\\b|\\bon ${WEEKDAY_NAMES}s\\b|\\b(?:${EVERY_WEEK}),? on ${WEEKDAY_NAMES}s?\\b`),
+    read: (m) => ({ rule: { frequency: 'weekly', weekday: WEEKDAYS.indexOf((m[1] || m[2] || m[3]).toLowerCase()) } })
+  },
+  { pattern: rulePattern(`\\b(?:${EVERY_DAY})\\b`), read: () => ({ rule: { frequency: 'daily' }, startNow: true }) },
+  {
+    pattern: rulePattern(`\\b(?:${EVERY_WEEK})\\b`),
+    read: (m, now) => ({ rule: { frequency: 'weekly', weekday: now.getDay() }, startNow: true })
+  },
+  {
+    pattern: rulePattern(`\\b(?:${EVERY_MONTH})\\b`),
+    read: (m, now) => ({ rule: { frequency: 'monthly', monthDay: now.getDate() }, startNow: true })
+  },
+  {
+    pattern: rulePattern(`\\b(?:${TOMORROW})\\b`),
+    read: (m, now) => ({ rule: { frequency: 'once', runOn: dateKey(new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1)) } })
+  },
+  {
+    // "on 2026-12-24", "on 24/12", "on 24/12/2026"
+    pattern: rulePattern('\\bon (\\d{4}-\\d{2}-\\d{2})\\b|\\bon (\\d{1,2})/(\\d{1,2})(?:/(\\d{2,4}))?\\b'),
+    read: (m, now) => ({
+      rule: {
+        frequency: 'once',
+        runOn: m[1] || upcomingDate(now, Number(m[2]), Number(m[3]) - 1, m[4] ? Number(m[4].length === 2 ? `20${m[4]}` : m[4]) : null)
+      }
+    })
+  },
+  {
+    // "on the 24th of december", "on december 24"
+    pattern: rulePattern(`\\bon (?:the )?${ORDINAL} (?:of )?${MONTH_NAMES}(?: (\\d{4}))?\\b|\\bon ${MONTH_NAMES} ${ORDINAL}(?: (\\d{4}))?\\b`),
+    read: (m, now) => ({
+      rule: {
+        frequency: 'once',
+        runOn: m[1]
+          ? upcomingDate(now, Number(m[1]), monthIndex(m[2]), m[3] ? Number(m[3]) : null)
+          : upcomingDate(now, Number(m[5]), monthIndex(m[4]), m[6] ? Number(m[6]) : null)
+      }
+    })
+  },
+  {
+    // "next friday", "on friday": the coming one, never today
+    pattern: rulePattern(`\\b(?:on|next|this|coming) ${WEEKDAY_NAMES}\\b`),
+    read: (m, now) => {
+      const ahead = (WEEKDAYS.indexOf(m[1].toLowerCase()) - now.getDay() + 7) % 7 || 7;
+      return { rule: { frequency: 'once', runOn: dateKey(new Date(now.getFullYear(), now.getMonth(), now.getDate() + ahead)) } };
+    }
+  },
+  {
+    // "on the 25th": this month's, or next month's once it has gone
+    pattern: rulePattern(`\\bon the ${ORDINAL_SUFFIXED}\\b`),
+    read: (m, now) => ({ rule: { frequency: 'once', runOn: upcomingDate(now, Number(m[1])) } })
+  }
+];
+
+// When a payment request says it should happen: "every friday", "on the
+// 1st of every month", "monthly", "tomorrow", "on 24 december". Resolves to
+// { rule, startNow, matched, rest } where rest is the text without the
+// rule, for reading the payment, or null when the text names no rule.
+export const parseScheduleRule = (text, now = new Date()) => {
+  const source = String(text || '');
+  for (const { pattern, read } of RULE_PATTERNS) {
+    const match = source.match(pattern);
+    if (match) {
+      const { rule, startNow = false } = read(match, now);
+      const rest = source.replace(match[0], ' ').replace(/\s+/g, ' ').trim();
+      return { rule, startNow, matched: match[0], rest };
+    }
+  }
+  return null;
+};
+
+// What a request about scheduled payments wants: 'cancel', 'pause',
+// 'resume', or 'list' them
+export const parseScheduleRequest = (text) => {
+  const lower = String(text || '').toLowerCase();
+  if (/\b(resume|restart|unpause|continue|start again|turn (it )?back on|bere pada|maliteghachi|ci gaba)\b/.test(lower)) return { action: 'resume' };
+  if (/\b(pause|hold|suspend|da duro|dakata)\b/.test(lower)) return { action: 'pause' };
+  if (/\b(stop|cancel|end|delete|remove|kwusi|kwụsị|dakatar|daina|fagile)\b/.test(lower)) return { action: 'cancel' };
+  return { action: 'list' };
+};
+
+const INTENT_WORDS = {
+  transfer: /\b(transfers?|send|sending|money)\b/,
+  bank_transfer: /\b(transfers?|send|sending|money|bank)\b/,
+  airtime: /\b(airtime|recharge|top ?up)\b/,
+  data: /\b(data|bundle)\b/,
+  bill_payment: /\b(bills?|subscription)\b/
+};
+
+const FREQUENCY_HINTS = {
+  once: /\b(once|one-?off|tomorrow)\b/,
+  daily: new RegExp(`\\b(${EVERY_DAY})\\b`),
+  weekly: new RegExp(`\\b(${EVERY_WEEK})\\b`),
+  monthly: new RegExp(`\\b(${EVERY_MONTH})\\b`)
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Words in a label worth matching on: names, billers, networks
+const LABEL_STOP_WORDS = new Set(['for', 'to', 'airtime', 'data', 'the', 'bank']);
+
+// Which of the user's scheduled payments the text is about ("stop my
+// monthly transfer to mama"). Who it pays counts most, then the kind of
+// payment and how often it runs. Resolves to { match, candidates }: a
+// match when one payment scores best, or the tied candidates otherwise.
+export const findScheduleInText = (schedules, text) => {
+  if (schedules.length === 1) return { match: schedules[0], candidates: schedules };
+  const lower = String(text || '').toLowerCase();
+  const has = (word) => new RegExp(`\\b${escapeRegExp(word)}\\b`).test(lower);
+
+  const scored = schedules.map((schedule) => {
+    let score = 0;
+    if (schedule.payee && has(schedule.payee.toLowerCase())) score += 3;
+    const words = schedule.label.toLowerCase().split(/[\s(),]+/).filter((w) => /^[a-z]{3,}$/.test(w) && !LABEL_STOP_WORDS.has(w));
+    if (words.some(has)) score += 2;
+    if (INTENT_WORDS[schedule.intent].test(lower)) score += 1;
+    if (FREQUENCY_HINTS[schedule.rule.frequency].test(lower)) score += 1;
+    if (schedule.rule.frequency === 'weekly' && has(WEEKDAYS[schedule.rule.weekday])) score += 1;
+    return { schedule, score };
+  });
+
+  const best = Math.max(...scored.map((s) => s.score));
+  const top = scored.filter((s) => s.score === best).map((s) => s.schedule);
+  if (best === 0) return { match: null, candidates: schedules };
+  return top.length === 1 ? { match: top[0], candidates: top } : { match: null, candidates: top };
+};
@@ -1,22 +1,266 @@
 import express from "express";
 import cors from "cors";
 import bcrypt from "bcryptjs";
-import pkg from 'pg';
-const { Pool } = pkg;
+import { pool, withTransaction } from "./db.js";
+import {
+  createSessionTables,
+  issueSession,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions,
+  requireAuth,
+  requireSelf
+} from "./auth.js";
+import {
+  SYSTEM_ACCOUNTS,
+  userAccount,
+  LedgerError,
+  createLedgerTables,
+  postJournal,
+  moveMoney,
+  backfillOpeningBalances,
+  findBalanceMismatches
+} from "./ledger.js";
+import {
+  needsStepUp,
+  createPinTables,
+  hasPin,
+  setPin,
+  verifyPin,
+  extractPin,
+  createConfirmation,
+  getPendingConfirmation,
+  closeConfirmation,
+  failConfirmation
+} from "./pin.js";
+import {
+  INTENT_SLOTS,
+  missingSlot,
+  cancelPattern,
+  interpretFollowUp,
+  createDialogTables,
+  getDialogState,
+  saveDialogState,
+  clearDialogState
+} from "./dialog.js";
+import { classifyIntent, amountSlots, parseRecipient } from "./intents.js";
+import { hasGeminiKey, generateContent } from "./gemini.js";
+import {
+  EsusuError,
+  createEsusuTables,
+  findGroupByName,
+  findGroupById,
+  getMembership,
+  getUserGroups,
+  getGroupStatus,
+  getCycleHistory,
+  contributeToGroup,
+  DEFAULT_ACTIONS,
+  normalizeFrequency,
+  setAutoContribute,
+  runEsusuSchedule,
+  newInviteCode,
+  joinGroup,
+  regenerateInviteCode,
+  setRequiresApproval,
+  decideJoinRequest,
+  removeMember,
+  setPayoutOrder,
+  transferAdmin
+} from "./esusu.js";
+import { OcrError } from "./ocr.js";
+import { scanBill } from "./bills.js";
+import {
+  BillError,
+  createBillTables,
+  listBillers,
+  validateBill,
+  payBill,
+  getBillReceipt,
+  getLastToken,
+  formatToken,
+  speakToken
+} from "./billers.js";
+import {
+  PaymentError,
+  createPaymentTables,
+  resolveBankAccount,
+  sendBankTransfer,
+  buyAirtime,
+  buyData,
+  handlePaymentWebhook,
+  reconcilePayouts
+} from "./payments.js";
+import { listBanks, resolveBank, findBankInText, parseAccountNumber } from "./banks.js";
+import {
+  NETWORKS,
+  normalizePhone,
+  formatPhone,
+  detectNetwork,
+  parsePhone,
+  findNetworkInText,
+  describeLine,
+  listDataPlans,
+  findDataPlan,
+  describePlan,
+  parseDataSize,
+  formatDataSize,
+  matchDataPlan
+} from "./telcos.js";
+import {
+  BeneficiaryError,
+  createBeneficiaryTables,
+  listBeneficiaries,
+  getBeneficiary,
+  saveBeneficiary,
+  updateBeneficiary,
+  deleteBeneficiary,
+  markBeneficiaryUsed,
+  matchBeneficiary,
+  findBeneficiaryInText,
+  suggestBeneficiary,
+  saveSuggestedBeneficiary,
+  parseNickname
+} from "./beneficiaries.js";
+import {
+  HistoryError,
+  INCOMING_TYPES,
+  parseHistoryFilters,
+  queryHistory,
+  summarizeHistory,
+  parseHistoryQuery
+} from "./history.js";
+import {
+  StatementError,
+  createStatementTables,
+  createStatement,
+  listStatements,
+  getStatement,
+  verifyStatement,
+  statementCsv,
+  statementPdf,
+  describePeriod
+} from "./statements.js";
+import {
+  BudgetError,
+  CATEGORIES,
+  createBudgetTables,
+  categorizeTransactions,
+  setTransactionCategory,
+  monthPeriod,
+  spendingByCategory,
+  getBudgetOverview,
+  setBudget,
+  deleteBudget,
+  budgetWarnings,
+  findCategoryInText,
+  parseSpendingPeriod
+} from "./budgets.js";
+import {
+  SavingsError,
+  createSavingsTables,
+  createGoal,
+  listGoals,
+  getGoal,
+  updateGoal,
+  depositToGoal,
+  withdrawFromGoal,
+  closeGoal,
+  applyRoundUps,
+  runSavingsSchedule,
+  findGoalInText,
+  parseSavingsRequest
+} from "./savings.js";
+import {
+  ScheduleError,
+  SCHEDULE_INTENTS,
+  WEEKDAYS,
+  createScheduleTables,
+  createSchedule,
+  listSchedules,
+  getSchedule,
+  pauseSchedule,
+  resumeSchedule,
+  cancelSchedule,
+  runScheduledPayments,
+  parseScheduleRule,
+  parseScheduleRequest,
+  findScheduleInText,
+  checkRule,
+  nextRunAfter
+} from "./schedules.js";
+import {
+  RequestError,
+  createRequestTables,
+  createRequest,
+  listRequests,
+  getRequest,
+  payableRequest,
+  settleRequest,
+  declineRequest,
+  cancelRequest,
+  remindRequest,
+  createSplit,
+  listSplits,
+  getSplit,
+  remindSplit,
+  cancelSplit,
+  runRequestReminders,
+  parseMoneyRequest,
+  parseSplitRequest
+} from "./requests.js";
+import {
+  NotificationError,
+  LANGUAGES,
+  createNotificationTables,
+  subscribeNotifications,
+  listNotifications,
+  countUnread,
+  markNotificationsRead,
+  getNotificationSettings,
+  updateNotificationSettings,
+  preferredLanguage,
+  rememberChatLanguage,
+  trackBillDueDate,
+  markBillPaid,
+  runNotificationChecks
+} from "./notifications.js";
 
 const app = express();
 app.use(cors());
-app.use(express.json());
+// Bill photos arrive as base64 data URLs
+// Webhook signatures are checked against the exact bytes that were sent
+app.use(express.json({
+  limit: "8mb",
+  verify: (req, res, buf) => {
+    if (req.url.startsWith("/webhooks/")) req.rawBody = buf;
+  }
+}));
 
-// PostgreSQL connection
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
-});
+// New accounts start with this much, credited from the opening account
+const SIGNUP_BONUS = 10000;
+
+// A payment the balance can't cover, and the reply the form endpoints give
+const isInsufficientFunds = (err) => err instanceof LedgerError && err.code === "INSUFFICIENT_FUNDS";
+const insufficientFundsMessage = ({ details }) =>
+  `You need ₦${details.amount.toLocaleString()} but only have ₦${details.balance.toLocaleString()}.`;
+
+// Row ids are positive integers that fit an INTEGER column. Anything else
+// can't name a row, so it's turned away before any query runs.
+const MAX_ROW_ID = 2147483647;
 
-// Gemini API configuration
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent';
+const parseId = (value) => {
+  const id = /^\d{1,10}$/.test(value) ? Number(value) : 0;
+  return id > 0 && id <= MAX_ROW_ID ? id : null;
+};
+
+// 404s a route whose :id isn't one
+const requireId = (notFound) => (req, res, next) => {
+  if (!parseId(req.params.id)) {
+    return res.status(404).json({ message: notFound, code: "NOT_FOUND" });
+  }
+  next();
+};
 
 // Test connection
 pool.query('SELECT NOW()', (err, res) => {
@@ -86,13 +330,156 @@ const createTables = async () => {
       )
     `);
 
+    await createLedgerTables();
+    await createSessionTables();
+    await createPinTables();
+    await createDialogTables();
+    await createEsusuTables();
+    await createBillTables();
+    await createPaymentTables();
+    await createBeneficiaryTables();
+    await createStatementTables();
+    await createBudgetTables();
+    await createSavingsTables();
+    await createScheduleTables();
+    await createRequestTables();
+    await createNotificationTables();
+
     console.log('All tables created successfully');
   } catch (err) {
     console.error('Error creating tables:', err);
   }
 };
 
-createTables();
+// Bring pre-ledger users onto the ledger and report any drift
+const reconcileLedger = async () => {
+  try {
+    const backfilled = await backfillOpeningBalances();
+    if (backfilled > 0) {
+      console.log(`Ledger: backfilled opening balances for ${backfilled} user(s)`);
+    }
+
+    const mismatches = await findBalanceMismatches();
+    for (const m of mismatches) {
+      console.error(`Ledger mismatch for ${m.username}: users.balance=${m.balance}, ledger=${m.ledger_balance}`);
+    }
+  } catch (err) {
+    console.error('Ledger reconciliation error:', err);
+  }
+};
+
+// --------- Esusu Scheduler ----------
+// Auto-debits and late flags for esusu groups, checked every few minutes
+const ESUSU_SCHEDULE_INTERVAL_MS = parseInt(process.env.ESUSU_SCHEDULE_INTERVAL_MS || '300000', 10);
+
+const runEsusuScheduler = async () => {
+  try {
+    const { debited, failed, flagged, defaulted } = await runEsusuSchedule();
+    if (debited || failed || flagged || defaulted) {
+      console.log(`Esusu scheduler: ${debited} auto-contribution(s), ${failed} failed, ${flagged} late flag(s), ${defaulted} default(s)`);
+    }
+  } catch (err) {
+    console.error('Esusu scheduler error:', err);
+  }
+};
+
+// --------- Savings Scheduler ----------
+// Fixed top-ups, round-ups and interest for savings goals
+const SAVINGS_SCHEDULE_INTERVAL_MS = parseInt(process.env.SAVINGS_SCHEDULE_INTERVAL_MS || '300000', 10);
+
+const runSavingsScheduler = async () => {
+  try {
+    const { deposited, failed, roundUps, interest } = await runSavingsSchedule();
+    if (deposited || failed || roundUps || interest) {
+      console.log(`Savings scheduler: ${deposited} top-up(s), ${failed} failed, ${roundUps} round-up(s), ₦${interest} interest`);
+    }
+  } catch (err) {
+    console.error('Savings scheduler error:', err);
+  }
+};
+
+// --------- Payment Scheduler ----------
+// Scheduled and recurring payments that have fallen due, checked every minute
+const SCHEDULED_PAYMENTS_INTERVAL_MS = parseInt(process.env.SCHEDULED_PAYMENTS_INTERVAL_MS || '60000', 10);
+
+const runScheduledPaymentsScheduler = async () => {
+  try {
+    const { paid, retrying, failed } = await runScheduledPayments(runScheduledPayment);
+    if (paid || retrying || failed) {
+      console.log(`Scheduled payments: ${paid} paid, ${retrying} to retry, ${failed} failed`);
+    }
+  } catch (err) {
+    console.error('Scheduled payments error:', err);
+  }
+};
+
+// --------- Request Reminders ----------
+// Unpaid payment requests and split bill shares are reminded and, in the
+// end, expired; checked every hour
+const REQUEST_REMINDERS_INTERVAL_MS = parseInt(process.env.REQUEST_REMINDERS_INTERVAL_MS || '3600000', 10);
+
+const runRequestRemindersScheduler = async () => {
+  try {
+    const { reminded, expired } = await runRequestReminders();
+    if (reminded.length || expired.length) {
+      console.log(`Payment requests: ${reminded.length} reminded, ${expired.length} expired`);
+    }
+  } catch (err) {
+    console.error('Payment request reminders error:', err);
+  }
+};
+
+// --------- Notifications ----------
+// Money received, esusu and bill due dates, low balances and payment
+// requests, pushed to open sessions as they are found. Money moved in the
+// app also triggers a check straight away; overlapping calls share one run.
+const NOTIFICATIONS_INTERVAL_MS = parseInt(process.env.NOTIFICATIONS_INTERVAL_MS || '30000', 10);
+let notificationCheck = null;
+
+const runNotificationsScheduler = () => {
+  notificationCheck = notificationCheck || runNotificationChecks()
+    .then((sent) => {
+      if (sent.length) {
+        console.log(`Notifications: ${sent.length} sent`);
+      }
+    })
+    .catch((err) => console.error('Notifications error:', err))
+    .finally(() => { notificationCheck = null; });
+  return notificationCheck;
+};
+
+// --------- Payout Reconciliation ----------
+// Bank transfers and airtime the provider hasn't settled yet are re-queried
+// every minute; failed ones are reversed back to the wallet
+const PAYOUT_RECONCILE_INTERVAL_MS = parseInt(process.env.PAYOUT_RECONCILE_INTERVAL_MS || '60000', 10);
+
+const runPayoutReconciliation = async () => {
+  try {
+    const { checked, settled, reversed, errors } = await reconcilePayouts();
+    if (checked || reversed || errors) {
+      console.log(`Payout reconciliation: ${checked} checked, ${settled} settled, ${reversed} reversed, ${errors} error(s)`);
+    }
+  } catch (err) {
+    console.error('Payout reconciliation error:', err);
+  }
+};
+
+createTables()
+  .then(reconcileLedger)
+  .then(() => {
+    runEsusuScheduler();
+    setInterval(runEsusuScheduler, ESUSU_SCHEDULE_INTERVAL_MS);
+    runSavingsScheduler();
+    setInterval(runSavingsScheduler, SAVINGS_SCHEDULE_INTERVAL_MS);
+    runScheduledPaymentsScheduler();
+    setInterval(runScheduledPaymentsScheduler, SCHEDULED_PAYMENTS_INTERVAL_MS);
+    runRequestRemindersScheduler();
+    setInterval(runRequestRemindersScheduler, REQUEST_REMINDERS_INTERVAL_MS);
+    runNotificationsScheduler();
+    setInterval(runNotificationsScheduler, NOTIFICATIONS_INTERVAL_MS);
+    runPayoutReconciliation();
+    setInterval(runPayoutReconciliation, PAYOUT_RECONCILE_INTERVAL_MS);
+  });
 
 // --------- Helper: Remove Accents/Diacritics ----------
 const removeAccents = (text) => {
@@ -136,9 +523,9 @@ const removeAccents = (text) => {
 // --------- Language Detection ----------
 const languagePatterns = {
   pidgin: /\b(wetin|dey|abeg|una|abi|no wahala|how far|wan|make we|na so|wahala|oga|sabi|chop|belle|fit|don|go|come|talk|see|wey|dem|im|e don|no be)\b/i,
-  yoruba: /\b(bawo|e ku|eku|pele|o dabo|dabo|odabo|se|owo|mo|ni|ti|ko|wa|daadaa|e se|ese|wo|mi|fun|re|ninu|apo|miiran|san|ra|fi|ranise)\b/i,
-  igbo: /\b(kedu|ndewo|biko|unu|nna|nwanne|nnoo|bia|gaa|mma|daalu|meela|lelee|ego|di|ugbu|bu|nwere|ihe|ozo|choro|foduru|zuta|zigara)\b/i,
-  hausa: /\b(sannu|yaya|lafiya|na gode|gode|sai|barka|kuma|ina|kai|ke|dan|yar|wallahi|duba|kudin|kake|shine|kana|bukatar|wani|abu|sayi|tura)\b/i
+  yoruba: /\b(bawo|e ku|eku|pele|o dabo|dabo|odabo|se|owo|mo|ni|ti|ko|wa|daadaa|e se|ese|wo|mi|fun|re|ninu|apo|miiran|san|ra|fi|ranise|pamo)\b/i,
+  igbo: /\b(kedu|ndewo|biko|unu|nna|nwanne|nnoo|bia|gaa|mma|daalu|meela|lelee|ego|di|ugbu|bu|nwere|ihe|ozo|choro|foduru|zuta|zigara|chekwaa|dika|mefuru)\b/i,
+  hausa: /\b(sannu|yaya|lafiya|na gode|gode|sai|barka|kuma|ina|kai|ke|dan|yar|wallahi|duba|kudin|kake|shine|kana|bukatar|wani|abu|sayi|tura|ajiye|matsayin|nawa|kashe)\b/i
 };
 
 const detectLanguage = (text) => {
@@ -177,11 +564,32 @@ const translations = {
     hausa: (name, balance) => `Sannu ${name}! Kudin da kake da shi yanzu shine ₦${balance.toLocaleString()}. Kana bukatar wani abu?`
   },
   airtimeSuccess: {
-    english: (amount, newBal) => `Perfect! I've topped up ₦${amount.toLocaleString()} airtime for you. Your new balance is ₦${newBal.toLocaleString()}.`,
-    pidgin: (amount, newBal) => `Ehen! I don buy ₦${amount.toLocaleString()} airtime for you o. Your new balance na ₦${newBal.toLocaleString()}.`,
-    yoruba: (amount, newBal) => `O dara! Mo ti ra ₦${amount.toLocaleString()} airtime fun e. Owo re yi to ku ni ₦${newBal.toLocaleString()}.`,
-    igbo: (amount, newBal) => `O di mma! Azutaala m ₦${amount.toLocaleString()} airtime maka gi. Ego gi foduru ugbu a bu ₦${newBal.toLocaleString()}.`,
-    hausa: (amount, newBal) => `Na gode! Na saya ₦${amount.toLocaleString()} airtime. Sabon kudin ku shine ₦${newBal.toLocaleString()}.`
+    english: (amount, newBal, line) => `Perfect! I've topped up ₦${amount.toLocaleString()} airtime on ${line}. Your new balance is ₦${newBal.toLocaleString()}.`,
+    pidgin: (amount, newBal, line) => `Ehen! I don buy ₦${amount.toLocaleString()} airtime enter ${line} o. Your new balance na ₦${newBal.toLocaleString()}.`,
+    yoruba: (amount, newBal, line) => `O dara! Mo ti ra ₦${amount.toLocaleString()} airtime si ${line}. Owo re yi to ku ni ₦${newBal.toLocaleString()}.`,
+    igbo: (amount, newBal, line) => `O di mma! Azutaala m ₦${amount.toLocaleString()} airtime na ${line}. Ego gi foduru ugbu a bu ₦${newBal.toLocaleString()}.`,
+    hausa: (amount, newBal, line) => `Na gode! Na saya ₦${amount.toLocaleString()} airtime a ${line}. Sabon kudin ku shine ₦${newBal.toLocaleString()}.`
+  },
+  airtimePending: {
+    english: (amount, line) => `Your ₦${amount.toLocaleString()} airtime for ${line} is on its way. If it doesn't go through, the money comes straight back to your wallet.`,
+    pidgin: (amount, line) => `Your ₦${amount.toLocaleString()} airtime for ${line} dey come. If e no enter, the money go return to your wallet.`,
+    yoruba: (amount, line) => `Airtime ₦${amount.toLocaleString()} fun ${line} wa lona. Ti ko ba wole, owo na yoo pada si apo re.`,
+    igbo: (amount, line) => `Airtime ₦${amount.toLocaleString()} maka ${line} na-abia. O buru na o gaghi, ego ahu ga-alaghachi n'akpa gi.`,
+    hausa: (amount, line) => `Airtime ₦${amount.toLocaleString()} na ${line} yana zuwa. Idan bai shiga ba, kudin zai dawo cikin asusunka.`
+  },
+  dataSuccess: {
+    english: (plan, line, newBal) => `Done! ${plan} data is on ${line}. Your new balance is ₦${newBal.toLocaleString()}.`,
+    pidgin: (plan, line, newBal) => `E don enter! ${plan} data don land for ${line}. Your new balance na ₦${newBal.toLocaleString()}.`,
+    yoruba: (plan, line, newBal) => `O ti wole! Data ${plan} ti de ori ${line}. Owo re yi to ku ni ₦${newBal.toLocaleString()}.`,
+    igbo: (plan, line, newBal) => `O gwula! Data ${plan} abanyela na ${line}. Ego gi foduru ugbu a bu ₦${newBal.toLocaleString()}.`,
+    hausa: (plan, line, newBal) => `An gama! Data ${plan} ya shiga ${line}. Sabon kudin ku shine ₦${newBal.toLocaleString()}.`
+  },
+  dataPending: {
+    english: (plan, line) => `Your ${plan} data for ${line} is on its way. If it doesn't go through, the money comes straight back to your wallet.`,
+    pidgin: (plan, line) => `Your ${plan} data for ${line} dey come. If e no enter, the money go return to your wallet.`,
+    yoruba: (plan, line) => `Data ${plan} fun ${line} wa lona. Ti ko ba wole, owo na yoo pada si apo re.`,
+    igbo: (plan, line) => `Data ${plan} maka ${line} na-abia. O buru na o gaghi, ego ahu ga-alaghachi n'akpa gi.`,
+    hausa: (plan, line) => `Data ${plan} na ${line} yana zuwa. Idan bai shiga ba, kudin zai dawo cikin asusunka.`
   },
   insufficientFunds: {
     english: (balance, amount) => `Sorry, you don't have enough funds. Your balance is ₦${balance.toLocaleString()} but you need ₦${amount.toLocaleString()}.`,
@@ -196,12 +604,881 @@ const translations = {
     yoruba: (amount, recipient, newBal) => `O tan! A ti fi ₦${amount.toLocaleString()} ranise si ${recipient}. Owo re yi to ku ni ₦${newBal.toLocaleString()}.`,
     igbo: (amount, recipient, newBal) => `O gwula! Ezigala m ₦${amount.toLocaleString()} nye ${recipient}. Ego gi foduru ugbu a bu ₦${newBal.toLocaleString()}.`,
     hausa: (amount, recipient, newBal) => `An gama! An aika ₦${amount.toLocaleString()} zuwa ga ${recipient}. Sabon kudin ku shine ₦${newBal.toLocaleString()}.`
+  },
+  transferPending: {
+    english: (amount, recipient) => `Your transfer of ₦${amount.toLocaleString()} to ${recipient} is on its way. The bank hasn't confirmed it yet; if it fails, the money comes straight back to your wallet.`,
+    pidgin: (amount, recipient) => `Your ₦${amount.toLocaleString()} transfer to ${recipient} dey go. Bank never confirm am yet; if e fail, the money go return to your wallet sharp sharp.`,
+    yoruba: (amount, recipient) => `Owo ₦${amount.toLocaleString()} ti o fi ranse si ${recipient} wa lona. Banki ko tii jerisi re; ti ko ba lo, owo na yoo pada si apo re.`,
+    igbo: (amount, recipient) => `Ego ₦${amount.toLocaleString()} i zigara ${recipient} na-aga. Ulo aku ekwenyebeghi ya; o buru na o daa, ego ahu ga-alaghachi n'akpa gi.`,
+    hausa: (amount, recipient) => `Kudin ₦${amount.toLocaleString()} da ka aika zuwa ga ${recipient} yana kan hanya. Banki bai tabbatar ba tukuna; idan bai yi nasara ba, kudin zai dawo cikin asusunka.`
+  },
+  confirmTransfer: {
+    english: (amount, recipient) => `You're sending ₦${amount.toLocaleString()} to ${recipient}. Say or type your transaction PIN to confirm, or say cancel.`,
+    pidgin: (amount, recipient) => `You wan send ₦${amount.toLocaleString()} give ${recipient}. Talk or type your PIN make I confirm am, or talk cancel.`,
+    yoruba: (amount, recipient) => `O fe fi ₦${amount.toLocaleString()} ranise si ${recipient}. So tabi te PIN re lati jerisi, tabi so cancel.`,
+    igbo: (amount, recipient) => `I na-eziga ₦${amount.toLocaleString()} nye ${recipient}. Kwuo ma o bu dee PIN gi iji kwado ya, ma o bu kwuo cancel.`,
+    hausa: (amount, recipient) => `Za ka aika ₦${amount.toLocaleString()} zuwa ga ${recipient}. Fadi ko rubuta PIN dinka don tabbatarwa, ko ka ce cancel.`
+  },
+  confirmAirtime: {
+    english: (amount, line) => `You're buying ₦${amount.toLocaleString()} airtime for ${line}. Say or type your transaction PIN to confirm, or say cancel.`,
+    pidgin: (amount, line) => `You wan buy ₦${amount.toLocaleString()} airtime for ${line}. Talk or type your PIN make I confirm am, or talk cancel.`,
+    yoruba: (amount, line) => `O fe ra ₦${amount.toLocaleString()} airtime fun ${line}. So tabi te PIN re lati jerisi, tabi so cancel.`,
+    igbo: (amount, line) => `I na-azu ₦${amount.toLocaleString()} airtime maka ${line}. Kwuo ma o bu dee PIN gi iji kwado ya, ma o bu kwuo cancel.`,
+    hausa: (amount, line) => `Za ka sayi ₦${amount.toLocaleString()} airtime na ${line}. Fadi ko rubuta PIN dinka don tabbatarwa, ko ka ce cancel.`
+  },
+  confirmData: {
+    english: (plan, amount, line) => `You're buying ${plan} data for ${line} at ₦${amount.toLocaleString()}. Say or type your transaction PIN to confirm, or say cancel.`,
+    pidgin: (plan, amount, line) => `You wan buy ${plan} data for ${line}, na ₦${amount.toLocaleString()}. Talk or type your PIN make I confirm am, or talk cancel.`,
+    yoruba: (plan, amount, line) => `O fe ra data ${plan} fun ${line} ni ₦${amount.toLocaleString()}. So tabi te PIN re lati jerisi, tabi so cancel.`,
+    igbo: (plan, amount, line) => `I na-azu data ${plan} maka ${line} na ₦${amount.toLocaleString()}. Kwuo ma o bu dee PIN gi iji kwado ya, ma o bu kwuo cancel.`,
+    hausa: (plan, amount, line) => `Za ka sayi data ${plan} na ${line} a kan ₦${amount.toLocaleString()}. Fadi ko rubuta PIN dinka don tabbatarwa, ko ka ce cancel.`
+  },
+  confirmBill: {
+    english: (amount, provider) => `You're paying ₦${amount.toLocaleString()} to ${provider}. Say or type your transaction PIN to confirm, or say cancel.`,
+    pidgin: (amount, provider) => `You wan pay ₦${amount.toLocaleString()} give ${provider}. Talk or type your PIN make I confirm am, or talk cancel.`,
+    yoruba: (amount, provider) => `O fe san ₦${amount.toLocaleString()} fun ${provider}. So tabi te PIN re lati jerisi, tabi so cancel.`,
+    igbo: (amount, provider) => `I na-akwu ₦${amount.toLocaleString()} nye ${provider}. Kwuo ma o bu dee PIN gi iji kwado ya, ma o bu kwuo cancel.`,
+    hausa: (amount, provider) => `Za ka biya ₦${amount.toLocaleString()} ga ${provider}. Fadi ko rubuta PIN dinka don tabbatarwa, ko ka ce cancel.`
+  },
+  confirmBillIntent: {
+    english: (amount, fee, biller, customer) => `Pay ₦${amount.toLocaleString()} to ${biller} for ${customer}${fee > 0 ? ` (plus ₦${fee.toLocaleString()} fee)` : ""}? Say yes, or cancel.`,
+    pidgin: (amount, fee, biller, customer) => `Make I pay ₦${amount.toLocaleString()} give ${biller} for ${customer}${fee > 0 ? ` (plus ₦${fee.toLocaleString()} charge)` : ""}? Talk yes, or cancel.`,
+    yoruba: (amount, fee, biller, customer) => `Se ki n san ₦${amount.toLocaleString()} fun ${biller} ni oruko ${customer}${fee > 0 ? ` (pelu owo ise ₦${fee.toLocaleString()})` : ""}? So beeni, tabi cancel.`,
+    igbo: (amount, fee, biller, customer) => `Ka m kwuo ₦${amount.toLocaleString()} nye ${biller} maka ${customer}${fee > 0 ? ` (gbakwunye ₦${fee.toLocaleString()} ego oru)` : ""}? Kwuo ee, ma o bu cancel.`,
+    hausa: (amount, fee, biller, customer) => `In biya ₦${amount.toLocaleString()} ga ${biller} don ${customer}${fee > 0 ? ` (da kudin aiki ₦${fee.toLocaleString()})` : ""}? Ka ce eh, ko cancel.`
+  },
+  pinRequired: {
+    english: () => `For your safety, payments this large need a transaction PIN. Please set one first.`,
+    pidgin: () => `Because of your safety, big payment like this need transaction PIN. Abeg set one first.`,
+    yoruba: () => `Fun aabo re, isanwo to tobi bayi nilo PIN. Jowo seto PIN kan na.`,
+    igbo: () => `Maka nchekwa gi, ugwo buru ibu dika nke a choro PIN. Biko buru uzo tinye otu.`,
+    hausa: () => `Don tsaron ka, biyan kudi mai yawa haka yana bukatar PIN. Don Allah ka saita daya tukuna.`
+  },
+  billPaymentHint: {
+    english: () => `To pay a bill, tap "Scan Bill" and snap the bill. I'll read it and pay it for you.`,
+    pidgin: () => `To pay bill, press "Scan Bill" come snap the bill. I go read am pay am for you.`,
+    yoruba: () => `Lati san owo bill, te "Scan Bill" ki o ya foto bill naa. Maa ka a, maa si san an fun e.`,
+    igbo: () => `Iji kwuo ugwo bill, pia "Scan Bill" ma see foto bill ahu. M ga-agu ya ma kwuo ya maka gi.`,
+    hausa: () => `Don biyan bill, danna "Scan Bill" ka dauki hoton bill din. Zan karanta shi in biya maka ka.`
+  },
+  billPaid: {
+    english: (biller, amount, fee, customer) => `Perfect! Your ${biller} bill of ₦${amount.toLocaleString()}${fee > 0 ? ` (plus ₦${fee.toLocaleString()} fee)` : ""} for ${customer} has been paid.`,
+    pidgin: (biller, amount, fee, customer) => `E don set! I don pay your ${biller} bill of ₦${amount.toLocaleString()}${fee > 0 ? ` (plus ₦${fee.toLocaleString()} charge)` : ""} for ${customer}.`,
+    yoruba: (biller, amount, fee, customer) => `O ti di sisan! A ti san owo ${biller} re ti ₦${amount.toLocaleString()}${fee > 0 ? ` (pelu ₦${fee.toLocaleString()} owo ise)` : ""} fun ${customer}.`,
+    igbo: (biller, amount, fee, customer) => `O di mma! Akwugo ugwo ${biller} gi nke ₦${amount.toLocaleString()}${fee > 0 ? ` (tinyere ₦${fee.toLocaleString()} ugwo oru)` : ""} maka ${customer}.`,
+    hausa: (biller, amount, fee, customer) => `Madalla! An biya kudin ${biller} na ₦${amount.toLocaleString()}${fee > 0 ? ` (tare da kudin caji ₦${fee.toLocaleString()})` : ""} don ${customer}.`
+  },
+  unitsBought: {
+    english: (biller, amount, fee, customer) => `Done! ₦${amount.toLocaleString()}${fee > 0 ? ` (plus ₦${fee.toLocaleString()} fee)` : ""} of ${biller} units bought for ${customer}.`,
+    pidgin: (biller, amount, fee, customer) => `E don do! I don buy ₦${amount.toLocaleString()}${fee > 0 ? ` (plus ₦${fee.toLocaleString()} charge)` : ""} ${biller} units for ${customer}.`,
+    yoruba: (biller, amount, fee, customer) => `O tan! A ti ra units ${biller} ti ₦${amount.toLocaleString()}${fee > 0 ? ` (pelu ₦${fee.toLocaleString()} owo ise)` : ""} fun ${customer}.`,
+    igbo: (biller, amount, fee, customer) => `O gwula! Azutala m units ${biller} nke ₦${amount.toLocaleString()}${fee > 0 ? ` (tinyere ₦${fee.toLocaleString()} ugwo oru)` : ""} maka ${customer}.`,
+    hausa: (biller, amount, fee, customer) => `An gama! An sayi units na ${biller} na ₦${amount.toLocaleString()}${fee > 0 ? ` (tare da kudin caji ₦${fee.toLocaleString()})` : ""} don ${customer}.`
+  },
+  paymentReference: {
+    english: (reference) => `Reference: ${reference}.`,
+    pidgin: (reference) => `Reference: ${reference}.`,
+    yoruba: (reference) => `Nomba itokasi: ${reference}.`,
+    igbo: (reference) => `Nomba ntughari: ${reference}.`,
+    hausa: (reference) => `Lambar shaida: ${reference}.`
+  },
+  newBalance: {
+    english: (balance) => `New balance: ₦${balance.toLocaleString()}.`,
+    pidgin: (balance) => `Your new balance na ₦${balance.toLocaleString()}.`,
+    yoruba: (balance) => `Owo re to ku ni ₦${balance.toLocaleString()}.`,
+    igbo: (balance) => `Ego gi foduru bu ₦${balance.toLocaleString()}.`,
+    hausa: (balance) => `Sabon kudin ku shine ₦${balance.toLocaleString()}.`
+  },
+  tokenPurchased: {
+    english: (token, units, meter) => `Your token for meter ${meter} is ${token}. That's ${units} units.`,
+    pidgin: (token, units, meter) => `Your token for meter ${meter} na ${token}. E be ${units} units.`,
+    yoruba: (token, units, meter) => `Token re fun mita ${meter} ni ${token}. O je ${units} units.`,
+    igbo: (token, units, meter) => `Token gi maka mita ${meter} bu ${token}. O bu ${units} units.`,
+    hausa: (token, units, meter) => `Token dinka na mita ${meter} shine ${token}. Units ${units} ne.`
+  },
+  tokenResent: {
+    english: (token, units, meter) => `Here's your last token again, for meter ${meter}: ${token}. That's ${units} units.`,
+    pidgin: (token, units, meter) => `See your last token again, for meter ${meter}: ${token}. E be ${units} units.`,
+    yoruba: (token, units, meter) => `Token re to gbeyin niyi, fun mita ${meter}: ${token}. O je ${units} units.`,
+    igbo: (token, units, meter) => `Nke a bu token ikpeazu gi, maka mita ${meter}: ${token}. O bu ${units} units.`,
+    hausa: (token, units, meter) => `Ga token dinka na karshe kuma, na mita ${meter}: ${token}. Units ${units} ne.`
+  },
+  noTokenYet: {
+    english: () => `You haven't bought any electricity tokens yet. Tap "Scan Bill" to buy units for your prepaid meter.`,
+    pidgin: () => `You never buy any light token. Press "Scan Bill" make you buy units for your prepaid meter.`,
+    yoruba: () => `O ko tii ra token ina kankan. Te "Scan Bill" lati ra units fun mita prepaid re.`,
+    igbo: () => `I zubeghi token oku o bula. Pia "Scan Bill" iji zuta units maka mita prepaid gi.`,
+    hausa: () => `Ba ka taba sayen token na wuta ba. Danna "Scan Bill" don sayen units na mitar prepaid dinka.`
+  },
+  askWhichAmount: {
+    english: (choices) => `Sorry, how much exactly? Did you mean ${choices.join(" or ")}?`,
+    pidgin: (choices) => `Abeg, how much exactly? You mean ${choices.join(" or ")}?`,
+    yoruba: (choices) => `Jowo, elo gan-an? Se ${choices.join(" tabi ")} lo ni lokan?`,
+    igbo: (choices) => `Biko, ego ole kpomkwem? I choro ikwu ${choices.join(" ma obu ")}?`,
+    hausa: (choices) => `Don Allah, nawa daidai? Kana nufin ${choices.join(" ko ")}?`
+  },
+  askRecipient: {
+    english: () => `Who should I send the money to?`,
+    pidgin: () => `Who I go send the money give?`,
+    yoruba: () => `Ta ni ki n fi owo na ranise si?`,
+    igbo: () => `Onye ka m ga-eziga ego a?`,
+    hausa: () => `Wa zan aika wa kudin?`
+  },
+  askTransferAmount: {
+    english: (recipient) => `How much should I send to ${recipient}?`,
+    pidgin: (recipient) => `How much I go send give ${recipient}?`,
+    yoruba: (recipient) => `Elo ni ki n fi ranise si ${recipient}?`,
+    igbo: (recipient) => `Ego ole ka m ga-eziga ${recipient}?`,
+    hausa: (recipient) => `Nawa zan aika wa ${recipient}?`
+  },
+  askAirtimeAmount: {
+    english: () => `How much airtime should I buy?`,
+    pidgin: () => `How much airtime I go buy?`,
+    yoruba: () => `Elo ni airtime ti ki n ra?`,
+    igbo: () => `Ego ole ka m ga-azuta airtime?`,
+    hausa: () => `Nawa ne airtime zan saya?`
+  },
+  askBillAmount: {
+    english: (biller) => `How much should I pay to ${biller}?`,
+    pidgin: (biller) => `How much I go pay give ${biller}?`,
+    yoruba: (biller) => `Elo ni ki n san fun ${biller}?`,
+    igbo: (biller) => `Ego ole ka m ga-akwu ${biller}?`,
+    hausa: (biller) => `Nawa zan biya ${biller}?`
+  },
+  askWhichBeneficiary: {
+    english: (names) => `Did you mean ${names}?`,
+    pidgin: (names) => `Na ${names} you mean?`,
+    yoruba: (names) => `Se ${names} lo n so?`,
+    igbo: (names) => `I na-ekwu maka ${names}?`,
+    hausa: (names) => `Kana nufin ${names}?`
+  },
+  offerBeneficiary: {
+    english: (label) => `Want to save ${label} for next time? Say "save as" and a name, like "save as mama".`,
+    pidgin: (label) => `You wan save ${label} for next time? Talk "save am as" and one name, like "save am as mama".`,
+    yoruba: (label) => `Se o fe fi ${label} pamo fun igba miiran? So "fi pamo bi" ati oruko kan, bi "fi pamo bi mama".`,
+    igbo: (label) => `I choro ichekwa ${label} maka oge ozo? Kwuo "chekwaa ya dika" na aha, dika "chekwaa ya dika mama".`,
+    hausa: (label) => `Kana so ka ajiye ${label} don wani lokaci? Ka ce "ajiye a matsayin" da suna, kamar "ajiye a matsayin mama".`
+  },
+  beneficiarySaved: {
+    english: (nickname, label) => `Saved! Next time just say "${nickname}" for ${label}.`,
+    pidgin: (nickname, label) => `I don save am! Next time just talk "${nickname}" for ${label}.`,
+    yoruba: (nickname, label) => `Mo ti fi pamo! Nigba miiran, kan so "${nickname}" fun ${label}.`,
+    igbo: (nickname, label) => `Echekwala m ya! Oge ozo, kwuo "${nickname}" maka ${label}.`,
+    hausa: (nickname, label) => `An ajiye! Nan gaba, ka ce "${nickname}" don ${label}.`
+  },
+  askBeneficiaryName: {
+    english: () => `What should I call them? Say "save as" and a name, like "save as mama".`,
+    pidgin: () => `Wetin I go call am? Talk "save am as" and one name, like "save am as mama".`,
+    yoruba: () => `Kini ki n pe won? So "fi pamo bi" ati oruko kan, bi "fi pamo bi mama".`,
+    igbo: () => `Gini ka m ga-akpo ha? Kwuo "chekwaa ya dika" na aha, dika "chekwaa ya dika mama".`,
+    hausa: () => `Me zan kira su? Ka ce "ajiye a matsayin" da suna, kamar "ajiye a matsayin mama".`
+  },
+  nothingToSave: {
+    english: () => `There's no recent payment to save. You can add beneficiaries from the Beneficiaries tab.`,
+    pidgin: () => `No recent payment dey wey I fit save. You fit add beneficiary for the Beneficiaries tab.`,
+    yoruba: () => `Ko si isanwo tuntun kankan lati fi pamo. O le fi beneficiary kun ni Beneficiaries tab.`,
+    igbo: () => `Enweghi ugwo ohuru m ga-echekwa. I nwere ike itinye beneficiary na Beneficiaries tab.`,
+    hausa: () => `Babu biyan kwanan nan da zan ajiye. Kana iya kara beneficiary a Beneficiaries tab.`
+  },
+  nicknameTaken: {
+    english: (nickname) => `You already have a beneficiary called "${nickname}". Choose another name.`,
+    pidgin: (nickname) => `You don already get beneficiary wey be "${nickname}". Choose another name.`,
+    yoruba: (nickname) => `O ti ni beneficiary ti oruko re nje "${nickname}". Yan oruko miiran.`,
+    igbo: (nickname) => `I nwerela beneficiary aha ya bu "${nickname}". Horo aha ozo.`,
+    hausa: (nickname) => `Kana da beneficiary mai suna "${nickname}" tuni. Zabi wani suna.`
+  },
+  historyFound: {
+    english: (count, total) => `You have ${count} matching transaction${count === 1 ? "" : "s"}${total !== null ? `, ₦${total.toLocaleString()} in total` : ""}.`,
+    pidgin: (count, total) => `You get ${count} transaction wey match${total !== null ? `, ₦${total.toLocaleString()} altogether` : ""}.`,
+    yoruba: (count, total) => `O ni isowo ${count} to ba a mu${total !== null ? `, ₦${total.toLocaleString()} lapapo` : ""}.`,
+    igbo: (count, total) => `I nwere azumahia ${count} kwekorita${total !== null ? `, ₦${total.toLocaleString()} niile` : ""}.`,
+    hausa: (count, total) => `Kana da ma'amaloli ${count} da suka dace${total !== null ? `, jimilla ₦${total.toLocaleString()}` : ""}.`
+  },
+  historyEmpty: {
+    english: () => `I couldn't find any transactions like that.`,
+    pidgin: () => `I no see any transaction like that.`,
+    yoruba: () => `Mi o ri isowo kankan bi iyen.`,
+    igbo: () => `Ahughi m azumahia o bula di otu ahu.`,
+    hausa: () => `Ban sami wani ma'amala irin wannan ba.`
+  },
+  historyMore: {
+    english: (more) => `...and ${more} more. Open History to see them all.`,
+    pidgin: (more) => `...and ${more} more. Open History make you see all.`,
+    yoruba: (more) => `...ati ${more} miiran. Si History lati ri gbogbo won.`,
+    igbo: (more) => `...na ${more} ozo. Mepee History ihu ha niile.`,
+    hausa: (more) => `...da wasu ${more}. Bude History don ganin duka.`
+  },
+  statementReady: {
+    english: (period, count, opening, closing) => `Your statement for ${period} is ready: ${count} transaction${count === 1 ? "" : "s"}, opening balance ₦${opening.toLocaleString()}, closing balance ₦${closing.toLocaleString()}. Download it as PDF or CSV below.`,
+    pidgin: (period, count, opening, closing) => `Your statement for ${period} don ready: ${count} transaction, opening balance ₦${opening.toLocaleString()}, closing balance ₦${closing.toLocaleString()}. Download am as PDF or CSV for down.`,
+    yoruba: (period, count, opening, closing) => `Statement re fun ${period} ti setan: isowo ${count}, owo ibere ₦${opening.toLocaleString()}, owo ipari ₦${closing.toLocaleString()}. Gba a sile bi PDF tabi CSV ni isale.`,
+    igbo: (period, count, opening, closing) => `Statement gi maka ${period} adigo njikere: azumahia ${count}, ego mmalite ₦${opening.toLocaleString()}, ego ngwucha ₦${closing.toLocaleString()}. Budata ya dika PDF ma o bu CSV n'okpuru.`,
+    hausa: (period, count, opening, closing) => `Statement dinka na ${period} ya shirya: ma'amaloli ${count}, kudin farko ₦${opening.toLocaleString()}, kudin karshe ₦${closing.toLocaleString()}. Sauke shi a matsayin PDF ko CSV a kasa.`
+  },
+  statementReference: {
+    english: (reference) => `Reference ${reference}: anyone you share it with can check it with that reference.`,
+    pidgin: (reference) => `Reference ${reference}: anybody wey you give am fit use that reference check am.`,
+    yoruba: (reference) => `Reference ${reference}: enikeni ti o ba fi han le fi reference yen se ayewo re.`,
+    igbo: (reference) => `Reference ${reference}: onye obula i nyere ya nwere ike iji reference ahu lee ya.`,
+    hausa: (reference) => `Reference ${reference}: duk wanda ka ba shi zai iya duba shi da wannan reference.`
+  },
+  categoryName: {
+    english: (category) => ({ airtime: "airtime and data", utilities: "bills", family_support: "family support", food: "food", transport: "transport", savings: "savings and esusu", other: "other things" })[category],
+    pidgin: (category) => ({ airtime: "airtime and data", utilities: "bills", family_support: "family support", food: "chop", transport: "transport", savings: "savings and esusu", other: "other things" })[category],
+    yoruba: (category) => ({ airtime: "kaadi ipe ati data", utilities: "owo ina ati bills", family_support: "iranlowo ebi", food: "ounje", transport: "owo oko", savings: "ifowopamo ati esusu", other: "awon nkan miiran" })[category],
+    igbo: (category) => ({ airtime: "airtime na data", utilities: "ugwo oku na bills", family_support: "enyemaka ezinulo", food: "nri", transport: "njem", savings: "ichekwa ego na isusu", other: "ihe ndi ozo" })[category],
+    hausa: (category) => ({ airtime: "katin waya da data", utilities: "kudin wuta da bills", family_support: "taimakon iyali", food: "abinci", transport: "sufuri", savings: "ajiya da adashe", other: "wasu abubuwa" })[category]
+  },
+  spentOn: {
+    english: (name, amount, period) => `You've spent ₦${amount.toLocaleString()} on ${name} (${period}).`,
+    pidgin: (name, amount, period) => `You don spend ₦${amount.toLocaleString()} for ${name} (${period}).`,
+    yoruba: (name, amount, period) => `O ti na ₦${amount.toLocaleString()} lori ${name} (${period}).`,
+    igbo: (name, amount, period) => `I jirila ₦${amount.toLocaleString()} mee ${name} (${period}).`,
+    hausa: (name, amount, period) => `Ka kashe ₦${amount.toLocaleString()} a kan ${name} (${period}).`
+  },
+  spentTotal: {
+    english: (amount, period, breakdown) => `You've spent ₦${amount.toLocaleString()} in total (${period}): ${breakdown}.`,
+    pidgin: (amount, period, breakdown) => `You don spend ₦${amount.toLocaleString()} altogether (${period}): ${breakdown}.`,
+    yoruba: (amount, period, breakdown) => `O ti na ₦${amount.toLocaleString()} lapapo (${period}): ${breakdown}.`,
+    igbo: (amount, period, breakdown) => `I jirila ₦${amount.toLocaleString()} niile (${period}): ${breakdown}.`,
+    hausa: (amount, period, breakdown) => `Ka kashe jimillar ₦${amount.toLocaleString()} (${period}): ${breakdown}.`
+  },
+  noSpending: {
+    english: (period) => `You haven't spent anything yet (${period}).`,
+    pidgin: (period) => `You never spend anything (${period}).`,
+    yoruba: (period) => `O ko ti na nkankan (${period}).`,
+    igbo: (period) => `I jibeghi ego o bula (${period}).`,
+    hausa: (period) => `Ba ka kashe komai ba tukuna (${period}).`
+  },
+  budgetLeft: {
+    english: (limit, remaining) => `That's within your ₦${limit.toLocaleString()} monthly budget, with ₦${remaining.toLocaleString()} left.`,
+    pidgin: (limit, remaining) => `E still dey inside your ₦${limit.toLocaleString()} budget for this month, ₦${remaining.toLocaleString()} remain.`,
+    yoruba: (limit, remaining) => `O si wa ninu isuna ₦${limit.toLocaleString()} osu yi, ₦${remaining.toLocaleString()} lo ku.`,
+    igbo: (limit, remaining) => `O ka no n'ime mmefu ₦${limit.toLocaleString()} nke onwa a, ₦${remaining.toLocaleString()} foduru.`,
+    hausa: (limit, remaining) => `Yana cikin kasafin ₦${limit.toLocaleString()} na wannan watan, saura ₦${remaining.toLocaleString()}.`
+  },
+  budgetOver: {
+    english: (limit, over) => `That's ₦${over.toLocaleString()} over your ₦${limit.toLocaleString()} monthly budget.`,
+    pidgin: (limit, over) => `E don pass your ₦${limit.toLocaleString()} budget for this month with ₦${over.toLocaleString()}.`,
+    yoruba: (limit, over) => `O ti koja isuna ₦${limit.toLocaleString()} osu yi pelu ₦${over.toLocaleString()}.`,
+    igbo: (limit, over) => `O gafere mmefu ₦${limit.toLocaleString()} nke onwa a site na ₦${over.toLocaleString()}.`,
+    hausa: (limit, over) => `Ya wuce kasafin ₦${limit.toLocaleString()} na wannan watan da ₦${over.toLocaleString()}.`
+  },
+  budgetWarning: {
+    english: (name, spent, limit) => `Heads up: you've used ₦${spent.toLocaleString()} of your ₦${limit.toLocaleString()} ${name} budget this month.`,
+    pidgin: (name, spent, limit) => `Shine your eye: you don use ₦${spent.toLocaleString()} out of your ₦${limit.toLocaleString()} ${name} budget this month.`,
+    yoruba: (name, spent, limit) => `Kiyesi: o ti lo ₦${spent.toLocaleString()} ninu isuna ₦${limit.toLocaleString()} fun ${name} osu yi.`,
+    igbo: (name, spent, limit) => `Lezie anya: i jirila ₦${spent.toLocaleString()} n'ime mmefu ₦${limit.toLocaleString()} maka ${name} onwa a.`,
+    hausa: (name, spent, limit) => `Kula: ka yi amfani da ₦${spent.toLocaleString()} daga kasafin ₦${limit.toLocaleString()} na ${name} a wannan watan.`
+  },
+  budgetExceeded: {
+    english: (name, spent, limit) => `Heads up: you've spent ₦${spent.toLocaleString()} on ${name} this month, over your ₦${limit.toLocaleString()} budget.`,
+    pidgin: (name, spent, limit) => `Shine your eye: you don spend ₦${spent.toLocaleString()} for ${name} this month, e don pass your ₦${limit.toLocaleString()} budget.`,
+    yoruba: (name, spent, limit) => `Kiyesi: o ti na ₦${spent.toLocaleString()} lori ${name} osu yi, o ti koja isuna ₦${limit.toLocaleString()} re.`,
+    igbo: (name, spent, limit) => `Lezie anya: i jirila ₦${spent.toLocaleString()} mee ${name} onwa a, o gafere mmefu ₦${limit.toLocaleString()} gi.`,
+    hausa: (name, spent, limit) => `Kula: ka kashe ₦${spent.toLocaleString()} a kan ${name} a wannan watan, ya wuce kasafin ₦${limit.toLocaleString()}.`
+  },
+  savingsGoalCreated: {
+    english: (name, target, date, locked) => `Your "${name}" goal is set: ₦${target.toLocaleString()}${date ? ` by ${date}` : ""}${locked ? `, locked until then` : ""}. Say "save 2000 for my ${name}" to put money in.`,
+    pidgin: (name, target, date, locked) => `Your "${name}" goal don set: ₦${target.toLocaleString()}${date ? ` by ${date}` : ""}${locked ? `, e go lock till then` : ""}. Talk "save 2000 for my ${name}" to put money inside.`,
+    yoruba: (name, target, date, locked) => `Afojusun "${name}" re ti wa: ₦${target.toLocaleString()}${date ? ` ni ${date}` : ""}${locked ? `, o ti pa titi di igba na` : ""}. So "save 2000 for my ${name}" lati fi owo si.`,
+    igbo: (name, target, date, locked) => `Ebumnuche "${name}" gi adiela: ₦${target.toLocaleString()}${date ? ` tupu ${date}` : ""}${locked ? `, a kpochiri ya ruo mgbe ahu` : ""}. Kwuo "save 2000 for my ${name}" itinye ego.`,
+    hausa: (name, target, date, locked) => `An saita burin "${name}": ₦${target.toLocaleString()}${date ? ` kafin ${date}` : ""}${locked ? `, a kulle har zuwa lokacin` : ""}. Ka ce "save 2000 for my ${name}" don saka kudi.`
+  },
+  askSavingsGoalDetails: {
+    english: () => `What's the goal for and how much do you want to save? Like "create a savings goal for rent of 200000 by December".`,
+    pidgin: () => `Wetin the goal be for and how much you wan save? Like "create a savings goal for rent of 200000 by December".`,
+    yoruba: () => `Kini afojusun na fun, elo lo si fe fi pamo? Bi "create a savings goal for rent of 200000 by December".`,
+    igbo: () => `Gini ka ebumnuche ahu bu maka ya, ego ole ka i choro ichekwa? Dika "create a savings goal for rent of 200000 by December".`,
+    hausa: () => `Menene burin, kuma nawa kake so ka tara? Kamar "create a savings goal for rent of 200000 by December".`
+  },
+  noSavingsGoals: {
+    english: () => `You don't have any savings goals yet. Say "create a savings goal for rent of 200000" or open the Savings tab.`,
+    pidgin: () => `You never get any savings goal. Talk "create a savings goal for rent of 200000" or open the Savings tab.`,
+    yoruba: () => `O ko ti ni afojusun ifowopamo kankan. So "create a savings goal for rent of 200000" tabi si Savings tab.`,
+    igbo: () => `I nwebeghi ebumnuche ichekwa ego o bula. Kwuo "create a savings goal for rent of 200000" ma o bu mepee Savings tab.`,
+    hausa: () => `Ba ka da burin ajiya tukuna. Ka ce "create a savings goal for rent of 200000" ko bude Savings tab.`
+  },
+  savingsGoalsSummary: {
+    english: (lines) => `Your savings: ${lines}.`,
+    pidgin: (lines) => `Your savings: ${lines}.`,
+    yoruba: (lines) => `Ifowopamo re: ${lines}.`,
+    igbo: (lines) => `Ego i chekwara: ${lines}.`,
+    hausa: (lines) => `Ajiyarka: ${lines}.`
+  },
+  savingsGoalLine: {
+    english: (name, saved, target, locked) => `${name} ₦${saved.toLocaleString()} of ₦${target.toLocaleString()}${locked ? ` (locked until ${locked})` : ""}`,
+    pidgin: (name, saved, target, locked) => `${name} ₦${saved.toLocaleString()} out of ₦${target.toLocaleString()}${locked ? ` (e lock till ${locked})` : ""}`,
+    yoruba: (name, saved, target, locked) => `${name} ₦${saved.toLocaleString()} ninu ₦${target.toLocaleString()}${locked ? ` (o ti pa titi di ${locked})` : ""}`,
+    igbo: (name, saved, target, locked) => `${name} ₦${saved.toLocaleString()} n'ime ₦${target.toLocaleString()}${locked ? ` (a kpochiri ya ruo ${locked})` : ""}`,
+    hausa: (name, saved, target, locked) => `${name} ₦${saved.toLocaleString()} cikin ₦${target.toLocaleString()}${locked ? ` (a kulle har ${locked})` : ""}`
+  },
+  askSavingsGoal: {
+    english: (names) => `Which savings goal? You have ${names}.`,
+    pidgin: (names) => `Which savings goal? You get ${names}.`,
+    yoruba: (names) => `Afojusun ifowopamo wo? O ni ${names}.`,
+    igbo: (names) => `Ebumnuche ichekwa ego kedu? I nwere ${names}.`,
+    hausa: (names) => `Wane burin ajiya? Kana da ${names}.`
+  },
+  askSavingsAmount: {
+    english: (name) => `How much for "${name}"?`,
+    pidgin: (name) => `How much for "${name}"?`,
+    yoruba: (name) => `Elo ni fun "${name}"?`,
+    igbo: (name) => `Ego ole maka "${name}"?`,
+    hausa: (name) => `Nawa ne don "${name}"?`
+  },
+  confirmSavingsDeposit: {
+    english: (amount, name) => `Move ₦${amount.toLocaleString()} from your wallet into "${name}"? Say yes, or cancel.`,
+    pidgin: (amount, name) => `Make I move ₦${amount.toLocaleString()} from your wallet enter "${name}"? Talk yes, or cancel.`,
+    yoruba: (amount, name) => `Se ki n gbe ₦${amount.toLocaleString()} lati apo re si "${name}"? So beeni, tabi fagile.`,
+    igbo: (amount, name) => `Ka m bugharia ₦${amount.toLocaleString()} site n'akpa gi tinye na "${name}"? Kwuo ee, ma o bu kagbuo.`,
+    hausa: (amount, name) => `In matsar da ₦${amount.toLocaleString()} daga asusunka zuwa "${name}"? Ka ce eh, ko soke.`
+  },
+  confirmSavingsWithdrawal: {
+    english: (amount, name) => `Take ₦${amount.toLocaleString()} out of "${name}" into your wallet? Say yes, or cancel.`,
+    pidgin: (amount, name) => `Make I comot ₦${amount.toLocaleString()} from "${name}" put for your wallet? Talk yes, or cancel.`,
+    yoruba: (amount, name) => `Se ki n yo ₦${amount.toLocaleString()} kuro ninu "${name}" si apo re? So beeni, tabi fagile.`,
+    igbo: (amount, name) => `Ka m wepu ₦${amount.toLocaleString()} na "${name}" tinye n'akpa gi? Kwuo ee, ma o bu kagbuo.`,
+    hausa: (amount, name) => `In fitar da ₦${amount.toLocaleString()} daga "${name}" zuwa asusunka? Ka ce eh, ko soke.`
+  },
+  savingsDeposited: {
+    english: (amount, name, saved, target, balance) => `Saved! ₦${amount.toLocaleString()} is now in "${name}" (₦${saved.toLocaleString()} of ₦${target.toLocaleString()}). Your wallet balance is ₦${balance.toLocaleString()}.`,
+    pidgin: (amount, name, saved, target, balance) => `E don enter! ₦${amount.toLocaleString()} don go "${name}" (₦${saved.toLocaleString()} out of ₦${target.toLocaleString()}). Your wallet remain ₦${balance.toLocaleString()}.`,
+    yoruba: (amount, name, saved, target, balance) => `O ti fi pamo! ₦${amount.toLocaleString()} ti wa ninu "${name}" (₦${saved.toLocaleString()} ninu ₦${target.toLocaleString()}). Owo to ku ninu apo re ni ₦${balance.toLocaleString()}.`,
+    igbo: (amount, name, saved, target, balance) => `Echekwala ya! ₦${amount.toLocaleString()} no na "${name}" ugbu a (₦${saved.toLocaleString()} n'ime ₦${target.toLocaleString()}). Ego foduru n'akpa gi bu ₦${balance.toLocaleString()}.`,
+    hausa: (amount, name, saved, target, balance) => `An ajiye! ₦${amount.toLocaleString()} yana cikin "${name}" yanzu (₦${saved.toLocaleString()} cikin ₦${target.toLocaleString()}). Sauran kudin asusunka ₦${balance.toLocaleString()}.`
+  },
+  savingsWithdrawn: {
+    english: (amount, name, balance) => `Done! ₦${amount.toLocaleString()} came out of "${name}". Your wallet balance is ₦${balance.toLocaleString()}.`,
+    pidgin: (amount, name, balance) => `E don do! ₦${amount.toLocaleString()} don comot from "${name}". Your wallet na ₦${balance.toLocaleString()} now.`,
+    yoruba: (amount, name, balance) => `O ti pari! ₦${amount.toLocaleString()} ti jade ninu "${name}". Owo inu apo re ni ₦${balance.toLocaleString()}.`,
+    igbo: (amount, name, balance) => `O mezuru! ₦${amount.toLocaleString()} esila na "${name}" puta. Ego n'akpa gi bu ₦${balance.toLocaleString()}.`,
+    hausa: (amount, name, balance) => `An gama! ₦${amount.toLocaleString()} ya fito daga "${name}". Kudin asusunka yanzu ₦${balance.toLocaleString()}.`
+  },
+  savingsLocked: {
+    english: (name, date) => `"${name}" is locked until ${date}, so the money can't come out yet.`,
+    pidgin: (name, date) => `"${name}" dey lock till ${date}, so the money no fit comot now.`,
+    yoruba: (name, date) => `"${name}" ti pa titi di ${date}, owo na ko le jade sibesibe.`,
+    igbo: (name, date) => `A kpochiri "${name}" ruo ${date}, ego ahu enweghi ike isi ya puta ugbu a.`,
+    hausa: (name, date) => `An kulle "${name}" har zuwa ${date}, kudin ba zai fita ba tukuna.`
+  },
+  savingsNotEnough: {
+    english: (name, saved) => `"${name}" only has ₦${saved.toLocaleString()}.`,
+    pidgin: (name, saved) => `Na only ₦${saved.toLocaleString()} dey "${name}".`,
+    yoruba: (name, saved) => `₦${saved.toLocaleString()} nikan lo wa ninu "${name}".`,
+    igbo: (name, saved) => `Naani ₦${saved.toLocaleString()} no na "${name}".`,
+    hausa: (name, saved) => `₦${saved.toLocaleString()} kawai ke cikin "${name}".`
+  },
+  savingsFrequency: {
+    english: (frequency) => ({ daily: "every day", weekly: "every week", "bi-weekly": "every two weeks", monthly: "every month" })[frequency],
+    pidgin: (frequency) => ({ daily: "every day", weekly: "every week", "bi-weekly": "every two weeks", monthly: "every month" })[frequency],
+    yoruba: (frequency) => ({ daily: "lojoojumo", weekly: "ni gbogbo ose", "bi-weekly": "ni ose meji meji", monthly: "ni gbogbo osu" })[frequency],
+    igbo: (frequency) => ({ daily: "kwa ubochi", weekly: "kwa izu", "bi-weekly": "kwa izu abuo", monthly: "kwa onwa" })[frequency],
+    hausa: (frequency) => ({ daily: "kowace rana", weekly: "kowane mako", "bi-weekly": "kowane mako biyu", monthly: "kowane wata" })[frequency]
+  },
+  savingsAutoSet: {
+    english: (amount, when, name) => `Done! I'll move ₦${amount.toLocaleString()} into "${name}" ${when}, starting today.`,
+    pidgin: (amount, when, name) => `E don set! I go dey move ₦${amount.toLocaleString()} enter "${name}" ${when}, from today.`,
+    yoruba: (amount, when, name) => `O ti di! Maa gbe ₦${amount.toLocaleString()} si "${name}" ${when}, bere lati oni.`,
+    igbo: (amount, when, name) => `O dila! A ga m ebuga ₦${amount.toLocaleString()} na "${name}" ${when}, malite taa.`,
+    hausa: (amount, when, name) => `An saita! Zan rika saka ₦${amount.toLocaleString()} cikin "${name}" ${when}, daga yau.`
+  },
+  savingsScheduleHint: {
+    english: () => `Tell me the amount, how often and the goal, like "save 1000 every week for rent".`,
+    pidgin: () => `Tell me the amount, how often and the goal, like "save 1000 every week for rent".`,
+    yoruba: () => `So iye owo, igba melo ati afojusun na, bi "save 1000 every week for rent".`,
+    igbo: () => `Gwa m ego ole, ugboro ole na ebumnuche ahu, dika "save 1000 every week for rent".`,
+    hausa: () => `Fada min adadin, sau nawa da burin, kamar "save 1000 every week for rent".`
+  },
+  savingsRoundUp: {
+    english: (amount, name) => `₦${amount.toLocaleString()} in round-ups went into "${name}".`,
+    pidgin: (amount, name) => `₦${amount.toLocaleString()} round-up don enter "${name}".`,
+    yoruba: (amount, name) => `₦${amount.toLocaleString()} ti owo to seku lo si "${name}".`,
+    igbo: (amount, name) => `₦${amount.toLocaleString()} nke mgbakwunye banyere na "${name}".`,
+    hausa: (amount, name) => `₦${amount.toLocaleString()} na cikon kudi ya shiga "${name}".`
+  },
+  scheduleWhen: {
+    english: (frequency, weekday, day, date) =>
+      frequency === "once" ? `on ${date}` : frequency === "daily" ? "every day" : frequency === "weekly" ? `every ${weekday}` : `on the ${ordinal(day)} of every month`,
+    pidgin: (frequency, weekday, day, date) =>
+      frequency === "once" ? `for ${date}` : frequency === "daily" ? "every day" : frequency === "weekly" ? `every ${weekday}` : `every month for ${ordinal(day)}`,
+    yoruba: (frequency, weekday, day, date) =>
+      frequency === "once" ? `ni ${date}` : frequency === "daily" ? "lojoojumo" : frequency === "weekly" ? `ni gbogbo ${weekday}` : `ni ojo ${day} osu kookan`,
+    igbo: (frequency, weekday, day, date) =>
+      frequency === "once" ? `na ${date}` : frequency === "daily" ? "kwa ubochi" : frequency === "weekly" ? `kwa ${weekday}` : `na ubochi ${day} nke onwa obula`,
+    hausa: (frequency, weekday, day, date) =>
+      frequency === "once" ? `a ranar ${date}` : frequency === "daily" ? "kowace rana" : frequency === "weekly" ? `kowace ${weekday}` : `a ranar ${day} ga kowane wata`
+  },
+  confirmScheduleIntent: {
+    english: (label, when, first) => `Schedule ${label} ${when}${first ? `, starting ${first}` : ""}? Say yes, or cancel.`,
+    pidgin: (label, when, first) => `Make I set ${label} ${when}${first ? `, from ${first}` : ""}? Talk yes, or cancel.`,
+    yoruba: (label, when, first) => `Se ki n seto ${label} ${when}${first ? `, bere lati ${first}` : ""}? So beeni, tabi cancel.`,
+    igbo: (label, when, first) => `Ka m hazie ${label} ${when}${first ? `, malite ${first}` : ""}? Kwuo ee, ma o bu cancel.`,
+    hausa: (label, when, first) => `In tsara ${label} ${when}${first ? `, daga ${first}` : ""}? Ka ce eh, ko cancel.`
+  },
+  confirmSchedule: {
+    english: (label, when) => `You're scheduling ${label} ${when}. Say or type your transaction PIN to confirm, or say cancel.`,
+    pidgin: (label, when) => `You wan set ${label} ${when}. Talk or type your PIN make I confirm am, or talk cancel.`,
+    yoruba: (label, when) => `O fe seto ${label} ${when}. So tabi te PIN re lati jerisi, tabi so cancel.`,
+    igbo: (label, when) => `I na-ahazi ${label} ${when}. Kwuo ma o bu dee PIN gi iji kwado ya, ma o bu kwuo cancel.`,
+    hausa: (label, when) => `Za ka tsara ${label} ${when}. Fadi ko rubuta PIN dinka don tabbatarwa, ko ka ce cancel.`
+  },
+  scheduleCreated: {
+    english: (label, when, first) => `Done! I'll pay ${label} ${when}.${first ? ` The first one goes out on ${first}.` : ""}`,
+    pidgin: (label, when, first) => `E don set! I go pay ${label} ${when}.${first ? ` The first one go comot on ${first}.` : ""}`,
+    yoruba: (label, when, first) => `O ti di! Maa san ${label} ${when}.${first ? ` Akoko yoo lo ni ${first}.` : ""}`,
+    igbo: (label, when, first) => `O dila! A ga m akwu ${label} ${when}.${first ? ` Nke mbu ga-apu na ${first}.` : ""}`,
+    hausa: (label, when, first) => `An saita! Zan biya ${label} ${when}.${first ? ` Na farko zai tafi a ranar ${first}.` : ""}`
+  },
+  scheduleDatePassed: {
+    english: () => `That date has already passed. Tell me a day still to come.`,
+    pidgin: () => `That date don pass. Tell me day wey never reach.`,
+    yoruba: () => `Ojo yen ti koja. So ojo kan ti ko tii de.`,
+    igbo: () => `Ubochi ahu agafeela. Gwa m ubochi na-abia.`,
+    hausa: () => `Ranar ta riga ta wuce. Fada min ranar da ba ta zo ba tukuna.`
+  },
+  noSchedules: {
+    english: () => `You have no scheduled payments. Try "send 5000 to mama every month".`,
+    pidgin: () => `You no get any scheduled payment. Try "send 5000 to mama every month".`,
+    yoruba: () => `O ko ni isanwo kankan ti a seto. Gbiyanju "send 5000 to mama every month".`,
+    igbo: () => `I nweghi ugwo a haziri. Nwaa "send 5000 to mama every month".`,
+    hausa: () => `Ba ka da biyan kudi da aka tsara. Gwada "send 5000 to mama every month".`
+  },
+  schedulesSummary: {
+    english: (lines) => `Your scheduled payments: ${lines}.`,
+    pidgin: (lines) => `Your scheduled payments: ${lines}.`,
+    yoruba: (lines) => `Awon isanwo ti o seto: ${lines}.`,
+    igbo: (lines) => `Ugwo i haziri: ${lines}.`,
+    hausa: (lines) => `Biyan kudinka da aka tsara: ${lines}.`
+  },
+  scheduleLine: {
+    english: (label, when, next) => `${label} ${when}${next ? `, next on ${next}` : " (paused)"}`,
+    pidgin: (label, when, next) => `${label} ${when}${next ? `, the next one na ${next}` : " (e dey pause)"}`,
+    yoruba: (label, when, next) => `${label} ${when}${next ? `, eyi to kan ni ${next}` : " (o ti duro)"}`,
+    igbo: (label, when, next) => `${label} ${when}${next ? `, nke ozo na ${next}` : " (akwusiri ya)"}`,
+    hausa: (label, when, next) => `${label} ${when}${next ? `, na gaba a ranar ${next}` : " (an dakatar)"}`
+  },
+  whichSchedule: {
+    english: (choices) => `Which scheduled payment? ${choices}. Say who it pays, like "stop my transfer to mama".`,
+    pidgin: (choices) => `Which of the scheduled payments? ${choices}. Talk who e dey pay, like "stop my transfer to mama".`,
+    yoruba: (choices) => `Isanwo wo ninu won? ${choices}. So eni ti o n san fun, bi "stop my transfer to mama".`,
+    igbo: (choices) => `Kedu ugwo a haziri? ${choices}. Kwuo onye o na-akwu, dika "stop my transfer to mama".`,
+    hausa: (choices) => `Wane biyan kudi da aka tsara? ${choices}. Fadi wanda ake biya, kamar "stop my transfer to mama".`
+  },
+  schedulePaused: {
+    english: (label) => `Paused: ${label}. Say "resume" when you want it back.`,
+    pidgin: (label) => `I don pause ${label}. Talk "resume" when you want am back.`,
+    yoruba: (label) => `Mo ti da ${label} duro. So "resume" nigba ti o ba fe ko pada.`,
+    igbo: (label) => `Akwusitere m ${label}. Kwuo "resume" mgbe i choro ka o laghachi.`,
+    hausa: (label) => `Na dakatar da ${label}. Ka ce "resume" idan kana son a ci gaba.`
+  },
+  scheduleResumed: {
+    english: (label, next) => `${label} is back on. The next payment goes out on ${next}.`,
+    pidgin: (label, next) => `${label} don start again. The next one go comot on ${next}.`,
+    yoruba: (label, next) => `${label} ti bere pada. Isanwo to kan yoo lo ni ${next}.`,
+    igbo: (label, next) => `${label} amaliteghachila. Ugwo ozo ga-apu na ${next}.`,
+    hausa: (label, next) => `${label} ya ci gaba. Biya na gaba zai tafi a ranar ${next}.`
+  },
+  scheduleCancelled: {
+    english: (label) => `Cancelled: ${label}. It won't be paid again.`,
+    pidgin: (label) => `I don cancel ${label}. E no go pay again.`,
+    yoruba: (label) => `Mo ti fagile ${label}. A ko ni san an mo.`,
+    igbo: (label) => `Akagbuola m ${label}. A gaghi akwu ya ozo.`,
+    hausa: (label) => `Na soke ${label}. Ba za a sake biya ba.`
+  },
+  moneyRequestHint: {
+    english: () => `Tell me who to ask and how much, like "ask tunde for 3000".`,
+    pidgin: () => `Tell me who I go ask and how much, like "ask tunde for 3000".`,
+    yoruba: () => `So eni ti ki n beere lowo re ati iye owo, bi "ask tunde for 3000".`,
+    igbo: () => `Gwa m onye m ga-ario na ego ole, dika "ask tunde for 3000".`,
+    hausa: () => `Fada min wanda zan roka da nawa, kamar "ask tunde for 3000".`
+  },
+  moneyRequested: {
+    english: (payer, amount, note) => `Done! I've asked ${payer} for ₦${amount.toLocaleString()}${note ? ` for ${note}` : ""}. They can pay or decline it from their chat.`,
+    pidgin: (payer, amount, note) => `E don do! I don ask ${payer} for ₦${amount.toLocaleString()}${note ? ` for ${note}` : ""}. Dem fit pay or decline am from their chat.`,
+    yoruba: (payer, amount, note) => `O ti di! Mo ti beere ₦${amount.toLocaleString()} lowo ${payer}${note ? ` fun ${note}` : ""}. Won le san tabi ko o lati inu chat won.`,
+    igbo: (payer, amount, note) => `O dila! Ariola m ${payer} ₦${amount.toLocaleString()}${note ? ` maka ${note}` : ""}. Ha nwere ike ikwu ugwo ma o bu ju ya na chat ha.`,
+    hausa: (payer, amount, note) => `An gama! Na roki ${payer} ₦${amount.toLocaleString()}${note ? ` don ${note}` : ""}. Za su iya biya ko su ki daga chat dinsu.`
+  },
+  noMoneyRequests: {
+    english: () => `No one is asking you for money, and you have no open requests. Try "ask tunde for 3000".`,
+    pidgin: () => `Nobody dey ask you for money, and you no get any open request. Try "ask tunde for 3000".`,
+    yoruba: () => `Ko si eni ti o n beere owo lowo re, ko si si ibeere re ti o wa ni sisi. Gbiyanju "ask tunde for 3000".`,
+    igbo: () => `O nweghi onye na-ario gi ego, i nweghikwa aririo meghere emeghe. Nwaa "ask tunde for 3000".`,
+    hausa: () => `Babu wanda ke rokonka kudi, kuma ba ka da bukatar da ke bude. Gwada "ask tunde for 3000".`
+  },
+  moneyRequestsSummary: {
+    english: (incoming, outgoing) => [incoming && `Waiting for you to pay: ${incoming}.`, outgoing && `You're waiting on: ${outgoing}.`].filter(Boolean).join(" "),
+    pidgin: (incoming, outgoing) => [incoming && `Dem dey wait make you pay: ${incoming}.`, outgoing && `You dey wait for: ${outgoing}.`].filter(Boolean).join(" "),
+    yoruba: (incoming, outgoing) => [incoming && `Won n duro de o lati san: ${incoming}.`, outgoing && `O n duro de: ${outgoing}.`].filter(Boolean).join(" "),
+    igbo: (incoming, outgoing) => [incoming && `Ha na-eche ka i kwuo: ${incoming}.`, outgoing && `I na-eche: ${outgoing}.`].filter(Boolean).join(" "),
+    hausa: (incoming, outgoing) => [incoming && `Suna jiran ka biya: ${incoming}.`, outgoing && `Kana jiran: ${outgoing}.`].filter(Boolean).join(" ")
+  },
+  noIncomingRequests: {
+    english: () => `No one is asking you for money right now.`,
+    pidgin: () => `Nobody dey ask you for money now.`,
+    yoruba: () => `Ko si eni ti o n beere owo lowo re bayi.`,
+    igbo: () => `O nweghi onye na-ario gi ego ugbu a.`,
+    hausa: () => `Babu wanda ke rokonka kudi yanzu.`
+  },
+  noOutgoingRequests: {
+    english: () => `You have no unpaid requests.`,
+    pidgin: () => `You no get any request wey never pay.`,
+    yoruba: () => `O ko ni ibeere kankan ti won ko tii san.`,
+    igbo: () => `I nweghi aririo a na-akwughi.`,
+    hausa: () => `Ba ka da bukatar da ba a biya ba.`
+  },
+  whichMoneyRequest: {
+    english: (choices) => `Which request? ${choices}. Say the name, like "accept tunde's request".`,
+    pidgin: (choices) => `Which request? ${choices}. Talk the name, like "accept tunde's request".`,
+    yoruba: (choices) => `Ibeere wo? ${choices}. So oruko naa, bi "accept tunde's request".`,
+    igbo: (choices) => `Kedu aririo? ${choices}. Kwuo aha ya, dika "accept tunde's request".`,
+    hausa: (choices) => `Wace bukata? ${choices}. Fadi sunan, kamar "accept tunde's request".`
+  },
+  confirmRequestPayment: {
+    english: (amount, requester, note) => `${requester} asked you for ₦${amount.toLocaleString()}${note ? ` for ${note}` : ""}. Send it now? Say yes, or cancel.`,
+    pidgin: (amount, requester, note) => `${requester} ask you for ₦${amount.toLocaleString()}${note ? ` for ${note}` : ""}. Make I send am now? Talk yes, or cancel.`,
+    yoruba: (amount, requester, note) => `${requester} beere ₦${amount.toLocaleString()} lowo re${note ? ` fun ${note}` : ""}. Se ki n fi ranse bayi? So beeni, tabi cancel.`,
+    igbo: (amount, requester, note) => `${requester} rioro gi ₦${amount.toLocaleString()}${note ? ` maka ${note}` : ""}. Ka m ziga ya ugbu a? Kwuo ee, ma o bu cancel.`,
+    hausa: (amount, requester, note) => `${requester} ya roke ka ₦${amount.toLocaleString()}${note ? ` don ${note}` : ""}. In aika yanzu? Ka ce eh, ko cancel.`
+  },
+  requestSettled: {
+    english: (requester) => `That settles ${requester}'s request.`,
+    pidgin: (requester) => `${requester} request don settle.`,
+    yoruba: (requester) => `Ibeere ${requester} ti pari.`,
+    igbo: (requester) => `Nke ahu emezuola aririo ${requester}.`,
+    hausa: (requester) => `Bukatar ${requester} ta cika.`
+  },
+  requestDeclined: {
+    english: (requester, amount) => `Declined ${requester}'s request for ₦${amount.toLocaleString()}. They'll see it in their requests.`,
+    pidgin: (requester, amount) => `I don decline ${requester} request for ₦${amount.toLocaleString()}. Dem go see am for their requests.`,
+    yoruba: (requester, amount) => `Mo ti ko ibeere ${requester} fun ₦${amount.toLocaleString()}. Won yoo ri i ninu ibeere won.`,
+    igbo: (requester, amount) => `Ajuola m aririo ${requester} maka ₦${amount.toLocaleString()}. Ha ga-ahu ya na aririo ha.`,
+    hausa: (requester, amount) => `Na ki bukatar ${requester} ta ₦${amount.toLocaleString()}. Za su gani a cikin bukatunsu.`
+  },
+  requestCancelled: {
+    english: (payer, amount) => `Cancelled your request to ${payer} for ₦${amount.toLocaleString()}.`,
+    pidgin: (payer, amount) => `I don cancel your request to ${payer} for ₦${amount.toLocaleString()}.`,
+    yoruba: (payer, amount) => `Mo ti fagile ibeere re si ${payer} fun ₦${amount.toLocaleString()}.`,
+    igbo: (payer, amount) => `Akagbuola m aririo gi nye ${payer} maka ₦${amount.toLocaleString()}.`,
+    hausa: (payer, amount) => `Na soke bukatarka zuwa ga ${payer} ta ₦${amount.toLocaleString()}.`
+  },
+  requestReminded: {
+    english: (payer, amount) => `I've reminded ${payer} about the ₦${amount.toLocaleString()}.`,
+    pidgin: (payer, amount) => `I don remind ${payer} about the ₦${amount.toLocaleString()}.`,
+    yoruba: (payer, amount) => `Mo ti ran ${payer} leti nipa ₦${amount.toLocaleString()} naa.`,
+    igbo: (payer, amount) => `Echetarala m ${payer} maka ₦${amount.toLocaleString()} ahu.`,
+    hausa: (payer, amount) => `Na tunatar da ${payer} game da ₦${amount.toLocaleString()}.`
+  },
+  splitHint: {
+    english: () => `Tell me the amount and who to split it with, like "split 12000 for dinner with tunde and ada".`,
+    pidgin: () => `Tell me the amount and who we go share am with, like "split 12000 for dinner with tunde and ada".`,
+    yoruba: () => `So iye owo ati awon ti a o pin in pelu, bi "split 12000 for dinner with tunde and ada".`,
+    igbo: () => `Gwa m ego ole na ndi anyi ga-eke ya, dika "split 12000 for dinner with tunde and ada".`,
+    hausa: () => `Fada min adadin kudin da wadanda za a raba da su, kamar "split 12000 for dinner with tunde and ada".`
+  },
+  splitCreated: {
+    english: (title, total, shares, ownerShare) => `Done! I've split ${title} (₦${total.toLocaleString()}): ${shares}.${ownerShare ? ` Your share is ₦${ownerShare.toLocaleString()}.` : ""} I've asked each of them to pay.`,
+    pidgin: (title, total, shares, ownerShare) => `E don do! I don share ${title} (₦${total.toLocaleString()}): ${shares}.${ownerShare ? ` Your own na ₦${ownerShare.toLocaleString()}.` : ""} I don ask each of dem make dem pay.`,
+    yoruba: (title, total, shares, ownerShare) => `O ti di! Mo ti pin ${title} (₦${total.toLocaleString()}): ${shares}.${ownerShare ? ` Ipin tire ni ₦${ownerShare.toLocaleString()}.` : ""} Mo ti beere lowo olukuluku won lati san.`,
+    igbo: (title, total, shares, ownerShare) => `O dila! Ekewala m ${title} (₦${total.toLocaleString()}): ${shares}.${ownerShare ? ` Oke nke gi bu ₦${ownerShare.toLocaleString()}.` : ""} Ariola m onye obula n'ime ha ka o kwuo.`,
+    hausa: (title, total, shares, ownerShare) => `An gama! Na raba ${title} (₦${total.toLocaleString()}): ${shares}.${ownerShare ? ` Kasonka shine ₦${ownerShare.toLocaleString()}.` : ""} Na roki kowannensu ya biya.`
+  },
+  noSplits: {
+    english: () => `You have no open split bills. Try "split 12000 for dinner with tunde and ada".`,
+    pidgin: () => `You no get any open split bill. Try "split 12000 for dinner with tunde and ada".`,
+    yoruba: () => `O ko ni owo pinpin kankan ti o wa ni sisi. Gbiyanju "split 12000 for dinner with tunde and ada".`,
+    igbo: () => `I nweghi ugwo ekere eke meghere emeghe. Nwaa "split 12000 for dinner with tunde and ada".`,
+    hausa: () => `Ba ka da lissafin rabawa da ke bude. Gwada "split 12000 for dinner with tunde and ada".`
+  },
+  splitsSummary: {
+    english: (lines) => `Your split bills: ${lines}.`,
+    pidgin: (lines) => `Your split bills: ${lines}.`,
+    yoruba: (lines) => `Awon owo ti o pin: ${lines}.`,
+    igbo: (lines) => `Ugwo i kere eke: ${lines}.`,
+    hausa: (lines) => `Lissafin da ka raba: ${lines}.`
+  },
+  splitLine: {
+    english: (title, collected, owed, waiting) => `${title}: ₦${collected.toLocaleString()} of ₦${owed.toLocaleString()} paid back${waiting ? `, waiting on ${waiting}` : ""}`,
+    pidgin: (title, collected, owed, waiting) => `${title}: ₦${collected.toLocaleString()} out of ₦${owed.toLocaleString()} don come back${waiting ? `, still dey wait for ${waiting}` : ""}`,
+    yoruba: (title, collected, owed, waiting) => `${title}: won ti san ₦${collected.toLocaleString()} ninu ₦${owed.toLocaleString()} pada${waiting ? `, a n duro de ${waiting}` : ""}`,
+    igbo: (title, collected, owed, waiting) => `${title}: akwughachila ₦${collected.toLocaleString()} n'ime ₦${owed.toLocaleString()}${waiting ? `, a na-eche ${waiting}` : ""}`,
+    hausa: (title, collected, owed, waiting) => `${title}: an dawo da ₦${collected.toLocaleString()} cikin ₦${owed.toLocaleString()}${waiting ? `, ana jiran ${waiting}` : ""}`
+  },
+  whichSplit: {
+    english: (choices) => `Which split bill? ${choices}. Say its name, like "remind everyone about dinner".`,
+    pidgin: (choices) => `Which split bill? ${choices}. Talk the name, like "remind everyone about dinner".`,
+    yoruba: (choices) => `Owo pinpin wo? ${choices}. So oruko re, bi "remind everyone about dinner".`,
+    igbo: (choices) => `Kedu ugwo ekere eke? ${choices}. Kwuo aha ya, dika "remind everyone about dinner".`,
+    hausa: (choices) => `Wane lissafin rabawa? ${choices}. Fadi sunansa, kamar "remind everyone about dinner".`
+  },
+  splitReminded: {
+    english: (title, names) => `I've reminded ${names} about ${title}.`,
+    pidgin: (title, names) => `I don remind ${names} about ${title}.`,
+    yoruba: (title, names) => `Mo ti ran ${names} leti nipa ${title}.`,
+    igbo: (title, names) => `Echetarala m ${names} maka ${title}.`,
+    hausa: (title, names) => `Na tunatar da ${names} game da ${title}.`
+  },
+  splitCancelled: {
+    english: (title) => `Cancelled the ${title} split. No one else will be asked to pay; what was already paid stays with you.`,
+    pidgin: (title) => `I don cancel the ${title} split. Nobody go pay again; the money wey don come remain your own.`,
+    yoruba: (title) => `Mo ti fagile pinpin ${title}. A ko ni beere lowo enikeni mo; owo ti won ti san je tire.`,
+    igbo: (title) => `Akagbuola m nkewa ${title}. A gaghi ario onye ozo; ego akwuolarị bu nke gi.`,
+    hausa: (title) => `Na soke rabon ${title}. Ba za a sake rokon kowa ba; kudin da aka riga aka biya naka ne.`
+  },
+  notifyMoneyReceived: {
+    english: (from, amount) => `💰 ${from} sent you ₦${amount.toLocaleString()}.`,
+    pidgin: (from, amount) => `💰 ${from} don send you ₦${amount.toLocaleString()}.`,
+    yoruba: (from, amount) => `💰 ${from} ti fi ₦${amount.toLocaleString()} ranse si o.`,
+    igbo: (from, amount) => `💰 ${from} ezitela gi ₦${amount.toLocaleString()}.`,
+    hausa: (from, amount) => `💰 ${from} ya tura maka ₦${amount.toLocaleString()}.`
+  },
+  notifyEsusuDue: {
+    english: (group, amount, when, auto) => `👥 Your ₦${amount.toLocaleString()} contribution to "${group}" is due on ${when}.${auto ? " It goes out automatically, so keep enough in your wallet." : ""}`,
+    pidgin: (group, amount, when, auto) => `👥 Your ₦${amount.toLocaleString()} contribution for "${group}" go due on ${when}.${auto ? " E go comot by itself, so make sure money dey your wallet." : ""}`,
+    yoruba: (group, amount, when, auto) => `👥 Owo ₦${amount.toLocaleString()} re fun "${group}" ye ni sisan ni ${when}.${auto ? " Yoo jade fun ara re, nitorina ri pe owo to wa ninu apo re." : ""}`,
+    igbo: (group, amount, when, auto) => `👥 Ntinye ₦${amount.toLocaleString()} gi na "${group}" ga-eru na ${when}.${auto ? " O ga-apu na onwe ya, ya mere hu na ego zuru na obere akpa gi." : ""}`,
+    hausa: (group, amount, when, auto) => `👥 Gudummawarka ta ₦${amount.toLocaleString()} ga "${group}" za ta cika a ${when}.${auto ? " Za a cire ta kai tsaye, don haka ka tabbata akwai kudi a walat dinka." : ""}`
+  },
+  notifyEsusuLate: {
+    english: (group, amount, lateFee, graceEnds) => `⏰ You missed your ₦${amount.toLocaleString()} contribution to "${group}". Pay by ${graceEnds}${lateFee ? ` or it counts as a default with a ₦${lateFee.toLocaleString()} late fee` : " or it counts as a default"}.`,
+    pidgin: (group, amount, lateFee, graceEnds) => `⏰ You never pay your ₦${amount.toLocaleString()} contribution for "${group}". Pay before ${graceEnds}${lateFee ? ` or e go count as default with ₦${lateFee.toLocaleString()} late fee` : " or e go count as default"}.`,
+    yoruba: (group, amount, lateFee, graceEnds) => `⏰ O ko san owo ₦${amount.toLocaleString()} re fun "${group}". San ki o to di ${graceEnds}${lateFee ? `, bi beeko yoo je aisan pelu owo itanran ₦${lateFee.toLocaleString()}` : ", bi beeko yoo je aisan"}.`,
+    igbo: (group, amount, lateFee, graceEnds) => `⏰ I kwughi ntinye ₦${amount.toLocaleString()} gi na "${group}". Kwuo tupu ${graceEnds}${lateFee ? `, ma o bughi ya o ga-abu ndabiga na ugwo ntaramahuhu ₦${lateFee.toLocaleString()}` : ", ma o bughi ya o ga-abu ndabiga"}.`,
+    hausa: (group, amount, lateFee, graceEnds) => `⏰ Ba ka biya gudummawarka ta ₦${amount.toLocaleString()} ga "${group}" ba. Ka biya kafin ${graceEnds}${lateFee ? `, in ba haka ba za a dauke ta a matsayin gazawa tare da tarar ₦${lateFee.toLocaleString()}` : ", in ba haka ba za a dauke ta a matsayin gazawa"}.`
+  },
+  notifyEsusuPayout: {
+    english: (group, amount) => `🎉 It's your turn! "${group}" paid you ₦${amount.toLocaleString()}.`,
+    pidgin: (group, amount) => `🎉 Na your turn! "${group}" don pay you ₦${amount.toLocaleString()}.`,
+    yoruba: (group, amount) => `🎉 Asiko re ni! "${group}" ti san ₦${amount.toLocaleString()} fun o.`,
+    igbo: (group, amount) => `🎉 O bu oge gi! "${group}" akwuola gi ₦${amount.toLocaleString()}.`,
+    hausa: (group, amount) => `🎉 Lokacinka ne! "${group}" ta biya ka ₦${amount.toLocaleString()}.`
+  },
+  notifyBillDue: {
+    english: (provider, amount, when) => `🧾 Your ${provider} bill${amount ? ` of ₦${amount.toLocaleString()}` : ""} is due on ${when}. Say "pay my bill" when you're ready.`,
+    pidgin: (provider, amount, when) => `🧾 Your ${provider} bill${amount ? ` of ₦${amount.toLocaleString()}` : ""} go due on ${when}. Talk "pay my bill" when you ready.`,
+    yoruba: (provider, amount, when) => `🧾 Owo ${provider} re${amount ? ` ti ₦${amount.toLocaleString()}` : ""} ye ni sisan ni ${when}. So "pay my bill" nigba ti o ba setan.`,
+    igbo: (provider, amount, when) => `🧾 Ugwo ${provider} gi${amount ? ` nke ₦${amount.toLocaleString()}` : ""} ga-eru na ${when}. Kwuo "pay my bill" mgbe i dikwa njikere.`,
+    hausa: (provider, amount, when) => `🧾 Kudin ${provider} dinka${amount ? ` na ₦${amount.toLocaleString()}` : ""} zai cika a ${when}. Ka ce "pay my bill" idan ka shirya.`
+  },
+  notifyLowBalance: {
+    english: (balance) => `⚠️ Your balance is down to ₦${balance.toLocaleString()}. Top up so your payments don't fail.`,
+    pidgin: (balance) => `⚠️ Your balance don reach ₦${balance.toLocaleString()}. Add money make your payments no fail.`,
+    yoruba: (balance) => `⚠️ Owo re ti din si ₦${balance.toLocaleString()}. Fi owo kun un ki awon isanwo re ma baa kuna.`,
+    igbo: (balance) => `⚠️ Ego gi agbadala ruo ₦${balance.toLocaleString()}. Tinye ego ka ugwo gi ghara ida.`,
+    hausa: (balance) => `⚠️ Kudinka ya ragu zuwa ₦${balance.toLocaleString()}. Ka kara kudi don kada biyanka ya gaza.`
+  },
+  notifyRequestReceived: {
+    english: (requester, amount, note) => `🤲 ${requester} asked you for ₦${amount.toLocaleString()}${note ? ` for ${note}` : ""}. Say "accept" to pay or "decline".`,
+    pidgin: (requester, amount, note) => `🤲 ${requester} don ask you for ₦${amount.toLocaleString()}${note ? ` for ${note}` : ""}. Talk "accept" to pay or "decline".`,
+    yoruba: (requester, amount, note) => `🤲 ${requester} beere ₦${amount.toLocaleString()} lowo re${note ? ` fun ${note}` : ""}. So "accept" lati san tabi "decline".`,
+    igbo: (requester, amount, note) => `🤲 ${requester} rioro gi ₦${amount.toLocaleString()}${note ? ` maka ${note}` : ""}. Kwuo "accept" ka i kwuo ma o bu "decline".`,
+    hausa: (requester, amount, note) => `🤲 ${requester} ya roke ka ₦${amount.toLocaleString()}${note ? ` don ${note}` : ""}. Ka ce "accept" don biya ko "decline".`
+  },
+  notifyRequestReminder: {
+    english: (requester, amount, note) => `🔔 Reminder: ${requester} is still waiting on ₦${amount.toLocaleString()}${note ? ` for ${note}` : ""}.`,
+    pidgin: (requester, amount, note) => `🔔 Reminder: ${requester} still dey wait for ₦${amount.toLocaleString()}${note ? ` for ${note}` : ""}.`,
+    yoruba: (requester, amount, note) => `🔔 Iranti: ${requester} si n duro de ₦${amount.toLocaleString()}${note ? ` fun ${note}` : ""}.`,
+    igbo: (requester, amount, note) => `🔔 Ncheta: ${requester} ka na-eche ₦${amount.toLocaleString()}${note ? ` maka ${note}` : ""}.`,
+    hausa: (requester, amount, note) => `🔔 Tunatarwa: ${requester} yana jiran ₦${amount.toLocaleString()}${note ? ` don ${note}` : ""}.`
+  },
+  notifyRequestDeclined: {
+    english: (payer, amount) => `${payer} declined your request for ₦${amount.toLocaleString()}.`,
+    pidgin: (payer, amount) => `${payer} no gree pay your request of ₦${amount.toLocaleString()}.`,
+    yoruba: (payer, amount) => `${payer} ko ibeere ₦${amount.toLocaleString()} re.`,
+    igbo: (payer, amount) => `${payer} ajuola aririo ₦${amount.toLocaleString()} gi.`,
+    hausa: (payer, amount) => `${payer} ya ki rokonka na ₦${amount.toLocaleString()}.`
+  },
+  noNotifications: {
+    english: () => `You're all caught up: no new notifications.`,
+    pidgin: () => `You don see everything: no new notification.`,
+    yoruba: () => `Ko si iwifunni tuntun kankan.`,
+    igbo: () => `O nweghi ozi ohuru o bula.`,
+    hausa: () => `Babu sabon sanarwa.`
+  },
+  notificationsSummary: {
+    english: (count, lines) => `You have ${count} new notification${count === 1 ? "" : "s"}: ${lines}`,
+    pidgin: (count, lines) => `You get ${count} new notification${count === 1 ? "" : "s"}: ${lines}`,
+    yoruba: (count, lines) => `O ni iwifunni tuntun ${count}: ${lines}`,
+    igbo: (count, lines) => `I nwere ozi ohuru ${count}: ${lines}`,
+    hausa: (count, lines) => `Kana da sabbin sanarwa ${count}: ${lines}`
+  },
+  askPhone: {
+    english: () => `Which phone number is it for?`,
+    pidgin: () => `Which phone number e be for?`,
+    yoruba: () => `Nomba foonu wo ni?`,
+    igbo: () => `Nomba ekwenti kedu ka o bu maka ya?`,
+    hausa: () => `Wace lambar waya ce?`
+  },
+  askNetwork: {
+    english: (phone) => `Which network is ${phone} on: MTN, Airtel, Glo or 9mobile?`,
+    pidgin: (phone) => `Which network ${phone} dey: MTN, Airtel, Glo or 9mobile?`,
+    yoruba: (phone) => `Netiwoki wo ni ${phone} wa: MTN, Airtel, Glo tabi 9mobile?`,
+    igbo: (phone) => `Kedu netwok ${phone} no na ya: MTN, Airtel, Glo ma o bu 9mobile?`,
+    hausa: (phone) => `Wane layi ne ${phone} yake: MTN, Airtel, Glo ko 9mobile?`
+  },
+  askDataPlan: {
+    english: (network, plans) => `Which ${network} data plan? ${plans}.`,
+    pidgin: (network, plans) => `Which ${network} data plan you want? ${plans}.`,
+    yoruba: (network, plans) => `Data ${network} wo lo fe? ${plans}.`,
+    igbo: (network, plans) => `Kedu data ${network} i choro? ${plans}.`,
+    hausa: (network, plans) => `Wane tsarin data na ${network} kake so? ${plans}.`
+  },
+  dataPlanNotFound: {
+    english: (size, network, plans) => `${network} doesn't have a ${size} plan. Choose one of: ${plans}.`,
+    pidgin: (size, network, plans) => `${network} no get ${size} plan. Choose one: ${plans}.`,
+    yoruba: (size, network, plans) => `${network} ko ni data ${size}. Yan okan ninu: ${plans}.`,
+    igbo: (size, network, plans) => `${network} enweghi data ${size}. Horo otu n'ime: ${plans}.`,
+    hausa: (size, network, plans) => `${network} ba shi da data ${size}. Zabi daya daga cikin: ${plans}.`
+  },
+  askEsusuGroup: {
+    english: (names) => `Which esusu group? You're in ${names}.`,
+    pidgin: (names) => `Which esusu group? You dey ${names}.`,
+    yoruba: (names) => `Egbe esusu wo? O wa ninu ${names}.`,
+    igbo: (names) => `Otu esusu kedu? I no na ${names}.`,
+    hausa: (names) => `Wace kungiyar esusu? Kana cikin ${names}.`
+  },
+  noEsusuGroups: {
+    english: () => `You're not in any esusu group yet. Create or join one from the Esusu tab.`,
+    pidgin: () => `You never join any esusu group. Create or join one for the Esusu tab.`,
+    yoruba: () => `O ko ti wa ninu egbe esusu kankan. Da tabi darapo mo okan ni Esusu tab.`,
+    igbo: () => `I nwebeghi otu esusu o bula. Mepee ma o bu sonye na otu na Esusu tab.`,
+    hausa: () => `Ba ka cikin kowace kungiyar esusu tukuna. Kirkiri ko shiga daya a Esusu tab.`
+  },
+  askAccountNumber: {
+    english: () => `What's the 10-digit account number?`,
+    pidgin: () => `Wetin be the 10-digit account number?`,
+    yoruba: () => `Kini nomba akanti oni-nomba mewa na?`,
+    igbo: () => `Gini bu nomba akaunti nwere onu ogugu iri ahu?`,
+    hausa: () => `Menene lambar asusun mai lamba goma?`
+  },
+  askBank: {
+    english: (accountNumber) => `Which bank is ${accountNumber} with?`,
+    pidgin: (accountNumber) => `Which bank ${accountNumber} dey?`,
+    yoruba: (accountNumber) => `Banki wo ni ${accountNumber} wa?`,
+    igbo: (accountNumber) => `Kedu ulo aku ${accountNumber} no na ya?`,
+    hausa: (accountNumber) => `Wane banki ne ${accountNumber} yake?`
+  },
+  bankAccountNotFound: {
+    english: (accountNumber, bank) => `I couldn't find account ${accountNumber} at ${bank}. Please tell me the account number and bank again.`,
+    pidgin: (accountNumber, bank) => `I no see account ${accountNumber} for ${bank}. Abeg tell me the account number and bank again.`,
+    yoruba: (accountNumber, bank) => `Mi o ri akanti ${accountNumber} ni ${bank}. Jowo so nomba akanti ati banki na fun mi lekan si.`,
+    igbo: (accountNumber, bank) => `Ahughi m akaunti ${accountNumber} na ${bank}. Biko gwa m nomba akaunti na ulo aku ozo.`,
+    hausa: (accountNumber, bank) => `Ban sami asusu ${accountNumber} a ${bank} ba. Don Allah ka sake fada min lambar asusun da bankin.`
+  },
+  invalidAccountNumber: {
+    english: (accountNumber, bank) => `${accountNumber} isn't a valid ${bank} account number. Please tell me the account number and bank again.`,
+    pidgin: (accountNumber, bank) => `${accountNumber} no be correct ${bank} account number. Abeg tell me the account number and bank again.`,
+    yoruba: (accountNumber, bank) => `${accountNumber} kii se nomba akanti ${bank} to peye. Jowo so nomba akanti ati banki na fun mi lekan si.`,
+    igbo: (accountNumber, bank) => `${accountNumber} abughi nomba akaunti ${bank} ziri ezi. Biko gwa m nomba akaunti na ulo aku ozo.`,
+    hausa: (accountNumber, bank) => `${accountNumber} ba lambar asusun ${bank} ce mai inganci ba. Don Allah ka sake fada min lambar asusun da bankin.`
+  },
+  recipientNotFound: {
+    english: (recipient) => `I couldn't find a user called '${recipient}'. Who should I send it to?`,
+    pidgin: (recipient) => `I no see anybody wey dem dey call '${recipient}'. Who I go send am give?`,
+    yoruba: (recipient) => `Mi o ri enikeni ti oruko re nje '${recipient}'. Ta ni ki n fi ranise si?`,
+    igbo: (recipient) => `Ahughi m onye aha ya bu '${recipient}'. Onye ka m ga-eziga ya?`,
+    hausa: (recipient) => `Ban sami wani mai suna '${recipient}' ba. Wa zan aika wa?`
+  },
+  confirmBankTransferIntent: {
+    english: (amount, name, bank) => `That's ${name} at ${bank}. Send ₦${amount.toLocaleString()}? Say yes, or cancel.`,
+    pidgin: (amount, name, bank) => `Na ${name} for ${bank}. Make I send ₦${amount.toLocaleString()}? Talk yes, or cancel.`,
+    yoruba: (amount, name, bank) => `${name} ni, ni ${bank}. Se ki n fi ₦${amount.toLocaleString()} ranise? So beeni, tabi cancel.`,
+    igbo: (amount, name, bank) => `Nke ahu bu ${name} na ${bank}. Ka m ziga ₦${amount.toLocaleString()}? Kwuo ee, ma o bu cancel.`,
+    hausa: (amount, name, bank) => `Wannan shine ${name} a ${bank}. In aika ₦${amount.toLocaleString()}? Ka ce eh, ko cancel.`
+  },
+  confirmTransferIntent: {
+    english: (amount, recipient) => `Send ₦${amount.toLocaleString()} to ${recipient}? Say yes, or cancel.`,
+    pidgin: (amount, recipient) => `Make I send ₦${amount.toLocaleString()} give ${recipient}? Talk yes, or cancel.`,
+    yoruba: (amount, recipient) => `Se ki n fi ₦${amount.toLocaleString()} ranise si ${recipient}? So beeni, tabi cancel.`,
+    igbo: (amount, recipient) => `Ka m ziga ₦${amount.toLocaleString()} nye ${recipient}? Kwuo ee, ma o bu cancel.`,
+    hausa: (amount, recipient) => `In aika ₦${amount.toLocaleString()} zuwa ga ${recipient}? Ka ce eh, ko cancel.`
+  },
+  confirmAirtimeIntent: {
+    english: (amount, line) => `Buy ₦${amount.toLocaleString()} airtime for ${line}? Say yes, or cancel.`,
+    pidgin: (amount, line) => `Make I buy ₦${amount.toLocaleString()} airtime for ${line}? Talk yes, or cancel.`,
+    yoruba: (amount, line) => `Se ki n ra ₦${amount.toLocaleString()} airtime fun ${line}? So beeni, tabi cancel.`,
+    igbo: (amount, line) => `Ka m zuta ₦${amount.toLocaleString()} airtime maka ${line}? Kwuo ee, ma o bu cancel.`,
+    hausa: (amount, line) => `In sayi ₦${amount.toLocaleString()} airtime na ${line}? Ka ce eh, ko cancel.`
+  },
+  confirmDataIntent: {
+    english: (plan, amount, line) => `Buy ${plan} data for ${line} at ₦${amount.toLocaleString()}? Say yes, or cancel.`,
+    pidgin: (plan, amount, line) => `Make I buy ${plan} data for ${line}? Na ₦${amount.toLocaleString()}. Talk yes, or cancel.`,
+    yoruba: (plan, amount, line) => `Se ki n ra data ${plan} fun ${line} ni ₦${amount.toLocaleString()}? So beeni, tabi cancel.`,
+    igbo: (plan, amount, line) => `Ka m zuta data ${plan} maka ${line} na ₦${amount.toLocaleString()}? Kwuo ee, ma o bu cancel.`,
+    hausa: (plan, amount, line) => `In sayi data ${plan} na ${line} a kan ₦${amount.toLocaleString()}? Ka ce eh, ko cancel.`
+  },
+  confirmEsusuIntent: {
+    english: (amount, group) => `Contribute ₦${amount.toLocaleString()} to "${group}"? Say yes, or cancel.`,
+    pidgin: (amount, group) => `Make I pay ₦${amount.toLocaleString()} enter "${group}"? Talk yes, or cancel.`,
+    yoruba: (amount, group) => `Se ki n san ₦${amount.toLocaleString()} si "${group}"? So beeni, tabi cancel.`,
+    igbo: (amount, group) => `Ka m tinye ₦${amount.toLocaleString()} na "${group}"? Kwuo ee, ma o bu cancel.`,
+    hausa: (amount, group) => `In biya ₦${amount.toLocaleString()} zuwa "${group}"? Ka ce eh, ko cancel.`
+  },
+  esusuContributed: {
+    english: (amount, group, newBal) => `Perfect! You've contributed ₦${amount.toLocaleString()} to "${group}". Your new balance is ₦${newBal.toLocaleString()}.`,
+    pidgin: (amount, group, newBal) => `E don enter! You don pay ₦${amount.toLocaleString()} for "${group}". Your new balance na ₦${newBal.toLocaleString()}.`,
+    yoruba: (amount, group, newBal) => `O dara! O ti san ₦${amount.toLocaleString()} si "${group}". Owo re yi to ku ni ₦${newBal.toLocaleString()}.`,
+    igbo: (amount, group, newBal) => `O di mma! I tinyela ₦${amount.toLocaleString()} na "${group}". Ego gi foduru ugbu a bu ₦${newBal.toLocaleString()}.`,
+    hausa: (amount, group, newBal) => `Madalla! Ka biya ₦${amount.toLocaleString()} zuwa "${group}". Sabon kudin ku shine ₦${newBal.toLocaleString()}.`
+  },
+  esusuPaidOut: {
+    english: (collector, amount, group) => `That completes the cycle! ₦${amount.toLocaleString()} from "${group}" has been paid to ${collector}.`,
+    pidgin: (collector, amount, group) => `Cycle don complete! ₦${amount.toLocaleString()} from "${group}" don enter ${collector} account.`,
+    yoruba: (collector, amount, group) => `Iyipo yi ti pari! A ti san ₦${amount.toLocaleString()} lati "${group}" fun ${collector}.`,
+    igbo: (collector, amount, group) => `Okirikiri a agwula! Ezitere ${collector} ₦${amount.toLocaleString()} site na "${group}".`,
+    hausa: (collector, amount, group) => `Zagayen ya kare! An biya ${collector} ₦${amount.toLocaleString()} daga "${group}".`
+  },
+  esusuArrearsCleared: {
+    english: (amount) => `That includes ₦${amount.toLocaleString()} you owed from a missed payment, so you're back in good standing.`,
+    pidgin: (amount) => `E join ₦${amount.toLocaleString()} wey you owe from payment wey you miss, so you don dey good standing again.`,
+    yoruba: (amount) => `O ni ₦${amount.toLocaleString()} ti o je lati isanwo ti o padanu ninu, nitorina o ti pada si ipo rere.`,
+    igbo: (amount) => `O gunyere ₦${amount.toLocaleString()} i ji n'ugwo i tufuru, ya mere i laghachila n'onodu oma.`,
+    hausa: (amount) => `Ya hada da ₦${amount.toLocaleString()} da kake bi daga biyan da ka rasa, don haka ka dawo cikin matsayi mai kyau.`
+  },
+  esusuGroupFinished: {
+    english: (group) => `Everyone in "${group}" has now collected, so the group is closed. Well done!`,
+    pidgin: (group) => `Everybody for "${group}" don collect, so the group don close. Well done!`,
+    yoruba: (group) => `Gbogbo omo egbe "${group}" ti gba owo tiwon, egbe naa ti pari. E ku ise!`,
+    igbo: (group) => `Onye obula no na "${group}" anatala nke ya, otu a emechiela. I mere nke oma!`,
+    hausa: (group) => `Kowa a "${group}" ya karba, don haka an rufe kungiyar. Madalla!`
+  },
+  esusuAlreadyContributed: {
+    english: (group, cycle) => `You've already paid for cycle ${cycle} of "${group}". I'll let you know when the next one starts.`,
+    pidgin: (group, cycle) => `You don already pay for cycle ${cycle} for "${group}". I go tell you when the next one start.`,
+    yoruba: (group, cycle) => `O ti san fun iyipo ${cycle} ti "${group}" tele. Maa so fun e nigba ti eyi to kan ba bere.`,
+    igbo: (group, cycle) => `I kwuola ugwo okirikiri ${cycle} nke "${group}". M ga-agwa gi mgbe nke ozo malitere.`,
+    hausa: (group, cycle) => `Ka riga ka biya zagaye na ${cycle} na "${group}". Zan sanar da kai idan na gaba ya fara.`
+  },
+  esusuNotFull: {
+    english: (group, waiting) => `"${group}" is still waiting for ${waiting} more member(s). Contributions start once the group is full.`,
+    pidgin: (group, waiting) => `"${group}" still dey wait for ${waiting} more member(s). Una go start to pay once the group full.`,
+    yoruba: (group, waiting) => `"${group}" si n duro de omo egbe ${waiting} miiran. Isanwo yoo bere nigba ti egbe ba kun.`,
+    igbo: (group, waiting) => `"${group}" ka na-eche ndi otu ${waiting} ozo. Ntinye ego ga-amalite mgbe otu ahu juru.`,
+    hausa: (group, waiting) => `"${group}" tana jiran karin mambobi ${waiting}. Za a fara biya idan kungiyar ta cika.`
+  },
+  esusuClosed: {
+    english: (group) => `"${group}" has finished its rotation, so there's nothing more to pay.`,
+    pidgin: (group) => `"${group}" don finish im rotation, so nothing remain to pay.`,
+    yoruba: (group) => `"${group}" ti pari iyipo re, ko si nkankan mo lati san.`,
+    igbo: (group) => `"${group}" emechaala okirikiri ya, ya bu na onweghi ihe ozo a ga-akwu.`,
+    hausa: (group) => `"${group}" ta kammala zagayenta, babu sauran abin biya.`
+  },
+  confirmationCancelled: {
+    english: () => `Okay, I've cancelled that. No money has moved.`,
+    pidgin: () => `Okay, I don cancel am. No money comot.`,
+    yoruba: () => `O dara, mo ti fagile e. Ko si owo kankan to jade.`,
+    igbo: () => `O di mma, akagbuola m ya. Enweghi ego zigara.`,
+    hausa: () => `To, na soke shi. Babu kudin da ya fita.`
   }
 };
 
+// ₦ reads badly in most voices, and the TTS engine stumbles on diacritics
+const speakable = (message) => removeAccents(message).replace(/₦/g, 'Naira ');
+
 // --------- Gemini AI Function ----------
 async function getGeminiAdvice(userQuery, userContext, language) {
-  if (!GEMINI_API_KEY) {
+  if (!hasGeminiKey()) {
     const responses = {
       english: "I'd love to give you financial advice, but my AI brain needs to be activated first. Ask your admin to add a Gemini API key!",
       pidgin: "I wan give you advice, but my AI brain never activate yet. Tell your admin make e add Gemini API key!",
@@ -243,31 +1520,17 @@ Keep response:
 - Specific to Nigeria
 - Friendly and conversational`;
 
-    const response = await fetch(`${GEMINI_API_URL}?key=${GEMINI_API_KEY}`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        contents: [{
-          parts: [{
-            text: `${systemPrompt}\n\nUser question: ${userQuery}\n\nRespond now:`
-          }]
-        }],
-        generationConfig: {
-          temperature: 0.9,
-          maxOutputTokens: 300,
-          topP: 0.95,
-        }
-      })
-    });
-
-    if (!response.ok) {
-      throw new Error(`Gemini API error: ${response.status}`);
-    }
+    const advice = await generateContent(
+      `${systemPrompt}\n\nUser question: ${userQuery}\n\nRespond now:`,
+      {
+        temperature: 0.9,
+        maxOutputTokens: 300,
+        topP: 0.95,
+      }
+    );
 
-    const data = await response.json();
-    
-    if (data.candidates?.[0]?.content?.parts?.[0]?.text) {
-      return data.candidates[0].content.parts[0].text.trim();
+    if (advice) {
+      return advice;
     }
     
     return "I'm having trouble thinking right now. Please try asking again!";
@@ -284,455 +1547,2787 @@ Keep response:
   }
 }
 
-// --------- Auth ----------
-app.post("/signup", async (req, res) => {
-  const { username, password } = req.body;
-  if (!username || !password) {
-    return res.status(400).json({ message: "Username and password required" });
-  }
-  
-  const hashed = bcrypt.hashSync(password, 10);
-  
+// --------- Money Movements ----------
+// One executor per money-moving intent. /action, /pay-bill and /confirm all
+// end up here, so a PIN-confirmed intent runs exactly the same code path.
+const performAirtime = async (username, { amount, phone, network, lang }) => {
+  const { balance, reference, status } = await buyAirtime(username, { phone, network, amount });
+
+  const line = describeLine(phone, network);
+  const message = status === "pending"
+    ? translations.airtimePending[lang](amount, line)
+    : translations.airtimeSuccess[lang](amount, balance, line);
+  return { message, balance, reference, status, speak: speakable(message) };
+};
+
+// `plan` is from the data plan catalogue; payload.amount is its price
+const performData = async (username, { phone, network, plan, lang }) => {
+  const { balance, reference, status } = await buyData(username, { phone, network, plan });
+
+  const line = describeLine(phone, network);
+  const message = status === "pending"
+    ? translations.dataPending[lang](describePlan(plan), line)
+    : translations.dataSuccess[lang](describePlan(plan), line, balance);
+  return {
+    message: `${message} Reference: ${reference}.`,
+    balance,
+    reference,
+    status,
+    speak: speakable(message)
+  };
+};
+
+// `requestId` pays a payment request from `recipient`; the request is
+// marked paid in the same journal as the money
+const performTransfer = async (username, { recipient, amount, requestId, lang }) => {
+  const { balances } = requestId
+    ? await settleRequest(username, requestId, amount)
+    : await moveMoney({
+      from: userAccount(username),
+      to: userAccount(recipient),
+      amount,
+      kind: "transfer",
+      transactions: [
+        { username, type: "Transfer", amount, toUser: recipient },
+        { username: recipient, type: "Received", amount, toUser: username }
+      ]
+    });
+  const newSenderBal = balances[username];
+
+  const sent = translations.transferSuccess[lang](amount, recipient, newSenderBal);
+  const message = requestId ? `${sent} ${translations.requestSettled[lang](recipient)}` : sent;
+  return { message, balance: newSenderBal, speak: speakable(message) };
+};
+
+// `account` is what resolveBankAccount returned; payload.recipient is how
+// the prompts name it
+const performBankTransfer = async (username, { account, recipient, amount, lang }) => {
+  const { balance, reference, status } = await sendBankTransfer(username, { account, amount });
+
+  const message = status === "pending"
+    ? translations.transferPending[lang](amount, recipient)
+    : translations.transferSuccess[lang](amount, recipient, balance);
+  return {
+    message: `${message} Reference: ${reference}.`,
+    balance,
+    reference,
+    status,
+    speak: speakable(message)
+  };
+};
+
+// `bill` is what validateBill accepted; payload.amount is its total with the fee
+const performBillPayment = async (username, { bill, lang = "english" }) => {
+  const { balance, receipt } = await payBill(username, bill);
+  // The bill is paid either way; a missed update only means a spare reminder
   try {
-    await pool.query(
-      "INSERT INTO users(username, password) VALUES($1, $2)",
-      [username, hashed]
-    );
-    res.json({ message: "Account created successfully! You can now login." });
+    await markBillPaid(username, bill);
   } catch (err) {
-    res.status(400).json({ message: "Username already exists" });
+    console.error("Bill due date bookkeeping error:", err);
   }
-});
+  const details = [receipt.billerName, receipt.amount, receipt.fee, receipt.customerName];
+  const reference = translations.paymentReference[lang](receipt.reference);
+  const newBalance = translations.newBalance[lang](balance);
 
-app.post("/login", async (req, res) => {
-  const { username, password } = req.body;
-  
-  try {
-    const result = await pool.query("SELECT * FROM users WHERE username=$1", [username]);
-    
-    if (result.rows.length === 0) {
-      return res.status(400).json({ message: "Invalid username or password" });
-    }
-    
-    const user = result.rows[0];
-    
-    if (!bcrypt.compareSync(password, user.password)) {
-      return res.status(400).json({ message: "Invalid username or password" });
-    }
-    
-    res.json({ 
-      balance: user.balance, 
-      message: "Login successful",
-      welcomeMessage: `Hi ${username}! I'm SARA. I speak English, Pidgin, Yoruba, Igbo, and Hausa. I can help with payments, savings, and financial advice!`
-    });
-  } catch (err) {
-    console.error("Login error:", err);
-    res.status(500).json({ message: "Login failed" });
+  if (receipt.token) {
+    const bought = translations.unitsBought[lang](...details);
+    const tokenMessage = (token) => translations.tokenPurchased[lang](token, receipt.units, receipt.meterNumber);
+    return {
+      message: `${bought} ${tokenMessage(formatToken(receipt.token))} ${reference} ${newBalance}`,
+      balance,
+      receipt,
+      receiptNumber: receipt.reference,
+      speak: speakable(`${bought} ${tokenMessage(speakToken(receipt.token))}`)
+    };
   }
-});
 
-// --------- Main Action Endpoint ----------
-app.post("/action", async (req, res) => {
-  const { username, text } = req.body;
-  if (!username || !text) {
-    return res.status(400).json({ message: "Missing parameters" });
+  const paid = translations.billPaid[lang](...details);
+  return {
+    message: `${paid} ${reference} ${newBalance}`,
+    balance,
+    receipt,
+    receiptNumber: receipt.reference,
+    speak: speakable(`${paid} ${newBalance}`)
+  };
+};
+
+// "Resend my last token": the token text for the chat and digit by digit for speech
+const lastTokenReply = async (username, lang) => {
+  const receipt = await getLastToken(username);
+  if (!receipt) {
+    const message = translations.noTokenYet[lang]();
+    return { message, speak: speakable(message) };
   }
 
-  try {
-    const result = await pool.query("SELECT * FROM users WHERE username=$1", [username]);
-    
-    if (result.rows.length === 0) {
-      return res.status(400).json({ message: "User not found" });
-    }
+  const say = (token) => translations.tokenResent[lang](token, receipt.units, receipt.meterNumber);
+  return {
+    message: say(formatToken(receipt.token)),
+    speak: speakable(say(speakToken(receipt.token))),
+    receipt
+  };
+};
+
+// --------- History ----------
+// How many rows a chat answer lists; the History screen pages through the rest
+const HISTORY_REPLY_LIMIT = 10;
+
+// Money in points back at who it came from
+const historyLine = (t) => {
+  const date = new Date(t.date).toLocaleString("en-NG", { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" });
+  const arrow = INCOMING_TYPES.includes(t.type) ? "←" : "→";
+  const counterparty = t.to_user && t.to_user !== "Self" ? ` ${arrow} ${t.to_user}` : "";
+  const status = t.status && t.status !== "successful" ? ` (${t.status})` : "";
+  return `${date} — ${t.type} ₦${t.amount.toLocaleString()}${counterparty}${status}`;
+};
+
+// How a saved beneficiary appears in history rows
+const historyNameFor = ({ kind, details }) => {
+  if (kind === "user") return details.username;
+  if (kind === "phone") return formatPhone(details.phone);
+  return details.accountNumber;
+};
+
+// "Show my transfers to john last month": the count, the total when they
+// asked about one kind of transaction, and the latest few rows. Only the
+// summary is spoken.
+const historyReply = async (username, text, lang) => {
+  const filters = parseHistoryQuery(text);
+  const phone = parsePhone(text);
+  if (phone) {
+    filters.counterparty = formatPhone(phone.phone);
+  } else if (filters.counterparty) {
+    const saved = await matchBeneficiary(username, filters.counterparty);
+    if (saved.match && saved.exact) filters.counterparty = historyNameFor(saved.match);
+  }
+
+  const { count, total } = await summarizeHistory(username, filters);
+  if (count === 0) {
+    const message = translations.historyEmpty[lang]();
+    return { message, speak: speakable(message) };
+  }
+
+  const { transactions } = await queryHistory(username, filters, { limit: HISTORY_REPLY_LIMIT });
+  const summary = translations.historyFound[lang](count, filters.types ? total : null);
+  const more = count > transactions.length ? `\n${translations.historyMore[lang](count - transactions.length)}` : "";
+  return {
+    message: `${summary}\n\n${transactions.map(historyLine).join("\n")}${more}`,
+    speak: speakable(summary),
+    transactions
+  };
+};
+
+// "Send me my statement for September". With no period named it covers
+// the last 30 days.
+const statementReply = async (username, text, lang) => {
+  const { from, to } = parseHistoryQuery(text);
+  const now = new Date();
+  const period = from ? { from, to } : { from: new Date(now.getFullYear(), now.getMonth(), now.getDate() - 29), to: now };
+
+  try {
+    const statement = await createStatement(username, period);
+    const ready = translations.statementReady[lang](statement.period, statement.lineCount, statement.openingBalance, statement.closingBalance);
+    return {
+      message: `${ready} ${translations.statementReference[lang](statement.reference)}`,
+      speak: speakable(ready),
+      statement
+    };
+  } catch (err) {
+    if (!(err instanceof StatementError)) throw err;
+    return { message: err.message, speak: speakable(err.message) };
+  }
+};
+
+// --------- Scheduled Payments ----------
+const ordinal = (n) => {
+  const suffix = n % 100 >= 11 && n % 100 <= 13 ? "th" : ({ 1: "st", 2: "nd", 3: "rd" })[n % 10] || "th";
+  return `${n}${suffix}`;
+};
+
+const scheduleDate = (date) => new Date(date).toLocaleDateString("en-NG", { weekday: "short", day: "numeric", month: "short" });
+
+// "every Friday", "on the 1st of every month", "on Thu, 24 Dec"
+const scheduleWhen = ({ frequency, weekday, monthDay, runOn }, lang) => {
+  const dayName = weekday === undefined ? null : WEEKDAYS[weekday][0].toUpperCase() + WEEKDAYS[weekday].slice(1);
+  return translations.scheduleWhen[lang](frequency, dayName, monthDay, runOn && scheduleDate(`${runOn}T00:00:00`));
+};
+
+const scheduleChoices = (schedules, lang) => schedules.map((s) => `${s.label} ${scheduleWhen(s.rule, lang)}`).join("; ");
+
+// What a schedule keeps of an intent's filled slots: the performer's
+// payload, what leaves the wallet, a label for lists and who it pays, for
+// finding it again by name. Bills keep the biller and the amount and are
+// checked with the biller again on every run.
+const scheduledPaymentFor = async (username, intent, slots, lang) => {
+  const { beneficiaryId = null } = slots;
+  const nickname = beneficiaryId ? (await getBeneficiary(username, beneficiaryId)).nickname : null;
+  const naira = (amount) => `₦${amount.toLocaleString()}`;
+
+  if (intent === "bill_payment") {
+    const { bill } = slots;
+    const { billerId, billerName, accountNumber, prepaid, customerName } = slots.biller;
+    return {
+      intent,
+      payment: { biller: { billerId, billerName, accountNumber, prepaid, customerName }, amount: bill.amount, beneficiaryId, lang },
+      amount: bill.total,
+      label: `${naira(bill.amount)} ${bill.billerName} for ${nickname || bill.customerName}`,
+      payee: nickname || bill.billerName
+    };
+  }
+  if (intent === "airtime" || intent === "data") {
+    const { phone, network, plan, amount } = slots;
+    const line = nickname || describeLine(phone, network);
+    return {
+      intent,
+      payment: { phone, network, amount, ...(plan && { plan }), beneficiaryId, lang },
+      amount,
+      label: intent === "data" ? `${describePlan(plan)} data for ${line}` : `${naira(amount)} airtime for ${line}`,
+      payee: nickname || phone
+    };
+  }
+  const { recipient, account, amount } = slots;
+  return {
+    intent,
+    payment: { recipient, amount, ...(account && { account }), beneficiaryId, lang },
+    amount,
+    label: `${naira(amount)} to ${nickname || recipient}`,
+    payee: nickname || (account ? account.accountName : recipient)
+  };
+};
+
+// Read a schedule back before setting it up: the payment, when it runs and,
+// for repeating ones, when it starts
+const confirmSchedulePrompt = (scheduled, { rule, startNow }, lang) => {
+  const first = rule.frequency === "once" ? null : scheduleDate(startNow ? new Date() : nextRunAfter(rule, new Date()));
+  return translations.confirmScheduleIntent[lang](scheduled.label, scheduleWhen(rule, lang), first);
+};
+
+// Setting up a schedule is itself an intent, so one above the PIN
+// threshold is confirmed with the PIN like paying it now would be
+const performSchedulePayment = async (username, { intent, payment, amount, label, payee, rule, startNow, lang }) => {
+  const schedule = await createSchedule(username, { intent, payload: payment, amount, label, payee, rule, startNow });
+  const first = schedule.rule.frequency === "once" ? null : scheduleDate(schedule.nextRunAt);
+  const message = translations.scheduleCreated[lang](label, scheduleWhen(schedule.rule, lang), first);
+  return { message, speak: speakable(message), schedule };
+};
+
+// One run of a scheduled payment, through the same performer as /action
+const runScheduledPayment = async ({ username, intent, payload }) => {
+  if (intent !== "bill_payment") return performers[intent](username, payload);
+  const { billerId, accountNumber, prepaid } = payload.biller;
+  const bill = await validateBill({ billerId, accountNumber, amount: payload.amount, prepaid });
+  return performers.bill_payment(username, { ...payload, bill, amount: bill.total });
+};
+
+// "Show my scheduled payments", "stop my monthly transfer to mama", "pause
+// my dstv", "resume mama's airtime". The payment meant is found by who it
+// pays, its kind and how often it runs; when that's unclear SARA asks.
+const scheduleReply = async ({ username, lang }, text) => {
+  const schedules = await listSchedules(username);
+  if (schedules.length === 0) return reply(translations.noSchedules[lang]());
+
+  const { action } = parseScheduleRequest(text);
+  if (action === "list") {
+    const lines = schedules.map((s) =>
+      translations.scheduleLine[lang](s.label, scheduleWhen(s.rule, lang), s.nextRunAt && scheduleDate(s.nextRunAt)));
+    return reply(translations.schedulesSummary[lang](lines.join("; ")), { schedules });
+  }
+
+  // Only paused payments can be resumed and only running ones paused
+  const wanted = action === "resume" ? "paused" : action === "pause" ? "active" : null;
+  const open = schedules.filter((s) => !wanted || s.status === wanted);
+  const { match, candidates } = findScheduleInText(open.length > 0 ? open : schedules, text);
+  if (!match) return reply(translations.whichSchedule[lang](scheduleChoices(candidates, lang)));
+
+  try {
+    if (action === "pause") {
+      const schedule = await pauseSchedule(username, match.id);
+      return reply(translations.schedulePaused[lang](schedule.label), { schedule });
+    }
+    if (action === "resume") {
+      const schedule = await resumeSchedule(username, match.id);
+      return reply(translations.scheduleResumed[lang](schedule.label, scheduleDate(schedule.nextRunAt)), { schedule });
+    }
+    const schedule = await cancelSchedule(username, match.id);
+    return reply(translations.scheduleCancelled[lang](schedule.label), { schedule });
+  } catch (err) {
+    if (!(err instanceof ScheduleError)) throw err;
+    return reply(err.message);
+  }
+};
+
+const performers = {
+  airtime: performAirtime,
+  data: performData,
+  transfer: performTransfer,
+  bank_transfer: performBankTransfer,
+  bill_payment: performBillPayment,
+  schedule_payment: performSchedulePayment
+};
+
+const confirmationPrompt = (intent, payload) => {
+  const lang = payload.lang;
+  if (intent === "schedule_payment") return translations.confirmSchedule[lang](payload.label, scheduleWhen(payload.rule, lang));
+  if (intent === "transfer" || intent === "bank_transfer") return translations.confirmTransfer[lang](payload.amount, payload.recipient);
+  if (intent === "airtime") return translations.confirmAirtime[lang](payload.amount, describeLine(payload.phone, payload.network));
+  if (intent === "data") {
+    return translations.confirmData[lang](describePlan(payload.plan), payload.amount, describeLine(payload.phone, payload.network));
+  }
+  return translations.confirmBill[lang](payload.amount, payload.bill.billerName);
+};
+
+// Who a payment went to, as a beneficiary SARA can offer to save
+const beneficiaryFor = (intent, payload) => {
+  if (intent === "transfer") return { kind: "user", details: { username: payload.recipient } };
+  if (intent === "bank_transfer") {
+    const { accountNumber, bankCode, bankName, accountName } = payload.account;
+    return { kind: "bank_account", details: { accountNumber, bankCode, bankName, accountName } };
+  }
+  if (intent === "airtime" || intent === "data") {
+    return { kind: "phone", details: payload.phone ? { phone: payload.phone, network: payload.network } : null };
+  }
+  const { billerId, billerName, accountNumber, customerName, prepaid } = payload.bill;
+  return { kind: "biller", details: { billerId, billerName, accountNumber, customerName, prepaid } };
+};
+
+// --------- Budgets ----------
+// Tell the user when a payment takes a category near or past its budget
+const withBudgetWarnings = async (username, body, lang) => {
+  try {
+    const warnings = (await budgetWarnings(username)).map((b) => {
+      const name = translations.categoryName[lang](b.category);
+      return b.spent > b.limit
+        ? translations.budgetExceeded[lang](name, b.spent, b.limit)
+        : translations.budgetWarning[lang](name, b.spent, b.limit);
+    });
+    if (warnings.length === 0) return body;
+    const warning = warnings.join(" ");
+    return { ...body, message: `${body.message} ${warning}`, speak: `${body.speak} ${speakable(warning)}` };
+  } catch (err) {
+    console.error("Budget check error:", err);
+    return body;
+  }
+};
+
+// "How much have I spent on airtime this month?" in any language. This
+// month's answers say how the category stands against its budget.
+const spendingReply = async (username, text, lang) => {
+  const period = parseSpendingPeriod(text);
+  const label = describePeriod(period);
+  const category = findCategoryInText(text);
+  const spending = await spendingByCategory(username, period);
+  const thisMonth = period.from.getTime() === monthPeriod().from.getTime();
+
+  let message;
+  if (category) {
+    message = translations.spentOn[lang](translations.categoryName[lang](category), spending[category] || 0, label);
+    const budget = thisMonth && (await getBudgetOverview(username)).categories.find((b) => b.category === category);
+    if (budget && budget.limit !== null) {
+      message += ` ${budget.spent > budget.limit
+        ? translations.budgetOver[lang](budget.limit, budget.spent - budget.limit)
+        : translations.budgetLeft[lang](budget.limit, budget.remaining)}`;
+    }
+  } else {
+    const spent = CATEGORIES.filter((c) => spending[c]);
+    const total = spent.reduce((sum, c) => sum + spending[c], 0);
+    const breakdown = spent.map((c) => `${translations.categoryName[lang](c)} ₦${spending[c].toLocaleString()}`).join(", ");
+    message = total > 0 ? translations.spentTotal[lang](total, label, breakdown) : translations.noSpending[lang](label);
+  }
+  return { message, speak: speakable(message), spending };
+};
+
+// --------- Savings ----------
+const goalDate = (date) => new Date(date).toLocaleDateString("en-NG", { day: "numeric", month: "short", year: "numeric" });
+
+const goalChoices = (goals) => goals.map((g) => `"${g.name}"`).join(", ");
+
+const savingsErrorMessage = (err, lang) => {
+  if (err.code === "LOCKED") return translations.savingsLocked[lang](err.details.name, goalDate(err.details.lockedUntil));
+  if (err.code === "NOT_ENOUGH_SAVED") return translations.savingsNotEnough[lang](err.details.name, err.details.saved);
+  return err.message;
+};
+
+// Put the round-ups from a payment into the user's round-up goal
+const withRoundUps = async (username, body, lang) => {
+  try {
+    const roundUp = await applyRoundUps(username);
+    if (!roundUp) return body;
+    const note = translations.savingsRoundUp[lang](roundUp.amount, roundUp.goal.name);
+    return {
+      ...body,
+      message: `${body.message} ${note}`,
+      speak: `${body.speak} ${speakable(note)}`,
+      ...(body.balance !== undefined && { balance: roundUp.balance })
+    };
+  } catch (err) {
+    console.error("Round-up error:", err);
+    return body;
+  }
+};
+
+// "Create a savings goal for rent of 200000 by December", "save 2000 for
+// my rent", "save 1000 every week for rent", "withdraw 5000 from rent",
+// "how much is in my savings". Deposits and withdrawals go through the
+// dialog so a missing goal or amount can be asked for.
+const savingsReply = async (ctx, text, { confirmAmount }) => {
+  const { username, lang } = ctx;
+  const request = parseSavingsRequest(text);
+
+  if (request.action === "create") {
+    const { amount } = amountSlots(request.rest);
+    if (!request.name || !amount) return reply(translations.askSavingsGoalDetails[lang]());
+    try {
+      const goal = await createGoal(username, {
+        name: request.name,
+        targetAmount: amount,
+        targetDate: request.targetDate,
+        lockedUntil: request.lock ? request.targetDate : null
+      });
+      const date = goal.targetDate ? goalDate(goal.targetDate) : null;
+      return reply(translations.savingsGoalCreated[lang](goal.name, goal.targetAmount, date, goal.locked), { goal });
+    } catch (err) {
+      if (!(err instanceof SavingsError)) throw err;
+      return reply(err.message);
+    }
+  }
+
+  const goals = await listGoals(username);
+  if (goals.length === 0) return reply(translations.noSavingsGoals[lang]());
+
+  if (request.action === "list") {
+    const lines = goals.map((g) =>
+      translations.savingsGoalLine[lang](g.name, g.saved, g.targetAmount, g.locked ? goalDate(g.lockedUntil) : null));
+    return reply(translations.savingsGoalsSummary[lang](lines.join("; ")), { goals });
+  }
+
+  const named = findGoalInText(goals, text);
+  const goal = named || (goals.length === 1 ? goals[0] : null);
+  const { amount, amountChoices } = amountSlots(named ? request.rest.replace(named.name.toLowerCase(), " ") : request.rest);
+
+  if (request.action === "schedule") {
+    if (!goal || !amount) return reply(translations.savingsScheduleHint[lang]());
+    try {
+      const updated = await updateGoal(username, goal.id, { autoAmount: amount, autoFrequency: request.frequency });
+      return reply(translations.savingsAutoSet[lang](amount, translations.savingsFrequency[lang](request.frequency), updated.name), { goal: updated });
+    } catch (err) {
+      if (!(err instanceof SavingsError)) throw err;
+      return reply(savingsErrorMessage(err, lang));
+    }
+  }
+
+  // Only skip the yes/no when the user named the goal and a clear amount
+  const intent = request.action === "withdraw" ? "savings_withdrawal" : "savings_deposit";
+  const slots = { goal: goal?.name || null, amount, amountChoices };
+  return continueIntent(ctx, intent, slots, { confirmed: Boolean(named) && !confirmAmount });
+};
+
+// Run the performer, then count the use of a saved beneficiary or offer to
+// save a new recipient. The payment has happened by then, so a failure
+// here is only logged.
+const performIntent = async (username, intent, payload) => {
+  // Setting up a schedule moves no money yet
+  if (intent === "schedule_payment") return performers[intent](username, payload);
+  const lang = payload.lang || "english";
+  const body = await withRoundUps(username, await withBudgetWarnings(username, await performers[intent](username, payload), lang), lang);
+  // The recipient hears about it now, not on the next scheduled check
+  runNotificationsScheduler();
+  try {
+    if (payload.beneficiaryId) {
+      await markBeneficiaryUsed(payload.beneficiaryId);
+      return body;
+    }
+    const suggestion = await suggestBeneficiary(username, beneficiaryFor(intent, payload));
+    if (!suggestion) return body;
+    const offer = translations.offerBeneficiary[lang](suggestion.label);
+    return {
+      ...body,
+      message: `${body.message} ${offer}`,
+      speak: `${body.speak} ${speakable(offer)}`,
+      beneficiarySuggestion: suggestion
+    };
+  } catch (err) {
+    console.error("Beneficiary bookkeeping error:", err);
+    return body;
+  }
+};
+
+// Run the intent now, or park it behind the PIN when it's above the threshold.
+// Resolves to { status, body } for the route to send.
+const executeOrStepUp = async (username, intent, payload) => {
+  if (!needsStepUp(payload.amount)) {
+    return { status: 200, body: await performIntent(username, intent, payload) };
+  }
+
+  if (!(await hasPin(username))) {
+    const message = translations.pinRequired[payload.lang]();
+    return { status: 400, body: { message, speak: speakable(message), pinSetupRequired: true } };
+  }
+
+  const confirmation = await createConfirmation(username, intent, payload.amount, payload);
+  const message = confirmationPrompt(intent, payload);
+  return {
+    status: 200,
+    body: { message, speak: speakable(message), requiresPin: true, confirmation }
+  };
+};
+
+const completeConfirmation = async (username, pending, pin) => {
+  const check = await verifyPin(username, pin);
+  if (!check.ok) {
+    if (check.code !== "WRONG_PIN") {
+      await closeConfirmation(pending.id, "cancelled");
+    }
+    return {
+      status: 400,
+      body: {
+        message: check.message,
+        speak: check.message,
+        requiresPin: check.code === "WRONG_PIN",
+        confirmation: check.code === "WRONG_PIN"
+          ? { id: pending.id, intent: pending.intent, amount: pending.amount, expiresAt: pending.expires_at }
+          : undefined
+      }
+    };
+  }
+
+  const claimed = await closeConfirmation(pending.id, "confirmed");
+  if (!claimed) {
+    return { status: 400, body: { message: "That request has already been handled or has expired." } };
+  }
+
+  try {
+    return { status: 200, body: await performIntent(username, claimed.intent, claimed.payload) };
+  } catch (err) {
+    await failConfirmation(claimed.id);
+    throw err;
+  }
+};
+
+// --------- Slot Parsing ----------
+// A bare answer to "who should I send it to?": a username or a short
+// saved name ("mama tunde"), never a number
+const bareRecipient = (text) => {
+  const answer = text.trim().replace(/[.!?]+$/, "").replace(/^@/, "");
+  return /^[a-z_][\w']*( [a-z][\w']*){0,2}$/.test(answer) ? answer : null;
+};
+
+// The user's esusu group named in the text, or their only group
+const parseGroup = (text, groups, { fallbackToOnly = false } = {}) => {
+  const named = groups.find((g) => text.includes(g.group_name.toLowerCase()));
+  if (named) return named.group_name;
+  return fallbackToOnly && groups.length === 1 ? groups[0].group_name : null;
+};
+
+// "500MB (7 days) ₦500, 1GB (7 days) ₦800, ..." for the network's plans
+const dataPlanChoices = (network) =>
+  listDataPlans(network)
+    .map((plan) => `${describePlan(plan)} ₦${plan.price.toLocaleString()}`)
+    .join(", ");
+
+// --------- Esusu Messages ----------
+const esusuContributionMessage = (group, { balance, paid, settled, payout }, lang) => {
+  let message = translations.esusuContributed[lang](paid, group.group_name, balance);
+  if (settled > 0) {
+    message += ` ${translations.esusuArrearsCleared[lang](settled)}`;
+  }
+  if (payout) {
+    message += ` ${translations.esusuPaidOut[lang](payout.username, payout.amount, group.group_name)}`;
+    if (payout.completed) {
+      message += ` ${translations.esusuGroupFinished[lang](group.group_name)}`;
+    }
+  }
+  return message;
+};
+
+const esusuErrorMessage = (err, group, lang) => {
+  if (err.code === "ALREADY_CONTRIBUTED") return translations.esusuAlreadyContributed[lang](group.group_name, err.details.cycle);
+  if (err.code === "GROUP_NOT_FULL") return translations.esusuNotFull[lang](group.group_name, err.details.waiting);
+  if (err.code === "GROUP_CLOSED") return translations.esusuClosed[lang](group.group_name);
+  return err.message;
+};
+
+// --------- Dialog ----------
+// Multi-turn intents: SARA asks for whatever is missing, keeps the partial
+// intent per login session, and asks for a yes when the details came in
+// over several turns. Every step resolves to { status, body } for /action.
+const reply = (message, extra = {}) => ({
+  status: 200,
+  body: { message, speak: speakable(message), ...extra }
+});
+
+// "mama" or "mami": the saved names a spoken one was close to
+const beneficiaryChoices = (nicknames) => nicknames.map((nickname) => `"${nickname}"`).join(", ");
+
+const questionFor = async (intent, slot, slots, username, lang) => {
+  if (slot === "recipient" && slots.recipientChoices) return translations.askWhichBeneficiary[lang](beneficiaryChoices(slots.recipientChoices));
+  if (slot === "phone" && slots.phoneChoices) return translations.askWhichBeneficiary[lang](beneficiaryChoices(slots.phoneChoices));
+  if (slot === "recipient") return translations.askRecipient[lang]();
+  if (slot === "accountNumber") return translations.askAccountNumber[lang]();
+  if (slot === "bank") return translations.askBank[lang](slots.accountNumber);
+  if (slot === "amount" && slots.amountChoices) {
+    return translations.askWhichAmount[lang](slots.amountChoices.map((a) => `₦${a.toLocaleString()}`));
+  }
+  if (slot === "amount" && (intent === "transfer" || intent === "bank_transfer")) return translations.askTransferAmount[lang](slots.recipient);
+  if (slot === "amount" && intent === "bill_payment") return translations.askBillAmount[lang](slots.biller.billerName);
+  if (slot === "amount" && intent.startsWith("savings")) return translations.askSavingsAmount[lang](slots.goal);
+  if (slot === "goal") return translations.askSavingsGoal[lang](goalChoices(await listGoals(username)));
+  if (slot === "amount") return translations.askAirtimeAmount[lang]();
+  if (slot === "phone") return translations.askPhone[lang]();
+  if (slot === "network") return translations.askNetwork[lang](formatPhone(slots.phone));
+  if (slot === "dataMb") return translations.askDataPlan[lang](NETWORKS[slots.network].name, dataPlanChoices(slots.network));
+
+  const groups = await getUserGroups(username);
+  return translations.askEsusuGroup[lang](groups.map((g) => `"${g.group_name}"`).join(", "));
+};
+
+const confirmIntentPrompt = (intent, slots, lang) => {
+  if (intent === "transfer" && slots.requestId) return translations.confirmRequestPayment[lang](slots.amount, slots.recipient, slots.note);
+  if (intent === "transfer") return translations.confirmTransferIntent[lang](slots.amount, slots.recipient);
+  if (intent === "bank_transfer") {
+    return translations.confirmBankTransferIntent[lang](slots.amount, slots.account.accountName, slots.account.bankName);
+  }
+  if (intent === "airtime") return translations.confirmAirtimeIntent[lang](slots.amount, describeLine(slots.phone, slots.network));
+  if (intent === "data") {
+    return translations.confirmDataIntent[lang](describePlan(slots.plan), slots.amount, describeLine(slots.phone, slots.network));
+  }
+  if (intent === "bill_payment") {
+    const { bill } = slots;
+    return translations.confirmBillIntent[lang](bill.amount, bill.fee, bill.billerName, bill.customerName);
+  }
+  if (intent === "savings_deposit") return translations.confirmSavingsDeposit[lang](slots.amount, slots.goal);
+  if (intent === "savings_withdrawal") return translations.confirmSavingsWithdrawal[lang](slots.amount, slots.goal);
+  return translations.confirmEsusuIntent[lang](slots.amountPerPerson, slots.group);
+};
+
+const continueIntent = async (ctx, intent, slots, { confirmed }) => {
+  const { sessionId, username, lang } = ctx;
+  const remember = (awaiting, nextSlots = slots) =>
+    saveDialogState(sessionId, username, { intent, slots: nextSlots, awaiting, lang });
+
+  // "Send mama 5000 every month": the rule rides along in the slots and
+  // is always read back, since the payment will run without the user
+  if (ctx.schedule && SCHEDULE_INTENTS.includes(intent) && !slots.schedule) {
+    const { rule, startNow } = ctx.schedule;
+    if (rule.frequency === "once" && !nextRunAfter(rule, new Date())) {
+      await clearDialogState(sessionId);
+      return reply(translations.scheduleDatePassed[lang]());
+    }
+    slots = { ...slots, schedule: { rule, startNow } };
+    confirmed = false;
+  }
+
+  // Paying a payment request: it must still be open, and another
+  // recipient or amount makes it an ordinary transfer
+  if (intent === "transfer" && slots.requestId) {
+    try {
+      const request = await payableRequest(username, slots.requestId);
+      if (request.requester !== slots.recipient || request.amount !== slots.amount) {
+        slots = { ...slots, requestId: null, note: null };
+      }
+    } catch (err) {
+      if (!(err instanceof RequestError)) throw err;
+      await clearDialogState(sessionId);
+      return reply(err.message);
+    }
+  }
+
+  // Slots that must be checked against the database before going on
+  if (intent === "transfer" && slots.recipient) {
+    const recResult = await pool.query("SELECT username FROM users WHERE username=$1", [slots.recipient]);
+    if (recResult.rows.length === 0) {
+      // Not a username: maybe a saved beneficiary ("mama", "my landlord")
+      const { match, candidates } = await matchBeneficiary(username, slots.recipient, { kinds: ["user", "bank_account"] });
+      if (match?.kind === "bank_account") {
+        const { accountNumber, bankCode } = match.details;
+        const { amount, amountChoices, schedule } = slots;
+        return continueIntent(ctx, "bank_transfer", { accountNumber, bank: bankCode, amount, amountChoices, beneficiaryId: match.id, schedule }, { confirmed: false });
+      }
+      if (match) {
+        slots = { ...slots, recipient: match.details.username, beneficiaryId: match.id };
+      } else if (candidates.length > 0) {
+        slots = { ...slots, recipient: null, recipientChoices: candidates.map((b) => b.nickname) };
+      } else {
+        await remember("recipient", { ...slots, recipient: null });
+        return reply(translations.recipientNotFound[lang](slots.recipient));
+      }
+    }
+  }
+
+  // Name enquiry as soon as we have the number and the bank, and again
+  // whenever either of them changes
+  if (intent === "bank_transfer" && slots.accountNumber && slots.bank) {
+    const { account } = slots;
+    if (account?.accountNumber !== slots.accountNumber || account?.bankCode !== slots.bank) {
+      try {
+        const resolved = await resolveBankAccount({ accountNumber: slots.accountNumber, bankCode: slots.bank });
+        slots = { ...slots, account: resolved, recipient: `${resolved.accountName} (${resolved.bankName})` };
+      } catch (err) {
+        if (!(err instanceof PaymentError)) throw err;
+        if (err.code !== "ACCOUNT_NOT_FOUND" && err.code !== "INVALID_ACCOUNT") {
+          await clearDialogState(sessionId);
+          return reply(err.message);
+        }
+        const bankName = resolveBank(slots.bank).name;
+        // Either the number or the bank is wrong: take both again
+        await remember("accountNumber", { ...slots, accountNumber: null, bank: null, account: null, recipient: null });
+        return reply(err.code === "ACCOUNT_NOT_FOUND"
+          ? translations.bankAccountNotFound[lang](slots.accountNumber, bankName)
+          : translations.invalidAccountNumber[lang](slots.accountNumber, bankName));
+      }
+    }
+  }
+
+  // The network follows the number unless the user named one
+  if ((intent === "airtime" || intent === "data") && slots.phone && !slots.network) {
+    slots = { ...slots, network: detectNetwork(slots.phone) };
+  }
+
+  // Data is asked for by size; the plan depends on the network
+  if (intent === "data" && slots.network && slots.dataMb) {
+    const plan = matchDataPlan(slots.network, slots.dataMb);
+    if (!plan) {
+      await remember("dataMb", { ...slots, dataMb: null, plan: null, amount: null });
+      return reply(translations.dataPlanNotFound[lang](
+        formatDataSize(slots.dataMb),
+        NETWORKS[slots.network].name,
+        dataPlanChoices(slots.network)
+      ));
+    }
+    slots = { ...slots, dataMb: plan.dataMb, plan, amount: plan.price };
+  }
+
+  // A saved biller: check the account with the biller for this amount
+  if (intent === "bill_payment" && slots.amount && slots.bill?.amount !== slots.amount) {
+    const { billerId, accountNumber, prepaid } = slots.biller;
+    try {
+      slots = { ...slots, bill: await validateBill({ billerId, accountNumber, amount: slots.amount, prepaid }) };
+    } catch (err) {
+      if (!(err instanceof BillError)) throw err;
+      if (err.code === "AMOUNT_TOO_LOW" || err.code === "AMOUNT_TOO_HIGH") {
+        await remember("amount", { ...slots, amount: null, bill: null });
+      } else {
+        await clearDialogState(sessionId);
+      }
+      return reply(err.message);
+    }
+  }
+
+  if (intent === "esusu_contribution") {
+    const groups = await getUserGroups(username);
+    if (groups.length === 0) {
+      await clearDialogState(sessionId);
+      return reply(translations.noEsusuGroups[lang]());
+    }
+    const group = groups.find((g) => g.group_name === slots.group);
+    if (group && group.status !== "active") {
+      await clearDialogState(sessionId);
+      return reply(translations.esusuClosed[lang](group.group_name));
+    }
+    // What this payment will take: the contribution if still due, plus arrears
+    const amountDue = group ? (group.has_contributed ? 0 : group.amount_per_person) + group.amount_owed : 0;
+    if (group && amountDue === 0) {
+      await clearDialogState(sessionId);
+      return reply(translations.esusuAlreadyContributed[lang](group.group_name, group.current_cycle));
+    }
+    slots = group
+      ? { ...slots, amountPerPerson: amountDue }
+      : { ...slots, group: null };
+  }
+
+  if (intent === "savings_deposit" || intent === "savings_withdrawal") {
+    const goals = await listGoals(username);
+    if (goals.length === 0) {
+      await clearDialogState(sessionId);
+      return reply(translations.noSavingsGoals[lang]());
+    }
+    if (!goals.some((g) => g.name === slots.goal)) {
+      slots = { ...slots, goal: null };
+    }
+  }
+
+  const missing = missingSlot(intent, slots);
+  if (missing) {
+    await remember(missing);
+    return reply(await questionFor(intent, missing, slots, username, lang));
+  }
+
+  const scheduled = slots.schedule ? await scheduledPaymentFor(username, intent, slots, lang) : null;
+
+  if (!confirmed) {
+    await remember("confirm");
+    return reply(scheduled ? confirmSchedulePrompt(scheduled, slots.schedule, lang) : confirmIntentPrompt(intent, slots, lang));
+  }
+
+  await clearDialogState(sessionId);
+
+  if (intent === "esusu_contribution") {
+    const group = await findGroupByName(slots.group);
+    try {
+      const result = await contributeToGroup(username, group);
+      return reply(esusuContributionMessage(group, result, lang), { balance: result.balance });
+    } catch (err) {
+      if (err instanceof EsusuError) {
+        return reply(esusuErrorMessage(err, group, lang));
+      }
+      throw err;
+    }
+  }
+
+  if (intent === "savings_deposit" || intent === "savings_withdrawal") {
+    const goal = (await listGoals(username)).find((g) => g.name === slots.goal);
+    try {
+      if (intent === "savings_deposit") {
+        const result = await depositToGoal(username, goal.id, slots.amount);
+        return reply(
+          translations.savingsDeposited[lang](slots.amount, goal.name, result.goal.saved, goal.targetAmount, result.balance),
+          { balance: result.balance, goal: result.goal }
+        );
+      }
+      const result = await withdrawFromGoal(username, goal.id, slots.amount);
+      return reply(translations.savingsWithdrawn[lang](slots.amount, goal.name, result.balance), { balance: result.balance, goal: result.goal });
+    } catch (err) {
+      if (err instanceof SavingsError) {
+        return reply(savingsErrorMessage(err, lang));
+      }
+      throw err;
+    }
+  }
+
+  // Bills carry their validated bill; the PIN threshold goes by the total
+  const payload = intent === "bill_payment"
+    ? { bill: slots.bill, amount: slots.bill.total, beneficiaryId: slots.beneficiaryId, lang }
+    : { ...slots, lang };
+  const result = scheduled
+    ? await executeOrStepUp(username, "schedule_payment", { ...scheduled, ...slots.schedule, lang })
+    : await executeOrStepUp(username, intent, payload);
+  if (result.body.requiresPin) {
+    // Keep the intent around so "make it 3000" still works at the PIN prompt
+    await remember("pin");
+  }
+  return result;
+};
+
+// --------- Beneficiaries ----------
+// Carry on with the intent a saved beneficiary implies. Only a SARA user
+// named exactly, paid an amount they said clearly, skips the yes/no; bank
+// accounts, lines and billers are always read back.
+const continueWithBeneficiary = (ctx, beneficiary, { amount, amountChoices }, { confirmAmount, exact }) => {
+  const { kind, details, id: beneficiaryId } = beneficiary;
+  if (kind === "user") {
+    const slots = { recipient: details.username, amount, amountChoices, beneficiaryId };
+    return continueIntent(ctx, "transfer", slots, { confirmed: exact && !confirmAmount });
+  }
+  if (kind === "bank_account") {
+    const slots = { accountNumber: details.accountNumber, bank: details.bankCode, amount, amountChoices, beneficiaryId };
+    return continueIntent(ctx, "bank_transfer", slots, { confirmed: false });
+  }
+  if (kind === "phone") {
+    const slots = { phone: details.phone, network: details.network, amount, amountChoices, beneficiaryId };
+    return continueIntent(ctx, "airtime", slots, { confirmed: false });
+  }
+  return continueIntent(ctx, "bill_payment", { biller: details, amount, amountChoices, beneficiaryId }, { confirmed: false });
+};
+
+// The line an airtime or data request is for: a number in the text, a
+// saved line, or the user's own. Resolves to { slots, rest } where rest is
+// the text without the number or name, for reading the amount or size.
+const lineInText = async (username, user, text) => {
+  const phoneInText = parsePhone(text);
+  if (phoneInText) {
+    const rest = text.replace(phoneInText.match, " ");
+    return { slots: { phone: phoneInText.phone, network: findNetworkInText(rest) }, rest };
+  }
+
+  const saved = await findBeneficiaryInText(username, text, { kinds: ["phone"] });
+  if (saved.match) {
+    const rest = text.replace(saved.matched, " ");
+    // "my MTN line" names the network too; only another one overrides it
+    return {
+      slots: {
+        phone: saved.match.details.phone,
+        network: findNetworkInText(rest) || saved.match.details.network,
+        beneficiaryId: saved.match.id
+      },
+      rest
+    };
+  }
+  if (saved.candidates.length > 0) {
+    return { slots: { phone: null, phoneChoices: saved.candidates.map((b) => b.nickname), network: null }, rest: text };
+  }
+
+  return { slots: { phone: user.phone || null, network: findNetworkInText(text) }, rest: text };
+};
+
+// --------- Payment Requests ----------
+// A name said in chat as a SARA username: the user's saved name for
+// someone ("mama"), or the name as said
+const personNamed = async (username, name) => {
+  const saved = await matchBeneficiary(username, name, { kinds: ["user"] });
+  return saved.match && saved.exact ? saved.match.details.username : name;
+};
+
+const requestLine = (name, { amount, note }) => `${name} ₦${amount.toLocaleString()}${note ? ` (${note})` : ""}`;
+
+// The request an answer is about: the one from (or to) the person named,
+// then the one for the amount said, or the only one there is
+const pickRequest = (requests, party, name, amount) => {
+  let found = name ? requests.filter((r) => r[party].toLowerCase() === name.toLowerCase()) : requests;
+  if (found.length > 1 && amount) {
+    const same = found.filter((r) => r.amount === amount);
+    if (same.length > 0) found = same;
+  }
+  return { match: found.length === 1 ? found[0] : null, candidates: found.length > 0 ? found : requests };
+};
+
+// "Ask tunde for 3000", "show my requests", "accept tunde's request",
+// "decline it", "remind tunde", "cancel my request to tunde". Accepting
+// pays through the transfer dialog, so it is read back and asks for the
+// PIN like any other transfer.
+const moneyRequestReply = async (ctx, text) => {
+  const { username, lang } = ctx;
+  const { action, name, note, rest } = parseMoneyRequest(text);
+  const person = name ? await personNamed(username, name) : null;
+  const { amount } = amountSlots(rest);
+
+  if (action === "ask") {
+    if (!person || !amount) return reply(translations.moneyRequestHint[lang]());
+    try {
+      const request = await createRequest(username, { payer: person, amount, note });
+      return reply(translations.moneyRequested[lang](request.payer, request.amount, request.note), { request });
+    } catch (err) {
+      if (!(err instanceof RequestError)) throw err;
+      return reply(err.message);
+    }
+  }
+
+  const { incoming, outgoing } = await listRequests(username);
+  const waiting = outgoing.filter((r) => r.status === "pending");
+
+  if (action === "list") {
+    if (incoming.length === 0 && waiting.length === 0) return reply(translations.noMoneyRequests[lang]());
+    const lines = (requests, party) => requests.map((r) => requestLine(r[party], r)).join("; ");
+    return reply(translations.moneyRequestsSummary[lang](lines(incoming, "requester"), lines(waiting, "payer")), { incoming, outgoing });
+  }
+
+  // Reminding and cancelling are about requests the user sent; accepting
+  // and declining about the ones they were sent
+  // A share of a split bill is cancelled with the whole split
+  const sent = action === "remind" || action === "cancel";
+  const open = sent ? waiting.filter((r) => action === "remind" || !r.splitId) : incoming;
+  if (open.length === 0) return reply(sent ? translations.noOutgoingRequests[lang]() : translations.noIncomingRequests[lang]());
+  const party = sent ? "payer" : "requester";
+  const { match, candidates } = pickRequest(open, party, person, amount);
+  if (!match) return reply(translations.whichMoneyRequest[lang](candidates.map((r) => requestLine(r[party], r)).join("; ")));
+
+  if (action === "accept") {
+    const slots = { recipient: match.requester, amount: match.amount, requestId: match.id, note: match.note };
+    return continueIntent(ctx, "transfer", slots, { confirmed: false });
+  }
+
+  try {
+    if (action === "decline") {
+      const request = await declineRequest(username, match.id);
+      return reply(translations.requestDeclined[lang](request.requester, request.amount), { request });
+    }
+    if (action === "remind") {
+      const request = await remindRequest(username, match.id);
+      return reply(translations.requestReminded[lang](request.payer, request.amount), { request });
+    }
+    const request = await cancelRequest(username, match.id);
+    return reply(translations.requestCancelled[lang](request.payer, request.amount), { request });
+  } catch (err) {
+    if (!(err instanceof RequestError)) throw err;
+    return reply(err.message);
+  }
+};
+
+const waitingOn = (split) => split.participants.filter((p) => p.status === "pending").map((p) => p.username).join(", ");
+
+// "Split 12000 for dinner with tunde and ada", "show my splits", "remind
+// everyone about dinner", "cancel the dinner split". Each participant gets
+// a payment request for their share.
+const splitReply = async ({ username, lang }, text) => {
+  const request = parseSplitRequest(text);
+
+  if (request.action === "create") {
+    const { amount } = amountSlots(request.rest);
+    if (!amount) return reply(translations.splitHint[lang]());
+    try {
+      const participants = await Promise.all(request.names.map((name) => personNamed(username, name)));
+      const split = await createSplit(username, { title: request.title, total: amount, participants, includeOwner: request.includeOwner });
+      const shares = split.participants.map((p) => `${p.username} ₦${p.amount.toLocaleString()}`).join(", ");
+      return reply(translations.splitCreated[lang](split.title, split.total, shares, split.ownerShare), { split });
+    } catch (err) {
+      if (!(err instanceof RequestError)) throw err;
+      return reply(err.message);
+    }
+  }
+
+  const splits = await listSplits(username);
+  if (splits.length === 0) return reply(translations.noSplits[lang]());
+
+  if (request.action === "list") {
+    const lines = splits.map((s) => translations.splitLine[lang](s.title, s.paid, s.total - s.ownerShare, waitingOn(s)));
+    return reply(translations.splitsSummary[lang](lines.join("; ")), { splits });
+  }
+
+  const lower = text.toLowerCase();
+  const split = splits.find((s) => lower.includes(s.title.toLowerCase())) || (splits.length === 1 ? splits[0] : null);
+  if (!split) return reply(translations.whichSplit[lang](splits.map((s) => `"${s.title}"`).join(", ")));
+
+  try {
+    if (request.action === "remind") {
+      const { split: updated, reminded } = await remindSplit(username, split.id);
+      return reply(translations.splitReminded[lang](split.title, reminded.map((r) => r.payer).join(", ")), { split: updated });
+    }
+    const cancelled = await cancelSplit(username, split.id);
+    return reply(translations.splitCancelled[lang](split.title), { split: cancelled });
+  } catch (err) {
+    if (!(err instanceof RequestError)) throw err;
+    return reply(err.message);
+  }
+};
+
+// --------- Notifications ----------
+const dueDay = (date) => scheduleDate(/^\d{4}-\d{2}-\d{2}$/.test(date) ? `${date}T00:00:00` : date);
+
+// Notifications are stored as what happened; the words are chosen when
+// they are shown, in the language the user wants them in
+const notificationMessages = {
+  money_received: ({ from, amount }, lang) => translations.notifyMoneyReceived[lang](from, amount),
+  esusu_due: ({ group, amount, dueAt, auto }, lang) => translations.notifyEsusuDue[lang](group, amount, dueDay(dueAt), auto),
+  esusu_late: ({ group, amount, lateFee, graceEndsAt }, lang) =>
+    translations.notifyEsusuLate[lang](group, amount, lateFee, dueDay(graceEndsAt)),
+  esusu_payout: ({ group, amount }, lang) => translations.notifyEsusuPayout[lang](group, amount),
+  bill_due: ({ provider, amount, dueDate }, lang) => translations.notifyBillDue[lang](provider, amount, dueDay(dueDate)),
+  low_balance: ({ balance }, lang) => translations.notifyLowBalance[lang](balance),
+  request_received: ({ requester, amount, note }, lang) => translations.notifyRequestReceived[lang](requester, amount, note),
+  request_reminder: ({ requester, amount, note }, lang) => translations.notifyRequestReminder[lang](requester, amount, note),
+  request_declined: ({ payer, amount }, lang) => translations.notifyRequestDeclined[lang](payer, amount)
+};
+
+const withMessage = (notification, lang) => {
+  const message = notificationMessages[notification.kind](notification.data, lang);
+  return { ...notification, message, speak: speakable(message) };
+};
+
+// "Any notifications?": reads out what's unread, newest last, and marks it read
+const NOTIFICATIONS_READ_ALOUD = 5;
+
+const notificationsReply = async ({ username, lang }, text) => {
+  const { notifications, unread } = await listNotifications(username, { unreadOnly: true, limit: NOTIFICATIONS_READ_ALOUD });
+  if (unread === 0) return reply(translations.noNotifications[lang]());
+
+  const lines = notifications.reverse().map((n) => withMessage(n, lang).message);
+  // Asked to clear them: everything unread is read, not just what was read out
+  const clearAll = /\b(clear|mark|dismiss)\b/i.test(text);
+  await markNotificationsRead(username, clearAll ? null : notifications.map((n) => n.id));
+  return reply(translations.notificationsSummary[lang](unread, lines.join(" ")), { unread: clearAll ? 0 : unread - notifications.length });
+};
+
+// --------- Auth ----------
+app.post("/signup", async (req, res) => {
+  const { username, password } = req.body;
+  if (!username || !password) {
+    return res.status(400).json({ message: "Username and password required" });
+  }
+  // Optional: airtime and data go to this line when no number is given
+  const phone = req.body.phone ? normalizePhone(req.body.phone) : null;
+  if (req.body.phone && !phone) {
+    return res.status(400).json({ message: "Enter a valid Nigerian phone number, e.g. 0803 123 4567" });
+  }
+  
+  const hashed = bcrypt.hashSync(password, 10);
+  
+  try {
+    await withTransaction(async (client) => {
+      await client.query(
+        "INSERT INTO users(username, password, balance, phone) VALUES($1, $2, 0, $3)",
+        [username, hashed, phone]
+      );
+      await postJournal(client, {
+        kind: "signup_bonus",
+        memo: `Welcome credit for ${username}`,
+        legs: [
+          { account: SYSTEM_ACCOUNTS.opening, amount: -SIGNUP_BONUS },
+          { account: userAccount(username), amount: SIGNUP_BONUS }
+        ]
+      });
+    });
+    res.json({ message: "Account created successfully! You can now login." });
+  } catch (err) {
+    res.status(400).json({ message: "Username already exists" });
+  }
+});
+
+app.post("/login", async (req, res) => {
+  const { username, password } = req.body;
+  
+  try {
+    const result = await pool.query("SELECT * FROM users WHERE username=$1", [username]);
+    
+    if (result.rows.length === 0) {
+      return res.status(400).json({ message: "Invalid username or password" });
+    }
+    
+    const user = result.rows[0];
+    
+    if (!bcrypt.compareSync(password, user.password)) {
+      return res.status(400).json({ message: "Invalid username or password" });
+    }
+    
+    const tokens = await issueSession(user.username);
+
+    res.json({ 
+      ...tokens,
+      username: user.username,
+      balance: user.balance, 
+      hasPin: Boolean(user.transaction_pin),
+      message: "Login successful",
+      welcomeMessage: `Hi ${username}! I'm SARA. I speak English, Pidgin, Yoruba, Igbo, and Hausa. I can help with payments, savings, and financial advice!`
+    });
+  } catch (err) {
+    console.error("Login error:", err);
+    res.status(500).json({ message: "Login failed" });
+  }
+});
+
+app.post("/token/refresh", async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken) {
+    return res.status(400).json({ message: "Refresh token required" });
+  }
+
+  try {
+    const tokens = await refreshSession(refreshToken);
+    if (!tokens) {
+      return res.status(401).json({ message: "Your session has ended. Please login again." });
+    }
+    res.json(tokens);
+  } catch (err) {
+    console.error("Refresh error:", err);
+    res.status(500).json({ message: "Could not refresh session" });
+  }
+});
+
+app.post("/logout", requireAuth, async (req, res) => {
+  try {
+    await revokeSession(req.sessionId);
+    res.json({ message: "Logged out" });
+  } catch (err) {
+    console.error("Logout error:", err);
+    res.status(500).json({ message: "Logout failed" });
+  }
+});
+
+// Revoke every session for this user, e.g. after a lost phone
+app.post("/logout/all", requireAuth, async (req, res) => {
+  try {
+    const count = await revokeAllSessions(req.username);
+    res.json({ message: `Logged out of ${count} session(s)` });
+  } catch (err) {
+    console.error("Logout error:", err);
+    res.status(500).json({ message: "Logout failed" });
+  }
+});
+
+// --------- Transaction PIN ----------
+app.post("/pin", requireAuth, async (req, res) => {
+  const { pin, currentPin } = req.body;
+
+  try {
+    const result = await setPin(req.username, pin, currentPin);
+    res.status(result.ok ? 200 : 400).json({ message: result.message });
+  } catch (err) {
+    console.error("PIN error:", err);
+    res.status(500).json({ message: "Could not save PIN" });
+  }
+});
+
+app.post("/confirm", requireAuth, async (req, res) => {
+  const { confirmationId, pin } = req.body;
+  const username = req.username;
+
+  try {
+    const pending = await getPendingConfirmation(username, confirmationId);
+    if (!pending) {
+      return res.status(400).json({ message: "That request has already been handled or has expired." });
+    }
+
+    const { status, body } = await completeConfirmation(username, pending, pin);
+    res.status(status).json(body);
+  } catch (err) {
+    if (isInsufficientFunds(err)) {
+      return res.status(400).json({ message: insufficientFundsMessage(err) });
+    }
+    if (err instanceof PaymentError || err instanceof BillError || err instanceof RequestError) {
+      return res.status(400).json({ message: err.message, code: err.code });
+    }
+    console.error("Confirm error:", err);
+    res.status(500).json({ message: "Server error. Please try again." });
+  }
+});
+
+app.post("/confirm/cancel", requireAuth, async (req, res) => {
+  const { confirmationId } = req.body;
+
+  try {
+    const pending = await getPendingConfirmation(req.username, confirmationId);
+    if (pending) {
+      await closeConfirmation(pending.id, "cancelled");
+    }
+    const lang = pending?.payload?.lang || "english";
+    const message = translations.confirmationCancelled[lang]();
+    res.json({ message, speak: speakable(message) });
+  } catch (err) {
+    console.error("Cancel error:", err);
+    res.status(500).json({ message: "Server error. Please try again." });
+  }
+});
+
+// --------- Main Action Endpoint ----------
+app.post("/action", requireAuth, async (req, res) => {
+  let { text } = req.body;
+  const username = req.username;
+  if (!text) {
+    return res.status(400).json({ message: "Missing parameters" });
+  }
+
+  try {
+    const result = await pool.query("SELECT * FROM users WHERE username=$1", [username]);
+    
+    if (result.rows.length === 0) {
+      return res.status(400).json({ message: "User not found" });
+    }
     
     const user = result.rows[0];
     const detectedLang = detectLanguage(text);
-    const lowerText = text.toLowerCase();
+    let lowerText = text.toLowerCase();
+    const dialog = await getDialogState(req.sessionId);
+
+    // A money-moving intent is waiting on the PIN: take it by voice or typing
+    const pending = await getPendingConfirmation(username);
+    if (pending) {
+      if (cancelPattern.test(lowerText.trim())) {
+        await closeConfirmation(pending.id, "cancelled");
+        await clearDialogState(req.sessionId);
+        const message = translations.confirmationCancelled[pending.payload.lang]();
+        return res.json({ message, speak: speakable(message) });
+      }
+
+      const pin = extractPin(text);
+      if (pin) {
+        const { status, body } = await completeConfirmation(username, pending, pin);
+        if (!body.requiresPin) {
+          await clearDialogState(req.sessionId);
+        }
+        return res.status(status).json(body);
+      }
+    }
+
+    // Follow-up turn for an intent we're still filling in: "5000", "yes",
+    // "cancel", "make it 3000". Anything else falls through to a fresh intent.
+    if (dialog) {
+      // Answers to "what's the amount?" etc. keep the language of the question
+      const ctx = {
+        sessionId: req.sessionId,
+        username,
+        lang: detectedLang !== "english" ? detectedLang : dialog.lang
+      };
+      const groups = dialog.intent === "esusu_contribution" ? await getUserGroups(username) : [];
+      const goals = (INTENT_SLOTS[dialog.intent] || []).includes("goal") ? await listGoals(username) : [];
+      // An account or phone number is never an amount
+      const accountInText = parseAccountNumber(text);
+      const phoneInText = parsePhone(text);
+      const amountText = [accountInText, phoneInText].reduce((rest, found) => (found ? rest.replace(found.match, " ") : rest), text);
+      const parsed = {
+        ...amountSlots(amountText),
+        recipient: parseRecipient(lowerText) || (dialog.awaiting === "recipient" ? bareRecipient(lowerText) : null),
+        group: parseGroup(lowerText, groups),
+        goal: findGoalInText(goals, lowerText)?.name || null,
+        accountNumber: accountInText?.accountNumber || null,
+        bank: findBankInText(lowerText)?.code || null,
+        phone: phoneInText?.phone || null,
+        network: findNetworkInText(lowerText),
+        dataMb: parseDataSize(amountText)
+      };
+      // "Which number?" can be answered with a saved line ("mama")
+      if (dialog.awaiting === "phone" && !parsed.phone) {
+        const saved = await matchBeneficiary(username, text, { kinds: ["phone"] });
+        if (saved.match) {
+          parsed.phone = saved.match.details.phone;
+          parsed.network = saved.match.details.network;
+          parsed.beneficiaryId = saved.match.id;
+        }
+      }
+
+      const turn = interpretFollowUp(dialog, text, parsed);
+
+      if (turn.type === "cancel") {
+        await clearDialogState(req.sessionId);
+        const message = translations.confirmationCancelled[ctx.lang]();
+        return res.json({ message, speak: speakable(message) });
+      }
+
+      if (turn.type !== "none") {
+        if (dialog.awaiting === "pin" && pending) {
+          await closeConfirmation(pending.id, "superseded");
+        }
+        const slots = { ...dialog.slots, ...turn.slots };
+        if (turn.slots.amount) {
+          slots.amountChoices = null;
+        }
+        // A new number brings its own network, unless they named one too
+        if (turn.slots.phone && !turn.slots.network) {
+          slots.network = parsed.beneficiaryId ? parsed.network : null;
+        }
+        // A new recipient drops the saved beneficiary and the choices we offered
+        if (turn.slots.recipient || turn.slots.phone || turn.slots.accountNumber || turn.slots.bank) {
+          slots.beneficiaryId = turn.slots.phone ? parsed.beneficiaryId || null : null;
+          slots.recipientChoices = null;
+          slots.phoneChoices = null;
+        }
+        const { status, body } = await continueIntent(ctx, dialog.intent, slots, { confirmed: turn.type === "confirm" });
+        return res.status(status).json(body);
+      }
+
+      // An answer we can read two ways: ask which one they meant
+      if (parsed.amountChoices && (INTENT_SLOTS[dialog.intent] || []).includes("amount")) {
+        const slots = { ...dialog.slots, amount: null, amountChoices: parsed.amountChoices };
+        const { status, body } = await continueIntent(ctx, dialog.intent, slots, { confirmed: false });
+        return res.status(status).json(body);
+      }
+    }
+
+    const ctx = { sessionId: req.sessionId, username, lang: detectedLang };
+    // Notifications are spoken in the language of the user's last request
+    await rememberChatLanguage(username, detectedLang);
+    let parsed = await classifyIntent(text);
+    // The message itself stays out of the logs; it can hold names and account numbers
+    if (process.env.INTENT_DEBUG) {
+      console.log(`Intent: ${parsed.intent} (${parsed.source}, ${parsed.confidence})`);
+    }
+
+    // "Send mama 5000 every month": the payment is read from the text
+    // without its rule, and the rule goes along in ctx to be set up once
+    // the payment is complete
+    const when = SCHEDULE_INTENTS.includes(parsed.intent) ? parseScheduleRule(text) : null;
+    if (when) {
+      const payment = await classifyIntent(when.rest);
+      if (SCHEDULE_INTENTS.includes(payment.intent)) {
+        text = when.rest;
+        lowerText = text.toLowerCase();
+        parsed = payment;
+        ctx.schedule = when;
+      }
+    }
+
+    // Check balance
+    if (parsed.intent === "balance") {
+      console.log(`Balance check - Detected language: ${detectedLang}`);
+      const message = translations.balance[detectedLang](username, user.balance);
+      const cleanMessage = removeAccents(message);
+      
+      return res.json({ 
+        message: message,
+        balance: user.balance,
+        speak: cleanMessage.replace(/₦/g, 'Naira '),
+        language: detectedLang
+      });
+    }
+
+    // Buy airtime, for the user's own line unless they give a number or
+    // a saved line ("for mama")
+    if (parsed.intent === "airtime") {
+      const line = await lineInText(username, user, text);
+      const { amount, amountChoices } = line.rest !== text ? amountSlots(line.rest) : parsed;
+      const slots = { amount, amountChoices, ...line.slots };
+      // Someone else's number is always read back before we buy
+      const ownLine = Boolean(user.phone) && line.slots.phone === user.phone;
+      const { status, body } = await continueIntent(ctx, "airtime", slots, { confirmed: ownLine && !parsed.confirmAmount });
+      return res.status(status).json(body);
+    }
+
+    // Buy data: the plan and its price are always read back first
+    if (parsed.intent === "data") {
+      const line = await lineInText(username, user, text);
+      const slots = { ...line.slots, dataMb: parseDataSize(line.rest) };
+      const { status, body } = await continueIntent(ctx, "data", slots, { confirmed: false });
+      return res.status(status).json(body);
+    }
+
+    // "Save as mama" after SARA offered to save a recipient
+    if (parsed.intent === "save_beneficiary") {
+      const nickname = parseNickname(text);
+      let message;
+      if (!nickname) {
+        message = translations.askBeneficiaryName[detectedLang]();
+      } else {
+        try {
+          const saved = await saveSuggestedBeneficiary(username, nickname);
+          message = translations.beneficiarySaved[detectedLang](saved.nickname, saved.label);
+        } catch (err) {
+          if (!(err instanceof BeneficiaryError)) throw err;
+          message = err.code === "NO_SUGGESTION"
+            ? translations.nothingToSave[detectedLang]()
+            : err.code === "NICKNAME_TAKEN"
+              ? translations.nicknameTaken[detectedLang](err.details.nickname)
+              : err.message;
+        }
+      }
+      return res.json({ message, speak: speakable(message), language: detectedLang });
+    }
+
+    // Esusu contribution
+    if (parsed.intent === "esusu_contribution") {
+      const groups = await getUserGroups(username);
+      const named = parseGroup(lowerText, groups);
+      const group = named || parseGroup(lowerText, groups, { fallbackToOnly: true });
+      // Only skip the yes/no when the user actually said which group
+      const { status, body } = await continueIntent(ctx, "esusu_contribution", { group }, { confirmed: Boolean(named) });
+      return res.status(status).json(body);
+    }
+
+    // Transfer money
+    if (parsed.intent === "transfer") {
+      // A saved beneficiary named anywhere in the sentence ("my landlord")
+      const saved = await findBeneficiaryInText(username, text, { kinds: ["user", "bank_account", "biller"] });
+      if (saved.match || saved.candidates.length > 0) {
+        const { amount, amountChoices } = amountSlots(text.replace(saved.matched, " "));
+        const { status, body } = saved.match
+          ? await continueWithBeneficiary(ctx, saved.match, { amount, amountChoices }, { confirmAmount: parsed.confirmAmount, exact: saved.exact })
+          : await continueIntent(ctx, "transfer", {
+            recipient: null,
+            recipientChoices: saved.candidates.map((b) => b.nickname),
+            amount,
+            amountChoices
+          }, { confirmed: false });
+        return res.status(status).json(body);
+      }
+
+      // An account number means another bank, not a SARA user. So does a
+      // bank said as one ("union bank", "to union"), unless the recipient
+      // named is a SARA user ("to tunde for union dues"). Always read the
+      // account name back before sending.
+      const accountInText = parseAccountNumber(text);
+      const bank = findBankInText(lowerText, { named: !accountInText });
+      const bankIsRecipient = Boolean(bank) &&
+        (!parsed.recipient || findBankInText(`${parsed.recipient} bank`)?.code === bank.code);
+      if (accountInText || bankIsRecipient) {
+        const { amount, amountChoices } = amountSlots(accountInText ? text.replace(accountInText.match, " ") : text);
+        const slots = { accountNumber: accountInText?.accountNumber || null, bank: bank?.code || null, amount, amountChoices };
+        const { status, body } = await continueIntent(ctx, "bank_transfer", slots, { confirmed: false });
+        return res.status(status).json(body);
+      }
+
+      const { recipient, amount, amountChoices, confirmAmount } = parsed;
+      const { status, body } = await continueIntent(ctx, "transfer", { recipient, amount, amountChoices }, { confirmed: !confirmAmount });
+      return res.status(status).json(body);
+    }
+
+    if (parsed.intent === "resend_token") {
+      return res.json({ ...(await lastTokenReply(username, detectedLang)), language: detectedLang });
+    }
+
+    // "Send me my statement for September"
+    if (parsed.intent === "statement") {
+      return res.json({ ...(await statementReply(username, text, detectedLang)), language: detectedLang });
+    }
+
+    // Savings goals: create, pay in, take out, or ask how they're doing
+    if (parsed.intent === "savings") {
+      const { status, body } = await savingsReply(ctx, text, parsed);
+      return res.status(status).json({ ...body, language: detectedLang });
+    }
+
+    // Scheduled payments: list them, or pause, resume or cancel one
+    if (parsed.intent === "schedule") {
+      const { status, body } = await scheduleReply(ctx, text);
+      return res.status(status).json({ ...body, language: detectedLang });
+    }
+
+    // Ask someone for money, or answer a request: "accept tunde's request"
+    if (parsed.intent === "money_request") {
+      const { status, body } = await moneyRequestReply(ctx, text);
+      return res.status(status).json({ ...body, language: detectedLang });
+    }
+
+    // "Split 12000 for dinner with tunde and ada"
+    if (parsed.intent === "split_bill") {
+      const { status, body } = await splitReply(ctx, text);
+      return res.status(status).json({ ...body, language: detectedLang });
+    }
+
+    // "Any notifications?", "what did I miss?"
+    if (parsed.intent === "notifications") {
+      const { status, body } = await notificationsReply(ctx, text);
+      return res.status(status).json({ ...body, language: detectedLang });
+    }
+
+    // "How much have I spent on airtime this month?"
+    if (parsed.intent === "spending") {
+      return res.json({ ...(await spendingReply(username, text, detectedLang)), language: detectedLang });
+    }
+
+    // "Show my transfers to john last month"
+    if (parsed.intent === "history") {
+      return res.json({ ...(await historyReply(username, text, detectedLang)), language: detectedLang });
+    }
+
+    // A saved biller can be paid by name ("pay my light bill 5000");
+    // anything else is paid from a scanned bill
+    if (parsed.intent === "bill_payment") {
+      const saved = await findBeneficiaryInText(username, text, { kinds: ["biller"] });
+      if (saved.match) {
+        const { amount, amountChoices } = amountSlots(text.replace(saved.matched, " "));
+        const { status, body } = await continueWithBeneficiary(ctx, saved.match, { amount, amountChoices }, { exact: saved.exact });
+        return res.status(status).json(body);
+      }
+      const message = translations.billPaymentHint[detectedLang]();
+      return res.json({ message, speak: speakable(message), language: detectedLang });
+    }
+
+    // AI Financial Advice
+    if (parsed.intent === "advice") {
+      
+      console.log(`AI Advice request - Language: ${detectedLang}`);
+      
+      const historyResult = await pool.query(
+        "SELECT type, amount FROM transactions WHERE username=$1 ORDER BY date DESC LIMIT 5",
+        [username]
+      );
+      
+      const userContext = `
+User: ${username}
+Balance: ₦${user.balance.toLocaleString()}
+Recent transactions: ${historyResult.rows.map(t => `${t.type} ₦${t.amount}`).join(', ') || 'No recent transactions'}
+Language preference: ${detectedLang}
+      `.trim();
+
+      const aiResponse = await getGeminiAdvice(text, userContext, detectedLang);
+      const cleanResponse = removeAccents(aiResponse);
+      
+      return res.json({
+        message: aiResponse,
+        balance: user.balance,
+        speak: cleanResponse.substring(0, 250),
+        isAiAdvice: true,
+        language: detectedLang
+      });
+    }
+
+    // Still waiting on an answer: ask again rather than starting over
+    if (dialog) {
+      const awaiting = dialog.awaiting;
+      const message = awaiting === "confirm"
+        ? confirmIntentPrompt(dialog.intent, dialog.slots, dialog.lang)
+        : awaiting === "pin"
+          ? confirmationPrompt(dialog.intent, { ...dialog.slots, lang: dialog.lang })
+          : await questionFor(dialog.intent, awaiting, dialog.slots, username, dialog.lang);
+      return res.json({ message, speak: speakable(message) });
+    }
+
+    // Default response
+    return res.json({ 
+      message: "I can help with: checking balance, buying airtime or data, transferring money to people or saved beneficiaries, esusu contributions, asking people for money or splitting a bill, finding past transactions, statements, tracking spending against budgets, savings goals, or giving financial advice. What do you need?"
+    });
+    
+  } catch (err) {
+    if (isInsufficientFunds(err)) {
+      const message = translations.insufficientFunds[detectLanguage(text)](err.details.balance, err.details.amount);
+      return res.status(400).json({ message: message });
+    }
+    if (err instanceof PaymentError || err instanceof BillError || err instanceof RequestError) {
+      return res.status(400).json({ message: err.message, speak: speakable(err.message), code: err.code });
+    }
+    console.error("Action error:", err);
+    res.status(500).json({ message: "Server error. Please try again." });
+  }
+});
+
+// --------- Transaction History ----------
+// Newest first, a page at a time. Filters: ?type=Transfer,Airtime
+// &from=2026-09-01&to=2026-09-30&minAmount=&maxAmount=&counterparty=&q=
+// Pass the nextCursor from one page as ?cursor= to get the next.
+app.get("/history/:username", requireAuth, requireSelf, async (req, res) => {
+  const { username } = req.params;
+  
+  try {
+    const filters = parseHistoryFilters(req.query);
+    await categorizeTransactions(username);
+    const page = await queryHistory(username, filters, { cursor: req.query.cursor, limit: req.query.limit });
+    res.json(page);
+  } catch (err) {
+    if (err instanceof HistoryError) {
+      return res.status(400).json({ message: err.message, code: err.code });
+    }
+    console.error("History error:", err);
+    res.status(500).json({ message: "Could not fetch history" });
+  }
+});
+
+// --------- Savings Routes ----------
+const requireGoalId = requireId("Savings goal not found");
+const savingsErrorStatus = (err) => (err.code === "NOT_FOUND" ? 404 : 400);
 
-    // Check balance
-    if (/balance|wetin.*balance|owo.*mi|wo.*owo|ego.*m|lelee.*ego|kudin|duba.*kudin/i.test(lowerText)) {
-      console.log(`Balance check - Detected language: ${detectedLang}`);
-      const message = translations.balance[detectedLang](username, user.balance);
-      const cleanMessage = removeAccents(message);
-      
-      return res.json({ 
-        message: message,
-        balance: user.balance,
-        speak: cleanMessage.replace(/₦/g, 'Naira '),
-        language: detectedLang
+const sendSavingsError = (res, err, fallback) => {
+  if (err instanceof SavingsError) {
+    return res.status(savingsErrorStatus(err)).json({ message: err.message, code: err.code });
+  }
+  if (isInsufficientFunds(err)) {
+    return res.status(400).json({ message: insufficientFundsMessage(err), code: err.code });
+  }
+  console.error(`${fallback}:`, err);
+  res.status(500).json({ message: `${fallback}. Please try again.` });
+};
+
+// Open goals; ?includeClosed=true for the finished ones too
+app.get("/savings", requireAuth, async (req, res) => {
+  try {
+    const goals = await listGoals(req.username, { includeClosed: req.query.includeClosed === "true" });
+    res.json({ goals });
+  } catch (err) {
+    sendSavingsError(res, err, "Could not fetch savings goals");
+  }
+});
+
+// { name, targetAmount, targetDate?, lockedUntil?, autoAmount?, autoFrequency?, roundUpTo? }
+app.post("/savings", requireAuth, async (req, res) => {
+  try {
+    const goal = await createGoal(req.username, req.body);
+    res.json({ message: `Your "${goal.name}" goal is set.`, goal });
+  } catch (err) {
+    sendSavingsError(res, err, "Could not create savings goal");
+  }
+});
+
+app.get("/savings/:id", requireAuth, requireGoalId, async (req, res) => {
+  try {
+    res.json({ goal: await getGoal(req.username, parseId(req.params.id)) });
+  } catch (err) {
+    sendSavingsError(res, err, "Could not fetch savings goal");
+  }
+});
+
+// Any of the fields POST /savings takes; null stops a top-up or round-ups
+app.put("/savings/:id", requireAuth, requireGoalId, async (req, res) => {
+  try {
+    const goal = await updateGoal(req.username, parseId(req.params.id), req.body);
+    res.json({ message: `Updated "${goal.name}".`, goal });
+  } catch (err) {
+    sendSavingsError(res, err, "Could not update savings goal");
+  }
+});
+
+app.post("/savings/:id/deposit", requireAuth, requireGoalId, async (req, res) => {
+  try {
+    const { goal, balance } = await depositToGoal(req.username, parseId(req.params.id), req.body.amount);
+    res.json({ message: `Saved ₦${Number(req.body.amount).toLocaleString()} into "${goal.name}".`, goal, balance });
+  } catch (err) {
+    sendSavingsError(res, err, "Could not save");
+  }
+});
+
+app.post("/savings/:id/withdraw", requireAuth, requireGoalId, async (req, res) => {
+  try {
+    const { goal, balance } = await withdrawFromGoal(req.username, parseId(req.params.id), req.body.amount);
+    res.json({ message: `Moved ₦${Number(req.body.amount).toLocaleString()} from "${goal.name}" to your wallet.`, goal, balance });
+  } catch (err) {
+    sendSavingsError(res, err, "Could not withdraw");
+  }
+});
+
+// Close a goal and pay what it holds back into the wallet
+app.delete("/savings/:id", requireAuth, requireGoalId, async (req, res) => {
+  try {
+    const { goal, paidOut, balance } = await closeGoal(req.username, parseId(req.params.id));
+    res.json({ message: `Closed "${goal.name}". ₦${paidOut.toLocaleString()} went back to your wallet.`, goal, balance });
+  } catch (err) {
+    sendSavingsError(res, err, "Could not close savings goal");
+  }
+});
+
+// --------- Scheduled Payment Routes ----------
+const requireScheduleId = requireId("Scheduled payment not found");
+
+const sendScheduleError = (res, err, fallback) => {
+  // A beneficiary that's gone, or an account or bill that no longer checks out
+  if (err instanceof ScheduleError || err instanceof BeneficiaryError || err instanceof PaymentError || err instanceof BillError) {
+    return res.status(err.code === "NOT_FOUND" ? 404 : 400).json({ message: err.message, code: err.code });
+  }
+  console.error(`${fallback}:`, err);
+  res.status(500).json({ message: `${fallback}. Please try again.` });
+};
+
+// The intent and filled slots for paying a saved beneficiary `amount`,
+// checked the way the chat checks them
+const beneficiaryPayment = async ({ id: beneficiaryId, kind, details }, amount) => {
+  if (kind === "user") return { intent: "transfer", slots: { recipient: details.username, amount, beneficiaryId } };
+  if (kind === "bank_account") {
+    const account = await resolveBankAccount({ accountNumber: details.accountNumber, bankCode: details.bankCode });
+    return { intent: "bank_transfer", slots: { account, recipient: `${account.accountName} (${account.bankName})`, amount, beneficiaryId } };
+  }
+  if (kind === "phone") return { intent: "airtime", slots: { phone: details.phone, network: details.network, amount, beneficiaryId } };
+  const { billerId, accountNumber, prepaid } = details;
+  const bill = await validateBill({ billerId, accountNumber, amount, prepaid });
+  return { intent: "bill_payment", slots: { biller: details, bill, amount, beneficiaryId } };
+};
+
+app.get("/schedules", requireAuth, async (req, res) => {
+  try {
+    const schedules = await listSchedules(req.username, { includeFinished: req.query.includeFinished === "true" });
+    res.json({ schedules });
+  } catch (err) {
+    sendScheduleError(res, err, "Could not fetch scheduled payments");
+  }
+});
+
+// Schedule a payment to a saved beneficiary: { beneficiaryId, amount, rule }
+// where rule is { frequency, weekday?, monthDay?, runOn? }. Above the PIN
+// threshold it waits on the PIN like paying now would.
+app.post("/schedules", requireAuth, async (req, res) => {
+  const { beneficiaryId, rule } = req.body;
+  const amount = Number(req.body.amount);
+  try {
+    if (!Number.isInteger(amount) || amount <= 0) {
+      throw new ScheduleError("INVALID_PAYMENT", "amount must be a whole naira amount above zero.", { field: "amount" });
+    }
+    const checked = checkRule(rule);
+    if (!nextRunAfter(checked, new Date())) {
+      throw new ScheduleError("INVALID_RULE", "That date has already passed.", { field: "runOn" });
+    }
+    const id = parseId(beneficiaryId);
+    if (!id) {
+      throw new ScheduleError("INVALID_PAYMENT", "beneficiaryId must be the id of a saved beneficiary.", { field: "beneficiaryId" });
+    }
+    const beneficiary = await getBeneficiary(req.username, id);
+    const { intent, slots } = await beneficiaryPayment(beneficiary, amount);
+    const scheduled = await scheduledPaymentFor(req.username, intent, slots, "english");
+    const { status, body } = await executeOrStepUp(req.username, "schedule_payment", { ...scheduled, rule: checked, startNow: false, lang: "english" });
+    res.status(status).json(body);
+  } catch (err) {
+    sendScheduleError(res, err, "Could not schedule payment");
+  }
+});
+
+app.get("/schedules/:id", requireAuth, requireScheduleId, async (req, res) => {
+  try {
+    res.json({ schedule: await getSchedule(req.username, parseId(req.params.id)) });
+  } catch (err) {
+    sendScheduleError(res, err, "Could not fetch scheduled payment");
+  }
+});
+
+// Pause or resume: { status: "paused" | "active" }
+app.put("/schedules/:id", requireAuth, requireScheduleId, async (req, res) => {
+  const id = parseId(req.params.id);
+  try {
+    if (req.body.status === "paused") {
+      const schedule = await pauseSchedule(req.username, id);
+      return res.json({ message: `Paused ${schedule.label}.`, schedule });
+    }
+    if (req.body.status === "active") {
+      const schedule = await resumeSchedule(req.username, id);
+      return res.json({ message: `${schedule.label} is back on. Next payment: ${scheduleDate(schedule.nextRunAt)}.`, schedule });
+    }
+    res.status(400).json({ message: 'status must be "paused" or "active"' });
+  } catch (err) {
+    sendScheduleError(res, err, "Could not update scheduled payment");
+  }
+});
+
+app.delete("/schedules/:id", requireAuth, requireScheduleId, async (req, res) => {
+  try {
+    const schedule = await cancelSchedule(req.username, parseId(req.params.id));
+    res.json({ message: `Cancelled ${schedule.label}.`, schedule });
+  } catch (err) {
+    sendScheduleError(res, err, "Could not cancel scheduled payment");
+  }
+});
+
+// --------- Payment Request Routes ----------
+const requireRequestId = requireId("Payment request not found");
+const requireSplitId = requireId("Split bill not found");
+
+const sendRequestError = (res, err, fallback) => {
+  if (err instanceof RequestError) {
+    return res.status(err.code === "NOT_FOUND" ? 404 : 400).json({ message: err.message, code: err.code });
+  }
+  if (isInsufficientFunds(err)) {
+    return res.status(400).json({ message: insufficientFundsMessage(err), code: err.code });
+  }
+  console.error(`${fallback}:`, err);
+  res.status(500).json({ message: `${fallback}. Please try again.` });
+};
+
+// { incoming, outgoing }: what others want from the user, and what the
+// user is waiting on
+app.get("/requests", requireAuth, async (req, res) => {
+  try {
+    res.json(await listRequests(req.username));
+  } catch (err) {
+    sendRequestError(res, err, "Could not fetch payment requests");
+  }
+});
+
+// { payer, amount, note? }
+app.post("/requests", requireAuth, async (req, res) => {
+  try {
+    const request = await createRequest(req.username, req.body);
+    res.json({ message: `Asked ${request.payer} for ₦${request.amount.toLocaleString()}.`, request });
+  } catch (err) {
+    sendRequestError(res, err, "Could not send payment request");
+  }
+});
+
+app.get("/requests/:id", requireAuth, requireRequestId, async (req, res) => {
+  try {
+    res.json({ request: await getRequest(req.username, parseId(req.params.id)) });
+  } catch (err) {
+    sendRequestError(res, err, "Could not fetch payment request");
+  }
+});
+
+// Pays the request as a transfer, behind the PIN above the threshold
+app.post("/requests/:id/pay", requireAuth, requireRequestId, async (req, res) => {
+  try {
+    const request = await payableRequest(req.username, parseId(req.params.id));
+    const payload = { recipient: request.requester, amount: request.amount, requestId: request.id, lang: "english" };
+    const { status, body } = await executeOrStepUp(req.username, "transfer", payload);
+    res.status(status).json(body);
+  } catch (err) {
+    sendRequestError(res, err, "Could not pay request");
+  }
+});
+
+app.post("/requests/:id/decline", requireAuth, requireRequestId, async (req, res) => {
+  try {
+    const request = await declineRequest(req.username, parseId(req.params.id));
+    res.json({ message: `Declined ${request.requester}'s request for ₦${request.amount.toLocaleString()}.`, request });
+  } catch (err) {
+    sendRequestError(res, err, "Could not decline request");
+  }
+});
+
+app.post("/requests/:id/remind", requireAuth, requireRequestId, async (req, res) => {
+  try {
+    const request = await remindRequest(req.username, parseId(req.params.id));
+    res.json({ message: `Reminded ${request.payer}.`, request });
+  } catch (err) {
+    sendRequestError(res, err, "Could not send reminder");
+  }
+});
+
+app.delete("/requests/:id", requireAuth, requireRequestId, async (req, res) => {
+  try {
+    const request = await cancelRequest(req.username, parseId(req.params.id));
+    res.json({ message: `Cancelled your request to ${request.payer}.`, request });
+  } catch (err) {
+    sendRequestError(res, err, "Could not cancel request");
+  }
+});
+
+// The user's open split bills; ?includeClosed=true for the finished ones too
+app.get("/splits", requireAuth, async (req, res) => {
+  try {
+    res.json({ splits: await listSplits(req.username, { includeClosed: req.query.includeClosed === "true" }) });
+  } catch (err) {
+    sendRequestError(res, err, "Could not fetch split bills");
+  }
+});
+
+// { title?, total, participants: [username] or [{ username, amount }], includeOwner? }
+app.post("/splits", requireAuth, async (req, res) => {
+  try {
+    const split = await createSplit(req.username, req.body);
+    res.json({ message: `Split ${split.title} with ${split.participants.map((p) => p.username).join(", ")}.`, split });
+  } catch (err) {
+    sendRequestError(res, err, "Could not split bill");
+  }
+});
+
+app.get("/splits/:id", requireAuth, requireSplitId, async (req, res) => {
+  try {
+    res.json({ split: await getSplit(req.username, parseId(req.params.id)) });
+  } catch (err) {
+    sendRequestError(res, err, "Could not fetch split bill");
+  }
+});
+
+// Reminds everyone who still owes
+app.post("/splits/:id/remind", requireAuth, requireSplitId, async (req, res) => {
+  try {
+    const { split, reminded } = await remindSplit(req.username, parseId(req.params.id));
+    res.json({ message: `Reminded ${reminded.map((r) => r.payer).join(", ")}.`, split });
+  } catch (err) {
+    sendRequestError(res, err, "Could not send reminders");
+  }
+});
+
+app.delete("/splits/:id", requireAuth, requireSplitId, async (req, res) => {
+  try {
+    const split = await cancelSplit(req.username, parseId(req.params.id));
+    res.json({ message: `Cancelled the ${split.title} split.`, split });
+  } catch (err) {
+    sendRequestError(res, err, "Could not cancel split bill");
+  }
+});
+
+// --------- Notification Routes ----------
+// The inbox, newest first: ?unread=true for unread only, ?before=<id> to
+// page back. Each notification comes worded in the user's language.
+app.get("/notifications", requireAuth, async (req, res) => {
+  try {
+    const lang = await preferredLanguage(req.username);
+    const { notifications, unread } = await listNotifications(req.username, {
+      unreadOnly: req.query.unread === "true",
+      limit: req.query.limit,
+      before: req.query.before
+    });
+    res.json({ notifications: notifications.map((n) => withMessage(n, lang)), unread, language: lang });
+  } catch (err) {
+    console.error("Notifications error:", err);
+    res.status(500).json({ message: "Could not fetch notifications" });
+  }
+});
+
+// Server-sent events for the open app: `unread` with the count on
+// connecting, then `notification` for each new one. The stream ends after
+// NOTIFICATION_STREAM_MS so the app reconnects with a current access token.
+const NOTIFICATION_STREAM_MS = parseInt(process.env.NOTIFICATION_STREAM_MS || '300000', 10);
+const NOTIFICATION_HEARTBEAT_MS = 25000;
+
+app.get("/notifications/stream", requireAuth, async (req, res) => {
+  const username = req.username;
+  const event = (name, data) => res.write(`event: ${name}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  res.set({ "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive" });
+  res.flushHeaders();
+
+  const unsubscribe = subscribeNotifications(username, async (notification) => {
+    try {
+      event("notification", withMessage(notification, await preferredLanguage(username)));
+    } catch (err) {
+      console.error("Notification stream error:", err);
+    }
+  });
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), NOTIFICATION_HEARTBEAT_MS);
+  const timeout = setTimeout(() => res.end(), NOTIFICATION_STREAM_MS);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    clearTimeout(timeout);
+    unsubscribe();
+  });
+
+  try {
+    event("unread", { unread: await countUnread(username) });
+  } catch (err) {
+    console.error("Notification stream error:", err);
+    res.end();
+  }
+});
+
+// { ids? }: marks those read, or the whole inbox without ids
+app.post("/notifications/read", requireAuth, async (req, res) => {
+  const { ids } = req.body || {};
+  if (ids !== undefined && !Array.isArray(ids)) {
+    return res.status(400).json({ message: "ids must be a list of notification ids" });
+  }
+  try {
+    const marked = await markNotificationsRead(req.username, ids || null);
+    res.json({ marked, unread: await countUnread(req.username) });
+  } catch (err) {
+    console.error("Mark notifications read error:", err);
+    res.status(500).json({ message: "Could not update notifications" });
+  }
+});
+
+app.get("/notifications/settings", requireAuth, async (req, res) => {
+  try {
+    res.json({ settings: await getNotificationSettings(req.username), languages: LANGUAGES });
+  } catch (err) {
+    console.error("Notification settings error:", err);
+    res.status(500).json({ message: "Could not fetch notification settings" });
+  }
+});
+
+// { language?, lowBalanceThreshold? }; language null follows the chat
+app.put("/notifications/settings", requireAuth, async (req, res) => {
+  try {
+    const settings = await updateNotificationSettings(req.username, req.body || {});
+    res.json({ message: "Notification settings saved.", settings });
+  } catch (err) {
+    if (err instanceof NotificationError) {
+      return res.status(400).json({ message: err.message, code: err.code });
+    }
+    console.error("Notification settings error:", err);
+    res.status(500).json({ message: "Could not save notification settings" });
+  }
+});
+
+// --------- Budget Routes ----------
+const budgetErrorStatus = (err) => (err.code === "NOT_FOUND" ? 404 : 400);
+
+// This month's spending per category, with any budgets
+app.get("/budgets", requireAuth, async (req, res) => {
+  try {
+    res.json(await getBudgetOverview(req.username));
+  } catch (err) {
+    console.error("Budget overview error:", err);
+    res.status(500).json({ message: "Could not fetch budgets" });
+  }
+});
+
+// Set or change a category's monthly budget: { limit }
+app.put("/budgets/:category", requireAuth, async (req, res) => {
+  try {
+    const budget = await setBudget(req.username, req.params.category, req.body.limit);
+    res.json({ message: `Your monthly ${budget.category.replace("_", " ")} budget is now ₦${budget.limit.toLocaleString()}.`, budget });
+  } catch (err) {
+    if (err instanceof BudgetError) {
+      return res.status(budgetErrorStatus(err)).json({ message: err.message, code: err.code });
+    }
+    console.error("Budget save error:", err);
+    res.status(500).json({ message: "Could not save budget" });
+  }
+});
+
+app.delete("/budgets/:category", requireAuth, async (req, res) => {
+  try {
+    const budget = await deleteBudget(req.username, req.params.category);
+    res.json({ message: `Removed your ${budget.category.replace("_", " ")} budget.`, budget });
+  } catch (err) {
+    if (err instanceof BudgetError) {
+      return res.status(budgetErrorStatus(err)).json({ message: err.message, code: err.code });
+    }
+    console.error("Budget delete error:", err);
+    res.status(500).json({ message: "Could not remove budget" });
+  }
+});
+
+// Spending per category for any month: ?month=2026-09 (default this month)
+app.get("/spending", requireAuth, async (req, res) => {
+  const match = String(req.query.month || "").match(/^(\d{4})-(\d{2})$/);
+  if (req.query.month && !match) {
+    return res.status(400).json({ message: "month must look like 2026-09" });
+  }
+  try {
+    const period = monthPeriod(match ? new Date(Number(match[1]), Number(match[2]) - 1, 1) : new Date());
+    res.json({ ...period, spending: await spendingByCategory(req.username, period) });
+  } catch (err) {
+    console.error("Spending error:", err);
+    res.status(500).json({ message: "Could not fetch spending" });
+  }
+});
+
+// The user's own category for a payment: { category }
+app.put("/transactions/:id/category", requireAuth, requireId("Transaction not found"), async (req, res) => {
+  try {
+    const transaction = await setTransactionCategory(req.username, parseId(req.params.id), req.body.category);
+    res.json({ message: "Category updated", transaction });
+  } catch (err) {
+    if (err instanceof BudgetError) {
+      return res.status(budgetErrorStatus(err)).json({ message: err.message, code: err.code });
+    }
+    console.error("Category update error:", err);
+    res.status(500).json({ message: "Could not update category" });
+  }
+});
+
+// --------- Statements ----------
+app.get("/statements", requireAuth, async (req, res) => {
+  try {
+    res.json({ statements: await listStatements(req.username) });
+  } catch (err) {
+    console.error("Statement list error:", err);
+    res.status(500).json({ message: "Could not fetch statements" });
+  }
+});
+
+// Issue a statement for { from, to }, both YYYY-MM-DD and both included
+app.post("/statements", requireAuth, async (req, res) => {
+  try {
+    const { from, to } = parseHistoryFilters({ from: req.body.from, to: req.body.to });
+    const statement = await createStatement(req.username, { from, to });
+    res.json({ message: `Statement ${statement.reference} for ${statement.period} is ready.`, statement });
+  } catch (err) {
+    if (err instanceof StatementError || err instanceof HistoryError) {
+      return res.status(400).json({ message: err.message, code: err.code });
+    }
+    console.error("Statement error:", err);
+    res.status(500).json({ message: "Could not create statement" });
+  }
+});
+
+// ?format=pdf (default) or csv
+app.get("/statements/:reference/download", requireAuth, async (req, res) => {
+  const format = req.query.format === "csv" ? "csv" : "pdf";
+  try {
+    const statement = await getStatement(req.username, req.params.reference);
+    res.attachment(`sara-statement-${statement.reference}.${format}`);
+    if (format === "csv") {
+      return res.type("text/csv; charset=utf-8").send(statementCsv(statement));
+    }
+    res.type("application/pdf").send(await statementPdf(statement));
+  } catch (err) {
+    if (err instanceof StatementError) {
+      return res.status(404).json({ message: err.message, code: err.code });
+    }
+    console.error("Statement download error:", err);
+    res.status(500).json({ message: "Could not download statement" });
+  }
+});
+
+// Public: a landlord or loan officer checks the reference printed on a
+// statement against what SARA issued
+app.get("/statements/verify/:reference", async (req, res) => {
+  try {
+    res.json(await verifyStatement(req.params.reference));
+  } catch (err) {
+    if (err instanceof StatementError) {
+      return res.status(404).json({ valid: false, message: err.message });
+    }
+    console.error("Statement verify error:", err);
+    res.status(500).json({ message: "Could not verify statement" });
+  }
+});
+
+// --------- Bill Scanner ----------
+// OCR the photo and pull out the payment details. Fields the parser isn't
+// sure about are listed in needsConfirmation for the app to highlight.
+app.post("/scan-bill", requireAuth, async (req, res) => {
+  const { imageData } = req.body;
+  
+  if (!imageData) {
+    return res.status(400).json({ message: "Missing required fields" });
+  }
+
+  try {
+    const { billData, fields, needsConfirmation, ocr } = await scanBill(imageData);
+
+    if (!billData.provider && !billData.amount) {
+      return res.status(400).json({
+        message: "I couldn't find any bill details in that photo. Try again with the whole bill in view and good light."
       });
     }
 
-    // Buy airtime
-    if (/airtime|recharge|top.?up|buy.*airtime/i.test(lowerText)) {
-      const match = lowerText.match(/(\d+)/);
-      const amount = match ? parseInt(match[0]) : 0;
-      
-      if (!amount || amount <= 0) {
-        return res.status(400).json({ 
-          message: "Please specify amount. Example: 'buy 100 airtime'"
-        });
-      }
-      
-      if (user.balance < amount) {
-        const message = translations.insufficientFunds[detectedLang](user.balance, amount);
-        return res.status(400).json({ message: message });
-      }
+    const name = billData.provider ? `${billData.provider} bill` : "bill";
+    const amount = billData.amount ? ` Amount: ₦${billData.amount.toLocaleString()}.` : "";
+    const check = needsConfirmation.length > 0 ? " Please check the highlighted details before you pay." : "";
+    // Only a date we're sure we read is worth a reminder
+    const tracked = needsConfirmation.includes("dueDate") ? null : await trackBillDueDate(req.username, billData);
+    const due = tracked ? ` It's due on ${dueDay(tracked.dueDate)}; I'll remind you before then.` : "";
+    const message = `I've scanned your ${name}!${amount}${due}${check}`;
+
+    res.json({
+      success: true,
+      billData,
+      fields,
+      needsConfirmation,
+      ocr,
+      message,
+      speak: speakable(message)
+    });
+  } catch (err) {
+    if (err instanceof OcrError) {
+      return res.status(400).json({ message: err.message, code: err.code });
+    }
+    console.error("Bill scan error:", err);
+    res.status(500).json({ message: "Could not scan bill" });
+  }
+});
+
+// Bill payments only go through for a registry biller and a customer the
+// biller recognises; the client's provider name and amount are re-checked
+app.post("/pay-bill", requireAuth, async (req, res) => {
+  const { billData } = req.body;
+  const username = req.username;
 
-      const newBal = user.balance - amount;
-      
-      await pool.query("UPDATE users SET balance=$1 WHERE username=$2", [newBal, username]);
-      await pool.query(
-        "INSERT INTO transactions (username, type, amount, to_user) VALUES ($1, $2, $3, $4)",
-        [username, "Airtime", amount, "Self"]
-      );
+  if (!billData) {
+    return res.status(400).json({ message: "Missing required fields" });
+  }
 
-      const message = translations.airtimeSuccess[detectedLang](amount, newBal);
-      const cleanMessage = removeAccents(message);
-      
-      return res.json({ 
-        message: message,
-        balance: newBal,
-        speak: cleanMessage.replace(/₦/g, 'Naira ')
-      });
+  try {
+    const bill = await validateBill(billData);
+    const { status, body } = await executeOrStepUp(username, "bill_payment", {
+      bill,
+      amount: bill.total,
+      lang: "english"
+    });
+    res.status(status).json(body);
+  } catch (err) {
+    if (err instanceof BillError) {
+      return res.status(400).json({ message: err.message, code: err.code });
     }
+    if (isInsufficientFunds(err)) {
+      return res.status(400).json({ message: insufficientFundsMessage(err) });
+    }
+    console.error("Bill payment error:", err);
+    res.status(500).json({ message: "Payment failed" });
+  }
+});
 
-    // Transfer money
-    if (/transfer|send|pay|fi.*owo|zigara|tura/i.test(lowerText)) {
-      const match = lowerText.match(/(\d+)/);
-      const amount = match ? parseInt(match[0]) : 0;
-      const recipientMatch = lowerText.match(/to (\w+)|give (\w+)|si (\w+)|nye (\w+)|ga (\w+)/i);
-      const recipient = recipientMatch ? (recipientMatch[1] || recipientMatch[2] || recipientMatch[3] || recipientMatch[4] || recipientMatch[5]) : null;
-
-      if (!recipient) {
-        return res.status(400).json({ 
-          message: "Who do you want to send money to? Example: 'send 1000 to john'"
-        });
-      }
-      
-      if (!amount || amount <= 0) {
-        return res.status(400).json({ 
-          message: "Please specify the amount to send."
-        });
-      }
-      
-      if (user.balance < amount) {
-        const message = translations.insufficientFunds[detectedLang](user.balance, amount);
-        return res.status(400).json({ message: message });
-      }
-
-      const recResult = await pool.query("SELECT * FROM users WHERE username=$1", [recipient]);
-      
-      if (recResult.rows.length === 0) {
-        return res.status(400).json({ 
-          message: `User '${recipient}' not found. Check the username.`
-        });
-      }
+// --------- Billers ----------
+app.get("/billers", requireAuth, (req, res) => {
+  res.json({ billers: listBillers() });
+});
 
-      const recUser = recResult.rows[0];
-      const newSenderBal = user.balance - amount;
-      const newRecipientBal = recUser.balance + amount;
+// Check the account with the biller before paying: who it belongs to and
+// what the payment will cost with the fee
+app.post("/billers/validate", requireAuth, async (req, res) => {
+  try {
+    const bill = await validateBill(req.body);
+    res.json({
+      message: `${bill.billerName} account ${bill.accountNumber} belongs to ${bill.customerName}.`,
+      bill
+    });
+  } catch (err) {
+    if (err instanceof BillError) {
+      return res.status(400).json({ message: err.message, code: err.code });
+    }
+    console.error("Bill validation error:", err);
+    res.status(500).json({ message: "Could not check the account" });
+  }
+});
 
-      await pool.query("UPDATE users SET balance=$1 WHERE username=$2", [newSenderBal, username]);
-      await pool.query("UPDATE users SET balance=$1 WHERE username=$2", [newRecipientBal, recipient]);
-      
-      await pool.query(
-        "INSERT INTO transactions (username, type, amount, to_user) VALUES ($1, $2, $3, $4)",
-        [username, "Transfer", amount, recipient]
-      );
-      
-      await pool.query(
-        "INSERT INTO transactions (username, type, amount, to_user) VALUES ($1, $2, $3, $4)",
-        [recipient, "Received", amount, username]
-      );
+app.get("/electricity/last-token", requireAuth, async (req, res) => {
+  try {
+    res.json(await lastTokenReply(req.username, "english"));
+  } catch (err) {
+    console.error("Last token error:", err);
+    res.status(500).json({ message: "Could not fetch your token" });
+  }
+});
 
-      const message = translations.transferSuccess[detectedLang](amount, recipient, newSenderBal);
-      const cleanMessage = removeAccents(message);
-      
-      return res.json({
-        message: message,
-        balance: newSenderBal,
-        speak: cleanMessage.replace(/₦/g, 'Naira ')
-      });
+app.get("/bill-payments/:reference", requireAuth, async (req, res) => {
+  try {
+    const receipt = await getBillReceipt(req.username, req.params.reference);
+    if (!receipt) {
+      return res.status(404).json({ message: "Receipt not found" });
     }
+    res.json({ receipt });
+  } catch (err) {
+    console.error("Receipt error:", err);
+    res.status(500).json({ message: "Could not fetch receipt" });
+  }
+});
 
-    // AI Financial Advice
-    if (/advice|tip|invest|investment|save|saving|budget|plan|suggest|recommendation|recommend|help.*money|guide|what.*should|how.*can|wetin.*fit|what.*make|how.*take/i.test(lowerText) && 
-        !/balance|airtime|transfer|send|pay/i.test(lowerText)) {
-      
-      console.log(`AI Advice request - Language: ${detectedLang}`);
-      
-      const historyResult = await pool.query(
-        "SELECT type, amount FROM transactions WHERE username=$1 ORDER BY date DESC LIMIT 5",
-        [username]
-      );
-      
-      const userContext = `
-User: ${username}
-Balance: ₦${user.balance.toLocaleString()}
-Recent transactions: ${historyResult.rows.map(t => `${t.type} ₦${t.amount}`).join(', ') || 'No recent transactions'}
-Language preference: ${detectedLang}
-      `.trim();
+// --------- Bank Transfers ----------
+app.get("/banks", requireAuth, (req, res) => {
+  res.json({ banks: listBanks() });
+});
 
-      const aiResponse = await getGeminiAdvice(text, userContext, detectedLang);
-      const cleanResponse = removeAccents(aiResponse);
-      
-      return res.json({
-        message: aiResponse,
-        balance: user.balance,
-        speak: cleanResponse.substring(0, 250),
-        isAiAdvice: true,
-        language: detectedLang
-      });
+app.post("/bank-accounts/resolve", requireAuth, async (req, res) => {
+  try {
+    const account = await resolveBankAccount(req.body);
+    res.json({ account });
+  } catch (err) {
+    if (err instanceof PaymentError) {
+      return res.status(400).json({ message: err.message, code: err.code });
     }
+    console.error("Name enquiry error:", err);
+    res.status(500).json({ message: "Could not check the account" });
+  }
+});
 
-    // Default response
-    return res.json({ 
-      message: "I can help with: checking balance, buying airtime, transferring money, or giving financial advice. What do you need?"
+app.post("/transfers/bank", requireAuth, async (req, res) => {
+  const { accountNumber, bankCode, bank, amount } = req.body;
+  const value = parseInt(amount, 10);
+  if (!Number.isInteger(value) || value <= 0) {
+    return res.status(400).json({ message: "Enter an amount to send" });
+  }
+
+  try {
+    const account = await resolveBankAccount({ accountNumber, bankCode, bank });
+    const { status, body } = await executeOrStepUp(req.username, "bank_transfer", {
+      account,
+      recipient: `${account.accountName} (${account.bankName})`,
+      amount: value,
+      lang: "english"
     });
-    
+    res.status(status).json(body);
   } catch (err) {
-    console.error("Action error:", err);
-    res.status(500).json({ message: "Server error. Please try again." });
+    if (err instanceof PaymentError) {
+      return res.status(400).json({ message: err.message, code: err.code });
+    }
+    if (isInsufficientFunds(err)) {
+      return res.status(400).json({ message: insufficientFundsMessage(err) });
+    }
+    console.error("Bank transfer error:", err);
+    res.status(500).json({ message: "Transfer failed" });
   }
 });
 
-// --------- Transaction History ----------
-app.get("/history/:username", async (req, res) => {
-  const { username } = req.params;
-  
+// --------- Airtime & Data ----------
+// The line a purchase is for: the number given, else the user's own.
+// Resolves to { phone, network } or null when there is no number to use.
+const lineFor = async (username, { phone, network }) => {
+  let number = phone ? normalizePhone(phone) : null;
+  if (!phone) {
+    const result = await pool.query("SELECT phone FROM users WHERE username=$1", [username]);
+    number = result.rows[0]?.phone || null;
+  }
+  if (!number) return null;
+  return { phone: number, network: findNetworkInText(network) || detectNetwork(number) };
+};
+
+app.post("/phone", requireAuth, async (req, res) => {
+  const phone = normalizePhone(req.body.phone);
+  if (!phone) {
+    return res.status(400).json({ message: "Enter a valid Nigerian phone number, e.g. 0803 123 4567" });
+  }
   try {
-    const result = await pool.query(
-      "SELECT * FROM transactions WHERE username=$1 ORDER BY date DESC LIMIT 20",
-      [username]
-    );
-    res.json({ transactions: result.rows });
+    await pool.query("UPDATE users SET phone=$1 WHERE username=$2", [phone, req.username]);
+    res.json({ phone, display: formatPhone(phone), network: detectNetwork(phone) });
   } catch (err) {
-    res.status(500).json({ message: "Could not fetch history" });
+    console.error("Phone update error:", err);
+    res.status(500).json({ message: "Could not save your phone number" });
   }
 });
 
-// --------- Bill Scanner ----------
-app.post("/scan-bill", (req, res) => {
-  const { username, imageData, billType } = req.body;
-  
-  if (!username || !imageData) {
-    return res.status(400).json({ message: "Missing required fields" });
+// ?network=glo, or ?phone=08051234567 to go by the number
+app.get("/data-plans", requireAuth, (req, res) => {
+  const network = req.query.network
+    ? findNetworkInText(req.query.network)
+    : detectNetwork(normalizePhone(req.query.phone));
+  if ((req.query.network || req.query.phone) && !network) {
+    return res.status(400).json({ message: "Unknown network" });
+  }
+  res.json({ network, plans: listDataPlans(network) });
+});
+
+app.post("/airtime", requireAuth, async (req, res) => {
+  const value = parseInt(req.body.amount, 10);
+  if (!Number.isInteger(value) || value <= 0) {
+    return res.status(400).json({ message: "Enter an amount of airtime" });
   }
 
-  const mockBills = {
-    electricity: {
-      provider: "EKEDC",
-      accountNumber: "1234567890",
-      customerName: username,
-      amount: Math.floor(Math.random() * 5000) + 2000,
-      dueDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(),
-      billPeriod: "December 2024",
-      meterNumber: "45678901234"
-    },
-    water: {
-      provider: "Lagos Water Corp",
-      accountNumber: "WTR" + Math.floor(Math.random() * 1000000),
-      customerName: username,
-      amount: Math.floor(Math.random() * 3000) + 1000,
-      dueDate: new Date(Date.now() + 5 * 24 * 60 * 60 * 1000).toISOString(),
-      billPeriod: "December 2024"
+  try {
+    const line = await lineFor(req.username, req.body);
+    if (!line) {
+      return res.status(400).json({ message: "Enter a valid Nigerian phone number, e.g. 0803 123 4567" });
     }
-  };
+    if (!line.network) {
+      return res.status(400).json({ message: "Which network is this number on?", code: "NETWORK_REQUIRED" });
+    }
+    const { status, body } = await executeOrStepUp(req.username, "airtime", { ...line, amount: value, lang: "english" });
+    res.status(status).json(body);
+  } catch (err) {
+    if (err instanceof PaymentError) {
+      return res.status(400).json({ message: err.message, code: err.code });
+    }
+    if (isInsufficientFunds(err)) {
+      return res.status(400).json({ message: insufficientFundsMessage(err) });
+    }
+    console.error("Airtime error:", err);
+    res.status(500).json({ message: "Airtime purchase failed" });
+  }
+});
 
-  const type = billType || "electricity";
-  const billData = mockBills[type] || mockBills.electricity;
+app.post("/data", requireAuth, async (req, res) => {
+  const plan = findDataPlan(req.body.plan);
+  if (!plan) {
+    return res.status(400).json({ message: "Choose a data plan" });
+  }
 
-  res.json({
-    success: true,
-    billData: billData,
-    message: `I've scanned your ${type} bill! Amount: ₦${billData.amount.toLocaleString()}`,
-    speak: `I've scanned your ${type} bill! The amount is ${billData.amount} Naira.`
-  });
+  try {
+    // The plan's network wins, so a ported number can still buy it
+    const line = await lineFor(req.username, { phone: req.body.phone, network: plan.network });
+    if (!line) {
+      return res.status(400).json({ message: "Enter a valid Nigerian phone number, e.g. 0803 123 4567" });
+    }
+    const { status, body } = await executeOrStepUp(req.username, "data", { ...line, plan, amount: plan.price, lang: "english" });
+    res.status(status).json(body);
+  } catch (err) {
+    if (err instanceof PaymentError) {
+      return res.status(400).json({ message: err.message, code: err.code });
+    }
+    if (isInsufficientFunds(err)) {
+      return res.status(400).json({ message: insufficientFundsMessage(err) });
+    }
+    console.error("Data purchase error:", err);
+    res.status(500).json({ message: "Data purchase failed" });
+  }
 });
 
-app.post("/pay-bill", async (req, res) => {
-  const { username, billData } = req.body;
+// --------- Beneficiary Routes ----------
+const requireBeneficiaryId = requireId("Beneficiary not found");
 
-  if (!username || !billData) {
-    return res.status(400).json({ message: "Missing required fields" });
+const beneficiaryErrorStatus = (err) => {
+  if (err.code === "NOT_FOUND") return 404;
+  if (err.code === "NICKNAME_TAKEN") return 409;
+  return 400;
+};
+
+// ?kind=bank_account to list one kind only
+app.get("/beneficiaries", requireAuth, async (req, res) => {
+  try {
+    const kinds = req.query.kind ? [req.query.kind] : undefined;
+    res.json({ beneficiaries: await listBeneficiaries(req.username, { kinds }) });
+  } catch (err) {
+    console.error("Beneficiary list error:", err);
+    res.status(500).json({ message: "Could not fetch beneficiaries" });
   }
+});
 
+app.post("/beneficiaries", requireAuth, async (req, res) => {
   try {
-    const result = await pool.query("SELECT * FROM users WHERE username=$1", [username]);
-    
-    if (result.rows.length === 0) {
-      return res.status(400).json({ message: "User not found" });
+    const beneficiary = await saveBeneficiary(req.username, req.body);
+    res.json({ message: `Saved "${beneficiary.nickname}": ${beneficiary.label}`, beneficiary });
+  } catch (err) {
+    if (err instanceof BeneficiaryError || err instanceof PaymentError) {
+      return res.status(err instanceof BeneficiaryError ? beneficiaryErrorStatus(err) : 400).json({ message: err.message, code: err.code });
     }
-    
-    const user = result.rows[0];
-    const amount = billData.amount;
+    console.error("Beneficiary save error:", err);
+    res.status(500).json({ message: "Could not save beneficiary" });
+  }
+});
 
-    if (user.balance < amount) {
-      return res.status(400).json({
-        message: `You need ₦${amount.toLocaleString()} but only have ₦${user.balance.toLocaleString()}.`
-      });
+app.put("/beneficiaries/:id", requireAuth, requireBeneficiaryId, async (req, res) => {
+  try {
+    const beneficiary = await updateBeneficiary(req.username, parseId(req.params.id), req.body);
+    res.json({ message: `Updated "${beneficiary.nickname}": ${beneficiary.label}`, beneficiary });
+  } catch (err) {
+    if (err instanceof BeneficiaryError || err instanceof PaymentError) {
+      return res.status(err instanceof BeneficiaryError ? beneficiaryErrorStatus(err) : 400).json({ message: err.message, code: err.code });
     }
+    console.error("Beneficiary update error:", err);
+    res.status(500).json({ message: "Could not update beneficiary" });
+  }
+});
 
-    const newBalance = user.balance - amount;
+app.delete("/beneficiaries/:id", requireAuth, requireBeneficiaryId, async (req, res) => {
+  try {
+    const beneficiary = await deleteBeneficiary(req.username, parseId(req.params.id));
+    res.json({ message: `Removed "${beneficiary.nickname}"`, beneficiary });
+  } catch (err) {
+    if (err instanceof BeneficiaryError) {
+      return res.status(beneficiaryErrorStatus(err)).json({ message: err.message, code: err.code });
+    }
+    console.error("Beneficiary delete error:", err);
+    res.status(500).json({ message: "Could not remove beneficiary" });
+  }
+});
 
-    await pool.query("UPDATE users SET balance=$1 WHERE username=$2", [newBalance, username]);
-    await pool.query(
-      "INSERT INTO transactions (username, type, amount, to_user) VALUES ($1, $2, $3, $4)",
-      [username, "Bill Payment", amount, `${billData.provider} - ${billData.accountNumber}`]
+app.get("/transactions/:reference", requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      "SELECT * FROM transactions WHERE reference=$1 AND username=$2",
+      [req.params.reference, req.username]
     );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: "Transaction not found" });
+    }
+    res.json({ transaction: result.rows[0] });
+  } catch (err) {
+    console.error("Transaction lookup error:", err);
+    res.status(500).json({ message: "Could not fetch transaction" });
+  }
+});
 
-    res.json({
-      message: `Perfect! Your ${billData.provider} bill of ₦${amount.toLocaleString()} has been paid. New balance: ₦${newBalance.toLocaleString()}.`,
-      balance: newBalance,
-      receiptNumber: "RCP" + Date.now()
-    });
+// --------- Provider Webhooks ----------
+// Called by the payment provider, not the app: no session, but every
+// request must carry the provider's signature
+app.post("/webhooks/payments/:provider", async (req, res) => {
+  try {
+    const event = await handlePaymentWebhook(req.params.provider, req.headers, req.rawBody);
+    if (event) {
+      console.log(`Payment webhook (${req.params.provider}): ${event.reference} -> ${event.status}${event.changed ? "" : " (already settled)"}`);
+    }
+    res.json({ received: true });
   } catch (err) {
-    res.status(500).json({ message: "Payment failed" });
+    if (err instanceof PaymentError) {
+      const status = err.code === "UNKNOWN_PROVIDER" ? 404 : 401;
+      return res.status(status).json({ message: err.message, code: err.code });
+    }
+    console.error("Payment webhook error:", err);
+    res.status(500).json({ message: "Could not process webhook" });
   }
 });
 
 // --------- Esusu Endpoints ----------
-app.post("/esusu/create", async (req, res) => {
-  const { username, groupName, amountPerPerson, frequency, totalMembers } = req.body;
+app.post("/esusu/create", requireAuth, async (req, res) => {
+  const {
+    groupName,
+    amountPerPerson,
+    frequency,
+    totalMembers,
+    autoContribute,
+    graceDays = 0,
+    lateFee = 0,
+    defaultAction = "keep",
+    coverShortfall = false,
+    requiresApproval = false
+  } = req.body;
+  const username = req.username;
   
-  if (!username || !groupName || !amountPerPerson || !frequency || !totalMembers) {
+  if (!groupName || !amountPerPerson || !frequency || !totalMembers) {
     return res.status(400).json({ message: "All fields required" });
   }
+
+  const amount = Number(amountPerPerson);
+  const members = Number(totalMembers);
+  if (!Number.isInteger(amount) || amount <= 0) {
+    return res.status(400).json({ message: "Amount per person must be a whole naira amount above zero." });
+  }
+  if (!Number.isInteger(members) || members < 2) {
+    return res.status(400).json({ message: "A group needs at least 2 members." });
+  }
+
+  const schedule = normalizeFrequency(frequency);
+  if (!schedule) {
+    return res.status(400).json({ message: "Frequency must be daily, weekly, bi-weekly or monthly." });
+  }
+
+  const grace = parseInt(graceDays, 10);
+  const fee = parseInt(lateFee, 10);
+  if (!Number.isInteger(grace) || grace < 0 || grace > 30) {
+    return res.status(400).json({ message: "Grace period must be between 0 and 30 days." });
+  }
+  if (!Number.isInteger(fee) || fee < 0) {
+    return res.status(400).json({ message: "Late fee can't be negative." });
+  }
+  if (!DEFAULT_ACTIONS.includes(defaultAction)) {
+    return res.status(400).json({ message: `Default action must be one of: ${DEFAULT_ACTIONS.join(", ")}.` });
+  }
   
   try {
-    const result = await pool.query(
-      "INSERT INTO esusu_groups (group_name, amount_per_person, frequency, total_members, created_by) VALUES ($1, $2, $3, $4, $5) RETURNING id",
-      [groupName, amountPerPerson, frequency, totalMembers, username]
-    );
-    
-    const groupId = result.rows[0].id;
-    
-    await pool.query(
-      "INSERT INTO esusu_members (group_id, username, position) VALUES ($1, $2, $3)",
-      [groupId, username, 1]
-    );
+    // The creator is member 1; a group is never left without them
+    const group = await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO esusu_groups
+           (group_name, amount_per_person, frequency, total_members, created_by, grace_days, late_fee, default_action,
+            cover_shortfall, admin, invite_code, requires_approval)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $5, $10, $11) RETURNING id, invite_code`,
+        [groupName, amount, schedule, members, username, grace, fee, defaultAction,
+          Boolean(coverShortfall), newInviteCode(), Boolean(requiresApproval)]
+      );
+      await client.query(
+        "INSERT INTO esusu_members (group_id, username, position, auto_contribute) VALUES ($1, $2, $3, $4)",
+        [result.rows[0].id, username, 1, Boolean(autoContribute)]
+      );
+      return result.rows[0];
+    });
 
     res.json({ 
-      message: `Great! Your esusu group "${groupName}" has been created!`,
-      groupId: groupId
+      message: `Great! Your esusu group "${groupName}" has been created! Share invite code ${group.invite_code} with your members.`,
+      groupId: group.id,
+      inviteCode: group.invite_code
     });
   } catch (err) {
-    res.status(400).json({ message: "Group name already exists" });
+    // group_name is unique
+    if (err.code === "23505") {
+      return res.status(400).json({ message: "Group name already exists" });
+    }
+    console.error("Esusu create error:", err);
+    res.status(500).json({ message: "Could not create group" });
   }
 });
 
-app.post("/esusu/join", async (req, res) => {
-  const { username, groupName } = req.body;
-
-  try {
-    const groupResult = await pool.query("SELECT * FROM esusu_groups WHERE group_name=$1", [groupName]);
-    
-    if (groupResult.rows.length === 0) {
-      return res.status(400).json({ message: `Group "${groupName}" not found.` });
-    }
+// Joining needs the group's invite code; groups that require approval
+// queue the request for the admin instead
+app.post("/esusu/join", requireAuth, async (req, res) => {
+  const { inviteCode, autoContribute } = req.body;
 
-    const group = groupResult.rows[0];
+  if (!inviteCode) {
+    return res.status(400).json({ message: "Enter the invite code from the group admin." });
+  }
 
-    const existingResult = await pool.query(
-      "SELECT * FROM esusu_members WHERE group_id=$1 AND username=$2", 
-      [group.id, username]
-    );
-    
-    if (existingResult.rows.length > 0) {
-      return res.status(400).json({ message: "You're already in this group!" });
-    }
+  try {
+    const result = await joinGroup(req.username, inviteCode, { autoContribute });
+    const { group_name: groupName } = result.group;
 
-    const membersResult = await pool.query("SELECT * FROM esusu_members WHERE group_id=$1", [group.id]);
-    
-    if (membersResult.rows.length >= group.total_members) {
-      return res.status(400).json({ message: "Sorry, this group is full!" });
+    if (result.status === "pending") {
+      return res.json({
+        message: `Request sent! The admin of "${groupName}" needs to approve you.`,
+        status: result.status
+      });
     }
 
-    const position = membersResult.rows.length + 1;
-    
-    await pool.query(
-      "INSERT INTO esusu_members (group_id, username, position) VALUES ($1, $2, $3)",
-      [group.id, username, position]
-    );
-
     res.json({ 
-      message: `Welcome to "${groupName}"! You're member #${position}.`
+      message: result.started
+        ? `Welcome to "${groupName}"! You're member #${result.position}. The group is full, so cycle 1 starts now.`
+        : `Welcome to "${groupName}"! You're member #${result.position}.`,
+      status: result.status
     });
   } catch (err) {
+    if (err instanceof EsusuError) {
+      return res.status(400).json({ message: err.message, code: err.code });
+    }
     res.status(500).json({ message: "Could not join group" });
   }
 });
 
-app.post("/esusu/contribute", async (req, res) => {
-  const { username, groupName } = req.body;
+app.post("/esusu/contribute", requireAuth, async (req, res) => {
+  const { groupName } = req.body;
+  const username = req.username;
 
   try {
-    const userResult = await pool.query("SELECT * FROM users WHERE username=$1", [username]);
-    const groupResult = await pool.query("SELECT * FROM esusu_groups WHERE group_name=$1", [groupName]);
+    const group = await findGroupByName(groupName);
     
-    if (userResult.rows.length === 0 || groupResult.rows.length === 0) {
+    if (!group) {
       return res.status(400).json({ message: "User or group not found" });
     }
-    
-    const user = userResult.rows[0];
-    const group = groupResult.rows[0];
 
-    const memberResult = await pool.query(
-      "SELECT * FROM esusu_members WHERE group_id=$1 AND username=$2", 
-      [group.id, username]
-    );
-    
-    if (memberResult.rows.length === 0) {
+    if (!(await getMembership(group.id, username))) {
       return res.status(400).json({ message: "You're not a member of this group!" });
     }
 
-    if (user.balance < group.amount_per_person) {
-      return res.status(400).json({ 
-        message: `You need ₦${group.amount_per_person.toLocaleString()} but only have ₦${user.balance.toLocaleString()}.`
-      });
-    }
-
-    const newBalance = user.balance - group.amount_per_person;
-
-    await pool.query("UPDATE users SET balance=$1 WHERE username=$2", [newBalance, username]);
-    
-    await pool.query(
-      "INSERT INTO esusu_contributions (group_id, username, amount, cycle_number) VALUES ($1, $2, $3, $4)",
-      [group.id, username, group.amount_per_person, 1]
-    );
-
-    await pool.query(
-      "INSERT INTO transactions (username, type, amount, to_user) VALUES ($1, $2, $3, $4)",
-      [username, "Esusu Contribution", group.amount_per_person, groupName]
-    );
+    const result = await contributeToGroup(username, group);
+    const message = esusuContributionMessage(group, result, "english");
 
     res.json({ 
-      message: `Perfect! You've contributed ₦${group.amount_per_person.toLocaleString()} to "${groupName}".`,
-      balance: newBalance
+      message,
+      speak: speakable(message),
+      ...result
     });
   } catch (err) {
+    if (err instanceof EsusuError) {
+      return res.status(400).json({ message: err.message, code: err.code });
+    }
+    if (isInsufficientFunds(err)) {
+      return res.status(400).json({ message: insufficientFundsMessage(err) });
+    }
     res.status(500).json({ message: "Contribution failed" });
   }
 });
 
-app.get("/esusu/my-groups/:username", async (req, res) => {
+app.get("/esusu/my-groups/:username", requireAuth, requireSelf, async (req, res) => {
   const { username } = req.params;
   
   try {
-    const result = await pool.query(
-      `SELECT g.*, m.position, m.has_collected 
-       FROM esusu_groups g 
-       JOIN esusu_members m ON g.id = m.group_id 
-       WHERE m.username=$1`,
-      [username]
-    );
-    res.json({ groups: result.rows });
+    const groups = await getUserGroups(username);
+    res.json({ groups });
   } catch (err) {
     res.status(500).json({ message: "Could not fetch groups" });
   }
 });
 
+// Opt in or out of automatic debits on each cycle's opening day
+app.post("/esusu/auto-contribute", requireAuth, async (req, res) => {
+  const { groupName, enabled } = req.body;
+
+  try {
+    const group = await findGroupByName(groupName);
+    if (!group || !(await getMembership(group.id, req.username))) {
+      return res.status(400).json({ message: "You're not a member of this group!" });
+    }
+
+    await setAutoContribute(group.id, req.username, enabled);
+    res.json({
+      message: enabled
+        ? `Auto-contribute is on. I'll pay ₦${group.amount_per_person.toLocaleString()} into "${groupName}" when each cycle opens.`
+        : `Auto-contribute is off for "${groupName}".`,
+      autoContribute: Boolean(enabled)
+    });
+  } catch (err) {
+    console.error("Auto-contribute error:", err);
+    res.status(500).json({ message: "Could not update auto-contribute" });
+  }
+});
+
+// Rotation progress for one group: current cycle, who has paid, who collects next
+app.get("/esusu/:groupId/status", requireAuth, async (req, res) => {
+  try {
+    const groupId = parseId(req.params.groupId);
+    const group = groupId ? await findGroupById(groupId) : null;
+    if (!group || !(await getMembership(group.id, req.username))) {
+      return res.status(404).json({ message: "Group not found" });
+    }
+
+    res.json(await getGroupStatus(group, req.username));
+  } catch (err) {
+    console.error("Esusu status error:", err);
+    res.status(500).json({ message: "Could not fetch group" });
+  }
+});
+
+app.get("/esusu/:groupId/cycles", requireAuth, async (req, res) => {
+  try {
+    const groupId = parseId(req.params.groupId);
+    const group = groupId ? await findGroupById(groupId) : null;
+    if (!group || !(await getMembership(group.id, req.username))) {
+      return res.status(404).json({ message: "Group not found" });
+    }
+
+    res.json({ cycles: await getCycleHistory(group.id) });
+  } catch (err) {
+    console.error("Esusu cycles error:", err);
+    res.status(500).json({ message: "Could not fetch cycles" });
+  }
+});
+
+// --------- Esusu Admin Endpoints ----------
+// Every admin route answers with a message for the chat; esusu.js checks the
+// caller is the admin and that the rotation still allows the change
+const esusuAdminRoute = (handler) => async (req, res) => {
+  try {
+    const groupId = parseId(req.params.groupId);
+    const group = groupId ? await findGroupById(groupId) : null;
+    if (!group || !(await getMembership(group.id, req.username))) {
+      return res.status(404).json({ message: "Group not found" });
+    }
+    res.json(await handler(req, group));
+  } catch (err) {
+    if (err instanceof EsusuError) {
+      return res.status(400).json({ message: err.message, code: err.code });
+    }
+    console.error("Esusu admin error:", err);
+    res.status(500).json({ message: "Could not update group" });
+  }
+};
+
+app.post("/esusu/:groupId/invite/regenerate", requireAuth, esusuAdminRoute(async (req, group) => {
+  const inviteCode = await regenerateInviteCode(group.id, req.username);
+  return { message: `New invite code for "${group.group_name}": ${inviteCode}. The old one no longer works.`, inviteCode };
+}));
+
+app.post("/esusu/:groupId/approval", requireAuth, esusuAdminRoute(async (req, group) => {
+  const required = Boolean(req.body.required);
+  await setRequiresApproval(group.id, req.username, required);
+  return {
+    message: required
+      ? `New members of "${group.group_name}" now need your approval.`
+      : `Anyone with the invite code can now join "${group.group_name}".`,
+    requiresApproval: required
+  };
+}));
+
+app.post("/esusu/:groupId/requests/:requestId/:decision(approve|reject)", requireAuth, esusuAdminRoute(async (req, group) => {
+  const approve = req.params.decision === "approve";
+  const requestId = parseId(req.params.requestId);
+  if (!requestId) {
+    throw new EsusuError("NOT_FOUND", "That join request doesn't exist.");
+  }
+  const result = await decideJoinRequest(group.id, req.username, requestId, approve);
+  return {
+    message: approve
+      ? `${result.username} is now a member of "${group.group_name}".`
+      : `You declined ${result.username}'s request to join "${group.group_name}".`,
+    ...result
+  };
+}));
+
+app.delete("/esusu/:groupId/members/:username", requireAuth, esusuAdminRoute(async (req, group) => {
+  await removeMember(group.id, req.username, req.params.username);
+  return { message: `${req.params.username} has been removed from "${group.group_name}".` };
+}));
+
+// Body: { order: [usernames] } for a manual order, or { random: true }
+app.post("/esusu/:groupId/order", requireAuth, esusuAdminRoute(async (req, group) => {
+  const { order, random } = req.body;
+  const next = await setPayoutOrder(group.id, req.username, { order, random: Boolean(random) });
+  return {
+    message: `Payout order for "${group.group_name}": ${next.map((u, i) => `${i + 1}. ${u}`).join(", ")}.`,
+    order: next
+  };
+}));
+
+app.post("/esusu/:groupId/admin", requireAuth, esusuAdminRoute(async (req, group) => {
+  const { username } = req.body;
+  await transferAdmin(group.id, req.username, username);
+  return { message: `${username} is now the admin of "${group.group_name}".`, admin: username };
+}));
+
 // --------- Start Server ----------
 const PORT = process.env.PORT || 3001;
 app.listen(PORT, () => {
@@ -0,0 +1,357 @@
+import crypto from 'crypto';
+import PDFDocument from 'pdfkit';
+import { pool } from './db.js';
+import { userAccount } from './ledger.js';
+import { INCOMING_TYPES } from './history.js';
+
+// --------- Config ----------
+// Printed on every statement so whoever it's shown to can check it
+const VERIFY_URL = process.env.STATEMENT_VERIFY_URL || 'https://Iya-Bolanle-backend.onrender.com/statements/verify';
+// Longest period one statement covers
+const MAX_STATEMENT_DAYS = 366;
+
+// --------- Errors ----------
+// Codes: INVALID_PERIOD, NOT_FOUND.
+export class StatementError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'StatementError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// --------- Schema ----------
+// What a statement said when it was issued, kept under its reference for
+// verification. The lines themselves are rebuilt from history on download.
+export const createStatementTables = async () => {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS statements (
+      id SERIAL PRIMARY KEY,
+      reference TEXT UNIQUE NOT NULL,
+      username TEXT NOT NULL,
+      period_start TIMESTAMP NOT NULL,
+      period_end TIMESTAMP NOT NULL,
+      opening_balance INTEGER NOT NULL,
+      closing_balance INTEGER NOT NULL,
+      total_credits INTEGER NOT NULL,
+      total_debits INTEGER NOT NULL,
+      line_count INTEGER NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await pool.query('CREATE INDEX IF NOT EXISTS statements_username_idx ON statements(username)');
+};
+
+// --------- Periods ----------
+// Periods are { from, to } Dates with `to` exclusive, as in history filters.
+// "1 Sep 2026 - 30 Sep 2026"
+const formatDay = (date) => date.toLocaleDateString('en-NG', { day: 'numeric', month: 'short', year: 'numeric' });
+
+export const describePeriod = ({ from, to }) => `${formatDay(from)} - ${formatDay(new Date(to - 1))}`;
+
+const checkPeriod = ({ from, to }) => {
+  if (!from || !to) {
+    throw new StatementError('INVALID_PERIOD', 'Choose the first and last day the statement should cover.');
+  }
+  if (from >= to) {
+    throw new StatementError('INVALID_PERIOD', 'The statement must start on or before the day it ends.');
+  }
+  if (from > new Date()) {
+    throw new StatementError('INVALID_PERIOD', "A statement can't start in the future.");
+  }
+  if ((to - from) / (24 * 60 * 60 * 1000) > MAX_STATEMENT_DAYS) {
+    throw new StatementError('INVALID_PERIOD', `A statement can cover at most ${MAX_STATEMENT_DAYS} days.`);
+  }
+};
+
+// --------- Lines ----------
+// Ledger journals with no history row of their own, and what to call them
+const UNLISTED_JOURNALS = {
+  signup_bonus: 'Welcome bonus',
+  opening_balance: 'Opening balance'
+};
+
+const describeRow = (row) => {
+  const incoming = INCOMING_TYPES.includes(row.type);
+  const counterparty = row.to_user && row.to_user !== 'Self' ? ` ${incoming ? 'from' : 'to'} ${row.to_user}` : '';
+  const status = row.status && row.status !== 'successful' ? ` (${row.status})` : '';
+  return `${row.type}${counterparty}${status}`;
+};
+
+// Every line in the period, oldest first, with the balance after it. The
+// opening balance comes from the ledger, so money that moved without a
+// history row (the welcome bonus) still adds up.
+const buildStatement = async (username, { from, to }) => {
+  const account = userAccount(username);
+  const opening = await pool.query(
+    'SELECT COALESCE(SUM(amount), 0) AS balance FROM ledger_entries WHERE account = $1 AND created_at < $2',
+    [account, from]
+  );
+  const rows = await pool.query(
+    `SELECT id, type, amount, to_user, date, status, reference
+       FROM transactions WHERE username = $1 AND date >= $2 AND date < $3
+      ORDER BY id`,
+    [username, from, to]
+  );
+  const unlisted = await pool.query(
+    `SELECT e.amount, e.created_at, j.kind
+       FROM ledger_entries e JOIN ledger_journals j ON j.id = e.journal_id
+      WHERE e.account = $1 AND e.created_at >= $2 AND e.created_at < $3
+        AND e.journal_id NOT IN (SELECT journal_id FROM transactions WHERE username = $4 AND journal_id IS NOT NULL)`,
+    [account, from, to, username]
+  );
+
+  const entries = [
+    ...unlisted.rows.map((row) => ({
+      date: new Date(row.created_at),
+      type: UNLISTED_JOURNALS[row.kind] || row.kind,
+      description: UNLISTED_JOURNALS[row.kind] || row.kind,
+      reference: '',
+      signed: row.amount
+    })),
+    ...rows.rows.map((row) => ({
+      date: new Date(row.date),
+      type: row.type,
+      description: describeRow(row),
+      reference: row.reference || '',
+      signed: INCOMING_TYPES.includes(row.type) ? row.amount : -row.amount
+    }))
+  ].sort((a, b) => a.date - b.date);
+
+  const openingBalance = Number(opening.rows[0].balance);
+  let balance = openingBalance;
+  const totalsByType = new Map();
+  const lines = entries.map(({ date, type, description, reference, signed }) => {
+    balance += signed;
+    const totals = totalsByType.get(type) || { type, count: 0, debits: 0, credits: 0 };
+    totals.count += 1;
+    if (signed < 0) totals.debits -= signed;
+    else totals.credits += signed;
+    totalsByType.set(type, totals);
+    return { date, description, reference, debit: signed < 0 ? -signed : 0, credit: signed > 0 ? signed : 0, balance };
+  });
+
+  const totals = [...totalsByType.values()];
+  return {
+    username,
+    from,
+    to,
+    openingBalance,
+    closingBalance: balance,
+    totalCredits: totals.reduce((sum, t) => sum + t.credits, 0),
+    totalDebits: totals.reduce((sum, t) => sum + t.debits, 0),
+    totals,
+    lines
+  };
+};
+
+// --------- Statements ----------
+// STM-20261019-9F2C41AB: date plus 32 random bits
+const newReference = () =>
+  `STM-${new Date().toISOString().slice(0, 10).replace(/-/g, '')}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+
+const toSummary = (row) => ({
+  reference: row.reference,
+  username: row.username,
+  from: new Date(row.period_start),
+  to: new Date(row.period_end),
+  period: describePeriod({ from: new Date(row.period_start), to: new Date(row.period_end) }),
+  openingBalance: row.opening_balance,
+  closingBalance: row.closing_balance,
+  totalCredits: row.total_credits,
+  totalDebits: row.total_debits,
+  lineCount: row.line_count,
+  generatedAt: row.created_at
+});
+
+// Issue a statement for the period. A period running into the future stops
+// now, so what's downloaded later matches what was issued. Resolves to its
+// summary; download it with getStatement.
+export const createStatement = async (username, { from, to }) => {
+  checkPeriod({ from, to });
+  const now = new Date();
+  const period = { from, to: to > now ? now : to };
+  const statement = await buildStatement(username, period);
+  const saved = await pool.query(
+    `INSERT INTO statements
+       (reference, username, period_start, period_end, opening_balance, closing_balance, total_credits, total_debits, line_count)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
+    [newReference(), username, period.from, period.to, statement.openingBalance, statement.closingBalance,
+      statement.totalCredits, statement.totalDebits, statement.lines.length]
+  );
+  return toSummary(saved.rows[0]);
+};
+
+export const listStatements = async (username) => {
+  const result = await pool.query(
+    'SELECT * FROM statements WHERE username = $1 ORDER BY id DESC LIMIT 20',
+    [username]
+  );
+  return result.rows.map(toSummary);
+};
+
+// One of the user's statements with its lines, ready to render
+export const getStatement = async (username, reference) => {
+  const result = await pool.query(
+    'SELECT * FROM statements WHERE reference = $1 AND username = $2',
+    [String(reference).toUpperCase(), username]
+  );
+  if (result.rows.length === 0) {
+    throw new StatementError('NOT_FOUND', 'Statement not found');
+  }
+  const summary = toSummary(result.rows[0]);
+  const { totals, lines } = await buildStatement(username, summary);
+  return { ...summary, totals, lines };
+};
+
+// What a statement said when it was issued, for whoever was handed it.
+// Only the figures printed on the statement are given out.
+export const verifyStatement = async (reference) => {
+  const result = await pool.query('SELECT * FROM statements WHERE reference = $1', [String(reference).toUpperCase()]);
+  if (result.rows.length === 0) {
+    throw new StatementError('NOT_FOUND', 'No statement has that reference. Check it was typed exactly as printed.');
+  }
+  const statement = toSummary(result.rows[0]);
+  return {
+    valid: true,
+    reference: statement.reference,
+    accountHolder: statement.username,
+    period: statement.period,
+    openingBalance: statement.openingBalance,
+    closingBalance: statement.closingBalance,
+    totalCredits: statement.totalCredits,
+    totalDebits: statement.totalDebits,
+    lineCount: statement.lineCount,
+    generatedAt: statement.generatedAt
+  };
+};
+
+// --------- Rendering ----------
+const naira = (amount) => amount.toLocaleString('en-NG');
+
+const formatDateTime = (date) =>
+  date.toLocaleString('en-NG', { day: '2-digit', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+
+// Quote fields that need it, and stop spreadsheet apps reading a name like
+// "=HYPERLINK(...)" as a formula
+const csvField = (value) => {
+  let text = String(value ?? '');
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (fields) => fields.map(csvField).join(',');
+
+export const statementCsv = (statement) => [
+  csvRow(['SARA Account Statement']),
+  csvRow(['Account holder', statement.username]),
+  csvRow(['Period', statement.period]),
+  csvRow(['Reference', statement.reference]),
+  csvRow(['Generated', formatDateTime(new Date(statement.generatedAt))]),
+  csvRow(['Opening balance (NGN)', statement.openingBalance]),
+  csvRow(['Total credits (NGN)', statement.totalCredits]),
+  csvRow(['Total debits (NGN)', statement.totalDebits]),
+  csvRow(['Closing balance (NGN)', statement.closingBalance]),
+  '',
+  csvRow(['Date', 'Description', 'Reference', 'Debit (NGN)', 'Credit (NGN)', 'Balance (NGN)']),
+  ...statement.lines.map((line) =>
+    csvRow([formatDateTime(line.date), line.description, line.reference, line.debit || '', line.credit || '', line.balance])),
+  '',
+  csvRow(['Totals by type']),
+  csvRow(['Type', 'Count', 'Debits (NGN)', 'Credits (NGN)']),
+  ...statement.totals.map((t) => csvRow([t.type, t.count, t.debits, t.credits])),
+  '',
+  csvRow(['Verify this statement', `${VERIFY_URL}/${statement.reference}`])
+].join('\r\n') + '\r\n';
+
+// The built-in PDF fonts have no naira sign, so amounts are in NGN
+const COLUMNS = [
+  { key: 'date', label: 'Date', x: 40, width: 72 },
+  { key: 'description', label: 'Description', x: 114, width: 160 },
+  { key: 'reference', label: 'Reference', x: 276, width: 96 },
+  { key: 'debit', label: 'Debit', x: 374, width: 55, align: 'right' },
+  { key: 'credit', label: 'Credit', x: 431, width: 55, align: 'right' },
+  { key: 'balance', label: 'Balance', x: 488, width: 67, align: 'right' }
+];
+
+// Resolves to the PDF as a Buffer
+export const statementPdf = (statement) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 40, info: { Title: `SARA statement ${statement.reference}` } });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const bottom = doc.page.height - 60;
+    const right = doc.page.width - 40;
+
+    doc.font('Helvetica-Bold').fontSize(16).text('SARA Account Statement');
+    doc.moveDown(0.5).font('Helvetica').fontSize(10);
+    doc.text(`Account holder: ${statement.username}`);
+    doc.text(`Period: ${statement.period}`);
+    doc.text(`Reference: ${statement.reference}`);
+    doc.text(`Generated: ${formatDateTime(new Date(statement.generatedAt))}`);
+
+    doc.moveDown();
+    for (const [label, amount] of [
+      ['Opening balance', statement.openingBalance],
+      ['Total credits', statement.totalCredits],
+      ['Total debits', statement.totalDebits],
+      ['Closing balance', statement.closingBalance]
+    ]) {
+      const y = doc.y;
+      doc.font('Helvetica').text(label, 40, y);
+      doc.font('Helvetica-Bold').text(`NGN ${naira(amount)}`, 200, y);
+    }
+
+    const header = () => {
+      const y = doc.y;
+      doc.font('Helvetica-Bold').fontSize(8);
+      for (const c of COLUMNS) doc.text(c.label, c.x, y, { width: c.width, align: c.align || 'left' });
+      doc.moveTo(40, doc.y + 2).lineTo(right, doc.y + 2).stroke();
+      doc.y += 6;
+      doc.font('Helvetica');
+    };
+
+    doc.moveDown(1.5);
+    header();
+    for (const line of statement.lines) {
+      const cells = {
+        date: formatDateTime(line.date),
+        description: line.description,
+        reference: line.reference,
+        debit: line.debit ? naira(line.debit) : '',
+        credit: line.credit ? naira(line.credit) : '',
+        balance: naira(line.balance)
+      };
+      const height = Math.max(...COLUMNS.map((c) => doc.heightOfString(cells[c.key], { width: c.width })));
+      if (doc.y + height > bottom) {
+        doc.addPage();
+        header();
+      }
+      const y = doc.y;
+      for (const c of COLUMNS) doc.text(cells[c.key], c.x, y, { width: c.width, align: c.align || 'left' });
+      doc.y = y + height + 4;
+    }
+    if (statement.lines.length === 0) {
+      doc.text('No transactions in this period.', 40);
+    }
+
+    if (doc.y + 40 + statement.totals.length * 12 > bottom) doc.addPage();
+    doc.moveDown().font('Helvetica-Bold').fontSize(10).text('Totals by type', 40);
+    doc.font('Helvetica').fontSize(9);
+    for (const t of statement.totals) {
+      const y = doc.y;
+      doc.text(`${t.type} (${t.count})`, 40, y, { width: 250 });
+      doc.text(t.debits ? `-NGN ${naira(t.debits)}` : '', 300, y, { width: 110, align: 'right' });
+      doc.text(t.credits ? `+NGN ${naira(t.credits)}` : '', 420, y, { width: 110, align: 'right' });
+    }
+
+    doc.moveDown(2).fontSize(8).fillColor('#555555').text(
+      `Check this statement at ${VERIFY_URL}/${statement.reference}. The balances shown there must match the ones above.`,
+      40
+    );
+    doc.end();
+  });
@@ -0,0 +1,125 @@
+// --------- Networks ----------
+// Prefixes are the first four (or five) digits of the local 0-prefixed
+// number. Numbers can be ported between networks, so what we detect from
+// the prefix is only a default the user can override ("on glo").
+export const NETWORKS = {
+  mtn: {
+    name: 'MTN',
+    aliases: ['mtn'],
+    prefixes: ['0703', '0704', '0706', '07025', '07026', '0803', '0806', '0810', '0813', '0814', '0816', '0903', '0906', '0913', '0916']
+  },
+  airtel: {
+    name: 'Airtel',
+    aliases: ['airtel'],
+    prefixes: ['0701', '0708', '0802', '0808', '0812', '0901', '0902', '0904', '0907', '0912']
+  },
+  glo: {
+    name: 'Glo',
+    aliases: ['glo', 'globacom'],
+    prefixes: ['0705', '0805', '0807', '0811', '0815', '0905', '0915']
+  },
+  '9mobile': {
+    name: '9mobile',
+    aliases: ['9mobile', '9 mobile', 'nine mobile', 'etisalat'],
+    prefixes: ['0809', '0817', '0818', '0908', '0909']
+  }
+};
+
+// Five-digit prefixes first so 07025 isn't read as some other 0702 number
+const PREFIXES = Object.entries(NETWORKS)
+  .flatMap(([id, network]) => network.prefixes.map((prefix) => ({ id, prefix })))
+  .sort((a, b) => b.prefix.length - a.prefix.length);
+
+// --------- Phone numbers ----------
+// Any way a Nigerian mobile number gets written or spoken: 08031234567,
+// 0803 123 4567, +234 803 123 4567, 2348031234567. Resolves to the E.164
+// form (+2348031234567) or null.
+export const normalizePhone = (phone) => {
+  const digits = String(phone || '').replace(/[\s().-]/g, '').replace(/^\+/, '');
+  const match = digits.match(/^(?:234|0)([789][01]\d{8})$/);
+  return match ? `+234${match[1]}` : null;
+};
+
+// +2348031234567 -> 0803 123 4567, the way people read their numbers
+export const formatPhone = (phone) => {
+  const local = `0${phone.slice(4)}`;
+  return `${local.slice(0, 4)} ${local.slice(4, 7)} ${local.slice(7)}`;
+};
+
+export const detectNetwork = (phone) => {
+  if (!phone) return null;
+  const local = `0${phone.slice(4)}`;
+  return PREFIXES.find(({ prefix }) => local.startsWith(prefix))?.id || null;
+};
+
+// A phone number anywhere in a sentence. Resolves to { phone, match } where
+// match is the text as written, or null.
+export const parsePhone = (text) => {
+  const match = String(text || '').match(/(?<![\d+])(?:\+?234[\s-]?|0)[789][01](?:[\s-]?\d){8}(?![\d])/);
+  if (!match) return null;
+  const phone = normalizePhone(match[0]);
+  return phone ? { phone, match: match[0] } : null;
+};
+
+export const findNetworkInText = (text) => {
+  const lower = String(text || '').toLowerCase();
+  const found = Object.entries(NETWORKS).find(([, network]) =>
+    network.aliases.some((alias) => new RegExp(`(^|[^\\w])${alias}($|[^\\w])`).test(lower)));
+  return found ? found[0] : null;
+};
+
+// The line as the user will recognise it: "0803 123 4567 (MTN)"
+export const describeLine = (phone, network) =>
+  network ? `${formatPhone(phone)} (${NETWORKS[network].name})` : formatPhone(phone);
+
+// --------- Data plans ----------
+// Prices are whole naira; sizes in MB so plans can be matched on "1GB",
+// "1.5 gig" or "500mb". Listed cheapest first per network.
+export const DATA_PLANS = [
+  { id: 'mtn-500mb-7d', network: 'mtn', name: '500MB', dataMb: 500, validityDays: 7, price: 500 },
+  { id: 'mtn-1gb-7d', network: 'mtn', name: '1GB', dataMb: 1024, validityDays: 7, price: 800 },
+  { id: 'mtn-2gb-30d', network: 'mtn', name: '2GB', dataMb: 2048, validityDays: 30, price: 1500 },
+  { id: 'mtn-5gb-30d', network: 'mtn', name: '5GB', dataMb: 5120, validityDays: 30, price: 3500 },
+  { id: 'mtn-10gb-30d', network: 'mtn', name: '10GB', dataMb: 10240, validityDays: 30, price: 4500 },
+  { id: 'airtel-500mb-7d', network: 'airtel', name: '500MB', dataMb: 500, validityDays: 7, price: 500 },
+  { id: 'airtel-1gb-7d', network: 'airtel', name: '1GB', dataMb: 1024, validityDays: 7, price: 800 },
+  { id: 'airtel-2gb-30d', network: 'airtel', name: '2GB', dataMb: 2048, validityDays: 30, price: 1500 },
+  { id: 'airtel-6gb-30d', network: 'airtel', name: '6GB', dataMb: 6144, validityDays: 30, price: 3000 },
+  { id: 'airtel-10gb-30d', network: 'airtel', name: '10GB', dataMb: 10240, validityDays: 30, price: 4000 },
+  { id: 'glo-1gb-5d', network: 'glo', name: '1GB', dataMb: 1024, validityDays: 5, price: 500 },
+  { id: 'glo-2.5gb-30d', network: 'glo', name: '2.5GB', dataMb: 2560, validityDays: 30, price: 1000 },
+  { id: 'glo-5.8gb-30d', network: 'glo', name: '5.8GB', dataMb: 5939, validityDays: 30, price: 2000 },
+  { id: 'glo-10gb-30d', network: 'glo', name: '10GB', dataMb: 10240, validityDays: 30, price: 3000 },
+  { id: '9mobile-500mb-30d', network: '9mobile', name: '500MB', dataMb: 500, validityDays: 30, price: 500 },
+  { id: '9mobile-1.5gb-30d', network: '9mobile', name: '1.5GB', dataMb: 1536, validityDays: 30, price: 1000 },
+  { id: '9mobile-4.5gb-30d', network: '9mobile', name: '4.5GB', dataMb: 4608, validityDays: 30, price: 2000 },
+  { id: '9mobile-11gb-30d', network: '9mobile', name: '11GB', dataMb: 11264, validityDays: 30, price: 4000 }
+];
+
+export const listDataPlans = (network) =>
+  DATA_PLANS.filter((plan) => !network || plan.network === network);
+
+export const findDataPlan = (id) => DATA_PLANS.find((plan) => plan.id === id) || null;
+
+// "1GB (7 days)"; the network goes with the line it's bought for
+export const describePlan = (plan) =>
+  `${plan.name} (${plan.validityDays} day${plan.validityDays === 1 ? '' : 's'})`;
+
+// The size asked for in a sentence, in MB, or null
+export const parseDataSize = (text) => {
+  const match = String(text || '').toLowerCase().match(/(\d+(?:\.\d+)?)\s*(gb|gig|gigs|g|mb|megs?)\b/);
+  if (!match) return null;
+  const size = parseFloat(match[1]);
+  return match[2].startsWith('m') ? Math.round(size) : Math.round(size * 1024);
+};
+
+// 1024 -> "1GB", 500 -> "500MB"
+export const formatDataSize = (dataMb) =>
+  dataMb >= 1024 ? `${Number((dataMb / 1024).toFixed(1))}GB` : `${dataMb}MB`;
+
+// The plan on `network` for the size asked for. Sizes like 5.8GB are
+// written loosely, so anything within 5% counts.
+export const matchDataPlan = (network, dataMb) => {
+  if (!network || !dataMb) return null;
+  return listDataPlans(network).find((plan) => Math.abs(plan.dataMb - dataMb) <= plan.dataMb * 0.05) || null;
+};
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveBank, findBankInText, parseAccountNumber, isValidNuban } from '../banks.js';
+
+const bankIn = (text, options) => findBankInText(text, options)?.name || null;
+
+test('banks resolve by code or by any of their names', () => {
+  assert.equal(resolveBank('058').name, 'GTBank');
+  assert.equal(resolveBank('gtb').name, 'GTBank');
+  assert.equal(resolveBank('First Bank').code, '011');
+  assert.equal(resolveBank('tunde'), null);
+});
+
+test('the longest name wins', () => {
+  assert.equal(bankIn('send it to my first bank account'), 'First Bank');
+  assert.equal(bankIn('pay into stanbic ibtc'), 'Stanbic IBTC');
+});
+
+test('a bank said as one is found', () => {
+  assert.equal(bankIn('send 5000 to union bank', { named: true }), 'Union Bank');
+  assert.equal(bankIn('send 5000 to union', { named: true }), 'Union Bank');
+  assert.equal(bankIn('send 5000 to gtbank', { named: true }), 'GTBank');
+  assert.equal(bankIn('send 2000 to my access bank account', { named: true }), 'Access Bank');
+});
+
+test('a bank name used as an everyday word is not', () => {
+  assert.equal(bankIn('send 5000 to tunde for union dues', { named: true }), null);
+  assert.equal(bankIn('buy an eco friendly gift for tunde', { named: true }), null);
+  assert.equal(bankIn('i need access to my savings', { named: true }), null);
+  // Next to an account number any mention counts
+  assert.equal(bankIn('0690000032 access'), 'Access Bank');
+});
+
+test('account numbers are read from typed and spoken digits', () => {
+  assert.deepEqual(parseAccountNumber('send 500 to 0690000032 access'),
+    { accountNumber: '0690000032', match: '0690000032' });
+  assert.equal(parseAccountNumber('0 6 9 0 0 0 0 0 3 2 access').accountNumber, '0690000032');
+  assert.equal(parseAccountNumber('call 08031234567'), null);
+});
+
+test('NUBAN check digits', () => {
+  assert.equal(isValidNuban('0690000032', '044'), true);
+  assert.equal(isValidNuban('0690000031', '044'), false);
+  assert.equal(isValidNuban('0231458793', '058'), false);
+  // Wallets don't carry a check digit
+  assert.equal(isValidNuban('8031234567', '999992'), true);
+  assert.equal(isValidNuban('12345', '999992'), false);
+});
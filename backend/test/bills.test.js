@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Read once at import, so the stub has to be chosen before ocr.js loads
+process.env.OCR_BACKEND = 'stub';
+const { scanBill, parseBillText } = await import('../bills.js');
+
+// The stub OCR answers by the sha256 of the image bytes; fixtures are keyed
+// by these sample payloads
+const photo = (name) => `data:image/jpeg;base64,${Buffer.from(`sample:${name}`).toString('base64')}`;
+
+test('EKEDC postpaid bill is read in full', async () => {
+  const scan = await scanBill(photo('ekedc-postpaid'));
+  assert.deepEqual(scan.billData, {
+    billType: 'electricity',
+    billerId: 'ekedc',
+    provider: 'EKEDC',
+    accountNumber: '031234567801',
+    meterNumber: '45678901234',
+    amount: 7531,
+    dueDate: '2025-01-15',
+    billPeriod: 'December 2024',
+    customerName: 'ADEBAYO OLUWASEUN'
+  });
+  assert.deepEqual(scan.needsConfirmation, []);
+  assert.deepEqual(scan.ocr, { backend: 'stub', confidence: 0.93 });
+});
+
+test('IKEDC bill with misread digits is corrected but needs confirming', async () => {
+  const scan = await scanBill(photo('ikedc-blurry'));
+  assert.equal(scan.billData.billerId, 'ikedc');
+  assert.equal(scan.billData.accountNumber, '0412345678');
+  assert.equal(scan.billData.meterNumber, '62104557893');
+  assert.equal(scan.billData.amount, 12450);
+  assert.equal(scan.billData.dueDate, '2024-12-03');
+  assert.ok(scan.needsConfirmation.includes('accountNumber'));
+  assert.ok(scan.needsConfirmation.includes('amount'));
+});
+
+test('water bill', async () => {
+  const scan = await scanBill(photo('water-lagos'));
+  assert.equal(scan.billType, 'water');
+  assert.equal(scan.billData.billerId, 'lagos_water');
+  assert.equal(scan.billData.accountNumber, 'LWC0045821');
+  assert.equal(scan.billData.amount, 3250);
+  assert.equal(scan.billData.dueDate, '2024-12-20');
+  assert.deepEqual(scan.needsConfirmation, []);
+});
+
+test('DStv renewal', async () => {
+  const scan = await scanBill(photo('dstv-compact'));
+  assert.equal(scan.billType, 'cable');
+  assert.equal(scan.billData.billerId, 'dstv');
+  assert.equal(scan.billData.accountNumber, '7023456789');
+  assert.equal(scan.billData.package, 'Compact');
+  assert.equal(scan.billData.amount, 15700);
+  assert.equal(scan.billData.dueDate, '2025-01-28');
+});
+
+test('GOtv renewal', async () => {
+  const scan = await scanBill(photo('gotv-max'));
+  assert.equal(scan.billData.billerId, 'gotv');
+  assert.equal(scan.billData.accountNumber, '2012345678');
+  assert.equal(scan.billData.package, 'GOtv Max');
+  assert.equal(scan.billData.amount, 8500);
+  assert.equal(scan.billData.dueDate, '2025-02-05');
+});
+
+test('internet invoice names the provider', async () => {
+  const scan = await scanBill(photo('spectranet'));
+  assert.equal(scan.billType, 'internet');
+  assert.equal(scan.billData.provider, 'Spectranet');
+  assert.equal(scan.billData.billerId, 'spectranet');
+  assert.equal(scan.billData.accountNumber, 'SPN4410237');
+  assert.equal(scan.billData.amount, 18000);
+  assert.equal(scan.billData.dueDate, '2025-01-31');
+});
+
+test('photo with no labels only yields a guessed amount to confirm', async () => {
+  const scan = await scanBill(photo('unlabelled'));
+  assert.equal(scan.billType, null);
+  assert.equal(scan.billData.amount, 4500);
+  assert.deepEqual(scan.needsConfirmation, ['provider', 'accountNumber', 'amount']);
+});
+
+test('photo missing from the fixtures reads as empty', async () => {
+  const scan = await scanBill(photo('nothing'));
+  assert.equal(scan.billType, null);
+  assert.deepEqual(scan.ocr, { backend: 'stub', confidence: 0 });
+});
+
+test('parser scores fields by the OCR confidence it is given', () => {
+  const text = 'GOtv\nIUC Number: 2012345678\nAmount: N8,500';
+  assert.deepEqual(parseBillText(text, 1).needsConfirmation, []);
+  assert.ok(parseBillText(text, 0.5).needsConfirmation.includes('amount'));
+});
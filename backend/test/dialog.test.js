@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { cancelPattern, interpretFollowUp, missingSlot } from '../dialog.js';
+
+const transfer = (awaiting, slots = { recipient: 'tunde', amount: 5000 }) => ({ intent: 'transfer', slots, awaiting });
+const none = { amount: null, recipient: null };
+
+test('slots are asked for in order', () => {
+  assert.equal(missingSlot('transfer', {}), 'recipient');
+  assert.equal(missingSlot('transfer', { recipient: 'tunde' }), 'amount');
+  assert.equal(missingSlot('transfer', { recipient: 'tunde', amount: 500 }), null);
+});
+
+test('a short cancel in any language cancels', () => {
+  for (const reply of ['cancel', 'Stop.', 'no', 'no, cancel it', 'never mind', 'forget it', 'leave am', 'fagile', 'rara', 'mba', 'kagbuo', 'bar shi', 'cancel abeg']) {
+    assert.ok(cancelPattern.test(reply), reply);
+  }
+});
+
+test('cancel words inside a longer message do not', () => {
+  for (const text of ['no wahala', '1234 no vex', 'stop my monthly transfer to mama', 'i have no money', 'mba, send am now']) {
+    assert.ok(!cancelPattern.test(text), text);
+  }
+});
+
+test('follow-ups cancel, confirm or carry on', () => {
+  assert.equal(interpretFollowUp(transfer('confirm'), 'cancel', none).type, 'cancel');
+  assert.equal(interpretFollowUp(transfer('confirm'), 'yes please', none).type, 'confirm');
+  assert.equal(interpretFollowUp(transfer('amount'), 'yes', none).type, 'none');
+  assert.equal(interpretFollowUp(transfer('confirm'), 'no wahala', none).type, 'none');
+  assert.equal(interpretFollowUp(transfer('confirm'), 'stop my monthly transfer to mama', none).type, 'none');
+});
+
+test('pronouns and prepositions are not confirmations', () => {
+  assert.equal(interpretFollowUp(transfer('confirm'), 'i', none).type, 'none');
+  assert.equal(interpretFollowUp(transfer('confirm'), 'to', none).type, 'none');
+});
+
+test('a new value amends the pending intent', () => {
+  const turn = interpretFollowUp(transfer('confirm'), 'make it 3000', { amount: 3000, recipient: null });
+  assert.deepEqual(turn, { type: 'amend', slots: { amount: 3000 } });
+  assert.equal(interpretFollowUp(transfer('pin'), '3000', { amount: 3000 }).type, 'amend');
+});
+
+test('a bare answer fills the slot that was asked for', () => {
+  const turn = interpretFollowUp(transfer('amount', { recipient: 'tunde' }), '2000', { amount: 2000, recipient: null });
+  assert.deepEqual(turn, { type: 'fill', slots: { amount: 2000 } });
+  assert.equal(interpretFollowUp(transfer('amount', { recipient: 'tunde' }), 'hello', none).type, 'none');
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Read once at import, so the stub has to be chosen before intents.js loads
+process.env.INTENT_CLASSIFIER = 'stub';
+const { classifyIntent, classifyWithRules } = await import('../intents.js');
+
+const slots = ({ intent, amount, recipient, biller, source }) => ({ intent, amount, recipient, biller, source });
+
+test('rule engine reads intents and slots from the text', () => {
+  assert.deepEqual(slots(classifyWithRules('send five thousand naira to john')),
+    { intent: 'transfer', amount: 5000, recipient: 'john', biller: null, source: 'rules' });
+  assert.deepEqual(slots(classifyWithRules('fi egberun meji ranse si tunde')),
+    { intent: 'transfer', amount: 2000, recipient: 'tunde', biller: null, source: 'rules' });
+  assert.equal(classifyWithRules('biya kudin dstv').biller, 'dstv');
+  assert.equal(classifyWithRules('abeg buy me 500 credit').intent, 'unknown');
+});
+
+test('what a transfer is for does not outweigh the transfer', () => {
+  assert.deepEqual(slots(classifyWithRules('send 2000 to tunde for data')),
+    { intent: 'transfer', amount: 2000, recipient: 'tunde', biller: null, source: 'rules' });
+  assert.deepEqual(slots(classifyWithRules('pay ada 5000 for the light bill')),
+    { intent: 'transfer', amount: 5000, recipient: 'ada', biller: 'electricity', source: 'rules' });
+  assert.equal(classifyWithRules('send 500 airtime to tunde for his birthday').intent, 'airtime');
+  assert.equal(classifyWithRules('send 1gb data to tunde').intent, 'data');
+  assert.equal(classifyWithRules('pay ekedc 5000 for my meter').intent, 'bill_payment');
+  assert.equal(classifyWithRules('pay my light bill').intent, 'bill_payment');
+});
+
+test('rule engine leaves an ambiguous amount for a follow-up', () => {
+  const parsed = classifyWithRules('send two thousand five to john');
+  assert.equal(parsed.amount, null);
+  assert.deepEqual(parsed.amountChoices, [2005, 2500]);
+});
+
+test('model picks up phrasings the rules miss', async () => {
+  assert.deepEqual(slots(await classifyIntent('abeg buy me 500 credit')),
+    { intent: 'airtime', amount: 500, recipient: null, biller: null, source: 'stub' });
+  assert.equal((await classifyIntent('ego m ole ka fodu')).intent, 'balance');
+  assert.equal((await classifyIntent('how can i send money')).intent, 'transfer');
+});
+
+test('model overrides a rule that matched the wrong intent', async () => {
+  assert.equal(classifyWithRules('mo fi owo mi pamo fun ile').intent, 'balance');
+  assert.equal((await classifyIntent('mo fi owo mi pamo fun ile')).intent, 'advice');
+});
+
+test('model choosing between two readings still asks the user to confirm', async () => {
+  const parsed = await classifyIntent('send two thousand five to john');
+  assert.equal(parsed.amount, 2500);
+  assert.equal(parsed.confirmAmount, true);
+});
+
+test('model amounts not found in the text are replaced by the rule reading', async () => {
+  const parsed = await classifyIntent('send 9000 to john');
+  assert.equal(parsed.source, 'stub');
+  assert.equal(parsed.amount, 9000);
+});
+
+test('model reply wrapped in a json fence is accepted', async () => {
+  assert.deepEqual(slots(await classifyIntent('pay my light')),
+    { intent: 'bill_payment', amount: null, recipient: null, biller: 'electricity', source: 'stub' });
+});
+
+test('model reply that is not JSON falls back to the rules', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const parsed = await classifyIntent("what's the weather");
+  assert.equal(parsed.source, 'rules');
+  assert.equal(parsed.intent, 'unknown');
+});
+
+test('messages missing from the fixtures fall back to the rules', async () => {
+  const parsed = await classifyIntent('what is my balance');
+  assert.equal(parsed.source, 'rules');
+  assert.equal(parsed.intent, 'balance');
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseAmount } from '../numbers.js';
+
+const amountOf = (text) => parseAmount(text).amount;
+
+test('figures, with or without the naira sign', () => {
+  assert.equal(amountOf('send ₦1,500 to tunde'), 1500);
+  assert.equal(amountOf('N2500'), 2500);
+  assert.equal(amountOf('2k'), 2000);
+  assert.equal(amountOf('1.5m'), 1500000);
+  assert.equal(amountOf('send 1,500.75'), 1500);
+});
+
+test('English and Pidgin number words', () => {
+  assert.equal(amountOf('five thousand naira'), 5000);
+  assert.equal(amountOf('two thousand five hundred'), 2500);
+  assert.equal(amountOf('twenty-five thousand'), 25000);
+  assert.equal(amountOf('one hundred and fifty naira'), 150);
+});
+
+test('Yoruba, Igbo and Hausa put the multiplier after the scale', () => {
+  assert.equal(amountOf('ẹgbẹ̀rún márùn-ún'), 5000);
+  assert.equal(amountOf('egberun meji'), 2000);
+  assert.equal(amountOf('puku ise'), 5000);
+  assert.equal(amountOf('dubu biyar'), 5000);
+  assert.equal(amountOf('dubu biyu da dari biyar'), 2500);
+});
+
+test('an unclear amount is reported, not guessed', () => {
+  assert.deepEqual(parseAmount('two thousand five'), { amount: null, ambiguous: true, candidates: [2005, 2500] });
+});
+
+test('a naira amount beats other numbers in the sentence', () => {
+  assert.equal(amountOf('send ₦2,000 for 2 days'), 2000);
+});
+
+test('numbers that are not money are left alone', () => {
+  for (const text of ['buy 2GB data', 'call 08031234567', 'e ku ise', '', null]) {
+    assert.deepEqual(parseAmount(text), { amount: null, ambiguous: false, candidates: [] }, String(text));
+  }
+});
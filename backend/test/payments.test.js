@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Read once at import, so the key has to be set before payments.js loads
+process.env.FLUTTERWAVE_SECRET_KEY = 'FLWSECK_TEST-key';
+const { pool } = await import('../db.js');
+const { reconcilePayouts } = await import('../payments.js');
+
+// A Flutterwave transfer stuck pending for two days, old enough to give up on
+const stuck = {
+  id: 1,
+  username: 'ada',
+  type: 'Bank Transfer',
+  amount: 5000,
+  reference: 'BNK-20250101-ABCD1234',
+  provider: 'flutterwave',
+  provider_reference: '77001',
+  date: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000)
+};
+
+// Answers the reconciliation queries and records every status change
+const fakeDatabase = (t) => {
+  const updates = [];
+  t.mock.method(pool, 'query', async (sql, params) => {
+    if (/^\s*UPDATE transactions/.test(sql)) {
+      updates.push(params);
+      return { rows: [] };
+    }
+    if (/status='pending'/.test(sql)) return { rows: [stuck] };
+    return { rows: [] };
+  });
+  return updates;
+};
+
+const flutterwaveAnswers = (t, status, body) =>
+  t.mock.method(globalThis, 'fetch', async () => new Response(JSON.stringify(body), { status }));
+
+const quietly = (t) => t.mock.method(console, 'warn', () => {});
+
+test('a rotated secret key leaves the payout pending', async (t) => {
+  const updates = fakeDatabase(t);
+  quietly(t);
+  flutterwaveAnswers(t, 401, { status: 'error', message: 'Invalid authorization key' });
+
+  assert.deepEqual(await reconcilePayouts(), { checked: 1, settled: 0, reversed: 0, errors: 1 });
+  assert.deepEqual(updates, []);
+});
+
+test('rate limiting leaves the payout pending', async (t) => {
+  const updates = fakeDatabase(t);
+  quietly(t);
+  flutterwaveAnswers(t, 429, { status: 'error', message: 'Too many requests' });
+
+  assert.equal((await reconcilePayouts()).errors, 1);
+  assert.deepEqual(updates, []);
+});
+
+test('a 200 reply without success leaves the payout pending', async (t) => {
+  const updates = fakeDatabase(t);
+  quietly(t);
+  flutterwaveAnswers(t, 200, { status: 'error', message: 'Something went wrong' });
+
+  assert.equal((await reconcilePayouts()).errors, 1);
+  assert.deepEqual(updates, []);
+});
+
+test('a transfer Flutterwave never saw is given up on', async (t) => {
+  const updates = fakeDatabase(t);
+  flutterwaveAnswers(t, 404, { status: 'error', message: 'Transfer not found' });
+
+  assert.equal((await reconcilePayouts()).errors, 0);
+  assert.deepEqual(updates, [['failed', null, stuck.reference]]);
+});
+
+test('a settled transfer is recorded as successful', async (t) => {
+  const updates = fakeDatabase(t);
+  flutterwaveAnswers(t, 200, { status: 'success', data: { id: 77001, status: 'SUCCESSFUL' } });
+
+  await reconcilePayouts();
+  assert.deepEqual(updates, [['successful', '77001', stuck.reference]]);
+});
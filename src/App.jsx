@@ -1,12 +1,10 @@
 import React, { useEffect, useState, useRef, useCallback } from "react";
-import axios from "axios";
-
-// ------------------------- Backend URL -------------------------
-const API_URL = "https://Iya-Bolanle-backend.onrender.com";
+import { api, loadSession, saveSession, clearSession, setSessionEndedHandler, followNotifications } from "./api";
 
 export default function App() {
   const [username, setUsername] = useState("");
   const [password, setPassword] = useState("");
+  const [phone, setPhone] = useState("");
   const [isLoggedIn, setIsLoggedIn] = useState(false);
   const [messages, setMessages] = useState([]);
   const [input, setInput] = useState("");
@@ -19,7 +17,51 @@ export default function App() {
   const [showBillScanner, setShowBillScanner] = useState(false);
   const [scannedBill, setScannedBill] = useState(null);
   const [isScanning, setIsScanning] = useState(false);
+  const [billers, setBillers] = useState([]);
+  const [showBeneficiaries, setShowBeneficiaries] = useState(false);
+  const [beneficiaries, setBeneficiaries] = useState([]);
+  const [banks, setBanks] = useState([]);
+  const [beneficiarySuggestion, setBeneficiarySuggestion] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const [history, setHistory] = useState({ transactions: [], nextCursor: null, filters: {} });
+  const [isLoadingHistory, setIsLoadingHistory] = useState(false);
+  const [readyStatement, setReadyStatement] = useState(null);
+  const [showBudgets, setShowBudgets] = useState(false);
+  const [budgets, setBudgets] = useState(null);
+  const [showSavings, setShowSavings] = useState(false);
+  const [savingsGoals, setSavingsGoals] = useState([]);
+  const [showSchedules, setShowSchedules] = useState(false);
+  const [schedules, setSchedules] = useState([]);
+  const [showRequests, setShowRequests] = useState(false);
+  const [moneyRequests, setMoneyRequests] = useState({ incoming: [], outgoing: [] });
+  const [splits, setSplits] = useState([]);
+  const [showInbox, setShowInbox] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [notificationSettings, setNotificationSettings] = useState(null);
   const fileInputRef = useRef(null);
+  const [hasPin, setHasPin] = useState(false);
+  const [showPinSetup, setShowPinSetup] = useState(false);
+  const [pendingConfirmation, setPendingConfirmation] = useState(null);
+  const [pinInput, setPinInput] = useState("");
+  // Invite links look like https://sara.app/?invite=CODE
+  const [inviteCode, setInviteCode] = useState(() => new URLSearchParams(window.location.search).get("invite") || "");
+
+  // Restore a saved session, and drop back to login if it can't be refreshed
+  useEffect(() => {
+    const saved = loadSession();
+    if (saved?.accessToken) {
+      setUsername(saved.username);
+      setHasPin(Boolean(saved.hasPin));
+      setIsLoggedIn(true);
+      setMessages([{ role: "assistant", text: `Welcome back ${saved.username}! What can I do for you?` }]);
+    }
+
+    setSessionEndedHandler(() => {
+      resetSession();
+      alert("Your session has ended. Please login again.");
+    });
+  }, []);
 
   // Auto-scroll to bottom
   useEffect(() => {
@@ -49,7 +91,7 @@ export default function App() {
   const handleSignup = async () => {
     if (!username || !password) return alert("Please enter both username and password");
     try {
-      const res = await axios.post(`${API_URL}/signup`, { username, password });
+      const res = await api.post("/signup", { username, password, phone: phone.trim() || undefined });
       alert(res.data.message);
     } catch (err) {
       alert(err.response?.data?.message || "Signup failed");
@@ -59,7 +101,11 @@ export default function App() {
   const handleLogin = async () => {
     if (!username || !password) return alert("Please enter both username and password");
     try {
-      const res = await axios.post(`${API_URL}/login`, { username, password });
+      const res = await api.post("/login", { username, password });
+      const { accessToken, refreshToken, expiresIn } = res.data;
+      saveSession({ accessToken, refreshToken, expiresIn, username: res.data.username, hasPin: res.data.hasPin });
+      setHasPin(Boolean(res.data.hasPin));
+      setPassword("");
       setIsLoggedIn(true);
       const welcomeMsg = res.data.welcomeMessage || `Hi ${username}! I'm SARA, your financial assistant.`;
       setMessages([{ role: "assistant", text: welcomeMsg }]);
@@ -69,24 +115,168 @@ export default function App() {
     }
   };
 
+  const resetSession = () => {
+    clearSession();
+    setIsLoggedIn(false);
+    setMessages([]);
+    setUsername("");
+    setPassword("");
+    setPhone("");
+    setShowEsusu(false);
+    setShowBillScanner(false);
+    setShowPinSetup(false);
+    setShowBeneficiaries(false);
+    setShowHistory(false);
+    setShowBudgets(false);
+    setShowSavings(false);
+    setShowSchedules(false);
+    setShowRequests(false);
+    setShowInbox(false);
+    setMoneyRequests({ incoming: [], outgoing: [] });
+    setNotifications([]);
+    setUnreadCount(0);
+    setPendingConfirmation(null);
+    setBeneficiarySuggestion(null);
+    setReadyStatement(null);
+  };
+
+  const handleLogout = async () => {
+    try {
+      await api.post("/logout");
+    } catch (err) {
+      console.log("Logout error:", err);
+    }
+    resetSession();
+  };
+
+  // ------------------------- Transaction PIN -------------------------
+  // Remember a payment that is waiting on the PIN, or send the user to PIN setup
+  const trackConfirmation = (data) => {
+    setPendingConfirmation(data?.requiresPin ? data.confirmation : null);
+    setPinInput("");
+    if (data?.pinSetupRequired) {
+      setShowEsusu(false);
+      setShowBillScanner(false);
+      setShowBeneficiaries(false);
+      setShowHistory(false);
+      setShowBudgets(false);
+      setShowSavings(false);
+      setShowSchedules(false);
+      setShowRequests(false);
+      setShowInbox(false);
+      setShowPinSetup(true);
+    }
+  };
+
+  const savePin = async (pin, currentPin) => {
+    try {
+      const res = await api.post("/pin", { pin, currentPin });
+      setHasPin(true);
+      saveSession({ ...loadSession(), hasPin: true });
+      setShowPinSetup(false);
+      setMessages((prev) => [...prev, { role: "assistant", text: res.data.message }]);
+      speakText(res.data.message);
+    } catch (err) {
+      alert(err.response?.data?.message || "Could not save PIN");
+    }
+  };
+
+  const handleConfirmPin = async () => {
+    if (!pendingConfirmation || !pinInput) return;
+    setIsThinking(true);
+    try {
+      const res = await api.post("/confirm", { confirmationId: pendingConfirmation.id, pin: pinInput });
+      trackConfirmation(res.data);
+      setBeneficiarySuggestion(res.data.beneficiarySuggestion || null);
+      setMessages((prev) => [...prev, { role: "assistant", text: res.data.message }]);
+      speakText(res.data.speak || res.data.message);
+    } catch (err) {
+      trackConfirmation(err.response?.data);
+      const errorMsg = err.response?.data?.message || "Could not confirm payment";
+      setMessages((prev) => [...prev, { role: "assistant", text: errorMsg }]);
+      speakText(errorMsg);
+    } finally {
+      setIsThinking(false);
+    }
+  };
+
+  const handleCancelConfirmation = async () => {
+    if (!pendingConfirmation) return;
+    try {
+      const res = await api.post("/confirm/cancel", { confirmationId: pendingConfirmation.id });
+      setMessages((prev) => [...prev, { role: "assistant", text: res.data.message }]);
+      speakText(res.data.speak || res.data.message);
+    } catch (err) {
+      console.log("Cancel error:", err);
+    }
+    trackConfirmation(null);
+  };
+
+  // ------------------------- Beneficiaries -------------------------
+  const fetchBeneficiaries = async () => {
+    try {
+      const res = await api.get("/beneficiaries");
+      setBeneficiaries(res.data.beneficiaries || []);
+    } catch (err) {
+      console.error("Could not fetch beneficiaries:", err.message);
+    }
+  };
+
+  const fetchBanks = async () => {
+    try {
+      const res = await api.get("/banks");
+      setBanks(res.data.banks || []);
+    } catch (err) {
+      console.error("Could not fetch banks:", err.message);
+    }
+  };
+
+  // Add, rename or remove; resolves to whether it worked so forms can reset
+  const beneficiaryRequest = async (method, url, body) => {
+    try {
+      const res = await api.request({ method, url, data: body });
+      setMessages((prev) => [...prev, { role: "assistant", text: res.data.message }]);
+      fetchBeneficiaries();
+      return true;
+    } catch (err) {
+      alert(err.response?.data?.message || "Could not update beneficiaries");
+      return false;
+    }
+  };
+
+  // The "save as..." offer after paying someone new
+  const saveSuggestedBeneficiary = async () => {
+    const nickname = window.prompt(`Save ${beneficiarySuggestion.label} as:`);
+    if (!nickname?.trim()) return;
+    const { kind, details } = beneficiarySuggestion;
+    if (await beneficiaryRequest("post", "/beneficiaries", { nickname: nickname.trim(), kind, ...details })) {
+      setBeneficiarySuggestion(null);
+    }
+  };
+
   // ------------------------- Esusu Functions -------------------------
   const fetchEsusuGroups = async () => {
     try {
-      const res = await axios.get(`${API_URL}/esusu/my-groups/${username}`);
+      const res = await api.get(`/esusu/my-groups/${username}`);
       setEsusuGroups(res.data.groups || []);
     } catch (err) {
       console.error("Could not fetch esusu groups");
     }
   };
 
-  const createEsusuGroup = async (groupName, amount, frequency, members) => {
+  const createEsusuGroup = async (groupName, amount, frequency, members, autoContribute, policy) => {
     try {
-      const res = await axios.post(`${API_URL}/esusu/create`, {
-        username,
+      const res = await api.post("/esusu/create", {
         groupName,
         amountPerPerson: parseInt(amount),
         frequency,
-        totalMembers: parseInt(members)
+        totalMembers: parseInt(members),
+        autoContribute,
+        graceDays: parseInt(policy.graceDays) || 0,
+        lateFee: parseInt(policy.lateFee) || 0,
+        defaultAction: policy.defaultAction,
+        coverShortfall: policy.coverShortfall,
+        requiresApproval: policy.requiresApproval
       });
       setMessages((prev) => [...prev, { role: "assistant", text: res.data.message }]);
       speakText(res.data.speak || res.data.message);
@@ -98,9 +288,11 @@ export default function App() {
     }
   };
 
-  const joinEsusuGroup = async (groupName) => {
+  const joinEsusuGroup = async (code, autoContribute) => {
     try {
-      const res = await axios.post(`${API_URL}/esusu/join`, { username, groupName });
+      const res = await api.post("/esusu/join", { inviteCode: code, autoContribute });
+      setInviteCode("");
+      window.history.replaceState(null, "", window.location.pathname);
       setMessages((prev) => [...prev, { role: "assistant", text: res.data.message }]);
       speakText(res.data.speak || res.data.message);
       fetchEsusuGroups();
@@ -113,7 +305,7 @@ export default function App() {
 
   const contributeToEsusu = async (groupName) => {
     try {
-      const res = await axios.post(`${API_URL}/esusu/contribute`, { username, groupName });
+      const res = await api.post("/esusu/contribute", { groupName });
       setMessages((prev) => [...prev, { role: "assistant", text: res.data.message }]);
       speakText(res.data.speak || res.data.message);
       fetchEsusuGroups();
@@ -124,12 +316,68 @@ export default function App() {
     }
   };
 
+  const setEsusuAutoContribute = async (groupName, enabled) => {
+    try {
+      const res = await api.post("/esusu/auto-contribute", { groupName, enabled });
+      setMessages((prev) => [...prev, { role: "assistant", text: res.data.message }]);
+      fetchEsusuGroups();
+    } catch (err) {
+      const errorMsg = err.response?.data?.message || "Could not update auto-contribute";
+      setMessages((prev) => [...prev, { role: "assistant", text: errorMsg }]);
+    }
+  };
+
+  const fetchEsusuGroupStatus = async (groupId) => {
+    try {
+      const res = await api.get(`/esusu/${groupId}/status`);
+      return res.data;
+    } catch (err) {
+      console.error("Could not fetch esusu group status:", err.message);
+      return null;
+    }
+  };
+
+  // Admin actions all answer with a chat message; resolves to whether it worked
+  const esusuAdmin = async (groupId, method, path, body) => {
+    try {
+      const res = await api.request({ method, url: `/esusu/${groupId}${path}`, data: body });
+      setMessages((prev) => [...prev, { role: "assistant", text: res.data.message }]);
+      fetchEsusuGroups();
+      return true;
+    } catch (err) {
+      const errorMsg = err.response?.data?.message || "Could not update group";
+      setMessages((prev) => [...prev, { role: "assistant", text: errorMsg }]);
+      alert(errorMsg);
+      return false;
+    }
+  };
+
   useEffect(() => {
     if (isLoggedIn) {
       fetchEsusuGroups();
+      fetchBillers();
+      fetchBeneficiaries();
+      fetchBanks();
+      fetchRequests();
     }
   }, [isLoggedIn]);
 
+  // Opening an invite link goes straight to the join form
+  useEffect(() => {
+    if (isLoggedIn && inviteCode) {
+      setShowBillScanner(false);
+      setShowPinSetup(false);
+      setShowBeneficiaries(false);
+      setShowHistory(false);
+      setShowBudgets(false);
+      setShowSavings(false);
+      setShowSchedules(false);
+      setShowRequests(false);
+      setShowInbox(false);
+      setShowEsusu(true);
+    }
+  }, [isLoggedIn, inviteCode]);
+
   // ------------------------- Bill Scanner Functions -------------------------
   const handleImageUpload = async (event) => {
     const file = event.target.files[0];
@@ -143,104 +391,341 @@ export default function App() {
 
     setIsScanning(true);
     setScannedBill(null);
+    event.target.value = "";
 
-    // Convert to base64
-    const reader = new FileReader();
-    reader.onloadend = async () => {
-      try {
-        // Auto-detect bill type from filename or default to electricity
-        let billType = "electricity";
-        const filename = file.name.toLowerCase();
-        if (filename.includes('water')) billType = "water";
-        else if (filename.includes('internet') || filename.includes('wifi')) billType = "internet";
-        else if (filename.includes('cable') || filename.includes('dstv') || filename.includes('gotv')) billType = "cable";
-
-        const res = await axios.post(`${API_URL}/scan-bill`, {
-          username,
-          imageData: reader.result,
-          billType: billType
-        });
-
-        setScannedBill(res.data.billData);
-        setMessages((prev) => [...prev, { role: "assistant", text: res.data.message }]);
-        speakText(res.data.speak || res.data.message);
-      } catch (err) {
-        alert('Failed to scan bill. Please try again.');
-      } finally {
-        setIsScanning(false);
-      }
-    };
-    reader.readAsDataURL(file);
+    try {
+      const res = await api.post("/scan-bill", {
+        imageData: await preprocessBillImage(file)
+      });
+
+      setScannedBill({ ...res.data, scanId: Date.now() });
+      setMessages((prev) => [...prev, { role: "assistant", text: res.data.message }]);
+      speakText(res.data.speak || res.data.message);
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to scan bill. Please try again.');
+    } finally {
+      setIsScanning(false);
+    }
   };
 
-  const handlePayBill = async () => {
-    if (!scannedBill) return;
+  const fetchBillers = async () => {
+    try {
+      const res = await api.get("/billers");
+      setBillers(res.data.billers || []);
+    } catch (err) {
+      console.error("Could not fetch billers:", err.message);
+    }
+  };
+
+  // Ask the biller who owns the account. Resolves to { bill } or { error }.
+  const validateBillAccount = async (billData) => {
+    try {
+      const res = await api.post("/billers/validate", billData);
+      return { bill: res.data.bill };
+    } catch (err) {
+      return { error: err.response?.data?.message || "Could not check the account" };
+    }
+  };
+
+  // billData is the scanned bill after the user checked and corrected it
+  const handlePayBill = async (billData) => {
+    if (!billData) return;
 
     try {
-      const res = await axios.post(`${API_URL}/pay-bill`, {
-        username,
-        billData: scannedBill
+      const res = await api.post("/pay-bill", {
+        billData
       });
 
+      trackConfirmation(res.data);
       setMessages((prev) => [...prev, { role: "assistant", text: res.data.message }]);
       speakText(res.data.speak || res.data.message);
       setScannedBill(null);
       setShowBillScanner(false);
     } catch (err) {
+      trackConfirmation(err.response?.data);
       const errorMsg = err.response?.data?.message || "Payment failed";
       setMessages((prev) => [...prev, { role: "assistant", text: errorMsg }]);
       speakText(errorMsg);
     }
   };
 
-  // ------------------------- Fetch History -------------------------
-  const fetchHistory = async () => {
-    setIsThinking(true);
+  // The token is shown grouped in fours and spoken digit by digit
+  const resendLastToken = async () => {
     try {
-      const res = await axios.get(`${API_URL}/history/${username}`);
-      
-      if (!res.data.transactions || res.data.transactions.length === 0) {
-        setMessages((prev) => [...prev, { 
-          role: "assistant", 
-          text: "You don't have any transaction history yet. Start by checking your balance or making a transaction!" 
-        }]);
-        speakText("You have no transactions yet.");
+      const res = await api.get("/electricity/last-token");
+      setMessages((prev) => [...prev, { role: "assistant", text: res.data.message }]);
+      speakText(res.data.speak || res.data.message);
+      setShowBillScanner(false);
+    } catch (err) {
+      const errorMsg = err.response?.data?.message || "Could not fetch your token";
+      setMessages((prev) => [...prev, { role: "assistant", text: errorMsg }]);
+      speakText(errorMsg);
+    }
+  };
+
+  // ------------------------- History -------------------------
+  // The first page for new filters, or the next page of the current ones
+  const loadHistory = async (filters, more = false) => {
+    setIsLoadingHistory(true);
+    try {
+      const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+      if (more) params.cursor = history.nextCursor;
+      const res = await api.get(`/history/${username}`, { params });
+      setHistory((prev) => ({
+        filters,
+        transactions: more ? [...prev.transactions, ...res.data.transactions] : res.data.transactions,
+        nextCursor: res.data.nextCursor
+      }));
+    } catch (err) {
+      alert(err.response?.data?.message || "Could not fetch history");
+    } finally {
+      setIsLoadingHistory(false);
+    }
+  };
+
+  // ------------------------- Budgets -------------------------
+  const fetchBudgets = async () => {
+    try {
+      const res = await api.get("/budgets");
+      setBudgets(res.data);
+    } catch (err) {
+      console.error("Could not fetch budgets:", err.message);
+    }
+  };
+
+  // Set or remove a monthly limit; resolves to whether it worked
+  const budgetRequest = async (method, url, body) => {
+    try {
+      const res = await api.request({ method, url, data: body });
+      setMessages((prev) => [...prev, { role: "assistant", text: res.data.message }]);
+      fetchBudgets();
+      return true;
+    } catch (err) {
+      alert(err.response?.data?.message || "Could not update budget");
+      return false;
+    }
+  };
+
+  // "This was food": recategorise one history row in place
+  const categorizeTransaction = async (id, category) => {
+    try {
+      await api.put(`/transactions/${id}/category`, { category });
+      setHistory((prev) => ({
+        ...prev,
+        transactions: prev.transactions.map((t) => (t.id === id ? { ...t, category } : t))
+      }));
+    } catch (err) {
+      alert(err.response?.data?.message || "Could not change category");
+    }
+  };
+
+  // ------------------------- Savings -------------------------
+  const fetchSavingsGoals = async () => {
+    try {
+      const res = await api.get("/savings");
+      setSavingsGoals(res.data.goals || []);
+    } catch (err) {
+      console.error("Could not fetch savings goals:", err.message);
+    }
+  };
+
+  // Create, top up, withdraw, change or close a goal; resolves to whether it worked
+  const savingsRequest = async (method, url, body) => {
+    try {
+      const res = await api.request({ method, url, data: body });
+      setMessages((prev) => [...prev, { role: "assistant", text: res.data.message }]);
+      fetchSavingsGoals();
+      return true;
+    } catch (err) {
+      alert(err.response?.data?.message || "Could not update savings");
+      return false;
+    }
+  };
+
+  // ------------------------- Scheduled Payments -------------------------
+  const fetchSchedules = async () => {
+    try {
+      const res = await api.get("/schedules");
+      setSchedules(res.data.schedules || []);
+    } catch (err) {
+      console.error("Could not fetch scheduled payments:", err.message);
+    }
+  };
+
+  // Setting one up can need the PIN, which is taken in the chat
+  const createSchedule = async (body) => {
+    try {
+      const res = await api.post("/schedules", body);
+      trackConfirmation(res.data);
+      setMessages((prev) => [...prev, { role: "assistant", text: res.data.message }]);
+      if (res.data.requiresPin) {
+        setShowSchedules(false);
       } else {
-        const historyText = "📊 Here's your recent transaction history:\n\n" + 
-          res.data.transactions
-            .map((t) => {
-              const date = new Date(t.date).toLocaleString('en-NG', {
-                month: 'short',
-                day: 'numeric',
-                hour: '2-digit',
-                minute: '2-digit'
-              });
-              
-              let emoji = "💳";
-              if (t.type === "Airtime") emoji = "📱";
-              if (t.type === "Transfer") emoji = "💸";
-              if (t.type === "Received") emoji = "💰";
-              
-              return `${emoji} ${date} — ${t.type} ₦${t.amount.toLocaleString()}${
-                t.to_user && t.to_user !== "Self" ? " → " + t.to_user : ""
-              }`;
-            })
-            .join("\n");
-        
-        setMessages((prev) => [...prev, { role: "assistant", text: historyText }]);
-        speakText("Here's your transaction history.");
+        fetchSchedules();
       }
+      return true;
     } catch (err) {
-      setMessages((prev) => [...prev, { 
-        role: "assistant", 
-        text: "Oops! I couldn't fetch your transaction history. Please try again." 
-      }]);
-      speakText("Could not fetch history.");
-    } finally {
-      setIsThinking(false);
+      trackConfirmation(err.response?.data);
+      alert(err.response?.data?.message || "Could not schedule payment");
+      return false;
+    }
+  };
+
+  // Pause, resume or cancel one
+  const scheduleRequest = async (method, url, body) => {
+    try {
+      const res = await api.request({ method, url, data: body });
+      setMessages((prev) => [...prev, { role: "assistant", text: res.data.message }]);
+      fetchSchedules();
+    } catch (err) {
+      alert(err.response?.data?.message || "Could not update scheduled payment");
+    }
+  };
+
+  // ------------------------- Payment Requests -------------------------
+  const fetchRequests = async () => {
+    try {
+      const [requestsRes, splitsRes] = await Promise.all([api.get("/requests"), api.get("/splits")]);
+      setMoneyRequests(requestsRes.data);
+      setSplits(splitsRes.data.splits || []);
+    } catch (err) {
+      console.error("Could not fetch payment requests:", err.message);
+    }
+  };
+
+  // Paying goes through the transfer, so it can need the PIN, which is
+  // taken in the chat
+  const payRequest = async (request) => {
+    try {
+      const res = await api.post(`/requests/${request.id}/pay`);
+      trackConfirmation(res.data);
+      setMessages((prev) => [...prev, { role: "assistant", text: res.data.message }]);
+      speakText(res.data.speak || res.data.message);
+      setShowRequests(false);
+      if (!res.data.requiresPin) fetchRequests();
+    } catch (err) {
+      trackConfirmation(err.response?.data);
+      alert(err.response?.data?.message || "Could not pay request");
+    }
+  };
+
+  // Ask, decline, remind or cancel, and split bills; resolves to whether it worked
+  const moneyRequest = async (method, url, body) => {
+    try {
+      const res = await api.request({ method, url, data: body });
+      setMessages((prev) => [...prev, { role: "assistant", text: res.data.message }]);
+      fetchRequests();
+      return true;
+    } catch (err) {
+      alert(err.response?.data?.message || "Could not update payment request");
+      return false;
+    }
+  };
+
+  // ------------------------- Notifications -------------------------
+  const fetchNotifications = async () => {
+    try {
+      const [inboxRes, settingsRes] = await Promise.all([api.get("/notifications"), api.get("/notifications/settings")]);
+      setNotifications(inboxRes.data.notifications);
+      setUnreadCount(inboxRes.data.unread);
+      setNotificationSettings(settingsRes.data);
+    } catch (err) {
+      console.error("Could not fetch notifications:", err.message);
     }
   };
 
+  // Marks the given ids read, or everything without ids
+  const markNotificationsRead = async (ids) => {
+    try {
+      const res = await api.post("/notifications/read", ids ? { ids } : {});
+      const readAt = new Date().toISOString();
+      setNotifications((prev) => prev.map((n) => (!ids || ids.includes(n.id) ? { ...n, readAt: n.readAt || readAt } : n)));
+      setUnreadCount(res.data.unread);
+    } catch (err) {
+      alert(err.response?.data?.message || "Could not update notifications");
+    }
+  };
+
+  const saveNotificationSettings = async (changes) => {
+    try {
+      const res = await api.put("/notifications/settings", changes);
+      setNotificationSettings((prev) => ({ ...prev, settings: res.data.settings }));
+      // Messages already in the inbox are worded in the new language
+      fetchNotifications();
+      return true;
+    } catch (err) {
+      alert(err.response?.data?.message || "Could not save notification settings");
+      return false;
+    }
+  };
+
+  // A notification pushed while the app is open: SARA says it in the chat,
+  // and whatever it is about is refreshed
+  const handleNotificationEvent = (name, data) => {
+    if (name === "unread") {
+      setUnreadCount(data.unread);
+      return;
+    }
+    setNotifications((prev) => [data, ...prev.filter((n) => n.id !== data.id)]);
+    setUnreadCount((count) => count + 1);
+    setMessages((prev) => [...prev, { role: "assistant", text: data.message }]);
+    speakText(data.speak || data.message);
+    if (data.kind.startsWith("request_")) fetchRequests();
+    if (data.kind.startsWith("esusu_")) fetchEsusuGroups();
+  };
+  const notificationEventRef = useRef(handleNotificationEvent);
+  notificationEventRef.current = handleNotificationEvent;
+
+  useEffect(() => {
+    if (!isLoggedIn) return;
+    const controller = new AbortController();
+    followNotifications((name, data) => notificationEventRef.current(name, data), controller.signal);
+    return () => controller.abort();
+  }, [isLoggedIn]);
+
+  // ------------------------- Statements -------------------------
+  // Issue a statement for { from, to } (YYYY-MM-DD); resolves to it or null
+  const requestStatement = async (period) => {
+    try {
+      const res = await api.post("/statements", period);
+      return res.data.statement;
+    } catch (err) {
+      alert(err.response?.data?.message || "Could not create statement");
+      return null;
+    }
+  };
+
+  // The file comes back through the API so the session goes with it
+  const downloadStatement = async (reference, format) => {
+    try {
+      const res = await api.get(`/statements/${reference}/download`, { params: { format }, responseType: "blob" });
+      const url = URL.createObjectURL(res.data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `sara-statement-${reference}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      // The error body is a blob here, so there's no server message to show
+      console.error("Statement download error:", err.message);
+      alert("Could not download statement");
+    }
+  };
+
+  const openHistory = () => {
+    setShowEsusu(false);
+    setShowBillScanner(false);
+    setShowPinSetup(false);
+    setShowBeneficiaries(false);
+    setShowBudgets(false);
+    setShowSavings(false);
+    setShowSchedules(false);
+    setShowRequests(false);
+    setShowInbox(false);
+    setShowHistory(true);
+    loadHistory({});
+  };
+
   // ------------------------- Send Action -------------------------
   const handleSend = async (explicitText) => {
     const text = explicitText ?? input;
@@ -259,14 +744,22 @@ export default function App() {
     setIsThinking(true);
 
     try {
-      const res = await axios.post(`${API_URL}/action`, { username, text });
+      const res = await api.post("/action", { text });
+      trackConfirmation(res.data);
+      setBeneficiarySuggestion(res.data.beneficiarySuggestion || null);
+      if (res.data.statement) setReadyStatement(res.data.statement);
       const reply = res.data.message;
       setMessages((prev) => [...prev, { role: "assistant", text: reply }]);
       
       // Use the speak version if available, otherwise clean the message
       const speechText = res.data.speak || reply;
       speakText(speechText);
+      // The reply may have asked for, paid or declined a request
+      fetchRequests();
+      // "Any notifications?" reads them out and marks them read
+      if (res.data.unread !== undefined) setUnreadCount(res.data.unread);
     } catch (err) {
+      trackConfirmation(err.response?.data);
       const errorMsg = err.response?.data?.message || "Sorry, something went wrong. Please try again.";
       setMessages((prev) => [...prev, { role: "assistant", text: errorMsg }]);
       speakText(errorMsg);
@@ -344,6 +837,13 @@ export default function App() {
             style={styles.input}
             onKeyDown={(e) => e.key === "Enter" && handleLogin()}
           />
+          <input
+            type="tel"
+            placeholder="Phone number (optional, for sign up)"
+            value={phone}
+            onChange={(e) => setPhone(e.target.value)}
+            style={styles.input}
+          />
           <div style={{ display: "flex", gap: 8 }}>
             <button onClick={handleLogin} style={styles.buttonPrimary}>
               Login
@@ -369,6 +869,14 @@ export default function App() {
             <button 
               onClick={() => {
                 setShowEsusu(false);
+                setShowPinSetup(false);
+                setShowBeneficiaries(false);
+                setShowHistory(false);
+                setShowBudgets(false);
+                setShowSavings(false);
+                setShowSchedules(false);
+                setShowRequests(false);
+                setShowInbox(false);
                 setShowBillScanner(!showBillScanner);
               }} 
               style={{
@@ -381,6 +889,14 @@ export default function App() {
             <button 
               onClick={() => {
                 setShowBillScanner(false);
+                setShowPinSetup(false);
+                setShowBeneficiaries(false);
+                setShowHistory(false);
+                setShowBudgets(false);
+                setShowSavings(false);
+                setShowSchedules(false);
+                setShowRequests(false);
+                setShowInbox(false);
                 setShowEsusu(!showEsusu);
               }} 
               style={{
@@ -392,35 +908,226 @@ export default function App() {
             </button>
             <button 
               onClick={() => {
-                setIsLoggedIn(false);
-                setMessages([]);
-                setUsername("");
-                setPassword("");
+                setShowBillScanner(false);
                 setShowEsusu(false);
+                setShowBeneficiaries(false);
+                setShowHistory(false);
+                setShowBudgets(false);
+                setShowSavings(false);
+                setShowSchedules(false);
+                setShowRequests(false);
+                setShowInbox(false);
+                setShowPinSetup(!showPinSetup);
+              }} 
+              style={{
+                ...styles.esusuButton,
+                background: showPinSetup ? "#7c3aed" : "rgba(124,58,237,0.1)"
+              }}
+            >
+              {showPinSetup ? "💬 Chat" : "🔐 PIN"}
+            </button>
+            <button 
+              onClick={() => {
                 setShowBillScanner(false);
+                setShowEsusu(false);
+                setShowPinSetup(false);
+                setShowHistory(false);
+                setShowBudgets(false);
+                setShowSavings(false);
+                setShowSchedules(false);
+                setShowRequests(false);
+                setShowInbox(false);
+                setShowBeneficiaries(!showBeneficiaries);
               }} 
-              style={styles.logoutButton}
+              style={{
+                ...styles.esusuButton,
+                background: showBeneficiaries ? "#7c3aed" : "rgba(124,58,237,0.1)"
+              }}
             >
-              Logout
+              {showBeneficiaries ? "💬 Chat" : "⭐ Beneficiaries"}
             </button>
-          </div>
-        </div>
-
-        {showBillScanner ? (
-          <BillScannerView
-            onImageUpload={handleImageUpload}
-            scannedBill={scannedBill}
-            isScanning={isScanning}
-            onPayBill={handlePayBill}
-            fileInputRef={fileInputRef}
-          />
-        ) : showEsusu ? (
-          <EsusuView 
-            groups={esusuGroups}
-            onCreateGroup={createEsusuGroup}
-            onJoinGroup={joinEsusuGroup}
-            onContribute={contributeToEsusu}
-            username={username}
+            <button 
+              onClick={() => {
+                setShowBillScanner(false);
+                setShowEsusu(false);
+                setShowPinSetup(false);
+                setShowHistory(false);
+                setShowBeneficiaries(false);
+                setShowSavings(false);
+                setShowSchedules(false);
+                setShowRequests(false);
+                setShowInbox(false);
+                if (!showBudgets) fetchBudgets();
+                setShowBudgets(!showBudgets);
+              }} 
+              style={{
+                ...styles.esusuButton,
+                background: showBudgets ? "#7c3aed" : "rgba(124,58,237,0.1)"
+              }}
+            >
+              {showBudgets ? "💬 Chat" : "📈 Budgets"}
+            </button>
+            <button 
+              onClick={() => {
+                setShowBillScanner(false);
+                setShowEsusu(false);
+                setShowPinSetup(false);
+                setShowHistory(false);
+                setShowBeneficiaries(false);
+                setShowBudgets(false);
+                setShowSchedules(false);
+                setShowRequests(false);
+                setShowInbox(false);
+                if (!showSavings) fetchSavingsGoals();
+                setShowSavings(!showSavings);
+              }} 
+              style={{
+                ...styles.esusuButton,
+                background: showSavings ? "#7c3aed" : "rgba(124,58,237,0.1)"
+              }}
+            >
+              {showSavings ? "💬 Chat" : "🏦 Savings"}
+            </button>
+            <button 
+              onClick={() => {
+                setShowBillScanner(false);
+                setShowEsusu(false);
+                setShowPinSetup(false);
+                setShowHistory(false);
+                setShowBeneficiaries(false);
+                setShowBudgets(false);
+                setShowSavings(false);
+                setShowRequests(false);
+                setShowInbox(false);
+                if (!showSchedules) fetchSchedules();
+                setShowSchedules(!showSchedules);
+              }} 
+              style={{
+                ...styles.esusuButton,
+                background: showSchedules ? "#7c3aed" : "rgba(124,58,237,0.1)"
+              }}
+            >
+              {showSchedules ? "💬 Chat" : "🗓️ Scheduled"}
+            </button>
+            <button 
+              onClick={() => {
+                setShowBillScanner(false);
+                setShowEsusu(false);
+                setShowPinSetup(false);
+                setShowHistory(false);
+                setShowBeneficiaries(false);
+                setShowBudgets(false);
+                setShowSavings(false);
+                setShowSchedules(false);
+                setShowInbox(false);
+                if (!showRequests) fetchRequests();
+                setShowRequests(!showRequests);
+              }} 
+              style={{
+                ...styles.esusuButton,
+                background: showRequests ? "#7c3aed" : "rgba(124,58,237,0.1)"
+              }}
+            >
+              {showRequests ? "💬 Chat" : `🤲 Requests${moneyRequests.incoming.length ? ` (${moneyRequests.incoming.length})` : ""}`}
+            </button>
+            <button 
+              onClick={() => {
+                setShowBillScanner(false);
+                setShowEsusu(false);
+                setShowPinSetup(false);
+                setShowHistory(false);
+                setShowBeneficiaries(false);
+                setShowBudgets(false);
+                setShowSavings(false);
+                setShowSchedules(false);
+                setShowRequests(false);
+                if (!showInbox) fetchNotifications();
+                setShowInbox(!showInbox);
+              }} 
+              style={{
+                ...styles.esusuButton,
+                background: showInbox ? "#7c3aed" : "rgba(124,58,237,0.1)"
+              }}
+            >
+              {showInbox ? "💬 Chat" : `🔔 Inbox${unreadCount ? ` (${unreadCount})` : ""}`}
+            </button>
+            <button 
+              onClick={handleLogout} 
+              style={styles.logoutButton}
+            >
+              Logout
+            </button>
+          </div>
+        </div>
+
+        {showPinSetup ? (
+          <PinSetupView hasPin={hasPin} onSave={savePin} />
+        ) : showHistory ? (
+          <HistoryView
+            history={history}
+            isLoading={isLoadingHistory}
+            onSearch={(filters) => loadHistory(filters)}
+            onLoadMore={() => loadHistory(history.filters, true)}
+            onBack={() => setShowHistory(false)}
+            onRequestStatement={requestStatement}
+            onDownloadStatement={downloadStatement}
+            onCategorize={categorizeTransaction}
+          />
+        ) : showSavings ? (
+          <SavingsView goals={savingsGoals} onRequest={savingsRequest} />
+        ) : showSchedules ? (
+          <SchedulesView
+            schedules={schedules}
+            beneficiaries={beneficiaries}
+            onCreate={createSchedule}
+            onRequest={scheduleRequest}
+          />
+        ) : showInbox ? (
+          <NotificationsView
+            notifications={notifications}
+            unreadCount={unreadCount}
+            settings={notificationSettings}
+            onMarkRead={markNotificationsRead}
+            onSaveSettings={saveNotificationSettings}
+          />
+        ) : showRequests ? (
+          <RequestsView
+            requests={moneyRequests}
+            splits={splits}
+            onPay={payRequest}
+            onRequest={moneyRequest}
+          />
+        ) : showBudgets ? (
+          <BudgetsView budgets={budgets} onRequest={budgetRequest} />
+        ) : showBeneficiaries ? (
+          <BeneficiariesView
+            beneficiaries={beneficiaries}
+            banks={banks}
+            billers={billers}
+            onRequest={beneficiaryRequest}
+          />
+        ) : showBillScanner ? (
+          <BillScannerView
+            onImageUpload={handleImageUpload}
+            scannedBill={scannedBill}
+            isScanning={isScanning}
+            onPayBill={handlePayBill}
+            onValidateBill={validateBillAccount}
+            onResendToken={resendLastToken}
+            billers={billers}
+            fileInputRef={fileInputRef}
+          />
+        ) : showEsusu ? (
+          <EsusuView 
+            groups={esusuGroups}
+            onCreateGroup={createEsusuGroup}
+            onJoinGroup={joinEsusuGroup}
+            onContribute={contributeToEsusu}
+            onLoadGroup={fetchEsusuGroupStatus}
+            onSetAutoContribute={setEsusuAutoContribute}
+            onAdmin={esusuAdmin}
+            inviteCode={inviteCode}
+            username={username}
           />
         ) : (
           <>
@@ -446,6 +1153,82 @@ export default function App() {
               <div ref={chatEndRef} />
             </div>
 
+            {pendingConfirmation && (
+              <div style={styles.pinBar}>
+                <span style={{ flex: 1, fontSize: 14 }}>
+                  🔐 Enter your PIN to confirm ₦{pendingConfirmation.amount.toLocaleString()}
+                </span>
+                <input
+                  type="password"
+                  inputMode="numeric"
+                  maxLength={6}
+                  placeholder="PIN"
+                  value={pinInput}
+                  onChange={(e) => setPinInput(e.target.value.replace(/\D/g, ""))}
+                  onKeyDown={(e) => e.key === "Enter" && !isThinking && handleConfirmPin()}
+                  style={styles.pinInput}
+                  disabled={isThinking}
+                />
+                <button onClick={handleConfirmPin} style={styles.sendButton} disabled={isThinking || pinInput.length < 4}>
+                  Confirm
+                </button>
+                <button onClick={handleCancelConfirmation} style={styles.logoutButton} disabled={isThinking}>
+                  Cancel
+                </button>
+              </div>
+            )}
+
+            {readyStatement && (
+              <div style={styles.pinBar}>
+                <span style={{ flex: 1, fontSize: 14 }}>
+                  📄 Statement {readyStatement.reference} ({readyStatement.period})
+                </span>
+                <button onClick={() => downloadStatement(readyStatement.reference, "pdf")} style={styles.sendButton}>
+                  PDF
+                </button>
+                <button onClick={() => downloadStatement(readyStatement.reference, "csv")} style={styles.sendButton}>
+                  CSV
+                </button>
+                <button onClick={() => setReadyStatement(null)} style={styles.logoutButton}>
+                  ✕
+                </button>
+              </div>
+            )}
+
+            {moneyRequests.incoming.length > 0 && !pendingConfirmation && (
+              <div style={styles.pinBar}>
+                <span style={{ flex: 1, fontSize: 14 }}>
+                  🤲 {moneyRequests.incoming[0].requester} asked you for ₦{moneyRequests.incoming[0].amount.toLocaleString()}
+                  {moneyRequests.incoming[0].note && ` for ${moneyRequests.incoming[0].note}`}
+                  {moneyRequests.incoming.length > 1 && ` (+${moneyRequests.incoming.length - 1} more)`}
+                </span>
+                <button onClick={() => payRequest(moneyRequests.incoming[0])} style={styles.sendButton} disabled={isThinking}>
+                  Pay
+                </button>
+                <button
+                  onClick={() => moneyRequest("post", `/requests/${moneyRequests.incoming[0].id}/decline`)}
+                  style={styles.logoutButton}
+                  disabled={isThinking}
+                >
+                  Decline
+                </button>
+              </div>
+            )}
+
+            {beneficiarySuggestion && !pendingConfirmation && (
+              <div style={styles.pinBar}>
+                <span style={{ flex: 1, fontSize: 14 }}>
+                  ⭐ Save {beneficiarySuggestion.label} for next time?
+                </span>
+                <button onClick={saveSuggestedBeneficiary} style={styles.sendButton} disabled={isThinking}>
+                  Save
+                </button>
+                <button onClick={() => setBeneficiarySuggestion(null)} style={styles.logoutButton} disabled={isThinking}>
+                  Not now
+                </button>
+              </div>
+            )}
+
             <div style={styles.quickActions}>
               <button 
                 onClick={() => handleSend("check balance")} 
@@ -462,7 +1245,14 @@ export default function App() {
                 📱 Airtime
               </button>
               <button 
-                onClick={fetchHistory} 
+                onClick={() => handleSend("buy data")} 
+                style={styles.quickButton}
+                disabled={isThinking}
+              >
+                📶 Data
+              </button>
+              <button 
+                onClick={openHistory} 
                 style={styles.quickButton}
                 disabled={isThinking}
               >
@@ -505,7 +1295,276 @@ export default function App() {
 }
 
 // ------------------------- Bill Scanner View Component -------------------------
-function BillScannerView({ onImageUpload, scannedBill, isScanning, onPayBill, fileInputRef }) {
+// Shrink the photo and boost its contrast before upload: OCR reads a
+// 1600px greyscale image better than a dim 12MP one, and it uploads faster
+const preprocessBillImage = (file) =>
+  new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      const scale = Math.min(1, 1600 / Math.max(img.width, img.height));
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(img.width * scale);
+      canvas.height = Math.round(img.height * scale);
+      const ctx = canvas.getContext("2d");
+      ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+      const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+      const { data } = image;
+      let darkest = 255;
+      let lightest = 0;
+      for (let i = 0; i < data.length; i += 4) {
+        const grey = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+        data[i] = grey;
+        darkest = Math.min(darkest, grey);
+        lightest = Math.max(lightest, grey);
+      }
+      const range = Math.max(1, lightest - darkest);
+      for (let i = 0; i < data.length; i += 4) {
+        const stretched = ((data[i] - darkest) * 255) / range;
+        data[i] = data[i + 1] = data[i + 2] = stretched;
+      }
+      ctx.putImageData(image, 0, 0);
+
+      URL.revokeObjectURL(url);
+      resolve(canvas.toDataURL("image/jpeg", 0.9));
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Could not read image"));
+    };
+    img.src = url;
+  });
+
+const BILL_FIELDS = [
+  { key: "accountNumber", label: "Account Number" },
+  { key: "meterNumber", label: "Meter Number" },
+  { key: "customerName", label: "Customer Name" },
+  { key: "package", label: "Package" },
+  { key: "billPeriod", label: "Bill Period" },
+  { key: "dueDate", label: "Due Date", type: "date" },
+  { key: "amount", label: "Amount (₦)", type: "number" }
+];
+
+// The scanned details, with anything SARA isn't sure of open for editing.
+// The account is checked with the biller first; paying needs that check to
+// match what's on screen and a tick once the highlighted fields are checked.
+function ScannedBillReview({ scan, billers, onValidate, onPay, onRescan }) {
+  const [draft, setDraft] = useState(scan.billData);
+  const [checked, setChecked] = useState(false);
+  const [verified, setVerified] = useState(null);
+  const [checkError, setCheckError] = useState("");
+  const [isChecking, setIsChecking] = useState(false);
+  const unsure = scan.needsConfirmation || [];
+  const amount = parseInt(draft.amount) || 0;
+  const verifyKey = [draft.billerId, draft.accountNumber, amount].join("|");
+  const isVerified = verified?.key === verifyKey;
+  const canCheck = draft.billerId && draft.accountNumber && amount > 0 && (unsure.length === 0 || checked);
+  const billerUnsure = !draft.billerId || unsure.includes("provider");
+
+  const checkAccount = async () => {
+    setIsChecking(true);
+    setCheckError("");
+    const { bill, error } = await onValidate({ billerId: draft.billerId, accountNumber: draft.accountNumber, amount });
+    setIsChecking(false);
+    if (bill) setVerified({ key: verifyKey, bill });
+    else setCheckError(error);
+  };
+
+  const chooseBiller = (billerId) => {
+    const biller = billers.find((b) => b.id === billerId);
+    setDraft({ ...draft, billerId: billerId || null, provider: biller ? biller.name : null });
+  };
+
+  return (
+    <div style={styles.billDetailsContainer}>
+      <div style={{ ...styles.successBadge, ...(unsure.length > 0 ? { background: "rgba(245,158,11,0.1)", border: "1px solid rgba(245,158,11,0.3)", color: "#f59e0b" } : {}) }}>
+        {unsure.length > 0 ? "⚠️ Please check the highlighted details" : "✓ Bill Scanned Successfully"}
+      </div>
+
+      <div style={styles.billCard}>
+        <div style={styles.billHeader}>
+          <h4 style={{ margin: 0, fontSize: 20, fontWeight: 700 }}>{draft.provider || "Unknown biller"}</h4>
+          <div style={styles.billAmount}>₦{amount.toLocaleString()}</div>
+        </div>
+
+        <div style={styles.billDetails}>
+          <div style={{ padding: "8px 0" }}>
+            <span style={{ ...styles.billLabel, ...(billerUnsure ? { color: "#f59e0b" } : {}) }}>
+              Biller {billerUnsure ? (draft.provider ? `(${Math.round((scan.fields?.provider?.confidence || 0) * 100)}% sure)` : "(choose one)") : ""}
+            </span>
+            <select
+              value={draft.billerId || ""}
+              onChange={(e) => chooseBiller(e.target.value)}
+              style={{ ...styles.input, marginBottom: 0, marginTop: 4, ...(billerUnsure ? { border: "1px solid rgba(245,158,11,0.6)" } : {}) }}
+            >
+              <option value="">Choose biller…</option>
+              {billers.map((b) => (
+                <option key={b.id} value={b.id}>{b.name} ({b.category})</option>
+              ))}
+            </select>
+          </div>
+          {BILL_FIELDS.filter(({ key }) => draft[key] || unsure.includes(key)).map(({ key, label, type }) => {
+            const confidence = scan.fields?.[key]?.confidence || 0;
+            if (!unsure.includes(key)) {
+              return (
+                <div key={key} style={styles.billDetailRow}>
+                  <span style={styles.billLabel}>{label}:</span>
+                  <span style={styles.billValue}>
+                    {key === "dueDate"
+                      ? new Date(draft.dueDate).toLocaleDateString('en-NG', { year: 'numeric', month: 'long', day: 'numeric' })
+                      : key === "amount" ? `₦${amount.toLocaleString()}` : draft[key]}
+                  </span>
+                </div>
+              );
+            }
+            return (
+              <div key={key} style={{ padding: "8px 0" }}>
+                <span style={{ ...styles.billLabel, color: "#f59e0b" }}>
+                  {label} {draft[key] ? `(${Math.round(confidence * 100)}% sure)` : "(not found)"}
+                </span>
+                <input
+                  type={type || "text"}
+                  value={draft[key] ?? ""}
+                  onChange={(e) => setDraft({ ...draft, [key]: e.target.value })}
+                  style={{ ...styles.input, marginBottom: 0, marginTop: 4, border: "1px solid rgba(245,158,11,0.6)" }}
+                />
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      {unsure.length > 0 && (
+        <label style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 13, color: "#94a3b8", marginTop: 12 }}>
+          <input type="checkbox" checked={checked} onChange={(e) => setChecked(e.target.checked)} />
+          I've checked the highlighted details against my bill
+        </label>
+      )}
+
+      {isVerified && (
+        <div style={styles.infoBox}>
+          <p style={{ margin: 0, fontSize: 13, lineHeight: 1.6 }}>
+            ✓ {verified.bill.billerName} account holder: <strong>{verified.bill.customerName}</strong><br/>
+            ₦{verified.bill.amount.toLocaleString()} + ₦{verified.bill.fee.toLocaleString()} fee = <strong>₦{verified.bill.total.toLocaleString()}</strong>
+          </p>
+        </div>
+      )}
+
+      {checkError && !isVerified && (
+        <p style={{ margin: "12px 0 0 0", fontSize: 13, color: "#ef4444" }}>⚠️ {checkError}</p>
+      )}
+
+      <div style={{ display: 'flex', gap: 8, marginTop: 20 }}>
+        {isVerified ? (
+          <button onClick={() => onPay({ billerId: draft.billerId, provider: draft.provider, accountNumber: draft.accountNumber, amount })} style={styles.payButton}>
+            Pay ₦{verified.bill.total.toLocaleString()} Now
+          </button>
+        ) : (
+          <button
+            onClick={checkAccount}
+            disabled={!canCheck || isChecking}
+            style={{ ...styles.payButton, opacity: canCheck && !isChecking ? 1 : 0.5 }}
+          >
+            {isChecking ? "Checking…" : "Check Account"}
+          </button>
+        )}
+        <button onClick={onRescan} style={styles.buttonSecondary}>
+          Scan Another
+        </button>
+      </div>
+
+      <div style={styles.securityNote}>
+        <p style={{ margin: 0, fontSize: 12, color: "#64748b" }}>
+          🔒 Your payment is secured and will be processed instantly
+        </p>
+      </div>
+    </div>
+  );
+}
+
+// Buy units for a prepaid meter without a bill to scan
+function PrepaidTokenForm({ billers, onValidate, onPay, onResend }) {
+  const [billerId, setBillerId] = useState("");
+  const [meterNumber, setMeterNumber] = useState("");
+  const [amount, setAmount] = useState("");
+  const [verified, setVerified] = useState(null);
+  const [checkError, setCheckError] = useState("");
+  const [isChecking, setIsChecking] = useState(false);
+  const discos = billers.filter((b) => b.category === "electricity");
+  const naira = parseInt(amount) || 0;
+  const verifyKey = [billerId, meterNumber, naira].join("|");
+  const isVerified = verified?.key === verifyKey;
+  const canCheck = billerId && meterNumber && naira > 0;
+
+  const checkMeter = async () => {
+    setIsChecking(true);
+    setCheckError("");
+    const { bill, error } = await onValidate({ billerId, meterNumber, amount: naira, prepaid: true });
+    setIsChecking(false);
+    if (bill) setVerified({ key: verifyKey, bill });
+    else setCheckError(error);
+  };
+
+  return (
+    <div style={styles.infoBox}>
+      <h4 style={{ margin: "0 0 8px 0", fontSize: 14 }}>⚡ Buy Prepaid Units</h4>
+      <select value={billerId} onChange={(e) => setBillerId(e.target.value)} style={styles.input}>
+        <option value="">Choose your disco…</option>
+        {discos.map((b) => (
+          <option key={b.id} value={b.id}>{b.name}</option>
+        ))}
+      </select>
+      <input
+        type="text"
+        inputMode="numeric"
+        placeholder="Meter number"
+        value={meterNumber}
+        onChange={(e) => setMeterNumber(e.target.value)}
+        style={styles.input}
+      />
+      <input
+        type="number"
+        placeholder="Amount (₦)"
+        value={amount}
+        onChange={(e) => setAmount(e.target.value)}
+        style={styles.input}
+      />
+
+      {isVerified && (
+        <p style={{ margin: "0 0 12px 0", fontSize: 13, lineHeight: 1.6 }}>
+          ✓ Meter owner: <strong>{verified.bill.customerName}</strong><br/>
+          ₦{verified.bill.amount.toLocaleString()} + ₦{verified.bill.fee.toLocaleString()} fee = <strong>₦{verified.bill.total.toLocaleString()}</strong>
+        </p>
+      )}
+
+      {checkError && !isVerified && (
+        <p style={{ margin: "0 0 12px 0", fontSize: 13, color: "#ef4444" }}>⚠️ {checkError}</p>
+      )}
+
+      <div style={{ display: 'flex', gap: 8 }}>
+        {isVerified ? (
+          <button onClick={() => onPay({ billerId, meterNumber, amount: naira, prepaid: true })} style={styles.payButton}>
+            Buy ₦{verified.bill.total.toLocaleString()} Token
+          </button>
+        ) : (
+          <button
+            onClick={checkMeter}
+            disabled={!canCheck || isChecking}
+            style={{ ...styles.payButton, opacity: canCheck && !isChecking ? 1 : 0.5 }}
+          >
+            {isChecking ? "Checking…" : "Check Meter"}
+          </button>
+        )}
+        <button onClick={onResend} style={styles.buttonSecondary}>
+          Resend Last Token
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function BillScannerView({ onImageUpload, scannedBill, isScanning, onPayBill, onValidateBill, onResendToken, billers, fileInputRef }) {
   return (
     <div style={styles.esusuContainer}>
       <h3 style={styles.esusuTitle}>📄 Scan Your Bill</h3>
@@ -551,133 +1610,1336 @@ function BillScannerView({ onImageUpload, scannedBill, isScanning, onPayBill, fi
             </div>
           </div>
 
-          <div style={styles.infoBox}>
-            <h4 style={{ margin: "0 0 8px 0", fontSize: 14 }}>How It Works 💡</h4>
-            <p style={{ margin: 0, fontSize: 13, lineHeight: 1.6, color: "#94a3b8" }}>
-              1. Take a clear photo of your bill or upload from gallery<br/>
-              2. SARA will automatically extract the payment details<br/>
-              3. Review the details and confirm payment<br/>
-              4. Done! Your bill is paid instantly 🎉
-            </p>
-          </div>
-        </>
+          <PrepaidTokenForm
+            billers={billers}
+            onValidate={onValidateBill}
+            onPay={onPayBill}
+            onResend={onResendToken}
+          />
+
+          <div style={styles.infoBox}>
+            <h4 style={{ margin: "0 0 8px 0", fontSize: 14 }}>How It Works 💡</h4>
+            <p style={{ margin: 0, fontSize: 13, lineHeight: 1.6, color: "#94a3b8" }}>
+              1. Take a clear photo of your bill or upload from gallery<br/>
+              2. SARA will automatically extract the payment details<br/>
+              3. Review the details and confirm payment<br/>
+              4. Done! Your bill is paid instantly 🎉
+            </p>
+          </div>
+        </>
+      )}
+
+      {isScanning && (
+        <div style={styles.scanningContainer}>
+          <div style={styles.scanningAnimation}>
+            <div style={styles.spinner}></div>
+          </div>
+          <h4 style={{ margin: "20px 0 8px 0", fontSize: 18 }}>Scanning Bill...</h4>
+          <p style={{ margin: 0, fontSize: 14, color: "#94a3b8" }}>
+            SARA is reading your bill details
+          </p>
+        </div>
+      )}
+
+      {scannedBill && !isScanning && (
+        <ScannedBillReview
+          key={scannedBill.scanId}
+          scan={scannedBill}
+          billers={billers}
+          onValidate={onValidateBill}
+          onPay={onPayBill}
+          onRescan={() => fileInputRef.current?.click()}
+        />
+      )}
+    </div>
+  );
+}
+
+// ------------------------- PIN Setup View Component -------------------------
+function PinSetupView({ hasPin, onSave }) {
+  const [currentPin, setCurrentPin] = useState("");
+  const [pin, setPin] = useState("");
+  const [confirmPin, setConfirmPin] = useState("");
+
+  const digitsOnly = (value) => value.replace(/\D/g, "").slice(0, 6);
+
+  const handleSave = () => {
+    if (!/^\d{4,6}$/.test(pin)) {
+      alert("Your PIN must be 4 to 6 digits");
+      return;
+    }
+    if (pin !== confirmPin) {
+      alert("The PINs don't match");
+      return;
+    }
+    onSave(pin, hasPin ? currentPin : undefined);
+  };
+
+  return (
+    <div style={styles.esusuContainer}>
+      <h3 style={styles.esusuTitle}>{hasPin ? "Change Transaction PIN 🔐" : "Set Transaction PIN 🔐"}</h3>
+      <p style={styles.esusuSubtitle}>SARA asks for this PIN before larger transfers, airtime and bill payments</p>
+
+      {hasPin && (
+        <input
+          type="password"
+          inputMode="numeric"
+          placeholder="Current PIN"
+          value={currentPin}
+          onChange={(e) => setCurrentPin(digitsOnly(e.target.value))}
+          style={styles.input}
+        />
+      )}
+      <input
+        type="password"
+        inputMode="numeric"
+        placeholder="New PIN (4-6 digits)"
+        value={pin}
+        onChange={(e) => setPin(digitsOnly(e.target.value))}
+        style={styles.input}
+      />
+      <input
+        type="password"
+        inputMode="numeric"
+        placeholder="Confirm new PIN"
+        value={confirmPin}
+        onChange={(e) => setConfirmPin(digitsOnly(e.target.value))}
+        style={styles.input}
+      />
+
+      <button onClick={handleSave} style={styles.buttonPrimary}>
+        Save PIN
+      </button>
+
+      <div style={styles.infoBox}>
+        <p style={{ margin: 0, fontSize: 13, lineHeight: 1.5, color: "#94a3b8" }}>
+          💡 When SARA asks for your PIN you can type it in the box, or just say it: "one two three four".
+          Say "cancel" if you didn't mean to send that money.
+        </p>
+      </div>
+    </div>
+  );
+}
+
+// ------------------------- History View Component -------------------------
+const HISTORY_TYPES = ["Airtime", "Data", "Transfer", "Received", "Bill Payment", "Esusu Contribution", "Esusu Payout", "Reversal", "Savings"];
+
+const HISTORY_EMOJI = {
+  "Airtime": "📱",
+  "Data": "📶",
+  "Transfer": "💸",
+  "Bank Transfer": "🏦",
+  "Received": "💰",
+  "Reversal": "↩️",
+  "Bill Payment": "🧾",
+  "Esusu Payout": "🎉",
+  "Savings Deposit": "🐷",
+  "Savings Withdrawal": "🐷"
+};
+
+const INCOMING_TYPES = ["Received", "Esusu Payout", "Reversal", "Savings Withdrawal"];
+
+// Filters apply when the user says so; the list loads the next page as it
+// scrolls near the bottom
+function HistoryView({ history, isLoading, onSearch, onLoadMore, onBack, onRequestStatement, onDownloadStatement, onCategorize }) {
+  const emptyFilters = { type: "", from: "", to: "", minAmount: "", maxAmount: "", counterparty: "", q: "" };
+  const [filters, setFilters] = useState({ ...emptyFilters, ...history.filters });
+  const [statement, setStatement] = useState(null);
+
+  const update = (key) => (e) => setFilters({ ...filters, [key]: e.target.value });
+
+  const handleScroll = (e) => {
+    const { scrollTop, clientHeight, scrollHeight } = e.currentTarget;
+    if (history.nextCursor && !isLoading && scrollTop + clientHeight >= scrollHeight - 120) {
+      onLoadMore();
+    }
+  };
+
+  const clearFilters = () => {
+    setFilters(emptyFilters);
+    onSearch({});
+  };
+
+  // A statement covers every transaction between the chosen dates, whatever
+  // the other filters say
+  const handleStatement = async () => {
+    if (!filters.from || !filters.to) {
+      alert("Choose the From and To dates for your statement");
+      return;
+    }
+    setStatement(await onRequestStatement({ from: filters.from, to: filters.to }));
+  };
+
+  return (
+    <div style={styles.esusuContainer}>
+      <button onClick={onBack} style={styles.backButton}>← Back to chat</button>
+      <h3 style={styles.esusuTitle}>Transaction History 📊</h3>
+      <p style={styles.esusuSubtitle}>You can also ask SARA: "show my transfers to john last month"</p>
+
+      <div style={styles.filterGrid}>
+        <select value={filters.type} onChange={update("type")} style={styles.filterInput}>
+          <option value="">All types</option>
+          {HISTORY_TYPES.map((type) => (
+            <option key={type} value={type}>{type}</option>
+          ))}
+        </select>
+        <input placeholder="To or from" value={filters.counterparty} onChange={update("counterparty")} style={styles.filterInput} />
+        <input type="date" title="From" value={filters.from} onChange={update("from")} style={styles.filterInput} />
+        <input type="date" title="To" value={filters.to} onChange={update("to")} style={styles.filterInput} />
+        <input type="number" min="0" placeholder="Min ₦" value={filters.minAmount} onChange={update("minAmount")} style={styles.filterInput} />
+        <input type="number" min="0" placeholder="Max ₦" value={filters.maxAmount} onChange={update("maxAmount")} style={styles.filterInput} />
+        <input
+          placeholder="Search (name, reference...)"
+          value={filters.q}
+          onChange={update("q")}
+          onKeyDown={(e) => e.key === "Enter" && onSearch(filters)}
+          style={{ ...styles.filterInput, gridColumn: "1 / -1" }}
+        />
+      </div>
+      <div style={{ display: "flex", gap: 8, marginBottom: 16 }}>
+        <button onClick={() => onSearch(filters)} style={{ ...styles.buttonPrimary, flex: 1 }} disabled={isLoading}>
+          Apply Filters
+        </button>
+        <button onClick={clearFilters} style={{ ...styles.buttonSecondary, flex: 1 }} disabled={isLoading}>
+          Clear
+        </button>
+        <button onClick={handleStatement} style={{ ...styles.buttonSecondary, flex: 1 }} disabled={isLoading}>
+          📄 Statement
+        </button>
+      </div>
+
+      {statement && (
+        <div style={styles.pinBar}>
+          <span style={{ flex: 1, fontSize: 13 }}>
+            {statement.reference} · {statement.period} · closing ₦{statement.closingBalance.toLocaleString()}
+          </span>
+          <button onClick={() => onDownloadStatement(statement.reference, "pdf")} style={styles.sendButton}>PDF</button>
+          <button onClick={() => onDownloadStatement(statement.reference, "csv")} style={styles.sendButton}>CSV</button>
+        </div>
+      )}
+
+      <div style={styles.historyList} onScroll={handleScroll}>
+        {history.transactions.length === 0 && !isLoading && (
+          <div style={styles.emptyState}>
+            <p style={{ margin: 0, color: "#94a3b8" }}>No transactions found.</p>
+          </div>
+        )}
+        {history.transactions.map((t) => (
+          <div key={t.id} style={styles.historyRow}>
+            <span style={{ fontSize: 20 }}>{HISTORY_EMOJI[t.type] || (t.type.startsWith("Esusu") ? "🤝" : "💳")}</span>
+            <div style={{ flex: 1, minWidth: 0 }}>
+              <div style={{ fontWeight: 600 }}>
+                {t.type}
+                {t.to_user && t.to_user !== "Self" && (
+                  <span style={{ fontWeight: 400, color: "#94a3b8" }}> {INCOMING_TYPES.includes(t.type) ? "←" : "→"} {t.to_user}</span>
+                )}
+              </div>
+              <div style={{ fontSize: 12, color: "#94a3b8" }}>
+                {new Date(t.date).toLocaleString("en-NG", { month: "short", day: "numeric", year: "numeric", hour: "2-digit", minute: "2-digit" })}
+                {t.status && t.status !== "successful" && ` · ${t.status}`}
+                {t.reference && ` · ${t.reference}`}
+              </div>
+              {t.category && t.category !== "income" && (
+                <select
+                  value={t.category}
+                  onChange={(e) => onCategorize(t.id, e.target.value)}
+                  style={styles.categorySelect}
+                  title="Category"
+                >
+                  {BUDGET_CATEGORIES.map((c) => (
+                    <option key={c.category} value={c.category}>{c.icon} {c.label}</option>
+                  ))}
+                </select>
+              )}
+            </div>
+            <div style={{ fontWeight: 600, color: INCOMING_TYPES.includes(t.type) ? "#10b981" : "#fff", whiteSpace: "nowrap" }}>
+              {INCOMING_TYPES.includes(t.type) ? "+" : "-"}₦{t.amount.toLocaleString()}
+            </div>
+          </div>
+        ))}
+        {isLoading && <p style={{ textAlign: "center", color: "#94a3b8", fontSize: 13 }}>Loading...</p>}
+        {!isLoading && !history.nextCursor && history.transactions.length > 0 && (
+          <p style={{ textAlign: "center", color: "#94a3b8", fontSize: 13 }}>That's everything</p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ------------------------- Budgets View Component -------------------------
+const BUDGET_CATEGORIES = [
+  { category: "airtime", label: "Airtime & data", icon: "📱" },
+  { category: "utilities", label: "Bills", icon: "💡" },
+  { category: "family_support", label: "Family support", icon: "👪" },
+  { category: "food", label: "Food", icon: "🍲" },
+  { category: "transport", label: "Transport", icon: "🚌" },
+  { category: "savings", label: "Savings & esusu", icon: "🤝" },
+  { category: "other", label: "Other", icon: "💳" }
+];
+
+// This month's spending per category against the limits the user set
+function BudgetsView({ budgets, onRequest }) {
+  const [limits, setLimits] = useState({});
+
+  if (!budgets) {
+    return <p style={{ textAlign: "center", color: "#94a3b8" }}>Loading...</p>;
+  }
+
+  const handleSave = async (category) => {
+    const limit = parseInt(limits[category], 10);
+    if (!limit || limit <= 0) {
+      alert("Enter a monthly limit in naira");
+      return;
+    }
+    if (await onRequest("put", `/budgets/${category}`, { limit })) {
+      setLimits({ ...limits, [category]: "" });
+    }
+  };
+
+  const month = new Date(budgets.from).toLocaleString("en-NG", { month: "long", year: "numeric" });
+
+  return (
+    <div style={styles.esusuContainer}>
+      <h3 style={styles.esusuTitle}>Budgets 📈</h3>
+      <p style={styles.esusuSubtitle}>
+        ₦{budgets.totalSpent.toLocaleString()} spent in {month}. You can also ask SARA: "how much have I spent on airtime this month?"
+      </p>
+
+      {budgets.categories.map((b) => {
+        const info = BUDGET_CATEGORIES.find((c) => c.category === b.category);
+        const over = b.limit !== null && b.spent > b.limit;
+        return (
+          <div key={b.category} style={styles.groupCard}>
+            <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 8 }}>
+              <span style={{ fontWeight: 600 }}>{info.icon} {info.label}</span>
+              <span style={{ color: over ? "#ef4444" : "#94a3b8", fontSize: 14 }}>
+                ₦{b.spent.toLocaleString()}{b.limit !== null && ` of ₦${b.limit.toLocaleString()}`}
+              </span>
+            </div>
+            {b.limit !== null && (
+              <div style={styles.budgetTrack}>
+                <div
+                  style={{
+                    ...styles.budgetFill,
+                    width: `${Math.min(100, Math.round(b.share * 100))}%`,
+                    background: over ? "#ef4444" : b.share >= 0.8 ? "#f59e0b" : "#10b981"
+                  }}
+                />
+              </div>
+            )}
+            <div style={{ display: "flex", gap: 8 }}>
+              <input
+                type="number"
+                min="1"
+                placeholder={b.limit !== null ? "New monthly limit ₦" : "Monthly limit ₦"}
+                value={limits[b.category] || ""}
+                onChange={(e) => setLimits({ ...limits, [b.category]: e.target.value })}
+                onKeyDown={(e) => e.key === "Enter" && handleSave(b.category)}
+                style={{ ...styles.filterInput, flex: 1 }}
+              />
+              <button onClick={() => handleSave(b.category)} style={styles.contributeButton}>
+                {b.limit !== null ? "Update" : "Set"}
+              </button>
+              {b.limit !== null && (
+                <button onClick={() => onRequest("delete", `/budgets/${b.category}`)} style={styles.logoutButton}>
+                  Remove
+                </button>
+              )}
+            </div>
+          </div>
+        );
+      })}
+
+      <div style={styles.infoBox}>
+        <p style={{ margin: 0, fontSize: 13, lineHeight: 1.5, color: "#94a3b8" }}>
+          💡 SARA warns you in the chat once a payment takes a category past 80% of its limit.
+          Payments are sorted automatically; change one from your history if SARA got it wrong.
+        </p>
+      </div>
+    </div>
+  );
+}
+
+// ------------------------- Savings View Component -------------------------
+const SAVINGS_FREQUENCIES = ["daily", "weekly", "bi-weekly", "monthly"];
+const ROUND_UP_STEPS = [10, 50, 100, 500, 1000];
+
+const formatGoalDate = (date) => new Date(date).toLocaleDateString("en-NG", { day: "numeric", month: "short", year: "numeric" });
+
+function SavingsView({ goals, onRequest }) {
+  const emptyForm = { name: "", targetAmount: "", targetDate: "", lock: false, autoAmount: "", autoFrequency: "weekly", roundUpTo: "" };
+  const [formData, setFormData] = useState(emptyForm);
+  const [amounts, setAmounts] = useState({});
+
+  const update = (key) => (e) => setFormData({ ...formData, [key]: e.target.value });
+
+  const handleCreate = async () => {
+    if (!formData.name.trim() || !formData.targetAmount) {
+      alert("Give the goal a name and a target amount");
+      return;
+    }
+    if (formData.lock && !formData.targetDate) {
+      alert("Choose a target date to lock the goal until");
+      return;
+    }
+    const created = await onRequest("post", "/savings", {
+      name: formData.name.trim(),
+      targetAmount: parseInt(formData.targetAmount, 10),
+      targetDate: formData.targetDate || null,
+      lockedUntil: formData.lock ? formData.targetDate : null,
+      autoAmount: formData.autoAmount ? parseInt(formData.autoAmount, 10) : null,
+      autoFrequency: formData.autoFrequency,
+      roundUpTo: formData.roundUpTo ? parseInt(formData.roundUpTo, 10) : null
+    });
+    if (created) setFormData(emptyForm);
+  };
+
+  const move = async (goal, direction) => {
+    const amount = parseInt(amounts[goal.id], 10);
+    if (!amount || amount <= 0) {
+      alert("Enter an amount in naira");
+      return;
+    }
+    if (await onRequest("post", `/savings/${goal.id}/${direction}`, { amount })) {
+      setAmounts({ ...amounts, [goal.id]: "" });
+    }
+  };
+
+  const handleClose = (goal) => {
+    if (window.confirm(`Close "${goal.name}" and move ₦${goal.saved.toLocaleString()} back to your wallet?`)) {
+      onRequest("delete", `/savings/${goal.id}`);
+    }
+  };
+
+  return (
+    <div style={styles.esusuContainer}>
+      <h3 style={styles.esusuTitle}>Savings Goals 🐷</h3>
+      <p style={styles.esusuSubtitle}>You can also ask SARA: "save 2000 for my rent"</p>
+
+      {goals.length === 0 && (
+        <div style={styles.emptyState}>
+          <p style={{ margin: 0, color: "#94a3b8" }}>No savings goals yet. Start one below.</p>
+        </div>
+      )}
+
+      {goals.map((goal) => (
+        <div key={goal.id} style={styles.groupCard}>
+          <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 8 }}>
+            <span style={{ fontWeight: 600 }}>{goal.locked ? "🔒" : "🐷"} {goal.name}</span>
+            <span style={{ color: "#94a3b8", fontSize: 14 }}>
+              ₦{goal.saved.toLocaleString()} of ₦{goal.targetAmount.toLocaleString()}
+            </span>
+          </div>
+          <div style={styles.budgetTrack}>
+            <div style={{ ...styles.budgetFill, width: `${Math.round(goal.progress * 100)}%`, background: "#10b981" }} />
+          </div>
+          <p style={{ margin: "0 0 10px", fontSize: 12, color: "#94a3b8", lineHeight: 1.5 }}>
+            {goal.interestRate}% a year · ₦{goal.interestEarned.toLocaleString()} interest earned
+            {goal.targetDate && ` · target ${formatGoalDate(goal.targetDate)}`}
+            {goal.perWeek && ` · ₦${goal.perWeek.toLocaleString()}/week to get there`}
+            {goal.locked && ` · locked until ${formatGoalDate(goal.lockedUntil)}`}
+            {goal.autoSave && ` · ₦${goal.autoSave.amount.toLocaleString()} ${goal.autoSave.frequency}`}
+            {goal.roundUpTo && ` · rounding payments up to ₦${goal.roundUpTo}`}
+          </p>
+          <div style={{ display: "flex", gap: 8, marginBottom: 8 }}>
+            <input
+              type="number"
+              min="1"
+              placeholder="Amount ₦"
+              value={amounts[goal.id] || ""}
+              onChange={(e) => setAmounts({ ...amounts, [goal.id]: e.target.value })}
+              style={{ ...styles.filterInput, flex: 1 }}
+            />
+            <button onClick={() => move(goal, "deposit")} style={styles.contributeButton}>Save</button>
+            <button onClick={() => move(goal, "withdraw")} style={styles.backButton} disabled={goal.locked}>Withdraw</button>
+          </div>
+          <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+            {goal.autoSave && (
+              <button onClick={() => onRequest("put", `/savings/${goal.id}`, { autoAmount: null })} style={styles.backButton}>
+                Stop {goal.autoSave.frequency} top-up
+              </button>
+            )}
+            <button
+              onClick={() => onRequest("put", `/savings/${goal.id}`, { roundUpTo: goal.roundUpTo ? null : 100 })}
+              style={styles.backButton}
+            >
+              {goal.roundUpTo ? "Stop round-ups" : "Round up my payments"}
+            </button>
+            {!goal.locked && (
+              <button onClick={() => handleClose(goal)} style={styles.logoutButton}>Close goal</button>
+            )}
+          </div>
+        </div>
+      ))}
+
+      <h4 style={{ margin: "16px 0 12px" }}>Start a goal</h4>
+      <input placeholder="What it's for (e.g. rent)" value={formData.name} onChange={update("name")} style={styles.input} />
+      <input type="number" min="1" placeholder="Target amount ₦" value={formData.targetAmount} onChange={update("targetAmount")} style={styles.input} />
+      <input type="date" title="Target date" value={formData.targetDate} onChange={update("targetDate")} style={styles.input} />
+      <label style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 13, color: "#94a3b8", marginBottom: 12 }}>
+        <input type="checkbox" checked={formData.lock} onChange={(e) => setFormData({ ...formData, lock: e.target.checked })} />
+        Lock the money until the target date (earns more interest)
+      </label>
+      <div style={{ display: "flex", gap: 8 }}>
+        <input
+          type="number"
+          min="1"
+          placeholder="Auto-save ₦ (optional)"
+          value={formData.autoAmount}
+          onChange={update("autoAmount")}
+          style={{ ...styles.input, flex: 1 }}
+        />
+        <select value={formData.autoFrequency} onChange={update("autoFrequency")} style={{ ...styles.input, flex: 1 }}>
+          {SAVINGS_FREQUENCIES.map((f) => (
+            <option key={f} value={f}>{f}</option>
+          ))}
+        </select>
+      </div>
+      <select value={formData.roundUpTo} onChange={update("roundUpTo")} style={styles.input}>
+        <option value="">No round-ups</option>
+        {ROUND_UP_STEPS.map((step) => (
+          <option key={step} value={step}>Round payments up to the nearest ₦{step}</option>
+        ))}
+      </select>
+      <button onClick={handleCreate} style={styles.buttonPrimary}>
+        Create Goal
+      </button>
+
+      <div style={styles.infoBox}>
+        <p style={{ margin: 0, fontSize: 13, lineHeight: 1.5, color: "#94a3b8" }}>
+          💡 Round-ups save the change from your transfers, airtime and bills: a ₦1,250 transfer puts ₦50 away.
+          Only one goal takes round-ups at a time.
+        </p>
+      </div>
+    </div>
+  );
+}
+
+// ------------------------- Scheduled Payments View Component -------------------------
+const SCHEDULE_FREQUENCIES = ["once", "daily", "weekly", "monthly"];
+const WEEKDAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+const SCHEDULE_EMOJI = { transfer: "💸", bank_transfer: "🏦", airtime: "📱", data: "📶", bill_payment: "🧾" };
+
+const describeScheduleRule = (rule) => {
+  if (rule.frequency === "once") return `on ${formatGoalDate(`${rule.runOn}T00:00:00`)}`;
+  if (rule.frequency === "daily") return "every day";
+  if (rule.frequency === "weekly") return `every ${WEEKDAY_NAMES[rule.weekday]}`;
+  return `on day ${rule.monthDay} of every month`;
+};
+
+function SchedulesView({ schedules, beneficiaries, onCreate, onRequest }) {
+  const emptyForm = { beneficiaryId: "", amount: "", frequency: "monthly", weekday: "5", monthDay: "1", runOn: "" };
+  const [formData, setFormData] = useState(emptyForm);
+
+  const update = (key) => (e) => setFormData({ ...formData, [key]: e.target.value });
+
+  const handleCreate = async () => {
+    if (!formData.beneficiaryId || !formData.amount) {
+      alert("Choose who to pay and how much");
+      return;
+    }
+    if (formData.frequency === "once" && !formData.runOn) {
+      alert("Choose the date to pay on");
+      return;
+    }
+    const created = await onCreate({
+      beneficiaryId: parseInt(formData.beneficiaryId, 10),
+      amount: parseInt(formData.amount, 10),
+      rule: {
+        frequency: formData.frequency,
+        weekday: parseInt(formData.weekday, 10),
+        monthDay: parseInt(formData.monthDay, 10),
+        runOn: formData.runOn || null
+      }
+    });
+    if (created) setFormData(emptyForm);
+  };
+
+  const handleCancel = (schedule) => {
+    if (window.confirm(`Cancel ${schedule.label} ${describeScheduleRule(schedule.rule)}?`)) {
+      onRequest("delete", `/schedules/${schedule.id}`);
+    }
+  };
+
+  return (
+    <div style={styles.esusuContainer}>
+      <h3 style={styles.esusuTitle}>Scheduled Payments 🗓️</h3>
+      <p style={styles.esusuSubtitle}>You can also ask SARA: "send 5000 to mama on the 1st of every month"</p>
+
+      {schedules.length === 0 && (
+        <div style={styles.emptyState}>
+          <p style={{ margin: 0, color: "#94a3b8" }}>Nothing scheduled yet. Set a payment up below.</p>
+        </div>
+      )}
+
+      {schedules.map((schedule) => (
+        <div key={schedule.id} style={styles.groupCard}>
+          <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 8 }}>
+            <span style={{ fontWeight: 600 }}>{SCHEDULE_EMOJI[schedule.intent] || "🗓️"} {schedule.label}</span>
+            <span style={{ color: "#94a3b8", fontSize: 14 }}>{describeScheduleRule(schedule.rule)}</span>
+          </div>
+          <p style={{ margin: "0 0 10px", fontSize: 12, color: "#94a3b8", lineHeight: 1.5 }}>
+            {schedule.status === "paused" ? "Paused" : `Next: ${formatGoalDate(schedule.nextRunAt)}`}
+            {schedule.runCount > 0 && ` · paid ${schedule.runCount} time${schedule.runCount === 1 ? "" : "s"}`}
+            {schedule.lastStatus === "retrying" && ` · balance too low, trying again (${schedule.lastError})`}
+            {schedule.lastStatus === "failed" && ` · last payment missed: ${schedule.lastError}`}
+          </p>
+          <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+            <button
+              onClick={() => onRequest("put", `/schedules/${schedule.id}`, { status: schedule.status === "paused" ? "active" : "paused" })}
+              style={styles.backButton}
+            >
+              {schedule.status === "paused" ? "Resume" : "Pause"}
+            </button>
+            <button onClick={() => handleCancel(schedule)} style={styles.logoutButton}>Cancel</button>
+          </div>
+        </div>
+      ))}
+
+      <h4 style={{ margin: "16px 0 12px" }}>Schedule a payment</h4>
+      {beneficiaries.length === 0 ? (
+        <p style={{ fontSize: 13, color: "#94a3b8" }}>Save a beneficiary first, or just ask SARA in the chat.</p>
+      ) : (
+        <>
+          <select value={formData.beneficiaryId} onChange={update("beneficiaryId")} style={styles.input}>
+            <option value="">Who to pay</option>
+            {beneficiaries.map((b) => (
+              <option key={b.id} value={b.id}>{b.nickname} — {b.label}</option>
+            ))}
+          </select>
+          <input type="number" min="1" placeholder="Amount ₦" value={formData.amount} onChange={update("amount")} style={styles.input} />
+          <div style={{ display: "flex", gap: 8 }}>
+            <select value={formData.frequency} onChange={update("frequency")} style={{ ...styles.input, flex: 1 }}>
+              {SCHEDULE_FREQUENCIES.map((f) => (
+                <option key={f} value={f}>{f}</option>
+              ))}
+            </select>
+            {formData.frequency === "weekly" && (
+              <select value={formData.weekday} onChange={update("weekday")} style={{ ...styles.input, flex: 1 }}>
+                {WEEKDAY_NAMES.map((name, i) => (
+                  <option key={name} value={i}>{name}</option>
+                ))}
+              </select>
+            )}
+            {formData.frequency === "monthly" && (
+              <input
+                type="number"
+                min="1"
+                max="31"
+                title="Day of the month"
+                value={formData.monthDay}
+                onChange={update("monthDay")}
+                style={{ ...styles.input, flex: 1 }}
+              />
+            )}
+            {formData.frequency === "once" && (
+              <input type="date" value={formData.runOn} onChange={update("runOn")} style={{ ...styles.input, flex: 1 }} />
+            )}
+          </div>
+          <button onClick={handleCreate} style={styles.buttonPrimary}>
+            Schedule Payment
+          </button>
+        </>
+      )}
+
+      <div style={styles.infoBox}>
+        <p style={{ margin: 0, fontSize: 13, lineHeight: 1.5, color: "#94a3b8" }}>
+          💡 Payments go out in the morning of the day they're due. If your balance is short, SARA tries again
+          a few times that day before waiting for the next one. Days past the end of a month pay on its last day.
+        </p>
+      </div>
+    </div>
+  );
+}
+
+// ------------------------- Requests View Component -------------------------
+const REQUEST_STATUS_ICON = { pending: "⏳", paid: "✅", declined: "❌", cancelled: "🚫", expired: "⌛" };
+
+function RequestsView({ requests, splits, onPay, onRequest }) {
+  const emptyAsk = { payer: "", amount: "", note: "" };
+  const emptySplit = { title: "", total: "", participants: "", includeOwner: true };
+  const [askForm, setAskForm] = useState(emptyAsk);
+  const [splitForm, setSplitForm] = useState(emptySplit);
+
+  const updateAsk = (key) => (e) => setAskForm({ ...askForm, [key]: e.target.value });
+  const updateSplit = (key) => (e) => setSplitForm({ ...splitForm, [key]: e.target.value });
+  const outgoing = requests.outgoing.filter((r) => !r.splitId);
+
+  const handleAsk = async () => {
+    if (!askForm.payer.trim() || !askForm.amount) {
+      alert("Say who to ask and how much");
+      return;
+    }
+    const sent = await onRequest("post", "/requests", {
+      payer: askForm.payer.trim(),
+      amount: parseInt(askForm.amount, 10),
+      note: askForm.note.trim() || null
+    });
+    if (sent) setAskForm(emptyAsk);
+  };
+
+  const handleSplit = async () => {
+    const participants = splitForm.participants.split(",").map((name) => name.trim()).filter(Boolean);
+    if (!splitForm.total || participants.length === 0) {
+      alert("Enter the bill total and who to split it with");
+      return;
+    }
+    const created = await onRequest("post", "/splits", {
+      title: splitForm.title.trim() || undefined,
+      total: parseInt(splitForm.total, 10),
+      participants,
+      includeOwner: splitForm.includeOwner
+    });
+    if (created) setSplitForm(emptySplit);
+  };
+
+  const handleDecline = (request) => {
+    if (window.confirm(`Decline ${request.requester}'s request for ₦${request.amount.toLocaleString()}?`)) {
+      onRequest("post", `/requests/${request.id}/decline`);
+    }
+  };
+
+  const handleCancelSplit = (split) => {
+    if (window.confirm(`Cancel the ${split.title} split? Anyone who hasn't paid won't be asked again.`)) {
+      onRequest("delete", `/splits/${split.id}`);
+    }
+  };
+
+  return (
+    <div style={styles.esusuContainer}>
+      <h3 style={styles.esusuTitle}>Requests & Split Bills 🤲</h3>
+      <p style={styles.esusuSubtitle}>You can also ask SARA: "ask tunde for 3000 for fuel" or "split 12000 with tunde and bola"</p>
+
+      <h4 style={{ margin: "0 0 12px" }}>Asking you</h4>
+      {requests.incoming.length === 0 ? (
+        <div style={styles.emptyState}>
+          <p style={{ margin: 0, color: "#94a3b8" }}>Nobody is waiting on you.</p>
+        </div>
+      ) : (
+        <div style={styles.groupsList}>
+          {requests.incoming.map((request) => (
+            <div key={request.id} style={styles.groupCard}>
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <div style={{ fontWeight: 600 }}>{request.requester} · ₦{request.amount.toLocaleString()}</div>
+                <div style={{ fontSize: 13, color: "#94a3b8" }}>
+                  {request.note || "No note"}
+                  {request.reminderCount > 0 && ` · reminded ${request.reminderCount} time${request.reminderCount === 1 ? "" : "s"}`}
+                </div>
+              </div>
+              <button onClick={() => onPay(request)} style={styles.contributeButton}>Pay</button>
+              <button onClick={() => handleDecline(request)} style={styles.logoutButton}>Decline</button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <h4 style={{ margin: "16px 0 12px" }}>Your requests</h4>
+      {outgoing.length === 0 && (
+        <p style={{ fontSize: 13, color: "#94a3b8" }}>You haven't asked anyone for money lately.</p>
+      )}
+      <div style={styles.groupsList}>
+        {outgoing.map((request) => (
+          <div key={request.id} style={styles.groupCard}>
+            <div style={{ flex: 1, minWidth: 0 }}>
+              <div style={{ fontWeight: 600 }}>
+                {REQUEST_STATUS_ICON[request.status]} {request.payer} · ₦{request.amount.toLocaleString()}
+              </div>
+              <div style={{ fontSize: 13, color: "#94a3b8" }}>{request.note || "No note"} · {request.status}</div>
+            </div>
+            {request.status === "pending" && (
+              <>
+                <button onClick={() => onRequest("post", `/requests/${request.id}/remind`)} style={styles.backButton}>Remind</button>
+                <button onClick={() => onRequest("delete", `/requests/${request.id}`)} style={styles.logoutButton}>Cancel</button>
+              </>
+            )}
+          </div>
+        ))}
+      </div>
+      <input placeholder="Who to ask (SARA username)" value={askForm.payer} onChange={updateAsk("payer")} style={styles.input} />
+      <input type="number" min="1" placeholder="Amount ₦" value={askForm.amount} onChange={updateAsk("amount")} style={styles.input} />
+      <input placeholder="What for (optional)" value={askForm.note} onChange={updateAsk("note")} style={styles.input} />
+      <button onClick={handleAsk} style={styles.buttonPrimary}>
+        Ask for Money
+      </button>
+
+      <h4 style={{ margin: "16px 0 12px" }}>Split bills</h4>
+      {splits.length === 0 && (
+        <p style={{ fontSize: 13, color: "#94a3b8" }}>No open split bills.</p>
+      )}
+      <div style={styles.groupsList}>
+        {splits.map((split) => (
+          <div key={split.id} style={{ ...styles.groupCard, display: "block" }}>
+            <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 8 }}>
+              <span style={{ fontWeight: 600 }}>{split.title}</span>
+              <span style={{ color: "#94a3b8", fontSize: 14 }}>
+                ₦{split.paid.toLocaleString()} of ₦{(split.total - split.ownerShare).toLocaleString()} in
+              </span>
+            </div>
+            {split.participants.map((p) => (
+              <div key={p.requestId} style={{ fontSize: 13, color: "#94a3b8", lineHeight: 1.6 }}>
+                {REQUEST_STATUS_ICON[p.status]} {p.username} · ₦{p.amount.toLocaleString()} · {p.status}
+              </div>
+            ))}
+            {split.status === "open" && (
+              <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginTop: 10 }}>
+                <button onClick={() => onRequest("post", `/splits/${split.id}/remind`)} style={styles.backButton}>Remind all</button>
+                <button onClick={() => handleCancelSplit(split)} style={styles.logoutButton}>Cancel</button>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+      <input placeholder="What it was for (e.g. dinner)" value={splitForm.title} onChange={updateSplit("title")} style={styles.input} />
+      <input type="number" min="1" placeholder="Bill total ₦" value={splitForm.total} onChange={updateSplit("total")} style={styles.input} />
+      <input placeholder="Split with (e.g. tunde, bola)" value={splitForm.participants} onChange={updateSplit("participants")} style={styles.input} />
+      <label style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 14, marginBottom: 12 }}>
+        <input
+          type="checkbox"
+          checked={splitForm.includeOwner}
+          onChange={(e) => setSplitForm({ ...splitForm, includeOwner: e.target.checked })}
+        />
+        I'm paying a share too
+      </label>
+      <button onClick={handleSplit} style={styles.buttonPrimary}>
+        Split Bill
+      </button>
+
+      <div style={styles.infoBox}>
+        <p style={{ margin: 0, fontSize: 13, lineHeight: 1.5, color: "#94a3b8" }}>
+          💡 Shares are equal, and you cover any odd naira. SARA reminds people every couple of days,
+          and requests nobody answers lapse after a month.
+        </p>
+      </div>
+    </div>
+  );
+}
+
+// ------------------------- Notifications View Component -------------------------
+const LANGUAGE_NAMES = { english: "English", pidgin: "Pidgin", yoruba: "Yorùbá", igbo: "Igbo", hausa: "Hausa" };
+
+function NotificationsView({ notifications, unreadCount, settings, onMarkRead, onSaveSettings }) {
+  const [threshold, setThreshold] = useState("");
+  const current = settings?.settings;
+
+  const handleLanguage = (e) => {
+    onSaveSettings({ language: e.target.value || null });
+  };
+
+  const handleThreshold = async () => {
+    if (threshold === "") return;
+    if (await onSaveSettings({ lowBalanceThreshold: parseInt(threshold, 10) })) setThreshold("");
+  };
+
+  return (
+    <div style={styles.esusuContainer}>
+      <h3 style={styles.esusuTitle}>Notifications 🔔</h3>
+      <p style={styles.esusuSubtitle}>You can also ask SARA: "any notifications?"</p>
+
+      {unreadCount > 0 && (
+        <button onClick={() => onMarkRead()} style={{ ...styles.backButton, marginBottom: 12 }}>
+          Mark all {unreadCount} as read
+        </button>
       )}
 
-      {isScanning && (
-        <div style={styles.scanningContainer}>
-          <div style={styles.scanningAnimation}>
-            <div style={styles.spinner}></div>
-          </div>
-          <h4 style={{ margin: "20px 0 8px 0", fontSize: 18 }}>Scanning Bill...</h4>
-          <p style={{ margin: 0, fontSize: 14, color: "#94a3b8" }}>
-            SARA is reading your bill details
+      {notifications.length === 0 ? (
+        <div style={styles.emptyState}>
+          <p style={{ margin: 0, color: "#94a3b8" }}>
+            Nothing yet. SARA lets you know when money comes in, esusu or bills fall due, or your balance runs low.
           </p>
         </div>
+      ) : (
+        <div style={styles.groupsList}>
+          {notifications.map((n) => (
+            <div
+              key={n.id}
+              style={{ ...styles.groupCard, border: n.readAt ? styles.groupCard.border : "1px solid rgba(124,58,237,0.5)" }}
+            >
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <div style={{ fontWeight: n.readAt ? 400 : 600, lineHeight: 1.5 }}>{n.message}</div>
+                <div style={{ fontSize: 12, color: "#94a3b8" }}>
+                  {new Date(n.createdAt).toLocaleString("en-NG", { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" })}
+                </div>
+              </div>
+              {!n.readAt && (
+                <button onClick={() => onMarkRead([n.id])} style={styles.backButton}>Read</button>
+              )}
+            </div>
+          ))}
+        </div>
       )}
 
-      {scannedBill && !isScanning && (
-        <div style={styles.billDetailsContainer}>
-          <div style={styles.successBadge}>✓ Bill Scanned Successfully</div>
-          
-          <div style={styles.billCard}>
-            <div style={styles.billHeader}>
-              <h4 style={{ margin: 0, fontSize: 20, fontWeight: 700 }}>{scannedBill.provider}</h4>
-              <div style={styles.billAmount}>₦{scannedBill.amount.toLocaleString()}</div>
-            </div>
+      {current && (
+        <>
+          <h4 style={{ margin: "16px 0 12px" }}>Settings</h4>
+          <label style={{ display: "block", fontSize: 13, color: "#94a3b8", marginBottom: 6 }}>SARA speaks notifications in</label>
+          <select value={current.language || ""} onChange={handleLanguage} style={styles.input}>
+            <option value="">The language I chat in ({LANGUAGE_NAMES[current.chatLanguage || "english"]})</option>
+            {settings.languages.map((lang) => (
+              <option key={lang} value={lang}>{LANGUAGE_NAMES[lang] || lang}</option>
+            ))}
+          </select>
+          <label style={{ display: "block", fontSize: 13, color: "#94a3b8", marginBottom: 6 }}>
+            Warn me when my balance drops below ₦{current.lowBalanceThreshold.toLocaleString()}
+          </label>
+          <div style={{ display: "flex", gap: 8 }}>
+            <input
+              type="number"
+              min="0"
+              placeholder="New amount ₦ (0 for no warning)"
+              value={threshold}
+              onChange={(e) => setThreshold(e.target.value)}
+              style={{ ...styles.input, flex: 1 }}
+            />
+            <button onClick={handleThreshold} style={{ ...styles.contributeButton, alignSelf: "flex-start" }}>Save</button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
 
-            <div style={styles.billDetails}>
-              <div style={styles.billDetailRow}>
-                <span style={styles.billLabel}>Account Number:</span>
-                <span style={styles.billValue}>{scannedBill.accountNumber}</span>
-              </div>
-              <div style={styles.billDetailRow}>
-                <span style={styles.billLabel}>Customer Name:</span>
-                <span style={styles.billValue}>{scannedBill.customerName}</span>
+// ------------------------- Beneficiaries View Component -------------------------
+const BENEFICIARY_KINDS = [
+  { kind: "user", label: "SARA user", icon: "👤" },
+  { kind: "bank_account", label: "Bank account", icon: "🏦" },
+  { kind: "phone", label: "Phone line", icon: "📱" },
+  { kind: "biller", label: "Biller", icon: "🧾" }
+];
+
+function BeneficiariesView({ beneficiaries, banks, billers, onRequest }) {
+  const emptyForm = { nickname: "", kind: "user", username: "", bankCode: "", accountNumber: "", phone: "", billerId: "" };
+  const [formData, setFormData] = useState(emptyForm);
+  const [renaming, setRenaming] = useState(null); // { id, nickname }
+
+  const update = (key) => (e) => setFormData({ ...formData, [key]: e.target.value });
+  const iconFor = (kind) => BENEFICIARY_KINDS.find((k) => k.kind === kind)?.icon || "⭐";
+
+  const handleAdd = async () => {
+    if (!formData.nickname.trim()) {
+      alert("Give them a name you'll say, e.g. mama");
+      return;
+    }
+    if (await onRequest("post", "/beneficiaries", { ...formData, nickname: formData.nickname.trim() })) {
+      setFormData(emptyForm);
+    }
+  };
+
+  const handleRename = async () => {
+    if (!renaming.nickname.trim()) return;
+    if (await onRequest("put", `/beneficiaries/${renaming.id}`, { nickname: renaming.nickname.trim() })) {
+      setRenaming(null);
+    }
+  };
+
+  const handleDelete = (beneficiary) => {
+    if (window.confirm(`Remove "${beneficiary.nickname}"?`)) {
+      onRequest("delete", `/beneficiaries/${beneficiary.id}`);
+    }
+  };
+
+  return (
+    <div style={styles.esusuContainer}>
+      <h3 style={styles.esusuTitle}>Beneficiaries ⭐</h3>
+      <p style={styles.esusuSubtitle}>Save people, accounts and meters under a name, then just say "send 5000 to mama"</p>
+
+      {beneficiaries.length === 0 ? (
+        <div style={styles.emptyState}>
+          <p style={{ margin: 0, color: "#94a3b8" }}>No beneficiaries yet. After you pay someone new, SARA will offer to save them.</p>
+        </div>
+      ) : (
+        <div style={styles.groupsList}>
+          {beneficiaries.map((b) => (
+            <div key={b.id} style={styles.groupCard}>
+              <span style={{ fontSize: 24 }}>{iconFor(b.kind)}</span>
+              <div style={{ flex: 1, minWidth: 0 }}>
+                {renaming?.id === b.id ? (
+                  <input
+                    value={renaming.nickname}
+                    onChange={(e) => setRenaming({ ...renaming, nickname: e.target.value })}
+                    onKeyDown={(e) => e.key === "Enter" && handleRename()}
+                    style={{ ...styles.input, marginBottom: 0 }}
+                    autoFocus
+                  />
+                ) : (
+                  <div style={{ fontWeight: 600 }}>{b.nickname}</div>
+                )}
+                <div style={{ fontSize: 13, color: "#94a3b8" }}>{b.label}</div>
               </div>
-              {scannedBill.billPeriod && (
-                <div style={styles.billDetailRow}>
-                  <span style={styles.billLabel}>Bill Period:</span>
-                  <span style={styles.billValue}>{scannedBill.billPeriod}</span>
-                </div>
+              {renaming?.id === b.id ? (
+                <>
+                  <button onClick={handleRename} style={styles.contributeButton}>Save</button>
+                  <button onClick={() => setRenaming(null)} style={styles.logoutButton}>Cancel</button>
+                </>
+              ) : (
+                <>
+                  <button onClick={() => setRenaming({ id: b.id, nickname: b.nickname })} style={styles.backButton}>Rename</button>
+                  <button onClick={() => handleDelete(b)} style={styles.logoutButton}>Remove</button>
+                </>
               )}
-              {scannedBill.package && (
-                <div style={styles.billDetailRow}>
-                  <span style={styles.billLabel}>Package:</span>
-                  <span style={styles.billValue}>{scannedBill.package}</span>
-                </div>
-              )}
-              {scannedBill.meterNumber && (
-                <div style={styles.billDetailRow}>
-                  <span style={styles.billLabel}>Meter Number:</span>
-                  <span style={styles.billValue}>{scannedBill.meterNumber}</span>
-                </div>
-              )}
-              <div style={styles.billDetailRow}>
-                <span style={styles.billLabel}>Due Date:</span>
-                <span style={styles.billValue}>
-                  {new Date(scannedBill.dueDate).toLocaleDateString('en-NG', {
-                    year: 'numeric',
-                    month: 'long',
-                    day: 'numeric'
-                  })}
-                </span>
-              </div>
             </div>
-          </div>
+          ))}
+        </div>
+      )}
 
-          <div style={{ display: 'flex', gap: 8, marginTop: 20 }}>
-            <button onClick={onPayBill} style={styles.payButton}>
-              Pay ₦{scannedBill.amount.toLocaleString()} Now
-            </button>
-            <button 
-              onClick={() => fileInputRef.current?.click()} 
-              style={styles.buttonSecondary}
-            >
-              Scan Another
-            </button>
-          </div>
+      <h4 style={{ margin: "0 0 12px" }}>Add a beneficiary</h4>
+      <input placeholder="Name to call them (e.g. mama)" value={formData.nickname} onChange={update("nickname")} style={styles.input} />
+      <select value={formData.kind} onChange={update("kind")} style={styles.input}>
+        {BENEFICIARY_KINDS.map((k) => (
+          <option key={k.kind} value={k.kind}>{k.icon} {k.label}</option>
+        ))}
+      </select>
 
-          <div style={styles.securityNote}>
-            <p style={{ margin: 0, fontSize: 12, color: "#64748b" }}>
-              🔒 Your payment is secured and will be processed instantly
-            </p>
-          </div>
-        </div>
+      {formData.kind === "user" && (
+        <input placeholder="SARA username" value={formData.username} onChange={update("username")} style={styles.input} />
+      )}
+      {formData.kind === "bank_account" && (
+        <>
+          <select value={formData.bankCode} onChange={update("bankCode")} style={styles.input}>
+            <option value="">Choose bank</option>
+            {banks.map((bank) => (
+              <option key={bank.code} value={bank.code}>{bank.name}</option>
+            ))}
+          </select>
+          <input
+            inputMode="numeric"
+            placeholder="10-digit account number"
+            value={formData.accountNumber}
+            onChange={(e) => setFormData({ ...formData, accountNumber: e.target.value.replace(/\D/g, "").slice(0, 10) })}
+            style={styles.input}
+          />
+        </>
       )}
+      {formData.kind === "phone" && (
+        <input type="tel" placeholder="Phone number (e.g. 0803 123 4567)" value={formData.phone} onChange={update("phone")} style={styles.input} />
+      )}
+      {formData.kind === "biller" && (
+        <>
+          <select value={formData.billerId} onChange={update("billerId")} style={styles.input}>
+            <option value="">Choose biller</option>
+            {billers.map((biller) => (
+              <option key={biller.id} value={biller.id}>{biller.name} ({biller.category})</option>
+            ))}
+          </select>
+          <input
+            placeholder={billers.find((b) => b.id === formData.billerId)?.accountLabel || "Account or meter number"}
+            value={formData.accountNumber}
+            onChange={update("accountNumber")}
+            style={styles.input}
+          />
+        </>
+      )}
+
+      <button onClick={handleAdd} style={styles.buttonPrimary}>
+        Save Beneficiary
+      </button>
+
+      <div style={styles.infoBox}>
+        <p style={{ margin: 0, fontSize: 13, lineHeight: 1.5, color: "#94a3b8" }}>
+          💡 Bank accounts are checked with the bank and saved under the account holder's real name.
+          You can also save from the chat: after a payment say "save as mama".
+        </p>
+      </div>
     </div>
   );
 }
 
 // ------------------------- Esusu View Component -------------------------
-function EsusuView({ groups, onCreateGroup, onJoinGroup, onContribute, username }) {
-  const [view, setView] = useState("list"); // list, create, join
-  const [formData, setFormData] = useState({
+function EsusuView({ groups, onCreateGroup, onJoinGroup, onContribute, onLoadGroup, onSetAutoContribute, onAdmin, inviteCode, username }) {
+  const emptyForm = {
     groupName: "",
+    inviteCode: "",
     amount: "",
     frequency: "monthly",
-    members: "5"
-  });
+    members: "5",
+    autoContribute: false,
+    graceDays: "2",
+    lateFee: "",
+    defaultAction: "keep",
+    coverShortfall: false,
+    requiresApproval: false
+  };
+  const [view, setView] = useState(inviteCode ? "join" : "list"); // list, create, join, detail
+  const [groupStatus, setGroupStatus] = useState(null);
+  const [formData, setFormData] = useState({ ...emptyForm, inviteCode: inviteCode || "" });
+  const [orderDraft, setOrderDraft] = useState(null);
 
   const handleCreate = () => {
     if (!formData.groupName || !formData.amount || !formData.members) {
       alert("Please fill all fields");
       return;
     }
-    onCreateGroup(formData.groupName, formData.amount, formData.frequency, formData.members);
+    const { graceDays, lateFee, defaultAction, coverShortfall, requiresApproval } = formData;
+    onCreateGroup(formData.groupName, formData.amount, formData.frequency, formData.members, formData.autoContribute, {
+      graceDays,
+      lateFee,
+      defaultAction,
+      coverShortfall,
+      requiresApproval
+    });
     setView("list");
-    setFormData({ groupName: "", amount: "", frequency: "monthly", members: "5" });
+    setFormData({ ...emptyForm });
   };
 
   const handleJoin = () => {
-    if (!formData.groupName) {
-      alert("Please enter group name");
+    if (!formData.inviteCode.trim()) {
+      alert("Please enter the invite code");
       return;
     }
-    onJoinGroup(formData.groupName);
+    onJoinGroup(formData.inviteCode.trim(), formData.autoContribute);
     setView("list");
-    setFormData({ groupName: "", amount: "", frequency: "monthly", members: "5" });
+    setFormData({ ...emptyForm });
+  };
+
+  const openGroup = async (groupId) => {
+    const status = await onLoadGroup(groupId);
+    if (status) {
+      setGroupStatus(status);
+      setOrderDraft(null);
+      setView("detail");
+    }
+  };
+
+  const refreshDetail = async () => {
+    const status = await onLoadGroup(groupStatus.group.id);
+    if (status) setGroupStatus(status);
+  };
+
+  const payFromDetail = async () => {
+    await onContribute(groupStatus.group.group_name);
+    refreshDetail();
+  };
+
+  const toggleAutoContribute = async (enabled) => {
+    await onSetAutoContribute(groupStatus.group.group_name, enabled);
+    refreshDetail();
+  };
+
+  const runAdmin = async (method, path, body) => {
+    const ok = await onAdmin(groupStatus.group.id, method, path, body);
+    if (ok) setOrderDraft(null);
+    refreshDetail();
+  };
+
+  const moveInOrder = (index, step) => {
+    const next = [...orderDraft];
+    [next[index], next[index + step]] = [next[index + step], next[index]];
+    setOrderDraft(next);
+  };
+
+  const copyInviteLink = (code) => {
+    const link = `${window.location.origin}${window.location.pathname}?invite=${code}`;
+    navigator.clipboard?.writeText(link);
+    alert(`Invite link copied:\n${link}`);
   };
 
+  const autoContributeCheckbox = (
+    <label style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 13, color: "#94a3b8", marginBottom: 12 }}>
+      <input
+        type="checkbox"
+        checked={formData.autoContribute}
+        onChange={(e) => setFormData({...formData, autoContribute: e.target.checked})}
+      />
+      Pay my contribution automatically when each cycle opens
+    </label>
+  );
+
+  if (view === "detail" && groupStatus) {
+    const { group, pot, cycle, members, payouts } = groupStatus;
+    const me = members.find((m) => m.username === username);
+    const amountDue = me ? (me.has_contributed ? 0 : group.amount_per_person) + me.amount_owed : 0;
+    const canPay = group.status === "active" && members.length === group.total_members && amountDue > 0;
+    const isAdmin = groupStatus.admin === username;
+
+    return (
+      <div style={styles.esusuContainer}>
+        <button onClick={() => setView("list")} style={styles.backButton}>← Back</button>
+        <h3 style={styles.esusuTitle}>{group.group_name}</h3>
+        <p style={{ margin: "0 0 4px 0", fontSize: 12, color: "#64748b" }}>
+          Admin: {isAdmin ? "you" : groupStatus.admin}
+        </p>
+        <p style={styles.esusuSubtitle}>
+          {group.status === "completed"
+            ? "✓ Rotation complete. Everyone has collected."
+            : `Cycle ${cycle.number} of ${group.total_members} • ${cycle.paid}/${cycle.expected} paid • Pot ₦${pot.toLocaleString()}`}
+        </p>
+
+        {cycle.due_at && (
+          <p style={{ margin: "0 0 16px 0", fontSize: 13, color: me?.is_late ? "#ef4444" : "#94a3b8" }}>
+            📅 {group.frequency} • {me?.is_late ? "⚠️ Your payment is late! It was due" : "Due"} {new Date(cycle.due_at).toLocaleDateString()}
+          </p>
+        )}
+
+        {me?.standing === "defaulted" && (
+          <div style={{ ...styles.infoBox, borderColor: "rgba(239,68,68,0.4)" }}>
+            <p style={{ margin: 0, fontSize: 13, color: "#ef4444" }}>
+              ⚠️ You missed a payment and owe ₦{me.amount_owed.toLocaleString()} (including late fees). It's added to your next payment.
+            </p>
+          </div>
+        )}
+
+        <p style={{ margin: "0 0 12px 0", fontSize: 12, color: "#64748b" }}>
+          Rules: {group.grace_days} day(s) grace • late fee ₦{(group.late_fee || 0).toLocaleString()} •{" "}
+          {{ keep: "defaulters keep their turn", move_to_end: "defaulters move to the end", suspend: "defaulters can't collect until paid up" }[group.default_action]}
+          {group.cover_shortfall ? " • members cover shortfalls" : ""}
+        </p>
+
+        {group.status === "active" && me && (
+          <label style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 13, color: "#94a3b8", marginBottom: 12 }}>
+            <input
+              type="checkbox"
+              checked={me.auto_contribute}
+              onChange={(e) => toggleAutoContribute(e.target.checked)}
+            />
+            Auto-contribute ₦{group.amount_per_person.toLocaleString()} when each cycle opens
+          </label>
+        )}
+
+        {cycle.next_collector && (
+          <div style={styles.infoBox}>
+            <p style={{ margin: 0, fontSize: 13 }}>
+              🎯 When everyone has paid, ₦{(group.amount_per_person * group.total_members).toLocaleString()} goes to{" "}
+              <strong>{cycle.next_collector === username ? "you" : cycle.next_collector}</strong>.
+            </p>
+          </div>
+        )}
+
+        <div style={styles.groupsList}>
+          {members.map((m) => (
+            <div key={m.username} style={styles.groupCard}>
+              <div style={{ flex: 1 }}>
+                <h4 style={{ margin: "0 0 4px 0", fontSize: 15 }}>
+                  #{m.position} {m.username}{m.username === username ? " (you)" : ""}
+                </h4>
+                <p style={{ margin: 0, fontSize: 13, color: m.has_collected ? "#10b981" : "#94a3b8" }}>
+                  {m.has_collected ? "✓ Collected" : "⏳ Waiting for turn"}
+                  {m.standing === "defaulted" && <span style={{ color: "#ef4444" }}> • in default</span>}
+                </p>
+              </div>
+              {group.status === "active" && (
+                <span style={{ fontSize: 13, color: m.has_contributed ? "#10b981" : m.is_late ? "#ef4444" : "#f59e0b" }}>
+                  {m.has_contributed ? "✓ Paid" : m.is_late ? "⚠️ Late" : "Not paid"}
+                </span>
+              )}
+              {isAdmin && groupStatus.can_remove_members && m.username !== username && (
+                <button
+                  onClick={() => window.confirm(`Remove ${m.username} from ${group.group_name}?`) && runAdmin("delete", `/members/${m.username}`)}
+                  style={{ ...styles.backButton, marginBottom: 0, marginLeft: 8 }}
+                >
+                  Remove
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+
+        {canPay && (
+          <button onClick={payFromDetail} style={styles.buttonPrimary}>
+            Pay ₦{amountDue.toLocaleString()}{me.has_contributed ? " owed" : ` for cycle ${cycle.number}`}
+          </button>
+        )}
+
+        {isAdmin && group.status === "active" && (
+          <div style={styles.infoBox}>
+            <h4 style={{ margin: "0 0 8px 0", fontSize: 14 }}>Admin 🔑</h4>
+
+            {groupStatus.can_remove_members && (
+              <>
+                <p style={{ margin: "4px 0", fontSize: 13, color: "#94a3b8" }}>
+                  Invite code: <strong style={{ color: "#e2e8f0" }}>{groupStatus.invite_code}</strong>
+                </p>
+                <div style={{ display: "flex", gap: 8, margin: "8px 0" }}>
+                  <button onClick={() => copyInviteLink(groupStatus.invite_code)} style={styles.buttonSecondary}>
+                    Copy invite link
+                  </button>
+                  <button onClick={() => runAdmin("post", "/invite/regenerate")} style={styles.buttonSecondary}>
+                    New code
+                  </button>
+                </div>
+                <label style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 13, color: "#94a3b8", marginBottom: 8 }}>
+                  <input
+                    type="checkbox"
+                    checked={groupStatus.requires_approval}
+                    onChange={(e) => runAdmin("post", "/approval", { required: e.target.checked })}
+                  />
+                  New members need my approval
+                </label>
+              </>
+            )}
+
+            {groupStatus.pending_requests.map((r) => (
+              <div key={r.id} style={{ display: "flex", alignItems: "center", gap: 8, margin: "6px 0" }}>
+                <span style={{ flex: 1, fontSize: 13 }}>🙋 {r.username} wants to join</span>
+                <button onClick={() => runAdmin("post", `/requests/${r.id}/approve`)} style={styles.contributeButton}>
+                  Approve
+                </button>
+                <button onClick={() => runAdmin("post", `/requests/${r.id}/reject`)} style={{ ...styles.backButton, marginBottom: 0 }}>
+                  Decline
+                </button>
+              </div>
+            ))}
+
+            {groupStatus.can_reorder && (
+              orderDraft ? (
+                <>
+                  <p style={{ margin: "8px 0 4px 0", fontSize: 13, color: "#94a3b8" }}>Payout order:</p>
+                  {orderDraft.map((name, i) => (
+                    <div key={name} style={{ display: "flex", alignItems: "center", gap: 8, margin: "4px 0" }}>
+                      <span style={{ flex: 1, fontSize: 13 }}>#{i + 1} {name}</span>
+                      <button disabled={i === 0} onClick={() => moveInOrder(i, -1)} style={{ ...styles.backButton, marginBottom: 0 }}>↑</button>
+                      <button disabled={i === orderDraft.length - 1} onClick={() => moveInOrder(i, 1)} style={{ ...styles.backButton, marginBottom: 0 }}>↓</button>
+                    </div>
+                  ))}
+                  <div style={{ display: "flex", gap: 8, margin: "8px 0" }}>
+                    <button onClick={() => runAdmin("post", "/order", { order: orderDraft })} style={styles.buttonPrimary}>
+                      Save order
+                    </button>
+                    <button onClick={() => setOrderDraft(null)} style={styles.buttonSecondary}>
+                      Cancel
+                    </button>
+                  </div>
+                </>
+              ) : (
+                <div style={{ display: "flex", gap: 8, margin: "8px 0" }}>
+                  <button onClick={() => setOrderDraft(members.map((m) => m.username))} style={styles.buttonSecondary}>
+                    Change payout order
+                  </button>
+                  <button onClick={() => runAdmin("post", "/order", { random: true })} style={styles.buttonSecondary}>
+                    🎲 Shuffle order
+                  </button>
+                </div>
+              )
+            )}
+
+            {members.length > 1 && (
+              <select
+                value=""
+                onChange={(e) => e.target.value && window.confirm(`Make ${e.target.value} the admin? You can't undo this yourself.`) &&
+                  runAdmin("post", "/admin", { username: e.target.value })}
+                style={{ ...styles.input, marginBottom: 0 }}
+              >
+                <option value="">Hand admin to…</option>
+                {members.filter((m) => m.username !== username).map((m) => (
+                  <option key={m.username} value={m.username}>{m.username}</option>
+                ))}
+              </select>
+            )}
+          </div>
+        )}
+
+        {payouts.length > 0 && (
+          <div style={styles.infoBox}>
+            <h4 style={{ margin: "0 0 8px 0", fontSize: 14 }}>Payouts 💸</h4>
+            {payouts.map((p) => (
+              <p key={p.cycle_number} style={{ margin: "4px 0", fontSize: 13, color: "#94a3b8" }}>
+                Cycle {p.cycle_number}: ₦{p.amount.toLocaleString()} to {p.username} • {new Date(p.paid_at).toLocaleDateString()}
+              </p>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  }
+
   if (view === "create") {
     return (
       <div style={styles.esusuContainer}>
@@ -707,6 +2969,7 @@ function EsusuView({ groups, onCreateGroup, onJoinGroup, onContribute, username
         >
           <option value="daily">Daily</option>
           <option value="weekly">Weekly</option>
+          <option value="bi-weekly">Bi-weekly</option>
           <option value="monthly">Monthly</option>
         </select>
         
@@ -731,6 +2994,58 @@ function EsusuView({ groups, onCreateGroup, onJoinGroup, onContribute, username
           </p>
         </div>
         
+        <h4 style={{ margin: "16px 0 8px 0", fontSize: 14 }}>If someone doesn't pay ⚖️</h4>
+
+        <select
+          value={formData.graceDays}
+          onChange={(e) => setFormData({...formData, graceDays: e.target.value})}
+          style={styles.input}
+        >
+          <option value="0">No grace period</option>
+          <option value="1">1 day grace period</option>
+          <option value="2">2 days grace period</option>
+          <option value="3">3 days grace period</option>
+          <option value="7">7 days grace period</option>
+        </select>
+
+        <input
+          placeholder="Late fee after the grace period (e.g., 500)"
+          type="number"
+          value={formData.lateFee}
+          onChange={(e) => setFormData({...formData, lateFee: e.target.value})}
+          style={styles.input}
+        />
+
+        <select
+          value={formData.defaultAction}
+          onChange={(e) => setFormData({...formData, defaultAction: e.target.value})}
+          style={styles.input}
+        >
+          <option value="keep">Defaulters keep their turn</option>
+          <option value="move_to_end">Defaulters move to the end of the queue</option>
+          <option value="suspend">Defaulters can't collect until they pay up</option>
+        </select>
+
+        <label style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 13, color: "#94a3b8", marginBottom: 12 }}>
+          <input
+            type="checkbox"
+            checked={formData.coverShortfall}
+            onChange={(e) => setFormData({...formData, coverShortfall: e.target.checked})}
+          />
+          Members who paid cover the shortfall so the collector gets the full pot
+        </label>
+
+        <label style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 13, color: "#94a3b8", marginBottom: 12 }}>
+          <input
+            type="checkbox"
+            checked={formData.requiresApproval}
+            onChange={(e) => setFormData({...formData, requiresApproval: e.target.checked})}
+          />
+          I approve everyone who joins with the invite code
+        </label>
+
+        {autoContributeCheckbox}
+
         <button onClick={handleCreate} style={styles.buttonPrimary}>
           Create Group
         </button>
@@ -743,15 +3058,17 @@ function EsusuView({ groups, onCreateGroup, onJoinGroup, onContribute, username
       <div style={styles.esusuContainer}>
         <button onClick={() => setView("list")} style={styles.backButton}>← Back</button>
         <h3 style={styles.esusuTitle}>Join Esusu Group 🚪</h3>
-        <p style={styles.esusuSubtitle}>Enter the name of the group you want to join</p>
+        <p style={styles.esusuSubtitle}>Enter the invite code from the group admin</p>
         
         <input
-          placeholder="Group name (ask your friend for the exact name)"
-          value={formData.groupName}
-          onChange={(e) => setFormData({...formData, groupName: e.target.value})}
+          placeholder="Invite code (e.g., Mu_K1ZyT797c)"
+          value={formData.inviteCode}
+          onChange={(e) => setFormData({...formData, inviteCode: e.target.value})}
           style={styles.input}
         />
         
+        {autoContributeCheckbox}
+
         <button onClick={handleJoin} style={styles.buttonPrimary}>
           Join Group
         </button>
@@ -785,7 +3102,7 @@ function EsusuView({ groups, onCreateGroup, onJoinGroup, onContribute, username
         <div style={styles.groupsList}>
           {groups.map((group, idx) => (
             <div key={idx} style={styles.groupCard}>
-              <div style={{ flex: 1 }}>
+              <div style={{ flex: 1, cursor: "pointer" }} onClick={() => openGroup(group.id)}>
                 <h4 style={{ margin: "0 0 8px 0", fontSize: 16 }}>{group.group_name}</h4>
                 <p style={{ margin: "4px 0", fontSize: 13, color: "#94a3b8" }}>
                   ₦{group.amount_per_person.toLocaleString()} • {group.frequency}
@@ -796,13 +3113,35 @@ function EsusuView({ groups, onCreateGroup, onJoinGroup, onContribute, username
                 <p style={{ margin: "4px 0", fontSize: 13, color: group.has_collected ? "#10b981" : "#f59e0b" }}>
                   {group.has_collected ? "✓ Collected" : "⏳ Waiting for turn"}
                 </p>
+                <p style={{ margin: "4px 0", fontSize: 13, color: "#94a3b8" }}>
+                  {group.status === "completed"
+                    ? "Rotation complete"
+                    : group.member_count < group.total_members
+                      ? `Waiting for ${group.total_members - group.member_count} more member(s)`
+                      : `Cycle ${group.current_cycle} • ${group.paid_this_cycle}/${group.total_members} paid • next: ${group.next_collector === username ? "you" : group.next_collector}`}
+                </p>
+                {group.standing === "defaulted" && (
+                  <p style={{ margin: "4px 0", fontSize: 13, color: "#ef4444" }}>
+                    ⚠️ In default • you owe ₦{group.amount_owed.toLocaleString()}
+                  </p>
+                )}
+                {group.next_due_at && !group.has_contributed && (
+                  <p style={{ margin: "4px 0", fontSize: 13, color: group.is_late ? "#ef4444" : "#94a3b8" }}>
+                    {group.is_late ? "⚠️ Late, was due" : "📅 Due"} {new Date(group.next_due_at).toLocaleDateString()}
+                    {group.auto_contribute ? " • auto-pay on" : ""}
+                  </p>
+                )}
               </div>
-              <button 
-                onClick={() => onContribute(group.group_name)}
-                style={styles.contributeButton}
-              >
-                Pay ₦{group.amount_per_person.toLocaleString()}
-              </button>
+              {group.status === "active" && group.member_count === group.total_members && (!group.has_contributed || group.amount_owed > 0) ? (
+                <button 
+                  onClick={() => onContribute(group.group_name)}
+                  style={styles.contributeButton}
+                >
+                  Pay ₦{((group.has_contributed ? 0 : group.amount_per_person) + group.amount_owed).toLocaleString()}
+                </button>
+              ) : group.has_contributed && group.status === "active" ? (
+                <span style={{ fontSize: 13, color: "#10b981" }}>✓ Paid</span>
+              ) : null}
             </div>
           ))}
         </div>
@@ -1154,6 +3493,77 @@ const styles = {
     fontWeight: 600,
     fontSize: 16,
   },
+  filterGrid: {
+    display: "grid",
+    gridTemplateColumns: "1fr 1fr",
+    gap: 8,
+    marginBottom: 12,
+  },
+  filterInput: {
+    padding: "10px 12px",
+    borderRadius: 8,
+    border: "1px solid rgba(255,255,255,0.08)",
+    background: "#0b1220",
+    color: "#fff",
+    fontSize: 14,
+    minWidth: 0,
+  },
+  historyList: {
+    maxHeight: 420,
+    overflowY: "auto",
+    display: "flex",
+    flexDirection: "column",
+    gap: 8,
+  },
+  historyRow: {
+    padding: 12,
+    borderRadius: 10,
+    background: "#081127",
+    border: "1px solid rgba(255,255,255,0.05)",
+    display: "flex",
+    alignItems: "center",
+    gap: 12,
+  },
+  categorySelect: {
+    marginTop: 6,
+    padding: "2px 6px",
+    borderRadius: 6,
+    border: "1px solid rgba(255,255,255,0.08)",
+    background: "#0b1220",
+    color: "#94a3b8",
+    fontSize: 12,
+  },
+  budgetTrack: {
+    height: 8,
+    borderRadius: 4,
+    background: "rgba(255,255,255,0.08)",
+    overflow: "hidden",
+    marginBottom: 10,
+  },
+  budgetFill: {
+    height: "100%",
+    borderRadius: 4,
+  },
+  pinBar: {
+    display: "flex",
+    gap: 8,
+    alignItems: "center",
+    padding: 12,
+    marginBottom: 12,
+    borderRadius: 10,
+    background: "rgba(124,58,237,0.1)",
+    border: "1px solid rgba(124,58,237,0.3)",
+  },
+  pinInput: {
+    width: 90,
+    padding: "10px 12px",
+    borderRadius: 8,
+    border: "1px solid rgba(255,255,255,0.08)",
+    background: "#0b1220",
+    color: "#fff",
+    fontSize: 15,
+    letterSpacing: 4,
+  },
   securityNote: {
     marginTop: 16,
     padding: 12,
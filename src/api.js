@@ -0,0 +1,114 @@
+// src/api.js
+import axios from "axios";
+import { API_URL } from "./config";
+
+const STORAGE_KEY = "sara.session";
+
+let session = null;
+let onSessionEnded = () => {};
+
+// ------------------------- Session storage -------------------------
+export const loadSession = () => {
+  try {
+    session = JSON.parse(localStorage.getItem(STORAGE_KEY)) || null;
+  } catch {
+    session = null;
+  }
+  return session;
+};
+
+export const saveSession = (next) => {
+  session = next;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+};
+
+export const clearSession = () => {
+  session = null;
+  localStorage.removeItem(STORAGE_KEY);
+};
+
+// Called when the refresh token is rejected and the user must login again
+export const setSessionEndedHandler = (handler) => {
+  onSessionEnded = handler;
+};
+
+// ------------------------- Client -------------------------
+export const api = axios.create({ baseURL: API_URL });
+
+api.interceptors.request.use((config) => {
+  if (session?.accessToken) {
+    config.headers.Authorization = `Bearer ${session.accessToken}`;
+  }
+  return config;
+});
+
+// Access tokens are short-lived: on a 401, rotate once with the refresh
+// token and replay the request. Concurrent 401s share one refresh call.
+let refreshing = null;
+
+const refreshTokens = async () => {
+  const res = await axios.post(`${API_URL}/token/refresh`, {
+    refreshToken: session?.refreshToken
+  });
+  saveSession({ ...session, ...res.data });
+};
+
+api.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const original = error.config;
+    if (error.response?.status !== 401 || original._retried || !session?.refreshToken) {
+      throw error;
+    }
+
+    original._retried = true;
+    try {
+      refreshing = refreshing || refreshTokens().finally(() => { refreshing = null; });
+      await refreshing;
+    } catch {
+      clearSession();
+      onSessionEnded();
+      throw error;
+    }
+    return api(original);
+  }
+);
+
+// ------------------------- Notifications -------------------------
+const STREAM_RETRY_MS = 10000;
+
+// Parses `event: name` / `data: {...}` blocks out of a server-sent stream
+const readEvents = (text, onEvent) => {
+  for (const block of text.split("\n\n")) {
+    const name = block.match(/^event: (.*)$/m)?.[1];
+    const data = block.match(/^data: (.*)$/m)?.[1];
+    if (name && data) onEvent(name, JSON.parse(data));
+  }
+};
+
+// Follows /notifications/stream until `signal` aborts, calling
+// onEvent(name, data) for each event. It goes through the client, so the
+// access token is refreshed like any other request: the server ends the
+// stream every few minutes and we reconnect with the current token.
+export const followNotifications = async (onEvent, signal) => {
+  while (!signal.aborted) {
+    let read = 0;
+    try {
+      await api.get("/notifications/stream", {
+        signal,
+        timeout: 0,
+        responseType: "text",
+        onDownloadProgress: ({ event }) => {
+          const text = event.target.responseText;
+          const end = text.lastIndexOf("\n\n");
+          if (end < read) return;
+          readEvents(text.slice(read, end), onEvent);
+          read = end + 2;
+        }
+      });
+    } catch {
+      if (signal.aborted) return;
+      await new Promise((resolve) => setTimeout(resolve, STREAM_RETRY_MS));
+    }
+  }
+};